@@ -55,7 +55,62 @@ export const config = {
     allowedTypes: ['image/jpeg', 'image/png', 'image/webp'],
     destination: process.env.FILE_UPLOAD_DESTINATION || './uploads',
   },
-  
+
+  // Product CSV/JSON import
+  productImport: {
+    destination: process.env.PRODUCT_IMPORT_DESTINATION || './uploads/imports',
+    maxFileSize: parseInt(process.env.PRODUCT_IMPORT_MAX_FILE_SIZE || '5242880', 10), // 5MB
+    maxRows: parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS || '5000', 10),
+    retentionHours: parseInt(process.env.PRODUCT_IMPORT_RETENTION_HOURS || '168', 10), // Status and error report
+  },
+
+  // Product catalogue export
+  productExport: {
+    destination: process.env.PRODUCT_EXPORT_DESTINATION || './exports/products',
+    maxSyncProducts: parseInt(process.env.PRODUCT_EXPORT_MAX_SYNC_PRODUCTS || '1000', 10), // Larger exports run as a job
+    retentionHours: parseInt(process.env.PRODUCT_EXPORT_RETENTION_HOURS || '72', 10),
+  },
+
+  // Product revision history
+  productRevisions: {
+    maxPerProduct: parseInt(process.env.PRODUCT_REVISION_LIMIT || '100', 10), // Older versions are pruned
+  },
+
+  // Variant matrix generation
+  productVariants: {
+    maxMatrixSize: parseInt(process.env.PRODUCT_VARIANT_MATRIX_LIMIT || '250', 10), // Combinations per product
+  },
+
+  // Deleted products
+  productTrash: {
+    retentionDays: parseInt(process.env.PRODUCT_TRASH_RETENTION_DAYS || '30', 10), // Then purged unless ordered
+  },
+
+  // Storefront search facets
+  productSearch: {
+    facetAttributes: process.env.SEARCH_FACET_ATTRIBUTES
+      ? process.env.SEARCH_FACET_ATTRIBUTES.split(',')
+      : ['color', 'size'],
+    priceBuckets: process.env.SEARCH_PRICE_BUCKETS
+      ? process.env.SEARCH_PRICE_BUCKETS.split(',').map(Number)
+      : [0, 5000, 10000, 25000, 50000, 100000, 250000], // Lower bounds, RWF
+    facetLimit: parseInt(process.env.SEARCH_FACET_LIMIT || '20', 10), // Values per facet
+    cacheTTL: parseInt(process.env.SEARCH_CACHE_TTL || '300', 10), // 5 minutes
+  },
+
+  // Orders
+  orders: {
+    paymentWindowMinutes: parseInt(process.env.ORDER_PAYMENT_WINDOW_MINUTES || '30', 10), // Unpaid orders are cancelled after this
+  },
+
+  // Product reviews
+  reviews: {
+    requireApproval: process.env.REVIEW_REQUIRE_APPROVAL === 'true', // Hold new reviews for moderation
+    photoDestination: process.env.REVIEW_PHOTO_DESTINATION || './uploads/reviews',
+    maxPhotos: parseInt(process.env.REVIEW_MAX_PHOTOS || '5', 10),
+    requestDelayDays: parseInt(process.env.REVIEW_REQUEST_DELAY_DAYS || '7', 10), // After delivery
+  },
+
   // AWS S3
   aws: {
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
@@ -89,13 +144,64 @@ export const config = {
     from: process.env.EMAIL_FROM || 'noreply@aether.com',
   },
   
+  // SMS
+  sms: {
+    // 'log' writes to a file instead of sending, and is only a default in development and test
+    transport: process.env.SMS_TRANSPORT || (['development', 'test'].includes(process.env.NODE_ENV || 'development') ? 'log' : undefined),
+    senderId: process.env.SMS_SENDER_ID || 'Aether',
+    logFile: process.env.SMS_LOG_FILE || './logs/sms.log',
+    http: {
+      url: process.env.SMS_HTTP_URL,
+      apiKey: process.env.SMS_HTTP_API_KEY,
+    },
+  },
+
   // Security
   security: {
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS || '12', 10),
     rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW || '900000', 10), // 15 minutes
     rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX || '100', 10),
+    twoFactor: {
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Aether',
+      challengeTokenExpiry: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m',
+      setupTokenExpiry: process.env.TWO_FACTOR_SETUP_EXPIRY || '15m', // Enrollment-only token for required roles
+      maxChallengeAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || '5', 10),
+      recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES || '10', 10),
+      requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || 'SELLER,ADMIN,SUPER_ADMIN').split(','),
+    },
+    magicLink: {
+      expiryMinutes: parseInt(process.env.MAGIC_LINK_EXPIRY_MINUTES || '15', 10),
+      maxRequestsPerHour: parseInt(process.env.MAGIC_LINK_MAX_REQUESTS_PER_HOUR || '5', 10),
+    },
+    impersonation: {
+      expiryMinutes: parseInt(process.env.IMPERSONATION_EXPIRY_MINUTES || '15', 10),
+      maxExpiryMinutes: parseInt(process.env.IMPERSONATION_MAX_EXPIRY_MINUTES || '60', 10),
+    },
+    bruteForce: {
+      windowSeconds: parseInt(process.env.BRUTE_FORCE_WINDOW_SECONDS || '900', 10), // 15 minutes
+      delayAfter: parseInt(process.env.BRUTE_FORCE_DELAY_AFTER || '5', 10),
+      delayStepMs: parseInt(process.env.BRUTE_FORCE_DELAY_STEP_MS || '250', 10),
+      maxDelayMs: parseInt(process.env.BRUTE_FORCE_MAX_DELAY_MS || '8000', 10),
+      ipBlockThreshold: parseInt(process.env.BRUTE_FORCE_IP_BLOCK_THRESHOLD || '30', 10),
+      subnetBlockThreshold: parseInt(process.env.BRUTE_FORCE_SUBNET_BLOCK_THRESHOLD || '100', 10),
+      blockSeconds: parseInt(process.env.BRUTE_FORCE_BLOCK_SECONDS || '3600', 10),
+    },
+    phoneVerification: {
+      codeLength: parseInt(process.env.PHONE_CODE_LENGTH || '6', 10),
+      codeExpiryMinutes: parseInt(process.env.PHONE_CODE_EXPIRY_MINUTES || '10', 10),
+      maxAttempts: parseInt(process.env.PHONE_CODE_MAX_ATTEMPTS || '5', 10),
+      resendCooldownSeconds: parseInt(process.env.PHONE_CODE_RESEND_COOLDOWN || '60', 10),
+      maxSendsPerHour: parseInt(process.env.PHONE_CODE_MAX_SENDS_PER_HOUR || '5', 10),
+    },
   },
   
+  // Personal data export and account deletion
+  privacy: {
+    exportDir: process.env.PRIVACY_EXPORT_DIR || './exports',
+    exportRetentionHours: parseInt(process.env.PRIVACY_EXPORT_RETENTION_HOURS || '72', 10),
+    deletionGraceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30', 10),
+  },
+
   // Monitoring
   monitoring: {
     jaegerEndpoint: process.env.JAEGER_ENDPOINT,
@@ -109,4 +215,9 @@ export const config = {
     enableTracing: process.env.ENABLE_TRACING === 'true',
     enableCaching: process.env.ENABLE_CACHING !== 'false',
   },
-};
\ No newline at end of file
+};
+
+// Fail at start-up rather than on the first verification code
+if (config.env === 'production' && !config.sms.transport) {
+  throw new Error('SMS_TRANSPORT must be set in production');
+}
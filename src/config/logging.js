@@ -98,6 +98,7 @@ export const logRequest = (req, res, responseTime) => {
     userAgent: req.get('User-Agent'),
     ip: req.ip,
     userId: req.user?.id,
+    impersonatedBy: req.impersonatedBy?.userId,
     requestId: req.requestId,
   });
 };
@@ -110,6 +111,7 @@ export const logError = (error, req = null, context = {}) => {
     url: req?.originalUrl,
     method: req?.method,
     userId: req?.user?.id,
+    impersonatedBy: req?.impersonatedBy?.userId,
     requestId: req?.requestId,
     ...context,
   });
@@ -122,6 +124,7 @@ export const logSecurity = (event, req, details = {}) => {
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     userId: req.user?.id,
+    impersonatedBy: req.impersonatedBy?.userId,
     url: req.originalUrl,
     method: req.method,
     requestId: req.requestId,
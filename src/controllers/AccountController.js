@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import { successResponse, NotFoundError, ValidationError, ConflictError } from '../middleware/error.js';
+import { logSecurity, logBusinessEvent } from '../config/logging.js';
+import PrivacyService from '../services/PrivacyService.js';
+import { PrivacyJobService } from '../workers/processors/privacy.js';
+import { EmailService } from '../workers/processors/email.js';
+
+// Exports are only visible to the user who requested them
+async function findOwnExport(req) {
+  const exportRecord = await PrivacyService.getExport(req.params.exportId);
+  if (!exportRecord || exportRecord.userId !== req.user._id.toString()) {
+    throw new NotFoundError('Export');
+  }
+  return exportRecord;
+}
+
+const deletionStatus = (user) => ({
+  scheduled: !!user.deletion?.scheduledFor,
+  requestedAt: user.deletion?.requestedAt,
+  scheduledFor: user.deletion?.scheduledFor,
+  cancelledAt: user.deletion?.cancelledAt,
+});
+
+class AccountController {
+  // Data export
+  static async requestExport(req, res) {
+    const latest = await PrivacyService.getLatestExport(req.user._id);
+    if (latest && ['PENDING', 'PROCESSING'].includes(latest.status)) {
+      throw new ConflictError('An export is already being prepared');
+    }
+
+    const exportRecord = await PrivacyService.createExportRequest(req.user._id, req.body.format);
+    await PrivacyJobService.buildDataExport(exportRecord.id);
+
+    logBusinessEvent('data_export_requested', {
+      userId: req.user._id,
+      exportId: exportRecord.id,
+      format: exportRecord.format,
+    });
+
+    return successResponse(res, exportRecord, 'Export requested. You will receive an email when it is ready.', 202);
+  }
+
+  static async getExport(req, res) {
+    const exportRecord = await findOwnExport(req);
+    return successResponse(res, exportRecord);
+  }
+
+  static async downloadExport(req, res) {
+    const exportRecord = await findOwnExport(req);
+    if (exportRecord.status !== 'READY') {
+      throw new ValidationError(`Export is not ready (status: ${exportRecord.status})`);
+    }
+
+    const filePath = PrivacyService.exportFilePath(exportRecord);
+    try {
+      await fs.access(filePath);
+    } catch {
+      throw new NotFoundError('Export file');
+    }
+
+    logSecurity('DATA_EXPORT_DOWNLOADED', req, { exportId: exportRecord.id });
+
+    return res.download(filePath, `aether-data-export.${exportRecord.format}`);
+  }
+
+  // Account deletion
+  static getDeletion(req, res) {
+    return successResponse(res, deletionStatus(req.user));
+  }
+
+  static async requestDeletion(req, res) {
+    const { user } = req;
+
+    if (user.deletion?.scheduledFor) {
+      throw new ConflictError('Account deletion is already scheduled');
+    }
+
+    const isValid = await user.comparePassword(req.body.password);
+    if (!isValid) {
+      throw new ValidationError('Password is incorrect');
+    }
+
+    await PrivacyService.requestDeletion(user);
+
+    logSecurity('ACCOUNT_DELETION_REQUESTED', req, { scheduledFor: user.deletion.scheduledFor });
+
+    await EmailService.sendAccountDeletionScheduled(user.email, user.profile.name, {
+      scheduledFor: user.deletion.scheduledFor.toISOString(),
+      cancelLink: `${process.env.FRONTEND_URL}/account/privacy`,
+    });
+
+    return successResponse(res, deletionStatus(user), 'Account deletion scheduled', 202);
+  }
+
+  static async cancelDeletion(req, res) {
+    const { user } = req;
+
+    if (!user.deletion?.scheduledFor) {
+      throw new NotFoundError('Scheduled account deletion');
+    }
+
+    await PrivacyService.cancelDeletion(user);
+
+    logSecurity('ACCOUNT_DELETION_CANCELLED', req);
+
+    return successResponse(res, deletionStatus(user), 'Account deletion cancelled');
+  }
+}
+
+export default AccountController;
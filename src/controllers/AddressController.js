@@ -0,0 +1,89 @@
+import { successResponse, NotFoundError, ValidationError } from '../middleware/error.js';
+
+const MAX_ADDRESSES = 20;
+const ADDRESS_TYPES = ['shipping', 'billing'];
+
+function findAddress(user, addressId) {
+  const address = user.getAddress(addressId);
+  if (!address) {
+    throw new NotFoundError('Address');
+  }
+  return address;
+}
+
+// Apply isDefaultShipping/isDefaultBilling from the request body. The first
+// address of each type always becomes the default.
+function applyDefaults(user, address, body) {
+  ADDRESS_TYPES.forEach((type) => {
+    const flag = type === 'billing' ? 'isDefaultBilling' : 'isDefaultShipping';
+    if (body[flag] || !user.getDefaultAddress(type)) {
+      user.setDefaultAddress(address, type);
+    }
+  });
+}
+
+// Defaults first, then most recently added
+const sortAddresses = (addresses) => [...addresses].sort((a, b) =>
+  (b.isDefaultShipping + b.isDefaultBilling) - (a.isDefaultShipping + a.isDefaultBilling)
+  || b.createdAt - a.createdAt);
+
+class AddressController {
+  static listAddresses(req, res) {
+    return successResponse(res, sortAddresses(req.user.addresses));
+  }
+
+  static getAddress(req, res) {
+    return successResponse(res, findAddress(req.user, req.params.addressId));
+  }
+
+  static async createAddress(req, res) {
+    const { user } = req;
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      throw new ValidationError(`You can save up to ${MAX_ADDRESSES} addresses`);
+    }
+
+    const { isDefaultShipping, isDefaultBilling, ...fields } = req.body;
+    user.addresses.push(fields);
+    const address = user.addresses[user.addresses.length - 1];
+    applyDefaults(user, address, { isDefaultShipping, isDefaultBilling });
+
+    await user.save();
+    return successResponse(res, address, 'Address saved', 201);
+  }
+
+  static async updateAddress(req, res) {
+    const { user } = req;
+    const address = findAddress(user, req.params.addressId);
+    const { isDefaultShipping, isDefaultBilling, ...fields } = req.body;
+
+    // Unsetting the only default would leave checkout without a fallback
+    if ((isDefaultShipping === false && address.isDefaultShipping)
+      || (isDefaultBilling === false && address.isDefaultBilling)) {
+      throw new ValidationError('Set another address as the default instead');
+    }
+
+    address.set(fields);
+    applyDefaults(user, address, { isDefaultShipping, isDefaultBilling });
+
+    await user.save();
+    return successResponse(res, address, 'Address updated');
+  }
+
+  static async deleteAddress(req, res) {
+    const { user } = req;
+    const address = findAddress(user, req.params.addressId);
+
+    address.deleteOne();
+
+    // Promote the most recently added address to any default we just removed
+    const [next] = sortAddresses(user.addresses);
+    if (next) {
+      applyDefaults(user, next, {});
+    }
+
+    await user.save();
+    return successResponse(res, null, 'Address deleted');
+  }
+}
+
+export default AddressController;
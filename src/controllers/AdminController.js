@@ -1,20 +1,261 @@
-import { User, Order, Product, DailySales } from '../models/index.js';
-import { successResponse, NotFoundError } from '../middleware/error.js';
+import { User, Order, DailySales, Merchant } from '../models/index.js';
+import { successResponse, paginatedResponse, NotFoundError, ValidationError, AuthorizationError } from '../middleware/error.js';
+import { logBusinessEvent, logSecurity } from '../config/logging.js';
+import CacheService from '../services/CacheService.js';
+import BruteForceService from '../services/BruteForceService.js';
+import AuditService from '../services/AuditService.js';
+import PermissionService from '../services/PermissionService.js';
+import RefreshTokenService from '../services/RefreshTokenService.js';
+import ImpersonationService from '../services/ImpersonationService.js';
+import { EmailService } from '../workers/processors/email.js';
+
+// Fields an admin may edit through updateUser; everything else has a dedicated operation.
+// Entries ending in '.' allow any field below them.
+const EDITABLE_USER_FIELDS = [
+  'profile.name',
+  'profile.phone',
+  'profile.avatar',
+  'profile.address.',
+  'preferences.',
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Flatten the body to dotted paths so nested objects are merged, not replaced
+function pickAllowedFields(body, prefix = '', updates = {}) {
+  Object.entries(body).forEach(([key, value]) => {
+    const path = `${prefix}${key}`;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      pickAllowedFields(value, `${path}.`, updates);
+    } else if (EDITABLE_USER_FIELDS.some(field => (field.endsWith('.') ? path.startsWith(field) : path === field))) {
+      updates[path] = value;
+    }
+  });
+  return updates;
+}
+
+// Admins can't act on themselves, and only super admins can act on other admins
+async function findManageableUser(req) {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  PermissionService.assertCanManageUser(req.user, user);
+  return user;
+}
+
+// Sign the user out everywhere
+async function revokeAccess(user, reason) {
+  await Promise.all([
+    RefreshTokenService.revokeAllForUser(user._id.toString(), reason),
+    CacheService.delUser(user._id.toString()),
+  ]);
+}
 
 class AdminController {
   static async listUsers(req, res) {
-    const users = await User.find().sort({ createdAt: -1 }).limit(200);
-    return successResponse(res, users);
+    const { email, role, status, merchantId, page, limit, sort } = req.query;
+    const filter = {};
+    if (email) {
+      filter.email = { $regex: escapeRegex(email.toLowerCase()) };
+    }
+    if (role) {
+      filter.role = role;
+    }
+    if (status) {
+      filter.status = status;
+    }
+    if (merchantId) {
+      filter.merchantId = merchantId;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter),
+    ]);
+    return paginatedResponse(res, users, { page, limit, total });
+  }
+
+  static async getUser(req, res) {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    return successResponse(res, {
+      ...user.toJSON(),
+      security: {
+        isLocked: user.isLocked,
+        lockUntil: user.security.lockUntil,
+        loginAttempts: user.security.loginAttempts,
+        twoFactorEnabled: user.security.twoFactorEnabled,
+        passwordResetRequired: user.security.passwordResetRequired,
+      },
+    });
   }
 
   static async updateUser(req, res) {
     const { id } = req.params;
-    const updates = req.body;
-    const user = await User.findByIdAndUpdate(id, updates, { new: true });
-    if (!user) throw new NotFoundError('User');
+    const updates = pickAllowedFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError('No editable fields provided');
+    }
+
+    const before = await findManageableUser(req);
+    const user = await User.findByIdAndUpdate(id, { $set: updates }, { new: true, runValidators: true });
+    await CacheService.delUser(id);
+
+    AuditService.captureChange(req, { type: 'user', id, before, after: user });
     return successResponse(res, user, 'User updated');
   }
 
+  static async suspendUser(req, res) {
+    const { reason } = req.body;
+    const user = await findManageableUser(req);
+    if (user.status === 'SUSPENDED') {
+      throw new ValidationError('User is already suspended');
+    }
+    if (user.status === 'DELETED') {
+      throw new ValidationError('Deleted users cannot be suspended');
+    }
+
+    const previousStatus = user.status;
+    user.status = 'SUSPENDED';
+    user.statusReason = reason;
+    user.statusChangedAt = new Date();
+    user.statusChangedBy = req.user._id;
+    await user.save();
+    await revokeAccess(user, 'account_suspended');
+
+    AuditService.captureChange(req, {
+      type: 'user',
+      id: user._id,
+      before: { status: previousStatus },
+      after: { status: user.status, statusReason: reason },
+    });
+    logSecurity('USER_SUSPENDED', req, { targetUserId: user._id, reason });
+    return successResponse(res, user, 'User suspended');
+  }
+
+  static async reactivateUser(req, res) {
+    const user = await findManageableUser(req);
+    if (user.status !== 'SUSPENDED') {
+      throw new ValidationError('Only suspended users can be reactivated');
+    }
+
+    user.status = 'ACTIVE';
+    user.statusReason = undefined;
+    user.statusChangedAt = new Date();
+    user.statusChangedBy = req.user._id;
+    await user.save();
+    await CacheService.delUser(user._id.toString());
+
+    AuditService.captureChange(req, {
+      type: 'user',
+      id: user._id,
+      before: { status: 'SUSPENDED' },
+      after: { status: user.status },
+    });
+    logSecurity('USER_REACTIVATED', req, { targetUserId: user._id });
+    return successResponse(res, user, 'User reactivated');
+  }
+
+  static async changeUserRole(req, res) {
+    const { role } = req.body;
+    const user = await findManageableUser(req);
+    if (PermissionService.isPrivilegedRole(role) && !PermissionService.isSuperAdmin(req.user)) {
+      throw new AuthorizationError('Only super admins can grant admin roles');
+    }
+    if (user.role === role) {
+      throw new ValidationError(`User already has the ${role} role`);
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await CacheService.delUser(user._id.toString());
+
+    AuditService.captureChange(req, {
+      type: 'user',
+      id: user._id,
+      before: { role: previousRole },
+      after: { role },
+    });
+    logSecurity('USER_ROLE_CHANGED', req, { targetUserId: user._id, from: previousRole, to: role });
+    return successResponse(res, user, 'User role updated');
+  }
+
+  static async forcePasswordReset(req, res) {
+    const user = await findManageableUser(req);
+
+    const resetToken = user.createPasswordResetToken();
+    user.security.passwordResetRequired = true;
+    await user.save();
+    await revokeAccess(user, 'password_reset_forced');
+
+    await EmailService.sendPasswordReset(
+      user.email,
+      user.profile.name,
+      `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`,
+    );
+
+    logSecurity('USER_PASSWORD_RESET_FORCED', req, { targetUserId: user._id });
+    return successResponse(res, null, 'Password reset required; the user has been signed out and emailed a reset link');
+  }
+
+  static async unlockUser(req, res) {
+    const user = await findManageableUser(req);
+    if (!user.isLocked && user.security.loginAttempts === 0) {
+      throw new ValidationError('User is not locked');
+    }
+
+    await user.resetLoginAttempts();
+
+    logSecurity('USER_UNLOCKED', req, { targetUserId: user._id });
+    return successResponse(res, null, 'User unlocked');
+  }
+
+  // Impersonation (super admins only)
+  static async impersonateUser(req, res) {
+    const { reason } = req.body;
+    const user = await findManageableUser(req);
+    if (PermissionService.isPrivilegedRole(user.role)) {
+      throw new AuthorizationError('Admin accounts cannot be impersonated');
+    }
+    if (user.status !== 'ACTIVE') {
+      throw new ValidationError('Only active users can be impersonated');
+    }
+
+    const { token, record } = await ImpersonationService.start(user, req.user, req.body);
+
+    AuditService.captureChange(req, {
+      type: 'user',
+      id: user._id,
+      after: { impersonationId: record.id, reason, expiresAt: record.expiresAt },
+    });
+    logSecurity('IMPERSONATION_STARTED', req, { targetUserId: user._id, impersonationId: record.id, reason });
+    return successResponse(res, { accessToken: token, impersonation: record }, 'Impersonation started', 201);
+  }
+
+  static async listImpersonations(req, res) {
+    const impersonations = await ImpersonationService.list();
+    return successResponse(res, impersonations);
+  }
+
+  static async endImpersonation(req, res) {
+    const ended = await ImpersonationService.end(req.params.impersonationId);
+    if (!ended) {
+      throw new NotFoundError('Impersonation');
+    }
+
+    logSecurity('IMPERSONATION_ENDED', req, { impersonationId: req.params.impersonationId });
+    return successResponse(res, null, 'Impersonation ended');
+  }
+
   static async listAllOrders(req, res) {
     const orders = await Order.find().sort({ createdAt: -1 }).limit(500);
     return successResponse(res, orders);
@@ -35,8 +276,114 @@ class AdminController {
     const range = await DailySales.getDateRange(merchantId, start, end);
     return successResponse(res, range);
   }
-}
 
-export default AdminController;
+  // Merchant onboarding review
+  static async listMerchants(req, res) {
+    const { status, page = 1, limit = 20 } = req.query;
+    const filter = status ? { status } : {};
+    const [merchants, total] = await Promise.all([
+      Merchant.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((Number(page) - 1) * Number(limit))
+        .limit(Number(limit))
+        .populate('ownerId', 'email profile.name'),
+      Merchant.countDocuments(filter),
+    ]);
+    return paginatedResponse(res, merchants, { page: Number(page), limit: Number(limit), total });
+  }
+
+  static async approveMerchant(req, res) {
+    const merchant = await Merchant.findById(req.params.merchantId);
+    if (!merchant) {
+      throw new NotFoundError('Merchant');
+    }
+    if (merchant.status === 'APPROVED') {
+      throw new ValidationError('Merchant is already approved');
+    }
+
+    const previousStatus = merchant.status;
+    const wasSuspended = previousStatus === 'SUSPENDED';
+    await merchant.approve(req.user._id);
+    AuditService.captureChange(req, {
+      type: 'merchant',
+      id: merchant._id,
+      before: { status: previousStatus },
+      after: { status: merchant.status },
+      merchantId: merchant._id,
+    });
 
+    // The applicant becomes a seller once their store is approved
+    const owner = await User.findById(merchant.ownerId);
+    if (owner && ['VISITOR', 'BUYER'].includes(owner.role)) {
+      owner.role = 'SELLER';
+      await owner.save();
+    }
+    if (wasSuspended) {
+      await CacheService.invalidateSuspendedMerchants();
+    }
+    if (owner) {
+      await EmailService.sendMerchantStatusUpdate(owner.email, merchant);
+    }
 
+    logBusinessEvent('merchant_approved', { merchantId: merchant._id, reviewedBy: req.user._id });
+    return successResponse(res, merchant, 'Merchant approved');
+  }
+
+  static async suspendMerchant(req, res) {
+    const { reason } = req.body;
+    const merchant = await Merchant.findById(req.params.merchantId);
+    if (!merchant) {
+      throw new NotFoundError('Merchant');
+    }
+    if (merchant.status === 'SUSPENDED') {
+      throw new ValidationError('Merchant is already suspended');
+    }
+
+    const previousStatus = merchant.status;
+    await merchant.suspend(reason, req.user._id);
+    AuditService.captureChange(req, {
+      type: 'merchant',
+      id: merchant._id,
+      before: { status: previousStatus },
+      after: { status: merchant.status, statusReason: reason },
+      merchantId: merchant._id,
+    });
+    await Promise.all([
+      CacheService.invalidateSuspendedMerchants(),
+      CacheService.invalidateSearchCache(),
+      CacheService.invalidateFeaturedProducts(),
+    ]);
+
+    const owner = await User.findById(merchant.ownerId);
+    if (owner) {
+      await EmailService.sendMerchantStatusUpdate(owner.email, merchant);
+    }
+
+    logBusinessEvent('merchant_suspended', { merchantId: merchant._id, reason, reviewedBy: req.user._id });
+    return successResponse(res, merchant, 'Merchant suspended');
+  }
+
+  static async listBlocks(req, res) {
+    const blocks = await BruteForceService.listBlocks();
+    return successResponse(res, blocks);
+  }
+
+  static async clearBlock(req, res) {
+    const { type, value } = req.params;
+    const cleared = await BruteForceService.clearBlock(type, value);
+    if (!cleared) {
+      throw new NotFoundError('Block');
+    }
+
+    logBusinessEvent('security_block_cleared', { type, value, clearedBy: req.user._id });
+    return successResponse(res, null, 'Block cleared');
+  }
+
+  static async clearAllBlocks(req, res) {
+    const count = await BruteForceService.clearAllBlocks();
+    logBusinessEvent('security_blocks_cleared', { count, clearedBy: req.user._id });
+    return successResponse(res, { cleared: count }, 'All blocks cleared');
+  }
+}
+
+export default AdminController;
@@ -0,0 +1,94 @@
+import { ApiKey } from '../models/index.js';
+import { successResponse, NotFoundError, ValidationError } from '../middleware/error.js';
+import { logSecurity } from '../config/logging.js';
+
+const ROTATION_GRACE_MS = 24 * 60 * 60 * 1000; // old key keeps working for 24h by default
+
+// authorizeMerchant has resolved the merchant and checked the team role;
+// admins must say which merchant they mean
+function resolveMerchantId(req) {
+  if (!req.merchantId) {
+    throw new ValidationError('merchantId is required');
+  }
+  return req.merchantId;
+}
+
+async function findMerchantKey(req) {
+  const key = await ApiKey.findOne({ _id: req.params.keyId, merchantId: resolveMerchantId(req) });
+  if (!key) {
+    throw new NotFoundError('API key');
+  }
+  return key;
+}
+
+class ApiKeyController {
+  static async listKeys(req, res) {
+    const keys = await ApiKey.findByMerchant(resolveMerchantId(req));
+    return successResponse(res, keys);
+  }
+
+  static async createKey(req, res) {
+    const { name, scopes, expiresAt } = req.body;
+    const merchantId = resolveMerchantId(req);
+    const { rawKey, prefix, keyHash } = ApiKey.generateKey();
+
+    const key = await ApiKey.create({
+      merchantId,
+      userId: req.user._id,
+      name,
+      prefix,
+      keyHash,
+      scopes,
+      expiresAt,
+    });
+
+    logSecurity('API_KEY_CREATED', req, { keyId: key._id, merchantId, scopes });
+
+    // The raw key is only ever returned here and on rotation
+    return successResponse(res, { ...key.toJSON(), key: rawKey }, 'API key created', 201);
+  }
+
+  static async rotateKey(req, res) {
+    const { gracePeriodMinutes } = req.body;
+    const oldKey = await findMerchantKey(req);
+    if (!oldKey.isUsable) {
+      throw new ValidationError('Only active keys can be rotated');
+    }
+
+    const { rawKey, prefix, keyHash } = ApiKey.generateKey();
+    const newKey = await ApiKey.create({
+      merchantId: oldKey.merchantId,
+      userId: req.user._id,
+      name: oldKey.name,
+      prefix,
+      keyHash,
+      scopes: oldKey.scopes,
+      expiresAt: oldKey.expiresAt,
+      rotatedFrom: oldKey._id,
+    });
+
+    const graceMs = gracePeriodMinutes !== undefined ? gracePeriodMinutes * 60 * 1000 : ROTATION_GRACE_MS;
+    oldKey.rotatedTo = newKey._id;
+    oldKey.expiresAt = new Date(Date.now() + graceMs);
+    await oldKey.save();
+
+    logSecurity('API_KEY_ROTATED', req, { keyId: oldKey._id, newKeyId: newKey._id, merchantId: oldKey.merchantId });
+
+    return successResponse(res, { ...newKey.toJSON(), key: rawKey }, 'API key rotated', 201);
+  }
+
+  static async revokeKey(req, res) {
+    const key = await findMerchantKey(req);
+    if (key.status === 'REVOKED') {
+      throw new ValidationError('API key is already revoked');
+    }
+
+    await key.revoke(req.user._id);
+
+    logSecurity('API_KEY_REVOKED', req, { keyId: key._id, merchantId: key.merchantId });
+
+    return successResponse(res, key, 'API key revoked');
+  }
+}
+
+export default ApiKeyController;
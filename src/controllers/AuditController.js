@@ -0,0 +1,63 @@
+import { successResponse, paginatedResponse } from '../middleware/error.js';
+import { logSecurity, setupLogging } from '../config/logging.js';
+import AuditService from '../services/AuditService.js';
+
+const logger = setupLogging();
+
+async function sendCsv(req, res, filename, filter) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+
+  try {
+    await AuditService.streamCsv(filter, res);
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      throw error;
+    }
+    // Part of the file is already out; cut the connection so the download fails visibly
+    logger.error('Audit export stream failed', { merchantId: req.merchantId, error: error.message });
+    res.destroy(error);
+  }
+}
+
+class AuditController {
+  // Admin: all events
+  static async listEvents(req, res) {
+    const { page, limit } = req.query;
+    const filter = AuditService.buildFilter(req.query);
+    const { events, total } = await AuditService.query(filter, { page, limit });
+    return paginatedResponse(res, events, { page, limit, total });
+  }
+
+  static async exportEvents(req, res) {
+    const filter = AuditService.buildFilter(req.query);
+    await sendCsv(req, res, `audit-events-${new Date().toISOString().slice(0, 10)}.csv`, filter);
+  }
+
+  static async verifyChain(req, res) {
+    const result = await AuditService.verifyChain(req.query);
+    if (!result.valid) {
+      logSecurity('AUDIT_CHAIN_BROKEN', req, result.brokenAt);
+    }
+    return successResponse(res, result, result.valid ? 'Audit chain is intact' : 'Audit chain verification failed');
+  }
+
+  // Merchant: events for their own store only
+  static async listMerchantEvents(req, res) {
+    const { page, limit } = req.query;
+    const filter = AuditService.buildFilter({ ...req.query, merchantId: req.merchantId });
+    const { events, total } = await AuditService.query(filter, { page, limit });
+    return paginatedResponse(res, events, { page, limit, total });
+  }
+
+  static async exportMerchantEvents(req, res) {
+    const filter = AuditService.buildFilter({ ...req.query, merchantId: req.merchantId });
+    await sendCsv(req, res, `audit-events-${req.merchantId}-${new Date().toISOString().slice(0, 10)}.csv`, filter);
+  }
+}
+
+export default AuditController;
@@ -4,11 +4,21 @@ import { User } from '../models/index.js';
 import { config } from '../config/index.js';
 import { redis } from '../config/redis.js';
 import CacheService from '../services/CacheService.js';
+import TwoFactorService from '../services/TwoFactorService.js';
+import RefreshTokenService from '../services/RefreshTokenService.js';
+import SessionService from '../services/SessionService.js';
+import ImpersonationService from '../services/ImpersonationService.js';
+import PhoneVerificationService from '../services/PhoneVerificationService.js';
+import MagicLinkService from '../services/MagicLinkService.js';
+import SmsService from '../services/SmsService.js';
 import { EmailService } from '../workers/processors/email.js';
 import {
   AuthenticationError,
   ValidationError,
   NotFoundError,
+  ConflictError,
+  RateLimitError,
+  ServiceUnavailableError,
   successResponse
 } from '../middleware/error.js';
 import { logSecurity, setupLogging } from '../config/logging.js';
@@ -57,18 +67,27 @@ class AuthController {
       `${process.env.FRONTEND_URL}/verify-email?token=${user.verification.email.token}`
     );
 
-    // Generate tokens
-    const { accessToken, refreshToken } = await this.generateTokens(user);
-
-    // Set refresh token cookie
-    this.setRefreshTokenCookie(res, refreshToken);
-
     logger.info('User registered successfully', {
       userId: user._id,
       email,
       role: user.role
     });
 
+    // Roles that require 2FA get no session until they enroll
+    if (TwoFactorService.isSetupRequired(user)) {
+      return successResponse(res, {
+        user: user.toJSON(),
+        twoFactorSetupRequired: true,
+        setupToken: TwoFactorService.createSetupToken(user),
+      }, 'Registration successful. Set up two-factor authentication to sign in', 201);
+    }
+
+    // Generate tokens
+    const { accessToken, refreshToken } = await this.generateTokens(user, req);
+
+    // Set refresh token cookie
+    this.setRefreshTokenCookie(res, refreshToken);
+
     return successResponse(res, {
       user: user.toJSON(),
       accessToken: accessToken,
@@ -78,8 +97,6 @@ class AuthController {
 
   login = async (req, res) => {
     const { email, password, rememberMe } = req.body;
-    const clientIP = req.ip;
-    const userAgent = req.get('User-Agent');
 
     // Find user
     const user = await User.findByEmail(email);
@@ -107,33 +124,230 @@ class AuthController {
       await user.resetLoginAttempts();
     }
 
-    // Update last login
-    user.lastLoginAt = new Date();
-    user.lastLoginIP = clientIP;
-    user.lastLoginAgent = userAgent
+    return this.completeFirstFactor(req, res, user, rememberMe);
+  };
+
+  requestMagicLink = async (req, res) => {
+    const { email, rememberMe } = req.body;
+    const genericMessage = 'If the email exists, a sign-in link has been sent';
+
+    if (!(await MagicLinkService.allowRequest(email))) {
+      logSecurity('MAGIC_LINK_RATE_LIMITED', req, { email });
+      return successResponse(res, null, genericMessage);
+    }
+
+    const user = await User.findByEmail(email);
+    if (!user || user.status !== 'ACTIVE') {
+      // Don't reveal if email exists
+      return successResponse(res, null, genericMessage);
+    }
+
+    const token = MagicLinkService.createToken(user, rememberMe);
+    await EmailService.sendMagicLink(
+      user.email,
+      user.profile.name,
+      `${process.env.FRONTEND_URL}/magic-link?token=${token}`,
+      config.security.magicLink.expiryMinutes,
+    );
+
+    logger.info('Magic link requested', { userId: user._id });
+
+    return successResponse(res, null, genericMessage);
+  };
+
+  consumeMagicLink = async (req, res) => {
+    const { token } = req.body;
+
+    let payload;
+    try {
+      payload = MagicLinkService.verifyToken(token);
+    } catch {
+      throw new AuthenticationError('Invalid or expired sign-in link');
+    }
+
+    if (!(await MagicLinkService.consume(payload))) {
+      logSecurity('MAGIC_LINK_REUSED', req, { userId: payload.userId });
+      throw new AuthenticationError('This sign-in link has already been used');
+    }
+
+    const user = await User.findById(payload.userId);
+    if (!user || user.status !== 'ACTIVE') {
+      throw new AuthenticationError('Invalid or expired sign-in link');
+    }
+
+    if (user.isLocked) {
+      logSecurity('LOGIN_ATTEMPT_LOCKED_ACCOUNT', req, { userId: user._id });
+      throw new AuthenticationError('Account is temporarily locked due to too many failed login attempts');
+    }
+
+    // Following the link proves control of the mailbox
+    if (!user.verification.email.verified) {
+      user.verification.email.verified = true;
+      user.verification.email.token = undefined;
+      user.verification.email.expiresAt = undefined;
+      await user.save();
+    }
+
+    logSecurity('MAGIC_LINK_LOGIN', req, { userId: user._id });
+
+    return this.completeFirstFactor(req, res, user, payload.rememberMe);
+  };
+
+  verifyTwoFactorLogin = async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let challenge;
+    try {
+      challenge = TwoFactorService.verifyChallengeToken(challengeToken);
+    } catch {
+      throw new AuthenticationError('Invalid or expired two-factor challenge');
+    }
+
+    if (await TwoFactorService.isChallengeExhausted(challenge)) {
+      logSecurity('TWO_FACTOR_CHALLENGE_EXHAUSTED', req, { userId: challenge.userId });
+      throw new AuthenticationError('Too many invalid codes, please sign in again');
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || !user.security.twoFactorEnabled) {
+      throw new AuthenticationError('Invalid or expired two-factor challenge');
+    }
+
+    if (user.isLocked) {
+      logSecurity('LOGIN_ATTEMPT_LOCKED_ACCOUNT', req, { userId: user._id });
+      throw new AuthenticationError('Account is temporarily locked due to too many failed login attempts');
+    }
+
+    let verified = false;
+    if (code) {
+      verified = await TwoFactorService.verifyCode(user._id.toString(), user.security.twoFactorSecret, code);
+    } else if (recoveryCode) {
+      const remaining = await TwoFactorService.consumeRecoveryCode(user, recoveryCode);
+      verified = remaining !== null;
+      if (verified) {
+        logSecurity('TWO_FACTOR_RECOVERY_CODE_USED', req, { userId: user._id, remaining });
+      }
+    }
+
+    if (!verified) {
+      await TwoFactorService.recordFailedChallenge(challenge);
+      logSecurity('TWO_FACTOR_INVALID_CODE', req, { userId: user._id });
+      throw new AuthenticationError('Invalid two-factor code');
+    }
+
+    // A challenge can only be redeemed once
+    await TwoFactorService.completeChallenge(challenge);
+
+    return this.completeLogin(req, res, user, challenge.rememberMe);
+  };
+
+  enrollTwoFactor = async (req, res) => {
+    const { user } = req;
+
+    if (user.security.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    // Secret stays inactive until the first code is verified
+    const secret = TwoFactorService.generateSecret();
+    user.security.twoFactorSecret = secret;
     await user.save();
 
-    // Generate tokens
-    const { accessToken, refreshToken } = await this.generateTokens(user, req, rememberMe);
-    console.log(accessToken, refreshToken)
+    logger.info('Two-factor enrollment started', { userId: user._id });
 
-    // Set refresh token cookie
-    this.setRefreshTokenCookie(res, refreshToken, rememberMe);
+    return successResponse(res, {
+      secret,
+      otpauthUrl: TwoFactorService.buildOtpAuthUrl(user.email, secret),
+    }, 'Scan the secret with your authenticator app and verify a code to finish');
+  };
 
-    // Cache user data
-    await CacheService.setUser(user._id.toString(), user.toJSON());
+  verifyTwoFactorEnrollment = async (req, res) => {
+    const { user } = req;
+    const { code } = req.body;
 
-    logger.info('User logged in successfully', {
-      userId: user._id,
-      email,
-      ip: clientIP
-    });
+    if (user.security.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.security.twoFactorSecret) {
+      throw new ValidationError('Two-factor enrollment has not been started');
+    }
+
+    const verified = await TwoFactorService.verifyCode(user._id.toString(), user.security.twoFactorSecret, code);
+    if (!verified) {
+      logSecurity('TWO_FACTOR_ENROLLMENT_INVALID_CODE', req, { userId: user._id });
+      throw new ValidationError('Invalid two-factor code');
+    }
+
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+    user.security.twoFactorEnabled = true;
+    user.security.twoFactorEnabledAt = new Date();
+    user.security.twoFactorRecoveryCodes = hashes;
+    await user.save();
+
+    logSecurity('TWO_FACTOR_ENABLED', req, { userId: user._id });
+
+    // Enrolled with a setup token: this finishes the sign-in
+    if (req.twoFactorSetup) {
+      return this.completeLogin(req, res, user, req.twoFactorSetup.rememberMe, { recoveryCodes: codes });
+    }
 
     return successResponse(res, {
-      user: user.toJSON(),
-      accessToken: accessToken,
-      refreshToken: refreshToken,
-    }, 'Login successful');
+      recoveryCodes: codes,
+    }, 'Two-factor authentication enabled. Store these recovery codes somewhere safe');
+  };
+
+  disableTwoFactor = async (req, res) => {
+    const { user } = req;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!user.security.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    const isValidPassword = await user.comparePassword(password);
+    if (!isValidPassword) {
+      throw new ValidationError('Password is incorrect');
+    }
+
+    const verified = code
+      ? await TwoFactorService.verifyCode(user._id.toString(), user.security.twoFactorSecret, code)
+      : await TwoFactorService.consumeRecoveryCode(user, recoveryCode) !== null;
+    if (!verified) {
+      throw new ValidationError('Invalid two-factor code');
+    }
+
+    user.security.twoFactorEnabled = false;
+    user.security.twoFactorSecret = undefined;
+    user.security.twoFactorRecoveryCodes = [];
+    user.security.twoFactorEnabledAt = undefined;
+    await user.save();
+
+    logSecurity('TWO_FACTOR_DISABLED', req, { userId: user._id });
+
+    return successResponse(res, null, 'Two-factor authentication disabled');
+  };
+
+  regenerateRecoveryCodes = async (req, res) => {
+    const { user } = req;
+    const { code } = req.body;
+
+    if (!user.security.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    const verified = await TwoFactorService.verifyCode(user._id.toString(), user.security.twoFactorSecret, code);
+    if (!verified) {
+      throw new ValidationError('Invalid two-factor code');
+    }
+
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+    user.security.twoFactorRecoveryCodes = hashes;
+    await user.save();
+
+    logSecurity('TWO_FACTOR_RECOVERY_CODES_REGENERATED', req, { userId: user._id });
+
+    return successResponse(res, { recoveryCodes: codes }, 'Recovery codes regenerated');
   }
 
   logout = async (req, res) => {
@@ -148,14 +362,19 @@ class AuthController {
       }
     }
 
-    // Remove refresh token
-    if (refreshToken) {
-      await redis.del(`refresh:${refreshToken}`);
+    // Signing out of an impersonation ends it; the admin's own session is untouched
+    if (req.impersonatedBy) {
+      await ImpersonationService.end(tokenPayload.jti);
     }
 
-    // Remove session
+    // Revoke the refresh token family and its session
     if (tokenPayload?.sessionId) {
-      await redis.deleteSession(tokenPayload.sessionId);
+      await RefreshTokenService.revokeFamily(user._id.toString(), tokenPayload.sessionId);
+    } else if (refreshToken) {
+      const tokenData = await redis.getJson(RefreshTokenService.tokenKey(refreshToken));
+      if (tokenData?.userId === user._id.toString()) {
+        await RefreshTokenService.revokeFamily(tokenData.userId, tokenData.familyId);
+      }
     }
 
     // Clear cache
@@ -172,13 +391,8 @@ class AuthController {
   logoutAll = async (req, res) => {
     const { user } = req;
 
-    // Remove all refresh tokens for user
-    const pattern = `refresh:*:${user._id}`;
-    await redis.delPattern(pattern);
-
-    // Remove all sessions for user
-    const sessionPattern = `session:*:${user._id}`;
-    await redis.delPattern(sessionPattern);
+    // Revoke all refresh token families and their sessions
+    await RefreshTokenService.revokeAllForUser(user._id.toString());
 
     // Clear cache
     await CacheService.delUser(user._id.toString());
@@ -197,26 +411,54 @@ class AuthController {
       throw new AuthenticationError('Refresh token not provided');
     }
 
-    // Get refresh token data
-    const tokenData = await redis.getJson(`refresh:${refreshToken}`);
-    if (!tokenData) {
+    // Consume the presented token; each token may be used exactly once
+    const { status, record } = await RefreshTokenService.consume(refreshToken);
+
+    if (status === 'reused') {
+      // A rotated token came back: assume theft and kill the whole family
+      await RefreshTokenService.revokeFamily(record.userId, record.familyId, 'reuse_detected');
+      logSecurity('REFRESH_TOKEN_REUSE_DETECTED', req, {
+        userId: record.userId,
+        familyId: record.familyId,
+        generation: record.generation,
+      });
+      res.clearCookie('refreshToken', { path: '/api/auth' });
+      throw new AuthenticationError('Refresh token has been revoked');
+    }
+
+    if (status !== 'valid') {
       throw new AuthenticationError('Invalid or expired refresh token');
     }
 
     // Get user
-    const user = await User.findById(tokenData.userId);
-    if (!user || user.status !== 'active') {
+    const user = await User.findById(record.userId);
+    if (!user) {
+      await RefreshTokenService.revokeFamily(record.userId, record.familyId, 'user_inactive');
       throw new AuthenticationError('User not found or inactive');
     }
+    // Suspensions, lockouts and forced resets end existing sessions too
+    try {
+      this.assertCanSignIn(req, user);
+    } catch (error) {
+      await RefreshTokenService.revokeFamily(record.userId, record.familyId, 'sign_in_blocked');
+      res.clearCookie('refreshToken', { path: '/api/auth' });
+      throw error;
+    }
+    if (TwoFactorService.isSetupRequired(user)) {
+      await RefreshTokenService.revokeFamily(record.userId, record.familyId, 'two_factor_setup_required');
+      throw new AuthenticationError('Two-factor authentication must be set up before signing in');
+    }
 
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = await this.generateTokens(user);
-
-    // Remove old refresh token
-    await redis.del(`refresh:${refreshToken}`);
+    // Rotate within the same family/session
+    const { accessToken, refreshToken: newRefreshToken } = await this.generateTokens(
+      user,
+      req,
+      record.rememberMe,
+      record.familyId,
+    );
 
     // Set new refresh token cookie
-    this.setRefreshTokenCookie(res, newRefreshToken);
+    this.setRefreshTokenCookie(res, newRefreshToken, record.rememberMe);
 
     return successResponse(res, {
       accessToken,
@@ -265,6 +507,7 @@ class AuthController {
     user.passwordHash = password; // Will be hashed by pre-save hook
     user.security.passwordResetToken = undefined;
     user.security.passwordResetExpires = undefined;
+    user.security.passwordResetRequired = false;
 
     // Reset login attempts
     await user.resetLoginAttempts();
@@ -272,8 +515,7 @@ class AuthController {
     await user.save();
 
     // Logout from all devices
-    const pattern = `refresh:*:${user._id}`;
-    await redis.delPattern(pattern);
+    await RefreshTokenService.revokeAllForUser(user._id.toString(), 'password_reset');
 
     logger.info('Password reset successfully', { userId: user._id });
 
@@ -324,6 +566,79 @@ class AuthController {
     return successResponse(res, null, 'Verification email sent');
   }
 
+  sendPhoneCode = async (req, res) => {
+    const { user } = req;
+    const phone = req.body.phone || user.profile.phone;
+
+    if (!phone) {
+      throw new ValidationError('A phone number is required');
+    }
+
+    if (user.verification.phone.verified && user.verification.phone.number === phone) {
+      throw new ValidationError('Phone number is already verified');
+    }
+
+    const takenBy = await User.exists({
+      _id: { $ne: user._id },
+      'verification.phone.verified': true,
+      'verification.phone.number': phone,
+    });
+    if (takenBy) {
+      throw new ConflictError('This phone number is already verified on another account');
+    }
+
+    const { allowed, retryAfter } = await PhoneVerificationService.checkSendAllowed(user._id.toString(), phone);
+    if (!allowed) {
+      logSecurity('PHONE_CODE_RATE_LIMITED', req, { userId: user._id });
+      res.set('Retry-After', String(retryAfter));
+      throw new RateLimitError(`Too many verification codes requested. Try again in ${retryAfter} seconds`);
+    }
+
+    const code = PhoneVerificationService.issueCode(user, phone);
+    await user.save();
+
+    const { codeExpiryMinutes, resendCooldownSeconds } = config.security.phoneVerification;
+    try {
+      await SmsService.sendVerificationCode(phone, code, codeExpiryMinutes);
+    } catch (error) {
+      logger.error('Failed to send phone verification code:', error);
+      throw new ServiceUnavailableError('Could not send the verification code. Please try again later');
+    }
+
+    return successResponse(res, {
+      expiresAt: user.verification.phone.expiresAt,
+      resendAfterSeconds: resendCooldownSeconds,
+    }, 'Verification code sent');
+  };
+
+  verifyPhoneCode = async (req, res) => {
+    const { user } = req;
+    const { code } = req.body;
+
+    const result = PhoneVerificationService.verifyCode(user, code);
+    if (result.valid) {
+      user.profile.phone = result.phone;
+    }
+    await user.save();
+
+    if (!result.valid) {
+      logSecurity('PHONE_CODE_INVALID', req, { userId: user._id, reason: result.reason });
+
+      if (result.reason === 'INVALID') {
+        throw new ValidationError(`Invalid verification code. ${result.remainingAttempts} attempt(s) remaining`);
+      }
+      throw new ValidationError(result.reason === 'LOCKED'
+        ? 'Too many invalid attempts. Request a new code'
+        : 'Verification code has expired. Request a new code');
+    }
+
+    await CacheService.delUser(user._id.toString());
+
+    logSecurity('PHONE_VERIFIED', req, { userId: user._id });
+
+    return successResponse(res, { phone: result.phone, verified: true }, 'Phone number verified');
+  };
+
   getProfile = async (req, res) => {
     const { user } = req;
     return successResponse(res, user.toJSON(), 'Profile retrieved successfully');
@@ -343,6 +658,11 @@ class AuthController {
       }
     }
 
+    // A new number has to be verified again
+    if (updates.phone !== undefined && updates.phone !== user.verification.phone.number) {
+      profileUpdates['verification.phone.verified'] = false;
+    }
+
     await User.findByIdAndUpdate(user._id, { $set: profileUpdates }, { new: true });
     const updatedUser = await User.findById(user._id);
 
@@ -369,8 +689,10 @@ class AuthController {
     await user.save();
 
     // Logout from all other devices
-    const pattern = `refresh:*:${user._id}`;
-    await redis.delPattern(pattern);
+    const families = await RefreshTokenService.listFamilies(user._id.toString());
+    await Promise.all(families
+      .filter(family => family.familyId !== req.tokenPayload?.sessionId)
+      .map(family => RefreshTokenService.revokeFamily(user._id.toString(), family.familyId, 'password_change')));
 
     logger.info('Password changed successfully', { userId: user._id });
 
@@ -380,24 +702,20 @@ class AuthController {
   getSessions = async (req, res) => {
     const { user } = req;
 
-    // Get all active refresh tokens
-    const pattern = `refresh:*:${user._id}`;
-    const keys = await redis.getClient().keys(pattern);
-
-    const sessions = [];
-    for (const key of keys) {
-      const sessionData = await redis.getJson(key);
-      if (sessionData) {
-        sessions.push({
-          sessionId: sessionData.sessionId,
-          createdAt: sessionData.createdAt,
-          lastActivity: sessionData.lastActivity,
-          userAgent: sessionData.userAgent,
-          ip: sessionData.ip,
-          current: sessionData.sessionId === req.tokenPayload?.sessionId,
-        });
-      }
-    }
+    // Sessions are indexed per user, so no keyspace scan is needed
+    const records = await SessionService.list(user._id.toString());
+
+    const sessions = records.map(session => ({
+      sessionId: session.sessionId,
+      device: session.device?.name,
+      deviceType: session.device?.type,
+      location: session.location?.label,
+      network: session.location?.network,
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity,
+      expiresAt: session.expiresAt,
+      current: session.sessionId === req.tokenPayload?.sessionId,
+    }));
 
     return successResponse(res, sessions, 'Sessions retrieved successfully');
   }
@@ -406,25 +724,93 @@ class AuthController {
     const { user } = req;
     const { sessionId } = req.params;
 
-    // Find and remove the specific session
-    const pattern = `refresh:*:${user._id}`;
-    const keys = await redis.getClient().keys(pattern);
-
-    for (const key of keys) {
-      const sessionData = await redis.getJson(key);
-      if (sessionData && sessionData.sessionId === sessionId) {
-        await redis.del(key);
-        await redis.deleteSession(sessionId);
-        break;
-      }
+    const revoked = await RefreshTokenService.revokeFamily(user._id.toString(), sessionId, 'session_revoked');
+    if (!revoked) {
+      throw new NotFoundError('Session');
     }
 
     return successResponse(res, null, 'Session revoked successfully');
   }
 
   // Helper methods
-  async generateTokens(user, req, rememberMe = false) {
-    const sessionId = uuidv4();
+  // Suspended and locked accounts, and accounts with an admin-forced reset, can't sign in
+  assertCanSignIn(req, user) {
+    if (user.status !== 'ACTIVE') {
+      logSecurity('LOGIN_ATTEMPT_INACTIVE_ACCOUNT', req, { userId: user._id, status: user.status });
+      throw new AuthenticationError('Account is not active');
+    }
+    if (user.isLocked) {
+      logSecurity('LOGIN_ATTEMPT_LOCKED_ACCOUNT', req, { userId: user._id });
+      throw new AuthenticationError('Account is temporarily locked due to too many failed login attempts');
+    }
+    if (user.security.passwordResetRequired) {
+      logSecurity('LOGIN_ATTEMPT_RESET_REQUIRED', req, { userId: user._id });
+      throw new AuthenticationError('A password reset is required. Check your email for a reset link');
+    }
+  }
+
+  completeFirstFactor(req, res, user, rememberMe = false) {
+    this.assertCanSignIn(req, user);
+
+    // Second factor required: hand back a challenge instead of tokens
+    if (user.security.twoFactorEnabled) {
+      const challengeToken = TwoFactorService.createChallengeToken(user, rememberMe);
+
+      logger.info('Two-factor challenge issued', { userId: user._id, ip: req.ip });
+
+      return successResponse(res, {
+        twoFactorRequired: true,
+        challengeToken,
+      }, 'Two-factor authentication required');
+    }
+
+    return this.completeLogin(req, res, user, rememberMe);
+  }
+
+  async completeLogin(req, res, user, rememberMe = false, extra = {}) {
+    this.assertCanSignIn(req, user);
+    const clientIP = req.ip;
+
+    // Roles that require 2FA only get an enrollment token until they set it up
+    if (TwoFactorService.isSetupRequired(user)) {
+      logger.info('Two-factor setup required before sign-in', { userId: user._id, ip: clientIP });
+
+      return successResponse(res, {
+        twoFactorSetupRequired: true,
+        setupToken: TwoFactorService.createSetupToken(user, rememberMe),
+      }, 'Two-factor authentication must be set up before signing in');
+    }
+
+    // Update last login
+    user.lastLoginAt = new Date();
+    user.lastLoginIP = clientIP;
+    user.lastLoginAgent = req.get('User-Agent');
+    await user.save();
+
+    // Generate tokens
+    const { accessToken, refreshToken } = await this.generateTokens(user, req, rememberMe);
+
+    // Set refresh token cookie
+    this.setRefreshTokenCookie(res, refreshToken, rememberMe);
+
+    // Cache user data
+    await CacheService.setUser(user._id.toString(), user.toJSON());
+
+    logger.info('User logged in successfully', {
+      userId: user._id,
+      email: user.email,
+      ip: clientIP,
+    });
+
+    return successResponse(res, {
+      user: user.toJSON(),
+      accessToken: accessToken,
+      refreshToken: refreshToken,
+      ...extra,
+    }, 'Login successful');
+  }
+
+  async generateTokens(user, req, rememberMe = false, sessionId = uuidv4()) {
     const jti = uuidv4(); // JWT ID for token revocation
 
     // Access token payload
@@ -447,29 +833,45 @@ class AuthController {
       }
     );
 
-    // Generate refresh token
-    const refreshToken = uuidv4();
-    const refreshTokenTTL = rememberMe ? 30 * 24 * 60 * 60 : 7 * 24 * 60 * 60; // 30 days or 7 days
-
-    // Store refresh token data
-    const refreshTokenData = {
-      userId: user._id.toString(),
-      sessionId,
-      createdAt: new Date().toISOString(),
-      lastActivity: new Date().toISOString(),
-      userAgent: req.get('User-Agent'),
+    // Generate refresh token (the session id doubles as the token family id)
+    const userAgent = req.get('User-Agent');
+    const refreshToken = await RefreshTokenService.issue(user._id.toString(), sessionId, {
+      rememberMe,
+      userAgent,
       ip: req.ip,
-    };
+    });
+
+    // A rotated refresh token extends its session; otherwise this is a new sign-in
+    const ttl = RefreshTokenService.getTTL(rememberMe);
+    const existingSession = await SessionService.extend(user._id.toString(), sessionId, ttl);
+    if (!existingSession) {
+      const { session, isNewDevice } = await SessionService.create(user._id.toString(), sessionId, req, ttl);
+      if (isNewDevice) {
+        await this.notifyNewDevice(user, session, req);
+      }
+    }
 
-    await redis.setJson(`refresh:${refreshToken}:${user._id}`, refreshTokenData, refreshTokenTTL);
+    return { accessToken, refreshToken };
+  }
 
-    // Store session data
-    await CacheService.setSession(sessionId, {
-      userId: user._id.toString(),
-      ...refreshTokenData,
+  async notifyNewDevice(user, session, req) {
+    logSecurity('NEW_DEVICE_SIGN_IN', req, {
+      userId: user._id,
+      device: session.device.name,
+      location: session.location.label,
     });
 
-    return { accessToken, refreshToken };
+    try {
+      await EmailService.sendNewDeviceSignIn(user.email, user.profile.name, {
+        device: session.device.name,
+        location: session.location.label,
+        signedInAt: session.createdAt,
+        securityLink: `${process.env.FRONTEND_URL}/account/sessions`,
+      });
+    } catch (error) {
+      // A failed alert must not block the sign-in itself
+      logger.error('Failed to send new device alert', { userId: user._id, error: error.message });
+    }
   }
 
   setRefreshTokenCookie(res, refreshToken, rememberMe = false) {
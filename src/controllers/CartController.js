@@ -1,5 +1,5 @@
 import { Cart, Product } from '../models/index.js';
-import { successResponse, NotFoundError } from '../middleware/error.js';
+import { successResponse, NotFoundError, ValidationError } from '../middleware/error.js';
 
 class CartController {
   static async getCart(req, res) {
@@ -107,6 +107,35 @@ class CartController {
     await cart.save();
     return successResponse(res, cart, 'Item removed');
   }
+
+  static async updateShippingAddress(req, res) {
+    const userId = req.user?._id;
+    const sessionId = req.sessionId;
+    const { merchantId, shippingAddress, ...inlineAddress } = req.body;
+
+    let address = shippingAddress || inlineAddress;
+    if (typeof shippingAddress === 'string') {
+      if (!req.user) {
+        throw new ValidationError('Sign in to use a saved address');
+      }
+      address = req.user.addressSnapshot(shippingAddress, 'shipping');
+      if (!address) {
+        throw new NotFoundError('Address');
+      }
+    }
+
+    const cart = userId
+      ? await Cart.findByUser(userId, merchantId)
+      : await Cart.findBySession(sessionId, merchantId);
+
+    if (!cart) {
+      throw new NotFoundError('Cart');
+    }
+
+    cart.updateShippingAddress(address);
+    await cart.save();
+    return successResponse(res, cart, 'Shipping address updated');
+  }
 }
 
 export default CartController;
@@ -0,0 +1,60 @@
+import { Category } from '../models/index.js';
+import { successResponse, NotFoundError } from '../middleware/error.js';
+import { logBusinessEvent } from '../config/logging.js';
+import CategoryService from '../services/CategoryService.js';
+import AuditService from '../services/AuditService.js';
+
+// Admin category management; the storefront reads categories through ProductController
+class CategoryController {
+  static async listCategories(req, res) {
+    const categories = await CategoryService.getTree({ includeInactive: true });
+    return successResponse(res, categories);
+  }
+
+  static async getCategory(req, res) {
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) {
+      throw new NotFoundError('Category');
+    }
+
+    const [children, productCount] = await Promise.all([
+      Category.find({ parent: category._id }).sort({ order: 1, name: 1 }),
+      CategoryService.countProducts(category),
+    ]);
+
+    return successResponse(res, {
+      ...category.toJSON(),
+      breadcrumbs: category.breadcrumbs,
+      children,
+      productCount,
+    });
+  }
+
+  static async createCategory(req, res) {
+    const category = await CategoryService.createCategory(req.body);
+
+    AuditService.captureChange(req, { type: 'category', id: category._id, after: category });
+    logBusinessEvent('category_created', { categoryId: category._id, slug: category.slug, createdBy: req.user._id });
+
+    return successResponse(res, category, 'Category created', 201);
+  }
+
+  static async updateCategory(req, res) {
+    const { category, before } = await CategoryService.updateCategory(req.params.categoryId, req.body);
+
+    AuditService.captureChange(req, { type: 'category', id: category._id, before, after: category });
+
+    return successResponse(res, category, 'Category updated');
+  }
+
+  static async deleteCategory(req, res) {
+    const category = await CategoryService.deleteCategory(req.params.categoryId);
+
+    AuditService.captureChange(req, { type: 'category', id: category._id, before: category });
+    logBusinessEvent('category_deleted', { categoryId: category._id, slug: category.slug, deletedBy: req.user._id });
+
+    return successResponse(res, { id: category._id }, 'Category deleted');
+  }
+}
+
+export default CategoryController;
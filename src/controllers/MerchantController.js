@@ -0,0 +1,174 @@
+import { Merchant, MerchantMember, User, Order, DailySales } from '../models/index.js';
+import { successResponse, paginatedResponse, NotFoundError, ValidationError, ConflictError } from '../middleware/error.js';
+import { logBusinessEvent } from '../config/logging.js';
+import AuditService from '../services/AuditService.js';
+import { OrderService } from '../workers/processors/order.js';
+
+// Flatten the body to dotted paths so a partial `contact` is merged, not replaced
+function toDottedPaths(body, prefix = '', paths = {}) {
+  Object.entries(body).forEach(([key, value]) => {
+    const path = `${prefix}${key}`;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      toDottedPaths(value, `${path}.`, paths);
+    } else {
+      paths[path] = value;
+    }
+  });
+  return paths;
+}
+
+class MerchantController {
+  // Onboarding
+  static async apply(req, res) {
+    const user = await User.findById(req.user._id);
+    if (await Merchant.exists({ ownerId: user._id, status: 'PENDING' })) {
+      throw new ConflictError('You already have a pending merchant application');
+    }
+
+    // Sellers that predate onboarding keep their existing merchantId
+    const legacyId = user.merchantId && !(await Merchant.exists({ _id: user.merchantId }))
+      ? user.merchantId
+      : undefined;
+
+    const merchant = await Merchant.create({
+      ...req.body,
+      ...(legacyId && { _id: legacyId }),
+      ownerId: user._id,
+      status: 'PENDING',
+    });
+
+    await MerchantMember.updateOne(
+      { merchantId: merchant._id, userId: user._id, status: 'ACTIVE' },
+      { $setOnInsert: { email: user.email, role: 'OWNER', acceptedAt: new Date() } },
+      { upsert: true },
+    );
+    if (!user.merchantId) {
+      user.merchantId = merchant._id;
+      await user.save();
+    }
+
+    logBusinessEvent('merchant_applied', { merchantId: merchant._id, userId: user._id });
+
+    return successResponse(res, merchant, 'Merchant application submitted', 201);
+  }
+
+  static async listMyMerchants(req, res) {
+    const memberships = await MerchantMember.find({ userId: req.user._id, status: 'ACTIVE' });
+    const merchants = await Merchant.find({ _id: { $in: memberships.map(m => m.merchantId) } });
+    const roles = Object.fromEntries(memberships.map(m => [m.merchantId, m.role]));
+
+    return successResponse(res, merchants.map(merchant => ({
+      ...merchant.toJSON(),
+      memberRole: roles[merchant._id],
+    })));
+  }
+
+  static async getMerchant(req, res) {
+    const merchant = await Merchant.findById(req.merchantId);
+    if (!merchant) {
+      throw new NotFoundError('Merchant');
+    }
+    return successResponse(res, merchant);
+  }
+
+  static async updateMerchant(req, res) {
+    const merchant = await Merchant.findById(req.merchantId);
+    if (!merchant) {
+      throw new NotFoundError('Merchant');
+    }
+    const before = merchant.toObject();
+
+    // Registration details are re-reviewed, so an approved store goes back to pending
+    if (req.body.businessRegistration && merchant.status === 'APPROVED') {
+      merchant.status = 'PENDING';
+    }
+    merchant.set(toDottedPaths(req.body));
+    await merchant.save();
+    AuditService.captureChange(req, { type: 'merchant', id: merchant._id, before, after: merchant, merchantId: merchant._id });
+
+    return successResponse(res, merchant, 'Merchant updated');
+  }
+
+  // Public storefront profile
+  static async getStorefront(req, res) {
+    const merchant = await Merchant.findBySlug(req.params.slug);
+    if (!merchant || merchant.status !== 'APPROVED') {
+      throw new NotFoundError('Merchant');
+    }
+    return successResponse(res, merchant.toPublicJSON());
+  }
+
+  // Orders (owner, manager, fulfillment)
+  static async listOrders(req, res) {
+    const { page = 1, limit = 20, sort = '-createdAt', status } = req.query;
+    const filter = { merchantId: req.merchantId };
+    if (status) {
+      filter.status = status;
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort(sort)
+        .skip((Number(page) - 1) * Number(limit))
+        .limit(Number(limit)),
+      Order.countDocuments(filter),
+    ]);
+
+    return paginatedResponse(res, orders, { page: Number(page), limit: Number(limit), total });
+  }
+
+  static async getOrder(req, res) {
+    const order = await Order.findOne({ _id: req.params.orderId, merchantId: req.merchantId });
+    if (!order) {
+      throw new NotFoundError('Order');
+    }
+    return successResponse(res, order);
+  }
+
+  static async updateFulfillment(req, res) {
+    const { status, trackingNumber, carrier, estimatedDelivery, notes } = req.body;
+    const order = await Order.findOne({ _id: req.params.orderId, merchantId: req.merchantId });
+    if (!order) {
+      throw new NotFoundError('Order');
+    }
+    if (!['PAID', 'PROCESSING', 'SHIPPED'].includes(order.status)) {
+      throw new ValidationError(`Cannot update fulfillment of a ${order.status} order`);
+    }
+
+    const shipping = Object.fromEntries(
+      Object.entries({ trackingNumber, carrier, estimatedDelivery }).filter(([, value]) => value !== undefined),
+    );
+    if (Object.keys(shipping).length > 0) {
+      await order.updateShipping(shipping);
+    }
+    if (status && status !== order.status) {
+      await order.addStatusUpdate(status, notes, req.user._id);
+      if (status === 'DELIVERED') {
+        // Sends the delivery email and schedules the review request
+        await OrderService.processOrderDelivered(order._id.toString());
+      }
+    }
+
+    return successResponse(res, order, 'Fulfillment updated');
+  }
+
+  // Analytics (owner, manager, analyst)
+  static async analytics(req, res) {
+    const { days = 30 } = req.query;
+    const [summary, topProducts] = await Promise.all([
+      DailySales.getSummary(req.merchantId, Number(days)),
+      DailySales.getTopProducts(req.merchantId, Number(days)),
+    ]);
+    return successResponse(res, { summary: summary[0] || {}, topProducts });
+  }
+
+  static async sales(req, res) {
+    const { startDate, endDate } = req.query;
+    const start = startDate ? new Date(startDate) : undefined;
+    const end = endDate ? new Date(endDate) : undefined;
+    const range = await DailySales.getDateRange(req.merchantId, start, end);
+    return successResponse(res, range);
+  }
+}
+
+export default MerchantController;
@@ -0,0 +1,151 @@
+import { Merchant, MerchantMember, User } from '../models/index.js';
+import {
+  successResponse,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  AuthorizationError,
+} from '../middleware/error.js';
+import { logSecurity } from '../config/logging.js';
+import { EmailService } from '../workers/processors/email.js';
+
+const INVITE_TTL_DAYS = 7;
+
+async function findMember(req) {
+  const member = await MerchantMember.findOne({
+    _id: req.params.memberId,
+    merchantId: req.merchantId,
+    status: { $ne: 'REMOVED' },
+  });
+  if (!member) {
+    throw new NotFoundError('Team member');
+  }
+  return member;
+}
+
+// Only owners may grant ownership or change another owner
+function assertCanManage(req, member, newRole) {
+  const actingAsOwner = !req.merchantRole || req.merchantRole === 'OWNER';
+  if (!actingAsOwner && (member?.role === 'OWNER' || newRole === 'OWNER')) {
+    throw new AuthorizationError('Only owners can manage owner memberships');
+  }
+}
+
+async function assertNotLastOwner(member) {
+  if (member.role === 'OWNER' && member.status === 'ACTIVE' &&
+    await MerchantMember.countOwners(member.merchantId) <= 1) {
+    throw new ValidationError('A merchant must keep at least one owner');
+  }
+}
+
+class MerchantTeamController {
+  static async listMembers(req, res) {
+    const members = await MerchantMember.findByMerchant(req.merchantId);
+    return successResponse(res, members);
+  }
+
+  static async inviteMember(req, res) {
+    const { email, role } = req.body;
+    const { merchantId } = req;
+    assertCanManage(req, null, role);
+
+    const existing = await MerchantMember.findOne({ merchantId, email, status: { $ne: 'REMOVED' } });
+    if (existing?.status === 'ACTIVE') {
+      throw new ConflictError(`${email} is already a member of this merchant`);
+    }
+
+    const { rawToken, tokenHash } = MerchantMember.generateInviteToken();
+    const member = existing || new MerchantMember({ merchantId, email });
+    member.role = role;
+    member.invitedBy = req.user._id;
+    member.inviteTokenHash = tokenHash;
+    member.inviteExpiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await member.save();
+
+    const merchant = await Merchant.findById(merchantId).select('name');
+    await EmailService.sendMerchantInvitation(email, {
+      merchantName: merchant?.name || merchantId,
+      inviterName: req.user.profile?.name,
+      role,
+      inviteLink: `${process.env.FRONTEND_URL}/merchant/invitations/accept?token=${rawToken}`,
+      expiresInDays: INVITE_TTL_DAYS,
+    });
+
+    logSecurity('MERCHANT_MEMBER_INVITED', req, { merchantId, email, role });
+
+    return successResponse(res, member, 'Invitation sent', 201);
+  }
+
+  static async acceptInvitation(req, res) {
+    const { token } = req.body;
+    const member = await MerchantMember.findByInviteToken(token);
+    if (!member || !member.isInvitePending) {
+      throw new ValidationError('Invalid or expired invitation');
+    }
+    if (member.email !== req.user.email) {
+      throw new AuthorizationError('This invitation was sent to a different email address');
+    }
+
+    await member.accept(req.user._id);
+
+    // Members need seller access for merchant routes; the first merchant becomes the default
+    const user = await User.findById(req.user._id);
+    if (['VISITOR', 'BUYER'].includes(user.role)) {
+      user.role = 'SELLER';
+    }
+    if (!user.merchantId) {
+      user.merchantId = member.merchantId;
+    }
+    await user.save();
+
+    logSecurity('MERCHANT_MEMBER_JOINED', req, { merchantId: member.merchantId, role: member.role });
+
+    return successResponse(res, member, 'Invitation accepted');
+  }
+
+  static async updateMember(req, res) {
+    const { role } = req.body;
+    const member = await findMember(req);
+    assertCanManage(req, member, role);
+    if (member.role === 'OWNER' && role !== 'OWNER') {
+      await assertNotLastOwner(member);
+    }
+
+    member.role = role;
+    await member.save();
+
+    logSecurity('MERCHANT_MEMBER_ROLE_CHANGED', req, {
+      merchantId: member.merchantId,
+      memberId: member._id,
+      role,
+    });
+
+    return successResponse(res, member, 'Team member updated');
+  }
+
+  static async removeMember(req, res) {
+    const member = await findMember(req);
+    assertCanManage(req, member);
+    await assertNotLastOwner(member);
+
+    await member.markRemoved(req.user._id);
+
+    // Drop the default merchant so the removed user loses legacy owner access
+    if (member.userId) {
+      await User.updateOne(
+        { _id: member.userId, merchantId: member.merchantId },
+        { $unset: { merchantId: 1 } },
+      );
+    }
+
+    logSecurity('MERCHANT_MEMBER_REMOVED', req, {
+      merchantId: member.merchantId,
+      memberId: member._id,
+      email: member.email,
+    });
+
+    return successResponse(res, member, 'Team member removed');
+  }
+}
+
+export default MerchantTeamController;
@@ -1,5 +1,20 @@
-import { Order, Cart } from '../models/index.js';
+import { Order, Cart, Merchant } from '../models/index.js';
 import { successResponse, NotFoundError, ValidationError } from '../middleware/error.js';
+import InventoryService from '../services/InventoryService.js';
+import ProductBundleService from '../services/ProductBundleService.js';
+import { OrderService } from '../workers/processors/order.js';
+
+// Saved address ids become a copy of the address; full addresses pass through
+function resolveAddress(user, value, type) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const address = user.addressSnapshot(value, type);
+  if (!address) {
+    throw new NotFoundError('Address');
+  }
+  return address;
+}
 
 class OrderController {
   static async createOrder(req, res) {
@@ -8,6 +23,9 @@ class OrderController {
 
     if (!merchantId) throw new ValidationError('merchantId is required');
     if (!userId) throw new ValidationError('Authentication required to create order');
+    if (await Merchant.isSuspended(merchantId)) {
+      throw new ValidationError('This merchant is suspended and cannot accept orders');
+    }
 
     let cart = null;
     if (cartId) {
@@ -17,6 +35,18 @@ class OrderController {
     }
     if (!cart || cart.items.length === 0) throw new ValidationError('Cart is empty');
 
+    const cartAddress = cart.shippingAddress?.street ? cart.toObject().shippingAddress : null;
+    const shipping = shippingAddress
+      ? resolveAddress(req.user, shippingAddress, 'shipping')
+      : cartAddress || req.user.addressSnapshot(req.user.getDefaultAddress('shipping'), 'shipping');
+    if (!shipping) {
+      throw new ValidationError('shippingAddress is required');
+    }
+
+    const billing = billingAddress
+      ? resolveAddress(req.user, billingAddress, 'billing')
+      : req.user.addressSnapshot(req.user.getDefaultAddress('billing'), 'billing');
+
     const pricing = {
       subtotal: cart.totals.subtotal,
       tax: cart.totals.tax,
@@ -25,19 +55,27 @@ class OrderController {
       total: cart.totals.total,
     };
 
-    const order = await Order.create({
+    const items = cart.items.map(i => ({
+      sku: i.sku,
+      productId: i.productId,
+      title: i.title,
+      image: i.image,
+      quantity: i.quantity,
+      unitPrice: i.unitPrice,
+      totalPrice: i.totalPrice,
+      attributes: i.attributes,
+    }));
+
+    // Bundle contents are copied onto the order, since stock is held per component
+    const components = await ProductBundleService.componentsBySku(items.map(item => item.sku));
+    items.forEach((item) => {
+      item.components = components.get(item.sku);
+    });
+
+    const order = new Order({
       userId,
       merchantId,
-      items: cart.items.map(i => ({
-        sku: i.sku,
-        productId: i.productId,
-        title: i.title,
-        image: i.image,
-        quantity: i.quantity,
-        unitPrice: i.unitPrice,
-        totalPrice: i.totalPrice,
-        attributes: i.attributes,
-      })),
+      items,
       pricing,
       currency: cart.currency,
       couponCode: cart.couponCode,
@@ -51,10 +89,10 @@ class OrderController {
       shipping: {
         method: 'STANDARD',
         cost: pricing.shipping,
-        address: shippingAddress,
+        address: shipping,
       },
       billing: {
-        address: billingAddress,
+        address: billing || undefined,
       },
       notes: { customer: notes },
       idempotencyKey: `${userId}-${Date.now()}`,
@@ -65,6 +103,24 @@ class OrderController {
       },
     });
 
+    // Hold stock for every item before the order is saved: all of it or none
+    const reservation = await InventoryService.reserveOrderItems(order._id.toString(), order.items);
+    if (!reservation.success) {
+      const shortages = reservation.reservations.filter(item => !item.success);
+      throw new ValidationError('Some items are out of stock', shortages.map(item => ({
+        field: 'items',
+        message: `${item.requestedQuantity} needed, ${item.availableStock} available`,
+        value: item.sku,
+      })));
+    }
+
+    try {
+      await order.save();
+    } catch (error) {
+      await InventoryService.releaseOrderReservations(order._id.toString(), InventoryService.reservationSkus(order.items));
+      throw error;
+    }
+
     // Mark cart as converted
     cart.status = 'CONVERTED';
     await cart.save();
@@ -92,6 +148,8 @@ class OrderController {
     const order = await Order.findOne({ _id: id, userId });
     if (!order) throw new NotFoundError('Order');
     await order.cancel('Cancelled by user', userId);
+    // Returns the stock held at checkout
+    await OrderService.processOrderCancelled(order._id.toString(), 'Cancelled by user');
     return successResponse(res, order, 'Order cancelled');
   }
 }
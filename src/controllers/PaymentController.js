@@ -1,7 +1,8 @@
 import Stripe from 'stripe';
 import { config } from '../config/index.js';
-import { Order } from '../models/index.js';
+import { Order, Merchant } from '../models/index.js';
 import { successResponse, NotFoundError, ValidationError } from '../middleware/error.js';
+import { OrderService } from '../workers/processors/order.js';
 
 const stripe = config.stripe.secretKey
   ? new Stripe(config.stripe.secretKey, { apiVersion: config.stripe.apiVersion })
@@ -18,6 +19,9 @@ class PaymentController {
 
     const order = await Order.findOne({ _id: orderId, userId });
     if (!order) throw new NotFoundError('Order');
+    if (await Merchant.isSuspended(order.merchantId)) {
+      throw new ValidationError('This merchant is suspended and cannot accept payments');
+    }
 
     if (order.payment.paymentIntentId) {
       // Retrieve existing
@@ -56,8 +60,8 @@ class PaymentController {
     if (!order || order.userId.toString() !== userId.toString()) throw new NotFoundError('Order');
 
     const intent = await stripe.paymentIntents.retrieve(paymentIntentId);
-    if (intent.status === 'SUCCEEDED') {
-      await order.markAsPaid({ amount: intent.amount, currency: intent.currency });
+    if (intent.status === 'succeeded' && order.status !== 'PAID') {
+      await OrderService.recordPayment(order, intent);
     }
 
     return successResponse(res, { status: intent.status });
@@ -1,29 +1,85 @@
-import { Product } from '../models/index.js';
-import { successResponse, NotFoundError, ValidationError } from '../middleware/error.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { Product, Merchant, Category } from '../models/index.js';
+import { successResponse, paginatedResponse, NotFoundError, ValidationError } from '../middleware/error.js';
+import CacheService from '../services/CacheService.js';
+import AuditService from '../services/AuditService.js';
+import ProductSearchService from '../services/ProductSearchService.js';
+import CategoryService from '../services/CategoryService.js';
+import ProductRevisionService from '../services/ProductRevisionService.js';
+import ProductScheduleService from '../services/ProductScheduleService.js';
+import ProductTrashService from '../services/ProductTrashService.js';
+import ProductBundleService from '../services/ProductBundleService.js';
+import ProductVariantService from '../services/ProductVariantService.js';
+import ProductImportService, { ERROR_REPORT_COLUMNS, csvValue } from '../services/ProductImportService.js';
+import ProductExportService, { EXPORT_FORMATS } from '../services/ProductExportService.js';
+import { ImportJobService } from '../workers/processors/import.js';
+import { ExportJobService } from '../workers/processors/export.js';
+import { setupLogging } from '../config/logging.js';
 
-class ProductController {
-  // Public listing
-  static async getProducts(req, res) {
-    const { page = 1, limit = 20, sort = '-createdAt', q, categories, minPrice, maxPrice, inStock, featured, merchantId } = req.query;
-    const filters = {};
-    if (merchantId) filters.merchantId = merchantId;
-    if (categories) filters.categories = { $in: Array.isArray(categories) ? categories : [categories] };
-    if (featured !== undefined) filters.featured = featured === 'true';
-    if (inStock !== undefined) filters['variants.stock'] = featured === 'true' ? { $gt: 0 } : { $gte: 0 };
-    if (minPrice !== undefined || maxPrice !== undefined) {
-      filters['variants.price'] = {};
-      if (minPrice !== undefined) filters['variants.price'].$gte = Number(minPrice);
-      if (maxPrice !== undefined) filters['variants.price'].$lte = Number(maxPrice);
-    }
+const logger = setupLogging();
+
+// Team members only touch their own merchant's products; admins are unscoped
+function merchantScopedFilter(req, filter) {
+  return req.merchantRole ? { ...filter, merchantId: req.merchantId } : filter;
+}
+
+// Products of suspended merchants never appear in public listings
+async function excludeSuspendedMerchants(filters) {
+  const suspendedIds = await CacheService.getSuspendedMerchants(() => Merchant.findSuspendedIds());
+  if (!suspendedIds?.length) {
+    return filters;
+  }
+  const merchantFilter = filters.merchantId ? { $eq: filters.merchantId } : {};
+  return { ...filters, merchantId: { ...merchantFilter, $nin: suspendedIds } };
+}
+
+// Listing and search share one path: a page of products, the total and
+// facet counts, cached per filter set until a product changes
+async function searchCatalogue(req, res, { categoryScope, extra = {} } = {}) {
+  const query = categoryScope ? { ...req.query, categoryScope } : req.query;
+  const { q, page, limit } = query;
+  const filters = ProductSearchService.cacheFilters(query);
+
+  let results = await CacheService.getSearchResults(q, filters, page);
+  if (!results) {
+    const base = await excludeSuspendedMerchants(ProductSearchService.baseFilter(query));
+    results = await ProductSearchService.search(query, base);
+    await CacheService.setSearchResults(q, filters, page, results, ProductSearchService.settings.cacheTTL);
+  }
 
-    const query = q ? Product.searchProducts(q, filters) : Product.find({ status: 'ACTIVE', ...filters });
-    const total = await Product.countDocuments({ status: 'ACTIVE', ...filters });
-    const data = await query
-      .sort(sort)
-      .skip((Number(page) - 1) * Number(limit))
-      .limit(Number(limit));
+  return paginatedResponse(res, results.products, { page, limit, total: results.total }, 'Products', {
+    ...extra,
+    facets: results.facets,
+  });
+}
+
+// Imports are visible to the merchant that ran them and to admins
+async function findMerchantImport(req) {
+  const record = await ProductImportService.getImport(req.params.importId);
+  if (!record || (req.merchantRole && record.merchantId !== req.merchantId)) {
+    throw new NotFoundError('Import');
+  }
+  return record;
+}
+
+// Each catalogue change is kept as a version merchants can diff and restore
+function recordRevision(req, product, action) {
+  return ProductRevisionService.record(product, { action, author: req.user });
+}
 
-    return successResponse(res, data, 'Products', 200);
+async function findMerchantExport(req) {
+  const record = await ProductExportService.getExport(req.params.exportId);
+  if (!record || (req.merchantRole && record.merchantId !== req.merchantId)) {
+    throw new NotFoundError('Export');
+  }
+  return record;
+}
+
+class ProductController {
+  // Public listing
+  static getProducts(req, res) {
+    return searchCatalogue(req, res);
   }
 
   static async getFeaturedProducts(req, res) {
@@ -33,23 +89,41 @@ class ProductController {
   }
 
   static async getCategories(req, res) {
-    const categories = await Product.distinct('categories', { status: 'ACTIVE' });
+    const categories = await CategoryService.getTree();
     return successResponse(res, categories);
   }
 
-  static async searchProducts(req, res) {
-    const { q, page = 1, limit = 20, sort = '-createdAt', merchantId } = req.query;
-    const filters = merchantId ? { merchantId } : {};
-    const query = Product.searchProducts(q, filters);
-    const total = await Product.countDocuments({ status: 'ACTIVE', ...filters });
-    const data = await query.sort(sort).skip((Number(page) - 1) * Number(limit)).limit(Number(limit));
-    return successResponse(res, data, 'Products', 200);
+  // A category page lists products from the category and everything below it
+  static async getProductsByCategory(req, res) {
+    const category = await Category.findOne({ slug: req.params.slug, isActive: true });
+    if (!category) {
+      throw new NotFoundError('Category');
+    }
+
+    const [categoryScope, children] = await Promise.all([
+      CategoryService.getDescendantSlugs(category),
+      Category.find({ parent: category._id, isActive: true }).select('name slug image order').sort({ order: 1, name: 1 }),
+    ]);
+
+    return searchCatalogue(req, res, {
+      categoryScope,
+      extra: {
+        category: { ...category.toJSON(), breadcrumbs: category.breadcrumbs, children },
+      },
+    });
+  }
+
+  static searchProducts(req, res) {
+    return searchCatalogue(req, res);
   }
 
   static async getProduct(req, res) {
     const { productId } = req.params;
     const product = await Product.findById(productId);
     if (!product) throw new NotFoundError('Product');
+    if (ProductBundleService.isBundle(product)) {
+      return successResponse(res, await ProductBundleService.withStock(product));
+    }
     return successResponse(res, product);
   }
 
@@ -59,6 +133,10 @@ class ProductController {
     if (!product) throw new NotFoundError('Product');
     const variant = product.getVariantBySku(sku);
     if (!variant) throw new NotFoundError('Variant');
+    if (ProductBundleService.isBundle(product)) {
+      const { variants } = await ProductBundleService.withStock(product);
+      return successResponse(res, { productId: product._id, variant: variants.find(v => v.sku === sku) });
+    }
     return successResponse(res, { productId: product._id, variant });
   }
 
@@ -78,25 +156,62 @@ class ProductController {
   // Merchant/Admin
   static async createProduct(req, res) {
     const data = req.body;
-    data.merchantId = data.merchantId || req.user?.merchantId;
+    data.merchantId = req.merchantId || data.merchantId || req.user?.merchantId;
     if (!data.merchantId) throw new ValidationError('merchantId is required');
+    data.categories = await CategoryService.resolveSlugs(data.categories);
+    await ProductBundleService.validateComponents(data);
     const product = await Product.create(data);
+    await recordRevision(req, product, 'CREATE');
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
     return successResponse(res, product, 'Product created', 201);
   }
 
   static async updateProduct(req, res) {
     const { productId } = req.params;
     const updates = req.body;
+    const before = await Product.findById(productId);
+    if (!before) {
+      throw new NotFoundError('Product');
+    }
+    if (updates.categories) {
+      updates.categories = await CategoryService.resolveSlugs(updates.categories);
+    }
+    if (updates.type || updates.variants) {
+      await ProductBundleService.validateComponents({
+        merchantId: before.merchantId,
+        type: updates.type || before.type,
+        variants: updates.variants || before.variants,
+      });
+    }
     const product = await Product.findByIdAndUpdate(productId, updates, { new: true });
-    if (!product) throw new NotFoundError('Product');
+    await recordRevision(req, product, 'UPDATE');
+    AuditService.captureChange(req, { type: 'product', id: productId, before, after: product, merchantId: product.merchantId });
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
     return successResponse(res, product, 'Product updated');
   }
 
   static async deleteProduct(req, res) {
     const { productId } = req.params;
-    const product = await Product.findByIdAndDelete(productId);
+    const product = await Product.findById(productId).select('merchantId');
     if (!product) throw new NotFoundError('Product');
-    return successResponse(res, { id: productId }, 'Product deleted');
+    const { deletedAt } = await ProductTrashService.trash({ _id: productId }, req.user._id);
+    AuditService.captureChange(req, { type: 'product', id: productId, after: { deletedAt }, merchantId: product.merchantId });
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
+    return successResponse(res, { id: productId, purgeAt: ProductTrashService.purgeDate(deletedAt) }, 'Product moved to trash');
+  }
+
+  static async listTrash(req, res) {
+    const { page, limit } = req.query;
+    const { items, total } = await ProductTrashService.listTrash(req.merchantId, { page, limit });
+    return paginatedResponse(res, items, { page, limit, total }, 'Deleted products');
+  }
+
+  static async restoreProduct(req, res) {
+    const product = await ProductTrashService.findTrashed(req.params.productId);
+    const before = { deletedAt: product.deletedAt };
+    await ProductTrashService.restore(product);
+    AuditService.captureChange(req, { type: 'product', id: product._id, before, merchantId: product.merchantId });
+    return successResponse(res, product, 'Product restored');
   }
 
   static async uploadImages(req, res) {
@@ -107,6 +222,8 @@ class ProductController {
     const newImages = files.map((f, idx) => ({ url: `/uploads/${f.filename}`, alt: product.title, isPrimary: false, order: idx }));
     product.images = [...product.images, ...newImages];
     await product.save();
+    await recordRevision(req, product, 'IMAGES');
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
     return successResponse(res, product.images, 'Images uploaded', 201);
   }
 
@@ -116,22 +233,56 @@ class ProductController {
     if (!product) throw new NotFoundError('Product');
     product.images = product.images.filter(img => img._id.toString() !== imageId);
     await product.save();
+    await recordRevision(req, product, 'IMAGES');
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
     return successResponse(res, product.images, 'Image deleted');
   }
 
   static async updateStatus(req, res) {
     const { productId } = req.params;
     const { status } = req.body;
+    const before = await Product.findById(productId).select('status merchantId');
+    if (!before) {
+      throw new NotFoundError('Product');
+    }
     const product = await Product.findByIdAndUpdate(productId, { status }, { new: true });
-    if (!product) throw new NotFoundError('Product');
+    await recordRevision(req, product, 'STATUS');
+    AuditService.captureChange(req, {
+      type: 'product',
+      id: productId,
+      before: { status: before.status },
+      after: { status: product.status },
+      merchantId: product.merchantId,
+    });
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
     return successResponse(res, product, 'Status updated');
   }
 
+  static async updateSchedule(req, res) {
+    const { productId } = req.params;
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+    const { before } = await ProductScheduleService.setSchedule(product, req.body);
+    AuditService.captureChange(req, {
+      type: 'product',
+      id: productId,
+      before,
+      after: { publishAt: product.publishAt, unpublishAt: product.unpublishAt },
+      merchantId: product.merchantId,
+    });
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
+    return successResponse(res, product, 'Schedule updated');
+  }
+
   static async toggleFeatured(req, res) {
     const { productId } = req.params;
     const { featured } = req.body;
     const product = await Product.findByIdAndUpdate(productId, { featured }, { new: true });
     if (!product) throw new NotFoundError('Product');
+    await recordRevision(req, product, 'UPDATE');
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
     return successResponse(res, product, 'Featured updated');
   }
 
@@ -141,10 +292,36 @@ class ProductController {
     const product = await Product.findById(productId);
     if (!product) throw new NotFoundError('Product');
     product.variants.push(variant);
+    await ProductBundleService.validateComponents(product);
     await product.save();
+    await recordRevision(req, product, 'VARIANT');
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
     return successResponse(res, product, 'Variant added', 201);
   }
 
+  static async generateVariants(req, res) {
+    const { productId } = req.params;
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+    const before = {
+      options: product.options.map(({ name, values }) => ({ name, values: [...values] })),
+      variants: product.variants.map(({ sku, isActive }) => ({ sku, isActive })),
+    };
+    const summary = await ProductVariantService.generateMatrix(product, req.body);
+    await recordRevision(req, product, 'VARIANT');
+    AuditService.captureChange(req, {
+      type: 'product',
+      id: productId,
+      before,
+      after: { options: product.options, ...summary },
+      merchantId: product.merchantId,
+    });
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
+    return successResponse(res, { product, ...summary }, 'Variants generated', 201);
+  }
+
   static async updateVariant(req, res) {
     const { productId, sku } = req.params;
     const updates = req.body;
@@ -153,7 +330,10 @@ class ProductController {
     const variant = product.getVariantBySku(sku);
     if (!variant) throw new NotFoundError('Variant');
     Object.assign(variant, updates);
+    await ProductBundleService.validateComponents(product);
     await product.save();
+    await recordRevision(req, product, 'VARIANT');
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
     return successResponse(res, product, 'Variant updated');
   }
 
@@ -163,6 +343,8 @@ class ProductController {
     if (!product) throw new NotFoundError('Product');
     product.variants = product.variants.filter(v => v.sku !== sku);
     await product.save();
+    await recordRevision(req, product, 'VARIANT');
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
     return successResponse(res, product, 'Variant deleted');
   }
 
@@ -171,7 +353,11 @@ class ProductController {
     const { stock, operation = 'set' } = req.body;
     const product = await Product.findById(productId);
     if (!product) throw new NotFoundError('Product');
+    if (ProductBundleService.isBundle(product)) {
+      throw new ValidationError('Bundle stock comes from its components');
+    }
     await product.updateStock(sku, Number(stock), operation);
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
     const refreshed = await Product.findById(productId);
     return successResponse(res, refreshed, 'Stock updated');
   }
@@ -194,24 +380,158 @@ class ProductController {
 
   static async bulkUpdateStatus(req, res) {
     const { productIds, status } = req.body;
-    await Product.updateMany({ _id: { $in: productIds } }, { status });
-    return successResponse(res, { updated: productIds.length }, 'Status updated');
+    const filter = merchantScopedFilter(req, { _id: { $in: productIds } });
+    const result = await Product.updateMany(filter, { status });
+    await ProductRevisionService.recordMany(filter, { action: 'STATUS', author: req.user });
+    await CacheService.invalidateSearchCache();
+    return successResponse(res, { updated: result.modifiedCount }, 'Status updated');
   }
 
   static async bulkDelete(req, res) {
     const { productIds } = req.body;
-    await Product.deleteMany({ _id: { $in: productIds } });
-    return successResponse(res, { deleted: productIds.length }, 'Products deleted');
+    const { deleted } = await ProductTrashService.trash(merchantScopedFilter(req, { _id: { $in: productIds } }), req.user._id);
+    return successResponse(res, { deleted }, 'Products moved to trash');
+  }
+
+  // Revision history
+  static async listRevisions(req, res) {
+    const { productId } = req.params;
+    const { page, limit } = req.query;
+    if (!await Product.exists({ _id: productId })) {
+      throw new NotFoundError('Product');
+    }
+    const { revisions, total } = await ProductRevisionService.listRevisions(productId, { page, limit });
+    return paginatedResponse(res, revisions, { page, limit, total }, 'Revisions');
+  }
+
+  static async getRevision(req, res) {
+    const { productId, version } = req.params;
+    const revision = await ProductRevisionService.getRevision(productId, version);
+    return successResponse(res, revision);
+  }
+
+  static async compareRevisions(req, res) {
+    const { from, to } = req.query;
+    const comparison = await ProductRevisionService.compare(req.params.productId, from, to);
+    return successResponse(res, comparison);
+  }
+
+  static async restoreRevision(req, res) {
+    const { productId, version } = req.params;
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw new NotFoundError('Product');
+    }
+    const { before, revision } = await ProductRevisionService.restore(product, version, req.user);
+    AuditService.captureChange(req, { type: 'product', id: productId, before, after: product, merchantId: product.merchantId });
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
+    return successResponse(res, { product, revision }, `Restored revision ${version}`);
   }
 
   static async importProducts(req, res) {
-    // Placeholder import handler
-    return successResponse(res, { imported: 0 }, 'Import not implemented');
+    if (!req.file) {
+      throw new ValidationError('Upload a CSV or JSON file in the "file" field');
+    }
+
+    const merchantId = req.merchantId || req.user?.merchantId;
+    if (!merchantId) {
+      await fs.unlink(req.file.path).catch(() => {});
+      throw new ValidationError('merchantId is required');
+    }
+    // The team check runs before the upload is parsed, so it only sees a merchantId in the query
+    if (req.body.merchantId && req.body.merchantId !== merchantId) {
+      await fs.unlink(req.file.path).catch(() => {});
+      throw new ValidationError('Pass merchantId as a query parameter');
+    }
+
+    const { dryRun } = req.body;
+    const format = req.body.format || (path.extname(req.file.originalname).toLowerCase() === '.json' ? 'json' : 'csv');
+
+    const record = await ProductImportService.createImport({
+      merchantId,
+      userId: req.user._id,
+      filePath: req.file.path,
+      fileName: req.file.originalname,
+      format,
+      dryRun,
+    });
+    await ImportJobService.importProducts(record.id);
+
+    return successResponse(res, ProductImportService.toPublic(record), dryRun ? 'Dry run queued' : 'Import queued', 202);
+  }
+
+  static async getImport(req, res) {
+    const record = await findMerchantImport(req);
+    return successResponse(res, ProductImportService.toPublic(record));
+  }
+
+  static async downloadImportErrors(req, res) {
+    const record = await findMerchantImport(req);
+    const errors = await ProductImportService.getErrors(record.id);
+
+    const lines = [
+      ERROR_REPORT_COLUMNS.join(','),
+      ...errors.map(entry => ERROR_REPORT_COLUMNS.map(column => csvValue(entry[column])).join(',')),
+    ];
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="import-${record.id}-errors.csv"`,
+    });
+    return res.status(200).send(`${lines.join('\n')}\n`);
   }
 
   static async exportProducts(req, res) {
-    // Placeholder export handler
-    return successResponse(res, [], 'Export not implemented');
+    const { format, background, merchantId: _merchantId, ...query } = req.query;
+    const filter = ProductExportService.buildFilter(query, req.merchantId);
+    const total = await ProductExportService.countProducts(filter);
+
+    // Large catalogues are written by a worker and the link is emailed
+    if (background || total > ProductExportService.settings.maxSyncProducts) {
+      const record = await ProductExportService.createExport({ merchantId: req.merchantId, user: req.user, format, query });
+      await ExportJobService.exportProducts(record.id);
+      return successResponse(res, { ...record, products: total }, 'Export queued. A download link will be emailed when it is ready.', 202);
+    }
+
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    res.status(200);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+    });
+
+    try {
+      await ProductExportService.writeExport(res, { format, filter, query });
+      res.end();
+    } catch (error) {
+      if (!res.headersSent) {
+        throw error;
+      }
+      // Part of the file is already out; cut the connection so the download fails visibly
+      logger.error('Product export stream failed', { merchantId: req.merchantId, error: error.message });
+      res.destroy(error);
+    }
+  }
+
+  static async getExport(req, res) {
+    const record = await findMerchantExport(req);
+    return successResponse(res, record);
+  }
+
+  static async downloadExport(req, res) {
+    const record = await findMerchantExport(req);
+    if (record.status !== 'READY') {
+      throw new ValidationError(`Export is not ready (status: ${record.status})`);
+    }
+
+    const filePath = ProductExportService.exportFilePath(record);
+    try {
+      await fs.access(filePath);
+    } catch {
+      throw new NotFoundError('Export file');
+    }
+
+    return res.download(filePath, `products-${record.completedAt.slice(0, 10)}.${EXPORT_FORMATS[record.format].extension}`);
   }
 }
 
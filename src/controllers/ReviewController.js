@@ -0,0 +1,144 @@
+import { Review, Product } from '../models/index.js';
+import { successResponse, paginatedResponse, NotFoundError } from '../middleware/error.js';
+import { logBusinessEvent } from '../config/logging.js';
+import ReviewService from '../services/ReviewService.js';
+import AuditService from '../services/AuditService.js';
+
+// Reviews are only editable by the customer who wrote them
+async function findOwnReview(req) {
+  const review = await Review.findById(req.params.reviewId);
+  if (!review || !review.isAuthor(req.user._id)) {
+    throw new NotFoundError('Review');
+  }
+  return review;
+}
+
+// Team members only reply to reviews of their own merchant's products
+async function findMerchantReview(req) {
+  const review = await Review.findById(req.params.reviewId);
+  if (!review || (req.merchantRole && review.merchantId !== req.merchantId)) {
+    throw new NotFoundError('Review');
+  }
+  return review;
+}
+
+class ReviewController {
+  // Public
+  static async listProductReviews(req, res) {
+    const product = await Product.findById(req.params.productId).select('status analytics.rating');
+    if (!product || product.status !== 'ACTIVE') {
+      throw new NotFoundError('Product');
+    }
+
+    const { page, limit } = req.query;
+    const { reviews, total } = await ReviewService.listProductReviews(product._id, req.query);
+
+    return paginatedResponse(res, reviews, { page, limit, total }, 'Reviews', {
+      summary: product.analytics.rating,
+    });
+  }
+
+  // Customer
+  static async listMyReviews(req, res) {
+    const reviews = await Review.find({ userId: req.user._id })
+      .populate('productId', 'title slug images')
+      .sort({ createdAt: -1 });
+    return successResponse(res, reviews);
+  }
+
+  static async createReview(req, res) {
+    const review = await ReviewService.createReview(req.user, req.body, req.files);
+
+    logBusinessEvent('review_created', {
+      reviewId: review._id,
+      productId: review.productId,
+      userId: req.user._id,
+      rating: review.rating,
+      status: review.status,
+    });
+
+    const message = review.status === 'PENDING' ? 'Review submitted for approval' : 'Review published';
+    return successResponse(res, review, message, 201);
+  }
+
+  static async updateReview(req, res) {
+    const review = await findOwnReview(req);
+    const { review: updated } = await ReviewService.updateReview(review, req.body, req.files);
+    return successResponse(res, updated, 'Review updated');
+  }
+
+  static async deleteReview(req, res) {
+    const review = await findOwnReview(req);
+    await ReviewService.deleteReview(review);
+    return successResponse(res, { id: review._id }, 'Review deleted');
+  }
+
+  // Merchant
+  static async replyToReview(req, res) {
+    const review = await findMerchantReview(req);
+    const before = { reply: review.toObject().reply };
+    await ReviewService.reply(review, req.user._id, req.body.body);
+
+    AuditService.captureChange(req, {
+      type: 'review',
+      id: review._id,
+      before,
+      after: { reply: review.reply },
+      merchantId: review.merchantId,
+    });
+
+    return successResponse(res, review, 'Reply saved');
+  }
+
+  static async deleteReply(req, res) {
+    const review = await findMerchantReview(req);
+    const before = { reply: review.toObject().reply };
+    await ReviewService.removeReply(review);
+
+    AuditService.captureChange(req, { type: 'review', id: review._id, before, merchantId: review.merchantId });
+
+    return successResponse(res, review, 'Reply removed');
+  }
+
+  // Admin
+  static async listReviews(req, res) {
+    const { status, productId, merchantId, rating, page, limit } = req.query;
+    const filter = Object.fromEntries(
+      Object.entries({ status, productId, merchantId, rating }).filter(([, value]) => value !== undefined),
+    );
+
+    // Oldest first, so the moderation queue is worked in order
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('productId', 'title slug')
+        .sort({ createdAt: status === 'PENDING' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(filter),
+    ]);
+
+    return paginatedResponse(res, reviews, { page, limit, total });
+  }
+
+  static async moderateReview(req, res) {
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      throw new NotFoundError('Review');
+    }
+
+    const { before } = await ReviewService.moderate(review, req.user._id, req.body);
+
+    AuditService.captureChange(req, {
+      type: 'review',
+      id: review._id,
+      before: { status: before.status },
+      after: { status: review.status, reason: review.moderation.reason },
+      merchantId: review.merchantId,
+    });
+    logBusinessEvent('review_moderated', { reviewId: review._id, status: review.status, moderatedBy: req.user._id });
+
+    return successResponse(res, review, 'Review moderated');
+  }
+}
+
+export default ReviewController;
@@ -0,0 +1,171 @@
+import { Role, Permission, User } from '../models/index.js';
+import { successResponse, NotFoundError, ValidationError, ConflictError, AuthorizationError } from '../middleware/error.js';
+import { logSecurity } from '../config/logging.js';
+import CacheService from '../services/CacheService.js';
+import PermissionService from '../services/PermissionService.js';
+import AuditService from '../services/AuditService.js';
+
+async function assertKnownPermissions(permissions = []) {
+  const unknown = await PermissionService.findUnknownPermissions(permissions);
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+}
+
+async function findRole(name) {
+  const role = await Role.findByName(name);
+  if (!role) {
+    throw new NotFoundError('Role');
+  }
+  return role;
+}
+
+class RoleController {
+  static async listRoles(req, res) {
+    const roles = await Role.find().sort({ name: 1 });
+    return successResponse(res, roles);
+  }
+
+  static async getRole(req, res) {
+    const role = await findRole(req.params.name);
+    return successResponse(res, role);
+  }
+
+  static async createRole(req, res) {
+    const { name, description, permissions } = req.body;
+    if (await Role.findByName(name)) {
+      throw new ConflictError(`Role '${name.toUpperCase()}' already exists`);
+    }
+    await assertKnownPermissions(permissions);
+    await PermissionService.assertCanGrant(req.user, { permissions });
+
+    const role = await Role.create({ name, description, permissions, updatedBy: req.user._id });
+
+    logSecurity('ROLE_CREATED', req, { role: role.name, permissions });
+
+    return successResponse(res, role, 'Role created', 201);
+  }
+
+  static async updateRole(req, res) {
+    const { description, permissions } = req.body;
+    const role = await findRole(req.params.name);
+    PermissionService.assertCanEditRole(req.user, role.name);
+    const before = role.toObject();
+
+    if (permissions) {
+      await assertKnownPermissions(permissions);
+      await PermissionService.assertCanGrant(req.user, { permissions });
+      // Never let an edit strip the ability to manage roles from super admins
+      if (role.name === 'SUPER_ADMIN' && !PermissionService.matches(permissions, 'update:roles')) {
+        throw new AuthorizationError('SUPER_ADMIN must keep the update:roles permission');
+      }
+      role.permissions = permissions;
+    }
+    if (description !== undefined) {
+      role.description = description;
+    }
+    role.updatedBy = req.user._id;
+    await role.save();
+
+    await CacheService.invalidateRolePermissions(role.name);
+    AuditService.captureChange(req, { type: 'role', id: role.name, before, after: role });
+
+    logSecurity('ROLE_UPDATED', req, { role: role.name, permissions: role.permissions });
+
+    return successResponse(res, role, 'Role updated');
+  }
+
+  static async deleteRole(req, res) {
+    const role = await findRole(req.params.name);
+    if (role.isSystem) {
+      throw new ValidationError('System roles cannot be deleted');
+    }
+
+    const assigned = await User.countDocuments({ roles: role.name });
+    if (assigned > 0) {
+      throw new ConflictError(`Role '${role.name}' is still assigned to ${assigned} user(s)`);
+    }
+
+    await role.deleteOne();
+    await CacheService.invalidateRolePermissions(role.name);
+
+    logSecurity('ROLE_DELETED', req, { role: role.name });
+
+    return successResponse(res, null, 'Role deleted');
+  }
+
+  static async listPermissions(req, res) {
+    const permissions = await Permission.find().sort({ key: 1 });
+    return successResponse(res, permissions);
+  }
+
+  static async createPermission(req, res) {
+    const { key, description } = req.body;
+    if (await Permission.exists({ key })) {
+      throw new ConflictError(`Permission '${key}' already exists`);
+    }
+
+    const permission = await Permission.create({ key, description });
+
+    logSecurity('PERMISSION_CREATED', req, { permission: key });
+
+    return successResponse(res, permission, 'Permission created', 201);
+  }
+
+  static async getUserAccess(req, res) {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    return successResponse(res, {
+      role: user.role,
+      roles: user.roles,
+      permissions: user.permissions,
+      effectivePermissions: await PermissionService.getEffectivePermissions(user),
+    });
+  }
+
+  static async updateUserAccess(req, res) {
+    const { roles, permissions } = req.body;
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+    PermissionService.assertCanManageUser(req.user, user);
+
+    if (roles) {
+      const names = roles.map(name => name.toUpperCase());
+      const found = await Role.find({ name: { $in: names } }).distinct('name');
+      const missing = names.filter(name => !found.includes(name));
+      if (missing.length > 0) {
+        throw new ValidationError(`Unknown roles: ${missing.join(', ')}`);
+      }
+      await PermissionService.assertCanGrant(req.user, { roles: names.filter(name => !user.roles.includes(name)) });
+      user.roles = names;
+    }
+    if (permissions) {
+      await assertKnownPermissions(permissions);
+      await PermissionService.assertCanGrant(req.user, {
+        permissions: permissions.filter(permission => !user.permissions.includes(permission)),
+      });
+      user.permissions = permissions;
+    }
+    await user.save();
+
+    logSecurity('USER_ACCESS_UPDATED', req, {
+      targetUserId: user._id,
+      roles: user.roles,
+      permissions: user.permissions,
+    });
+
+    return successResponse(res, {
+      role: user.role,
+      roles: user.roles,
+      permissions: user.permissions,
+      effectivePermissions: await PermissionService.getEffectivePermissions(user),
+    }, 'User access updated');
+  }
+}
+
+export default RoleController;
@@ -2,6 +2,7 @@ import Stripe from 'stripe';
 import { config } from '../config/index.js';
 import { Order } from '../models/index.js';
 import { successResponse } from '../middleware/error.js';
+import { OrderService } from '../workers/processors/order.js';
 
 const stripe = config.stripe.secretKey
   ? new Stripe(config.stripe.secretKey, { apiVersion: config.stripe.apiVersion })
@@ -26,8 +27,8 @@ class WebhookController {
       case 'payment_intent.succeeded': {
         const intent = event.data.object;
         const order = await Order.findByPaymentIntent(intent.id);
-        if (order) {
-          await order.markAsPaid({ amount: intent.amount, currency: intent.currency });
+        if (order && order.status !== 'PAID') {
+          await OrderService.recordPayment(order, intent);
         }
         break;
       }
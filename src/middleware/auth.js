@@ -1,16 +1,34 @@
 import jwt from 'jsonwebtoken';
 import { config } from '../config/index.js';
 import { redis } from '../config/redis.js';
-import { User } from '../models/index.js';
+import { User, ApiKey, Product, MerchantMember, Review, Merchant } from '../models/index.js';
+import { MEMBER_ROLE_ACCESS } from '../models/MerchantMember.js';
 import { logSecurity, setupLogging } from '../config/logging.js';
+import SessionService from '../services/SessionService.js';
+import CacheService from '../services/CacheService.js';
+import BruteForceService from '../services/BruteForceService.js';
+import ImpersonationService from '../services/ImpersonationService.js';
+import TwoFactorService from '../services/TwoFactorService.js';
+import PermissionService, { DEFAULT_ROLE_PERMISSIONS } from '../services/PermissionService.js';
 
 const logger = setupLogging();
 
+const ACCESS_TOKEN_VERIFY_OPTIONS = {
+  issuer: 'aether-backend',
+  audience: 'aether-frontend',
+};
+
 /**
  * JWT Authentication Middleware
  */
 export const authenticate = async (req, res, next) => {
   try {
+    // Merchant integrations authenticate with an API key instead of a JWT
+    const apiKey = req.get('X-Api-Key');
+    if (apiKey) {
+      return authenticateApiKey(req, res, next, apiKey);
+    }
+
     const token = extractToken(req);
     
     if (!token) {
@@ -20,8 +38,8 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // Verify JWT token
-    const decoded = jwt.verify(token, config.jwt.accessTokenSecret);
+    // Verify JWT token (audience check rejects 2FA challenge tokens)
+    const decoded = jwt.verify(token, config.jwt.accessTokenSecret, ACCESS_TOKEN_VERIFY_OPTIONS);
     
     // Check if token is blacklisted (for logout/revocation)
     const isBlacklisted = await redis.get(`blacklist:${token}`);
@@ -33,6 +51,15 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Impersonation tokens stop working as soon as the impersonation is ended
+    if (decoded.impersonatedBy && !(await ImpersonationService.isActive(decoded.jti))) {
+      logSecurity('ENDED_IMPERSONATION_TOKEN_USED', req, { impersonatedBy: decoded.impersonatedBy.userId });
+      return res.status(401).json({
+        error: 'Impersonation has ended',
+        code: 'IMPERSONATION_ENDED',
+      });
+    }
+
     // Get user from database
     const user = await User.findById(decoded.userId);
     if (!user) {
@@ -44,7 +71,7 @@ export const authenticate = async (req, res, next) => {
     }
 
     // Check if user account is active
-    if (user.status !== 'active') {
+    if (user.status !== 'ACTIVE') {
       logSecurity('INACTIVE_USER_ACCESS', req, { userId: user._id, status: user.status });
       return res.status(401).json({
         error: 'Account is not active',
@@ -61,9 +88,19 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // An admin forced a password reset; tokens issued before it stop working
+    if (user.security.passwordResetRequired) {
+      logSecurity('RESET_REQUIRED_USER_ACCESS', req, { userId: user._id });
+      return res.status(401).json({
+        error: 'Password reset required',
+        code: 'PASSWORD_RESET_REQUIRED',
+      });
+    }
+
     // Attach user to request
     req.user = user;
     req.tokenPayload = decoded;
+    req.impersonatedBy = decoded.impersonatedBy || null;
     
     next();
   } catch (error) {
@@ -88,6 +125,125 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication for 2FA enrollment: a normal access token, or the
+ * enrollment-only setup token (body.setupToken) handed to users whose role
+ * requires 2FA before they can sign in
+ */
+export const authenticateTwoFactorSetup = async (req, res, next) => {
+  const setupToken = req.body?.setupToken;
+  if (!setupToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = TwoFactorService.verifySetupToken(setupToken);
+
+    const user = await User.findById(decoded.userId);
+    if (!user || user.status !== 'ACTIVE' || user.isLocked || user.security.passwordResetRequired) {
+      logSecurity('INVALID_SETUP_TOKEN_USER', req, { userId: decoded.userId });
+      return res.status(401).json({
+        error: 'Account cannot sign in',
+        code: 'ACCOUNT_INACTIVE',
+      });
+    }
+
+    req.user = user;
+    req.twoFactorSetup = decoded;
+    req.impersonatedBy = null;
+
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      logSecurity('INVALID_SETUP_TOKEN', req, { error: error.message });
+      return res.status(401).json({
+        error: 'Invalid token',
+        code: 'INVALID_TOKEN',
+      });
+    } else if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        error: 'Token expired',
+        code: 'TOKEN_EXPIRED',
+      });
+    }
+
+    logger.error('Two-factor setup authentication error:', error);
+    return res.status(500).json({
+      error: 'Authentication failed',
+      code: 'AUTH_ERROR',
+    });
+  }
+};
+
+/**
+ * API key authentication (X-Api-Key header)
+ */
+async function authenticateApiKey(req, res, next, rawKey) {
+  try {
+    const key = await ApiKey.findByRawKey(rawKey);
+    if (!key || !key.isUsable) {
+      logSecurity('INVALID_API_KEY', req, { keyId: key?._id, prefix: rawKey.substring(0, 12) });
+      return res.status(401).json({
+        error: 'Invalid API key',
+        code: 'INVALID_API_KEY',
+      });
+    }
+
+    // The key acts as its creator, so it only works while they could still
+    // sign in and still manage keys for the key's merchant
+    const user = await User.findById(key.userId);
+    if (!user || user.status !== 'ACTIVE' || user.isLocked || user.security.passwordResetRequired
+      || !(await canManageMerchantKeys(user, key.merchantId))) {
+      logSecurity('API_KEY_OWNER_INVALID', req, { keyId: key._id, userId: key.userId });
+      return res.status(401).json({
+        error: 'API key owner is no longer active',
+        code: 'INVALID_API_KEY',
+      });
+    }
+
+    const suspendedIds = await CacheService.getSuspendedMerchants(() => Merchant.findSuspendedIds());
+    if (suspendedIds?.includes(key.merchantId)) {
+      logSecurity('API_KEY_MERCHANT_SUSPENDED', req, { keyId: key._id, merchantId: key.merchantId });
+      return res.status(403).json({
+        error: 'This merchant is suspended',
+        code: 'MERCHANT_SUSPENDED',
+      });
+    }
+
+    await key.recordUsage(req.ip);
+
+    logger.info('API key used', {
+      keyId: key._id,
+      merchantId: key.merchantId,
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip,
+      requestId: req.requestId,
+    });
+
+    req.user = user;
+    req.apiKey = key;
+    req.authMethod = 'api_key';
+
+    next();
+  } catch (error) {
+    logger.error('API key authentication error:', error);
+    return res.status(500).json({
+      error: 'Authentication failed',
+      code: 'AUTH_ERROR',
+    });
+  }
+}
+
+// Admins act for any merchant; everyone else needs a team role that manages keys
+async function canManageMerchantKeys(user, merchantId) {
+  if (PermissionService.roleMatches(user.role, ['superadmin', 'admin'])) {
+    return true;
+  }
+  const memberRole = await MerchantMember.resolveRole(merchantId, user);
+  return MEMBER_ROLE_ACCESS.apiKeys.includes(memberRole);
+}
+
 /**
  * Optional Authentication Middleware (for guest access)
  */
@@ -102,12 +258,17 @@ export const optionalAuth = async (req, res, next) => {
     }
 
     // Try to authenticate, but don't fail if token is invalid
-    const decoded = jwt.verify(token, config.jwt.accessTokenSecret);
+    const decoded = jwt.verify(token, config.jwt.accessTokenSecret, ACCESS_TOKEN_VERIFY_OPTIONS);
+    if (decoded.impersonatedBy && !(await ImpersonationService.isActive(decoded.jti))) {
+      req.user = null;
+      return next();
+    }
     const user = await User.findById(decoded.userId);
     
-    if (user && user.status === 'active' && !user.isLocked) {
+    if (user && user.status === 'ACTIVE' && !user.isLocked) {
       req.user = user;
       req.tokenPayload = decoded;
+      req.impersonatedBy = decoded.impersonatedBy || null;
     } else {
       req.user = null;
     }
@@ -135,12 +296,12 @@ export const authorize = (...allowedRoles) => {
     const userRole = req.user.role;
     
     // Super admin has access to everything
-    if (userRole === 'superadmin') {
+    if (PermissionService.roleMatches(userRole, ['superadmin'])) {
       return next();
     }
 
     // Check if user role is in allowed roles
-    if (!allowedRoles.includes(userRole)) {
+    if (!PermissionService.roleMatches(userRole, allowedRoles)) {
       logSecurity('UNAUTHORIZED_ACCESS', req, { 
         userRole, 
         allowedRoles,
@@ -161,53 +322,110 @@ export const authorize = (...allowedRoles) => {
 
 /**
  * Merchant-specific Authorization
+ * Requires the user's team role to allow the area
+ * ('products', 'orders', 'analytics', 'team' or 'store')
  */
-export const authorizeMerchant = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      error: 'Authentication required',
-      code: 'AUTH_REQUIRED'
-    });
+export const authorizeMerchant = (area) => {
+  const allowedMemberRoles = MEMBER_ROLE_ACCESS[area];
+  if (!allowedMemberRoles) {
+    throw new Error(`Unknown merchant area: ${area}`);
   }
 
-  const userRole = req.user.role;
-  const userMerchantId = req.user.merchantId;
-  const requestedMerchantId = req.params.merchantId || req.body.merchantId || req.query.merchantId;
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+      });
+    }
 
-  // Super admin has access to all merchants
-  if (userRole === 'superadmin') {
-    return next();
-  }
+    try {
+      let merchantId = req.params.merchantId || req.body?.merchantId || req.query.merchantId;
+
+      // Product routes act on the product's merchant, whatever the client sent
+      if (req.params.productId) {
+        const product = await Product.findById(req.params.productId)
+          .setOptions({ withDeleted: true })
+          .select('merchantId')
+          .lean();
+        if (product) {
+          merchantId = product.merchantId;
+        }
+      }
 
-  // Admin role can access all merchants
-  if (userRole === 'admin') {
-    return next();
-  }
+      // Likewise review routes act on the reviewed product's merchant
+      if (req.params.reviewId) {
+        const review = await Review.findById(req.params.reviewId).select('merchantId').lean();
+        if (review) {
+          merchantId = review.merchantId;
+        }
+      }
 
-  // Seller can only access their own merchant
-  if (userRole === 'seller') {
-    if (!userMerchantId) {
-      return res.status(403).json({
-        error: 'User is not associated with any merchant',
-        code: 'NO_MERCHANT_ASSOCIATION'
-      });
-    }
+      // API keys never reach beyond the merchant they were issued for
+      if (req.apiKey) {
+        if (merchantId && merchantId !== req.apiKey.merchantId) {
+          return res.status(403).json({
+            error: 'Access denied to this merchant',
+            code: 'MERCHANT_ACCESS_DENIED',
+          });
+        }
+        merchantId = req.apiKey.merchantId;
+      }
 
-    if (requestedMerchantId && userMerchantId !== requestedMerchantId) {
-      logSecurity('MERCHANT_ACCESS_VIOLATION', req, {
-        userId: req.user._id,
-        userMerchantId,
-        requestedMerchantId
-      });
-      
-      return res.status(403).json({
-        error: 'Access denied to this merchant',
-        code: 'MERCHANT_ACCESS_DENIED'
+      // Super admins and admins can access all merchants
+      if (PermissionService.roleMatches(req.user.role, ['superadmin', 'admin'])) {
+        req.merchantId = merchantId;
+        return next();
+      }
+
+      merchantId = merchantId || req.user.merchantId;
+      if (!merchantId) {
+        return res.status(403).json({
+          error: 'User is not associated with any merchant',
+          code: 'NO_MERCHANT_ASSOCIATION',
+        });
+      }
+
+      const memberRole = await MerchantMember.resolveRole(merchantId, req.user);
+      if (!memberRole) {
+        logSecurity('MERCHANT_ACCESS_VIOLATION', req, {
+          userId: req.user._id,
+          userMerchantId: req.user.merchantId,
+          requestedMerchantId: merchantId,
+        });
+
+        return res.status(403).json({
+          error: 'Access denied to this merchant',
+          code: 'MERCHANT_ACCESS_DENIED',
+        });
+      }
+
+      if (!allowedMemberRoles.includes(memberRole)) {
+        logSecurity('MERCHANT_ROLE_DENIED', req, {
+          userId: req.user._id,
+          merchantId,
+          memberRole,
+          area,
+        });
+
+        return res.status(403).json({
+          error: 'Your team role does not allow this action',
+          code: 'MERCHANT_ROLE_DENIED',
+          required: allowedMemberRoles,
+        });
+      }
+
+      req.merchantId = merchantId;
+      req.merchantRole = memberRole;
+      next();
+    } catch (error) {
+      logger.error('Merchant authorization error:', error);
+      return res.status(500).json({
+        error: 'Merchant authorization failed',
+        code: 'AUTH_ERROR',
       });
     }
-  }
-
-  next();
+  };
 };
 
 /**
@@ -226,7 +444,7 @@ export const authorizeOwnership = (resourceUserIdField = 'userId') => {
     const userId = req.user._id.toString();
 
     // Super admin and admin can access any resource
-    if (['superadmin', 'admin'].includes(userRole)) {
+    if (PermissionService.roleMatches(userRole, ['superadmin', 'admin'])) {
       return next();
     }
 
@@ -306,6 +524,59 @@ export const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
   };
 };
 
+/**
+ * Credential-stuffing protection for unauthenticated auth endpoints.
+ * Blocked IPs/subnets are rejected; otherwise the request is delayed based
+ * on recent attempts and recorded once the response is sent. With
+ * `failuresOnly`, only 401 responses count and a success clears the email.
+ */
+export const bruteForceGuard = (action, { failuresOnly = false } = {}) => {
+  return async (req, res, next) => {
+    const email = typeof req.body?.email === 'string' ? req.body.email : undefined;
+
+    try {
+      const block = await BruteForceService.getBlock(req.ip);
+      if (block) {
+        logSecurity('BLOCKED_REQUEST', req, { action, blockType: block.type, blockValue: block.value });
+
+        res.set('Retry-After', String(block.retryAfter));
+        return res.status(429).json({
+          error: 'Too many attempts. Try again later.',
+          code: 'TOO_MANY_ATTEMPTS',
+          retryAfter: block.retryAfter,
+        });
+      }
+
+      const delayMs = await BruteForceService.getDelay(action, req.ip, email);
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    } catch (error) {
+      logger.error('Brute force check error:', error);
+      return next(); // Continue on Redis errors
+    }
+
+    res.on('finish', () => {
+      const failed = res.statusCode === 401;
+      let update = null;
+
+      if (!failuresOnly || failed) {
+        update = BruteForceService.recordAttempt(action, req.ip, email).then((block) => {
+          if (block) {
+            logSecurity('BRUTE_FORCE_BLOCK', req, { action, blockType: block.type, blockValue: block.value });
+          }
+        });
+      } else if (email && res.statusCode < 400) {
+        update = BruteForceService.clearEmail(action, email);
+      }
+
+      update?.catch(error => logger.error('Brute force tracking error:', error));
+    });
+
+    next();
+  };
+};
+
 /**
  * Session Management
  */
@@ -333,11 +604,8 @@ export const validateSession = async (req, res, next) => {
       });
     }
 
-    // Update session last activity
-    session.lastActivity = new Date();
-    await redis.setSession(sessionId, session);
-    
-    req.session = session;
+    // Update last activity, keeping the session's own expiry
+    req.session = await SessionService.touch(sessionId) || session;
     next();
   } catch (error) {
     logger.error('Session validation error:', error);
@@ -349,38 +617,19 @@ export const validateSession = async (req, res, next) => {
  * Permission Checking Utilities
  */
 export const hasPermission = (user, permission) => {
-  const rolePermissions = {
-    visitor: ['read:products', 'create:cart'],
-    buyer: ['read:products', 'create:cart', 'create:orders', 'read:own_orders'],
-    seller: [
-      'read:products', 
-      'create:products', 
-      'update:own_products',
-      'read:own_orders',
-      'update:own_orders',
-      'read:own_sales'
-    ],
-    admin: [
-      'read:*',
-      'create:*',
-      'update:*',
-      'delete:*'
-    ],
-    superadmin: ['*']
-  };
-
-  const userPermissions = rolePermissions[user.role] || [];
-  
-  return userPermissions.includes('*') || 
-         userPermissions.includes(permission) ||
-         userPermissions.some(p => p.endsWith(':*') && permission.startsWith(p.replace(':*', ':')));
+  return PermissionService.hasPermission(user, permission);
 };
 
+/**
+ * Scopes an API key can be granted (a subset of seller permissions)
+ */
+export const API_KEY_SCOPES = [...DEFAULT_ROLE_PERMISSIONS.SELLER];
+
 /**
  * Permission-based Authorization Middleware
  */
 export const requirePermission = (permission) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         error: 'Authentication required',
@@ -388,17 +637,58 @@ export const requirePermission = (permission) => {
       });
     }
 
-    if (!hasPermission(req.user, permission)) {
-      logSecurity('PERMISSION_DENIED', req, {
-        userId: req.user._id,
-        permission,
-        userRole: req.user.role
+    try {
+      // API keys are limited to the scopes they were granted
+      const keyAllows = !req.apiKey || req.apiKey.hasScope(permission);
+
+      if (!keyAllows || !(await hasPermission(req.user, permission))) {
+        logSecurity('PERMISSION_DENIED', req, {
+          userId: req.user._id,
+          permission,
+          userRole: req.user.role,
+          apiKeyId: req.apiKey?._id,
+        });
+
+        return res.status(403).json({
+          error: 'Permission denied',
+          code: 'PERMISSION_DENIED',
+          required: permission,
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Permission check error:', error);
+      return res.status(500).json({
+        error: 'Permission check failed',
+        code: 'AUTH_ERROR',
       });
-      
+    }
+  };
+};
+
+/**
+ * API Key Scope Authorization
+ * No-op for session (JWT) requests; API key requests need every listed scope.
+ */
+export const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const missing = scopes.filter(scope => !req.apiKey.hasScope(scope));
+    if (missing.length > 0) {
+      logSecurity('API_KEY_SCOPE_DENIED', req, {
+        keyId: req.apiKey._id,
+        merchantId: req.apiKey.merchantId,
+        missing,
+      });
+
       return res.status(403).json({
-        error: 'Permission denied',
-        code: 'PERMISSION_DENIED',
-        required: permission
+        error: 'API key is missing required scope',
+        code: 'INSUFFICIENT_SCOPE',
+        required: missing,
       });
     }
 
@@ -406,6 +696,37 @@ export const requirePermission = (permission) => {
   };
 };
 
+/**
+ * Reject API key authentication on account and payment routes
+ */
+export const rejectApiKey = (req, res, next) => {
+  if (req.get('X-Api-Key')) {
+    logSecurity('API_KEY_FORBIDDEN_ROUTE', req, { url: req.originalUrl });
+    return res.status(403).json({
+      error: 'API keys cannot be used on this endpoint',
+      code: 'API_KEY_NOT_ALLOWED',
+    });
+  }
+
+  next();
+};
+
+/**
+ * Reject requests made with an impersonation token (payments, passwords, 2FA).
+ * Must run after authenticate.
+ */
+export const blockImpersonation = (req, res, next) => {
+  if (req.impersonatedBy) {
+    logSecurity('IMPERSONATION_FORBIDDEN_ROUTE', req, { url: req.originalUrl });
+    return res.status(403).json({
+      error: 'This action is not available while impersonating a user',
+      code: 'IMPERSONATION_NOT_ALLOWED',
+    });
+  }
+
+  next();
+};
+
 /**
  * Helper function to extract token from request
  */
@@ -288,9 +288,9 @@ export const successResponse = (res, data, message = 'Success', statusCode = 200
 };
 
 /**
- * Paginated Response Helper
+ * Paginated Response Helper. `extra` adds top-level fields such as facets.
  */
-export const paginatedResponse = (res, data, pagination, message = 'Success') => {
+export const paginatedResponse = (res, data, pagination, message = 'Success', extra = {}) => {
   const response = {
     success: true,
     message,
@@ -303,6 +303,7 @@ export const paginatedResponse = (res, data, pagination, message = 'Success') =>
       hasNext: pagination.page < Math.ceil(pagination.total / pagination.limit),
       hasPrev: pagination.page > 1,
     },
+    ...extra,
     timestamp: new Date().toISOString(),
   };
 
@@ -1,4 +1,5 @@
 import { generateRequestId, logRequest, setupLogging } from '../config/logging.js';
+import AuditService from '../services/AuditService.js';
 
 const logger = setupLogging();
 
@@ -99,16 +100,21 @@ export const apiVersionLogger = (version) => {
 };
 
 /**
- * User activity logging
+ * User activity logging. Successful actions are also stored as audit events.
  */
 export const activityLogger = (action) => {
   return (req, res, next) => {
     // Log after response is sent
     res.on('finish', () => {
       if (req.user && res.statusCode < 400) {
+        AuditService.record(req, res, action).catch((error) => {
+          logger.error('Failed to record audit event', { action, requestId: req.requestId, error: error.message });
+        });
+
         logger.info('User activity', {
           userId: req.user._id,
           action,
+          impersonatedBy: req.impersonatedBy?.userId,
           resource: req.originalUrl,
           method: req.method,
           statusCode: res.statusCode,
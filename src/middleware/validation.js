@@ -1,5 +1,7 @@
 import Joi from 'joi';
 import { ValidationError } from './error.js';
+import { API_KEY_SCOPES } from './auth.js';
+import { MEMBER_ROLES } from '../models/MerchantMember.js';
 
 /**
  * Joi validation middleware
@@ -67,6 +69,138 @@ const baseSchemas = {
   }),
 };
 
+// Category fields shared by create and update
+const categoryFields = {
+  name: Joi.string().min(2).max(100).trim(),
+  slug: Joi.string().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(100).messages({
+    'string.pattern.base': 'Slug may only contain lowercase letters, numbers and dashes',
+  }),
+  description: Joi.string().max(2000).trim().allow(''),
+  parentId: baseSchemas.objectId.allow(null),
+  order: Joi.number().integer(),
+  image: Joi.object({
+    url: Joi.string().uri().required(),
+    alt: Joi.string().max(200),
+  }).allow(null),
+  seo: Joi.object({
+    metaTitle: Joi.string().max(70),
+    metaDescription: Joi.string().max(160),
+    keywords: Joi.array().items(Joi.string().max(50)).max(20),
+  }),
+  isActive: Joi.boolean(),
+};
+
+// SKUs a bundle variant is made of. Bundle stock comes from these, so
+// bundle variants don't take a stock of their own
+const bundleComponents = Joi.array().items(Joi.object({
+  sku: Joi.string().trim().required(),
+  quantity: Joi.number().integer().min(1).default(1),
+})).min(1).max(20);
+
+const variantStock = Joi.number().integer().min(0).when('components', {
+  is: Joi.exist(),
+  then: Joi.forbidden(),
+  otherwise: Joi.required(),
+});
+
+// Scheduled launch and takedown; null clears a schedule
+const productSchedule = {
+  publishAt: Joi.date().iso().greater('now').allow(null),
+  unpublishAt: Joi.date().iso().greater('now').allow(null).when('publishAt', {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref('publishAt')),
+  }),
+};
+
+// Option axes a variant matrix is generated from. Axis names double as
+// variant attribute keys and SKU template placeholders
+const productOptions = Joi.array().items(Joi.object({
+  name: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).max(50).required(),
+  values: Joi.array().items(Joi.string().trim().max(100)).min(1).max(50).unique().required(),
+})).max(5).unique('name');
+
+// Merchant profile building blocks
+const merchantLogo = Joi.object({
+  url: Joi.string().uri().required(),
+  alt: Joi.string().max(200),
+});
+
+const merchantContact = Joi.object({
+  email: baseSchemas.email,
+  phone: baseSchemas.phone,
+  website: Joi.string().uri(),
+  address: Joi.object({
+    street: Joi.string().max(200),
+    city: Joi.string().max(100),
+    state: Joi.string().max(100),
+    zipCode: Joi.string().max(20),
+    country: Joi.string().max(100).default('Rwanda'),
+  }),
+});
+
+const merchantRegistration = Joi.object({
+  legalName: Joi.string().max(200).required(),
+  registrationNumber: Joi.string().max(100).required(),
+  taxId: Joi.string().max(100),
+  country: Joi.string().max(100).default('Rwanda'),
+  documents: Joi.array().items(Joi.object({
+    type: Joi.string().max(50).required(),
+    url: Joi.string().uri().required(),
+  })).max(10),
+});
+
+// Addresses sent at checkout or stored in the address book
+const shippingAddress = Joi.object({
+  name: Joi.string().min(2).max(100).trim().required(),
+  phone: baseSchemas.phone.required(),
+  street: Joi.string().max(200).required(),
+  city: Joi.string().max(100).required(),
+  state: Joi.string().max(100),
+  zipCode: Joi.string().max(20),
+  country: Joi.string().max(100).default('Rwanda'),
+});
+
+const billingAddress = Joi.object({
+  name: Joi.string().min(2).max(100).trim().required(),
+  email: baseSchemas.email.required(),
+  phone: baseSchemas.phone,
+  street: Joi.string().max(200).required(),
+  city: Joi.string().max(100).required(),
+  state: Joi.string().max(100),
+  zipCode: Joi.string().max(20),
+  country: Joi.string().max(100).default('Rwanda'),
+});
+
+const addressBookEntry = {
+  label: Joi.string().max(50).trim(),
+  name: Joi.string().min(2).max(100).trim(),
+  phone: baseSchemas.phone,
+  email: baseSchemas.email,
+  street: Joi.string().max(200),
+  city: Joi.string().max(100),
+  state: Joi.string().max(100).allow(''),
+  zipCode: Joi.string().max(20).allow(''),
+  country: Joi.string().max(100),
+  isDefaultShipping: Joi.boolean(),
+  isDefaultBilling: Joi.boolean(),
+};
+
+// Audit log filters; merchant-scoped queries can't choose the merchant
+const auditQuery = Joi.object({
+  actorId: baseSchemas.objectId,
+  action: Joi.string().max(100),
+  targetType: Joi.string().max(50),
+  targetId: Joi.string().max(100),
+  requestId: Joi.string().max(100),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+// Permission keys: "action:resource", "action:*" or "*"
+const permissionKey = Joi.string().pattern(/^(\*|[a-z_]+:(\*|[a-z_]+))$/);
+
 /**
  * Common validation schemas
  */
@@ -89,6 +223,11 @@ export const schemas = {
       rememberMe: Joi.boolean().default(false),
     }),
 
+    magicLinkRequest: Joi.object({
+      email: baseSchemas.email.required(),
+      rememberMe: Joi.boolean().default(false),
+    }),
+
     updateProfile: Joi.object({
       name: Joi.string().min(2).max(100).trim(),
       phone: baseSchemas.phone,
@@ -101,6 +240,16 @@ export const schemas = {
       }),
     }),
 
+    phoneSendCode: Joi.object({
+      phone: baseSchemas.phone,
+    }),
+
+    phoneVerify: Joi.object({
+      code: Joi.string().pattern(/^\d{4,8}$/).required().messages({
+        'string.pattern.base': 'Code must be numeric',
+      }),
+    }),
+
     changePassword: Joi.object({
       currentPassword: Joi.string().required(),
       newPassword: baseSchemas.password.required(),
@@ -110,19 +259,47 @@ export const schemas = {
     }),
   },
 
+  // Two-factor authentication schemas
+  twoFactor: {
+    verify: Joi.object({
+      code: Joi.string().pattern(/^\d{6}$/).required().messages({
+        'string.pattern.base': 'Code must be 6 digits',
+      }),
+    }),
+
+    login: Joi.object({
+      challengeToken: Joi.string().required(),
+      code: Joi.string().pattern(/^\d{6}$/).messages({
+        'string.pattern.base': 'Code must be 6 digits',
+      }),
+      recoveryCode: Joi.string().trim().max(20),
+    }).xor('code', 'recoveryCode'),
+
+    disable: Joi.object({
+      password: Joi.string().required(),
+      code: Joi.string().pattern(/^\d{6}$/).messages({
+        'string.pattern.base': 'Code must be 6 digits',
+      }),
+      recoveryCode: Joi.string().trim().max(20),
+    }).xor('code', 'recoveryCode'),
+  },
+
   // Product schemas
   product: {
     create: Joi.object({
       title: Joi.string().min(3).max(200).trim().required(),
       description: Joi.string().min(10).max(5000).trim().required(),
       shortDescription: Joi.string().max(500).trim(),
+      type: Joi.string().valid('STANDARD', 'BUNDLE').default('STANDARD'),
       categories: Joi.array().items(Joi.string().trim()).min(1).required(),
       tags: Joi.array().items(Joi.string().trim()),
+      options: productOptions,
       variants: Joi.array().items(Joi.object({
         sku: Joi.string().trim().required(),
         price: Joi.number().positive().required(),
         currency: Joi.string().valid('RWF', 'USD', 'EUR').default('RWF'),
-        stock: Joi.number().integer().min(0).required(),
+        stock: variantStock,
+        components: bundleComponents,
         attributes: Joi.object().pattern(Joi.string(), Joi.string()),
         dimensions: Joi.object({
           weight: Joi.number().positive(),
@@ -142,19 +319,23 @@ export const schemas = {
         freeShipping: Joi.boolean().default(false),
         shippingCost: Joi.number().min(0).default(0),
       }),
+      ...productSchedule,
     }),
 
     update: Joi.object({
       title: Joi.string().min(3).max(200).trim(),
       description: Joi.string().min(10).max(5000).trim(),
       shortDescription: Joi.string().max(500).trim(),
+      type: Joi.string().valid('STANDARD', 'BUNDLE'),
       categories: Joi.array().items(Joi.string().trim()).min(1),
       tags: Joi.array().items(Joi.string().trim()),
+      options: productOptions,
       variants: Joi.array().items(Joi.object({
         sku: Joi.string().trim().required(),
         price: Joi.number().positive().required(),
         currency: Joi.string().valid('RWF', 'USD', 'EUR').default('RWF'),
-        stock: Joi.number().integer().min(0).required(),
+        stock: variantStock,
+        components: bundleComponents,
         attributes: Joi.object().pattern(Joi.string(), Joi.string()),
         dimensions: Joi.object({
           weight: Joi.number().positive(),
@@ -169,14 +350,56 @@ export const schemas = {
       featured: Joi.boolean(),
     }),
 
+    // Multipart fields sent with an import file
+    importOptions: Joi.object({
+      merchantId: Joi.string(),
+      format: Joi.string().valid('csv', 'json'),
+      dryRun: Joi.boolean().default(false),
+    }),
+
     search: Joi.object({
       q: Joi.string().max(100),
-      categories: Joi.array().items(Joi.string()),
+      categories: Joi.array().items(Joi.string()).single(),
+      tags: Joi.array().items(Joi.string()).single(),
       minPrice: Joi.number().min(0),
       maxPrice: Joi.number().min(Joi.ref('minPrice')),
       inStock: Joi.boolean(),
       featured: Joi.boolean(),
       merchantId: Joi.string(),
+      // attributes[color]=red&attributes[color]=blue
+      attributes: Joi.object().pattern(
+        Joi.string().pattern(/^[A-Za-z0-9_-]+$/),
+        Joi.array().items(Joi.string().max(100)).single(),
+      ),
+    }),
+
+    exportParams: Joi.object({
+      exportId: Joi.string().uuid().required(),
+    }),
+
+    components: bundleComponents,
+    variantStock,
+
+    schedule: Joi.object(productSchedule).or('publishAt', 'unpublishAt'),
+
+    generateVariants: Joi.object({
+      options: productOptions.min(1),
+      // e.g. "TEE-{size}-{color}"; defaults to the slug followed by each axis
+      skuTemplate: Joi.string().trim().max(100),
+      price: Joi.number().positive().required(),
+      currency: Joi.string().valid('RWF', 'USD', 'EUR').default('RWF'),
+      stock: Joi.number().integer().min(0).default(0),
+      deactivateMissing: Joi.boolean().default(false),
+    }),
+
+    revisionParams: Joi.object({
+      productId: baseSchemas.objectId.required(),
+      version: Joi.number().integer().min(1).required(),
+    }),
+
+    revisionCompare: Joi.object({
+      from: Joi.number().integer().min(1).required(),
+      to: Joi.number().integer().min(1),
     }),
   },
 
@@ -195,40 +418,26 @@ export const schemas = {
       couponCode: Joi.string().uppercase().trim().required(),
     }),
 
-    updateShipping: Joi.object({
-      name: Joi.string().min(2).max(100).trim().required(),
-      phone: baseSchemas.phone.required(),
-      street: Joi.string().max(200).required(),
-      city: Joi.string().max(100).required(),
-      state: Joi.string().max(100),
-      zipCode: Joi.string().max(20),
-      country: Joi.string().max(100).default('Rwanda'),
-    }),
+    // A saved address id (signed-in users only) or a full address. The
+    // address fields may still be sent inline, as the endpoint first took them.
+    updateShipping: shippingAddress
+      .fork(['name', 'phone', 'street', 'city'], field => field.optional())
+      .keys({
+        shippingAddress: Joi.alternatives().try(baseSchemas.objectId, shippingAddress),
+      })
+      .xor('shippingAddress', 'street')
+      .with('street', ['name', 'phone', 'city'])
+      .without('shippingAddress', ['name', 'phone', 'street', 'city', 'state', 'zipCode']),
   },
 
   // Order schemas
   order: {
     create: Joi.object({
       cartId: baseSchemas.objectId,
-      shippingAddress: Joi.object({
-        name: Joi.string().min(2).max(100).trim().required(),
-        phone: baseSchemas.phone.required(),
-        street: Joi.string().max(200).required(),
-        city: Joi.string().max(100).required(),
-        state: Joi.string().max(100),
-        zipCode: Joi.string().max(20),
-        country: Joi.string().max(100).default('Rwanda'),
-      }).required(),
-      billingAddress: Joi.object({
-        name: Joi.string().min(2).max(100).trim().required(),
-        email: baseSchemas.email.required(),
-        phone: baseSchemas.phone,
-        street: Joi.string().max(200).required(),
-        city: Joi.string().max(100).required(),
-        state: Joi.string().max(100),
-        zipCode: Joi.string().max(20),
-        country: Joi.string().max(100).default('Rwanda'),
-      }),
+      // Saved address ids or full addresses. Shipping falls back to the
+      // cart's address, then the default shipping address.
+      shippingAddress: Joi.alternatives().try(baseSchemas.objectId, shippingAddress),
+      billingAddress: Joi.alternatives().try(baseSchemas.objectId, billingAddress),
       paymentMethod: Joi.string().valid('STRIPE', 'PAYPAL', 'BANK_TRANSFER', 'CASH_ON_DELIVERY').required(),
       notes: Joi.string().max(500),
     }),
@@ -269,12 +478,276 @@ export const schemas = {
     }),
   },
 
+  // API key schemas
+  apiKey: {
+    create: Joi.object({
+      name: Joi.string().min(2).max(100).trim().required(),
+      scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+      expiresAt: Joi.date().iso().greater('now'),
+      merchantId: Joi.string(),
+    }),
+
+    rotate: Joi.object({
+      gracePeriodMinutes: Joi.number().integer().min(0).max(7 * 24 * 60),
+      merchantId: Joi.string(),
+    }),
+  },
+
+  // Merchant team schemas
+  merchantTeam: {
+    invite: Joi.object({
+      email: Joi.string().email().lowercase().trim().required(),
+      role: Joi.string().valid(...MEMBER_ROLES).required(),
+    }),
+
+    update: Joi.object({
+      role: Joi.string().valid(...MEMBER_ROLES).required(),
+    }),
+
+    accept: Joi.object({
+      token: Joi.string().required(),
+    }),
+  },
+
+  // Merchant onboarding, order and analytics schemas
+  merchant: {
+    apply: Joi.object({
+      name: Joi.string().min(2).max(100).trim().required(),
+      slug: Joi.string().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(100),
+      description: Joi.string().max(2000),
+      logo: merchantLogo,
+      contact: merchantContact.keys({ email: baseSchemas.email.required() }).required(),
+      businessRegistration: merchantRegistration.required(),
+    }),
+
+    update: Joi.object({
+      name: Joi.string().min(2).max(100).trim(),
+      description: Joi.string().max(2000).allow(''),
+      logo: merchantLogo,
+      contact: merchantContact,
+      businessRegistration: merchantRegistration,
+    }).min(1),
+
+    orderQuery: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      sort: Joi.string().default('-createdAt'),
+      status: Joi.string(),
+    }),
+
+    fulfillment: Joi.object({
+      status: Joi.string().valid('PROCESSING', 'SHIPPED', 'DELIVERED'),
+      trackingNumber: Joi.string().max(100),
+      carrier: Joi.string().max(100),
+      estimatedDelivery: Joi.date().iso(),
+      notes: Joi.string().max(500),
+    }).min(1),
+
+    analyticsQuery: Joi.object({
+      days: Joi.number().integer().min(1).max(365).default(30),
+    }),
+  },
+
+  // Role and permission schemas
+  role: {
+    create: Joi.object({
+      name: Joi.string().pattern(/^[A-Za-z][A-Za-z0-9_]*$/).max(50).required(),
+      description: Joi.string().max(500),
+      permissions: Joi.array().items(permissionKey).unique().default([]),
+    }),
+
+    update: Joi.object({
+      description: Joi.string().max(500).allow(''),
+      permissions: Joi.array().items(permissionKey).unique(),
+    }).min(1),
+
+    permissionCreate: Joi.object({
+      key: Joi.string().pattern(/^[a-z_]+:[a-z_]+$/).required(),
+      description: Joi.string().max(500),
+    }),
+
+    userAccess: Joi.object({
+      roles: Joi.array().items(Joi.string().pattern(/^[A-Za-z][A-Za-z0-9_]*$/).max(50)).unique(),
+      permissions: Joi.array().items(permissionKey).unique(),
+    }).min(1),
+  },
+
+  // Audit log schemas
+  audit: {
+    query: auditQuery,
+
+    adminQuery: auditQuery.keys({
+      merchantId: Joi.string(),
+    }),
+
+    verifyQuery: Joi.object({
+      fromSequence: Joi.number().integer().min(1).default(1),
+      toSequence: Joi.number().integer().min(Joi.ref('fromSequence')),
+    }),
+  },
+
+  // Category tree schemas
+  category: {
+    create: Joi.object({
+      ...categoryFields,
+      name: categoryFields.name.required(),
+    }),
+
+    update: Joi.object(categoryFields).min(1),
+
+    params: Joi.object({
+      categoryId: baseSchemas.objectId.required(),
+    }),
+
+    slugParams: Joi.object({
+      slug: Joi.string().max(100).required(),
+    }),
+  },
+
+  // Review schemas (multipart, so numbers and booleans arrive as strings)
+  review: {
+    create: Joi.object({
+      productId: baseSchemas.objectId.required(),
+      orderId: baseSchemas.objectId.required(),
+      rating: Joi.number().integer().min(1).max(5).required(),
+      title: Joi.string().max(150).trim(),
+      body: Joi.string().max(5000).trim(),
+    }),
+
+    update: Joi.object({
+      rating: Joi.number().integer().min(1).max(5),
+      title: Joi.string().max(150).trim().allow(''),
+      body: Joi.string().max(5000).trim().allow(''),
+      removePhotos: Joi.array().items(baseSchemas.objectId).single(),
+    }),
+
+    reply: Joi.object({
+      body: Joi.string().min(2).max(2000).trim().required(),
+    }),
+
+    moderation: Joi.object({
+      status: Joi.string().valid('PUBLISHED', 'REJECTED').required(),
+      reason: Joi.string().max(500).when('status', { is: 'REJECTED', then: Joi.required() }),
+    }),
+
+    query: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(50).default(10),
+      sort: Joi.string().valid('-createdAt', 'createdAt', '-rating', 'rating').default('-createdAt'),
+      rating: Joi.number().integer().min(1).max(5),
+      verified: Joi.boolean(),
+      withPhotos: Joi.boolean(),
+    }),
+
+    adminQuery: Joi.object({
+      status: Joi.string().valid('PENDING', 'PUBLISHED', 'REJECTED'),
+      productId: baseSchemas.objectId,
+      merchantId: Joi.string(),
+      rating: Joi.number().integer().min(1).max(5),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+    }),
+
+    params: Joi.object({
+      reviewId: baseSchemas.objectId.required(),
+    }),
+  },
+
+  // Address book schemas
+  address: {
+    create: Joi.object({
+      ...addressBookEntry,
+      name: addressBookEntry.name.required(),
+      phone: addressBookEntry.phone.required(),
+      street: addressBookEntry.street.required(),
+      city: addressBookEntry.city.required(),
+      country: addressBookEntry.country.default('Rwanda'),
+    }),
+
+    update: Joi.object(addressBookEntry).min(1),
+
+    params: Joi.object({
+      addressId: baseSchemas.objectId.required(),
+    }),
+  },
+
+  // Personal data export and account deletion
+  account: {
+    exportRequest: Joi.object({
+      format: Joi.string().valid('json', 'zip').default('json'),
+    }),
+
+    deletionRequest: Joi.object({
+      password: Joi.string().required(),
+      confirm: Joi.string().valid('DELETE').required().messages({
+        'any.only': 'Type DELETE to confirm',
+      }),
+    }),
+  },
+
   // Admin schemas
   admin: {
-    userUpdate: Joi.object({
-      role: Joi.string().valid('BUYER', 'SELLER', 'ADMIN', 'SUPERADMIN'),
+    userQuery: Joi.object({
+      email: Joi.string().max(254),
+      role: Joi.string().valid('VISITOR', 'BUYER', 'SELLER', 'ADMIN', 'SUPER_ADMIN'),
       status: Joi.string().valid('ACTIVE', 'SUSPENDED', 'DELETED'),
       merchantId: Joi.string(),
+      sort: Joi.string().valid('createdAt', '-createdAt', 'email', '-email', 'lastLoginAt', '-lastLoginAt').default('-createdAt'),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+    }),
+
+    // Role and status changes go through their dedicated endpoints
+    userUpdate: Joi.object({
+      profile: Joi.object({
+        name: Joi.string().min(2).max(100).trim(),
+        phone: baseSchemas.phone,
+        avatar: Joi.string().uri(),
+        address: Joi.object({
+          street: Joi.string().max(200),
+          city: Joi.string().max(100),
+          state: Joi.string().max(100),
+          zipCode: Joi.string().max(20),
+          country: Joi.string().max(100),
+        }),
+      }),
+      preferences: Joi.object({
+        currency: Joi.string().length(3),
+        language: Joi.string().max(10),
+        notifications: Joi.object({
+          email: Joi.boolean(),
+          sms: Joi.boolean(),
+          push: Joi.boolean(),
+        }),
+      }),
+    }).min(1),
+
+    userSuspend: Joi.object({
+      reason: Joi.string().max(500).required(),
+    }),
+
+    impersonate: Joi.object({
+      reason: Joi.string().max(500).required(),
+      durationMinutes: Joi.number().integer().min(1).max(240),
+    }),
+
+    userRole: Joi.object({
+      role: Joi.string().valid('VISITOR', 'BUYER', 'SELLER', 'ADMIN', 'SUPER_ADMIN').required(),
+    }),
+
+    merchantQuery: Joi.object({
+      status: Joi.string().valid('PENDING', 'APPROVED', 'SUSPENDED'),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+    }),
+
+    merchantSuspend: Joi.object({
+      reason: Joi.string().max(500).required(),
+    }),
+
+    blockParams: Joi.object({
+      type: Joi.string().valid('ip', 'subnet').required(),
+      value: Joi.string().max(64).required(),
     }),
 
     salesQuery: Joi.object({
@@ -342,7 +815,8 @@ export const customValidations = {
       query._id = { $ne: excludeProductId };
     }
 
-    const existingProduct = await Product.findOne(query);
+    // Trashed products keep their SKUs until they are purged
+    const existingProduct = await Product.findOne(query).setOptions({ withDeleted: true });
     if (existingProduct) {
       throw new ValidationError(`SKU '${sku}' already exists`);
     }
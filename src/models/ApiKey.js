@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const apiKeySchema = new mongoose.Schema({
+  merchantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true, // Requests made with the key act as this user
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100,
+  },
+  prefix: {
+    type: String,
+    required: true, // Non-secret leading characters, shown in listings
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  scopes: [{
+    type: String,
+    required: true,
+  }],
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'REVOKED'],
+    default: 'ACTIVE',
+    index: true,
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIP: String,
+  usageCount: {
+    type: Number,
+    default: 0,
+  },
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+  },
+  rotatedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+apiKeySchema.index({ merchantId: 1, status: 1, createdAt: -1 });
+
+// Virtual for usability
+apiKeySchema.virtual('isUsable').get(function() {
+  if (this.status !== 'ACTIVE') {
+    return false;
+  }
+  return !this.expiresAt || this.expiresAt > Date.now();
+});
+
+// Instance methods
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+apiKeySchema.methods.recordUsage = function(ip) {
+  return this.updateOne({
+    $set: { lastUsedAt: new Date(), lastUsedIP: ip },
+    $inc: { usageCount: 1 },
+  });
+};
+
+apiKeySchema.methods.revoke = function(revokedBy) {
+  this.status = 'REVOKED';
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  return this.save();
+};
+
+apiKeySchema.methods.toJSON = function() {
+  const keyObject = this.toObject();
+
+  // Never expose the hash
+  delete keyObject.keyHash;
+
+  return keyObject;
+};
+
+// Static methods
+apiKeySchema.statics.hashKey = function(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+};
+
+apiKeySchema.statics.generateKey = function() {
+  const rawKey = `aek_${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    rawKey,
+    prefix: rawKey.substring(0, 12),
+    keyHash: this.hashKey(rawKey),
+  };
+};
+
+apiKeySchema.statics.findByRawKey = function(rawKey) {
+  return this.findOne({ keyHash: this.hashKey(rawKey) });
+};
+
+apiKeySchema.statics.findByMerchant = function(merchantId) {
+  return this.find({ merchantId }).sort({ createdAt: -1 });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
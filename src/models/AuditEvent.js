@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// previousHash of the first event in the chain
+export const GENESIS_HASH = '0'.repeat(64);
+
+const auditEventSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true, // Handed out by the auditEvents counter
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    email: String,
+    role: String,
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+    },
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Admin acting as this user
+    },
+  },
+  merchantId: {
+    type: String,
+    ref: 'Merchant',
+    index: true,
+  },
+  target: {
+    type: { type: String },
+    id: String,
+  },
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  request: {
+    method: String,
+    path: String,
+    statusCode: Number,
+    ip: String,
+    userAgent: String,
+    requestId: {
+      type: String,
+      index: true,
+    },
+  },
+  occurredAt: {
+    type: Date,
+    required: true,
+    index: true,
+  },
+  previousHash: {
+    type: String,
+    required: true,
+  },
+  hash: {
+    type: String,
+    required: true,
+  },
+}, {
+  versionKey: false,
+});
+
+// Indexes
+auditEventSchema.index({ merchantId: 1, occurredAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, occurredAt: -1 });
+
+// Append-only: stored events can't be modified or removed through the model
+const rejectMutation = function() {
+  throw new Error('Audit events are append-only');
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit events are append-only'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => auditEventSchema.pre(operation, rejectMutation));
+
+// Serialize with sorted keys so the hash doesn't depend on property order.
+// Empty values are dropped so a stored event hashes the same as the original.
+const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => canonicalize(item) ?? null);
+  }
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).sort().forEach((key) => {
+      const canonical = canonicalize(value[key]);
+      if (canonical !== undefined) {
+        result[key] = canonical;
+      }
+    });
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+  return value;
+};
+
+// Static methods
+auditEventSchema.statics.computeHash = function(event) {
+  const payload = canonicalize({
+    sequence: event.sequence,
+    action: event.action,
+    actor: event.actor,
+    merchantId: event.merchantId,
+    target: event.target,
+    changes: event.changes,
+    request: event.request,
+    occurredAt: event.occurredAt,
+    previousHash: event.previousHash,
+  });
+
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+};
+
+auditEventSchema.statics.findLatest = function() {
+  return this.findOne().sort({ sequence: -1 }).select('sequence hash');
+};
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+export default AuditEvent;
@@ -67,6 +67,7 @@ const cartSchema = new mongoose.Schema({
   },
   merchantId: {
     type: String,
+    ref: 'Merchant',
     required: true,
     index: true, // Carts are merchant-specific
   },
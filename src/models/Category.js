@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// Denormalized so breadcrumbs don't need a lookup per level
+const ancestorSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true,
+  },
+  name: String,
+  slug: String,
+}, { _id: false });
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100,
+  },
+  // Products reference categories by slug (Product.categories)
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    maxLength: 2000,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  ancestors: [ancestorSchema], // Root first, parent last
+  order: {
+    type: Number,
+    default: 0,
+  },
+  image: {
+    url: String,
+    alt: String,
+  },
+  seo: {
+    metaTitle: String,
+    metaDescription: String,
+    keywords: [String],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+}, {
+  timestamps: true,
+});
+
+categorySchema.index({ parent: 1, order: 1, name: 1 });
+categorySchema.index({ 'ancestors._id': 1 });
+
+// Virtual for breadcrumbs, root first and ending with this category
+categorySchema.virtual('breadcrumbs').get(function() {
+  return [
+    ...this.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+    { _id: this._id, name: this.name, slug: this.slug },
+  ];
+});
+
+// Instance methods
+categorySchema.methods.isDescendantOf = function(categoryId) {
+  return this.ancestors.some(ancestor => ancestor._id.equals(categoryId));
+};
+
+// Static methods
+categorySchema.statics.findDescendants = function(categoryId, filter = {}) {
+  return this.find({ 'ancestors._id': categoryId, ...filter });
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Named sequences that hand out numbers atomically
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Sequence name
+  },
+  sequence: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  versionKey: false,
+});
+
+// Next number in the sequence, or null if it hasn't been started
+counterSchema.statics.increment = function(name) {
+  return this.findOneAndUpdate({ _id: name }, { $inc: { sequence: 1 } }, { new: true });
+};
+
+// Start a sequence at the given number unless it already exists
+counterSchema.statics.start = function(name, sequence) {
+  return this.updateOne({ _id: name }, { $setOnInsert: { sequence } }, { upsert: true });
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -8,6 +8,7 @@ const dailySalesSchema = new mongoose.Schema({
   },
   merchantId: {
     type: String,
+    ref: 'Merchant',
     required: true,
     index: true,
   },
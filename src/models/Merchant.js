@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+
+const addressSchema = new mongoose.Schema({
+  street: String,
+  city: String,
+  state: String,
+  zipCode: String,
+  country: { type: String, default: 'Rwanda' },
+}, { _id: false });
+
+const merchantSchema = new mongoose.Schema({
+  // String ids so existing `merchantId` values on products and orders stay valid
+  _id: {
+    type: String,
+    default: () => new mongoose.Types.ObjectId().toString(),
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    maxLength: 2000,
+  },
+  logo: {
+    url: String,
+    alt: String,
+  },
+  contact: {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    phone: String,
+    website: String,
+    address: addressSchema,
+  },
+  businessRegistration: {
+    legalName: String,
+    registrationNumber: String,
+    taxId: String,
+    country: String,
+    documents: [{
+      type: { type: String }, // e.g. CERTIFICATE, TAX_CLEARANCE
+      url: String,
+      uploadedAt: { type: Date, default: Date.now },
+    }],
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'SUSPENDED'],
+    default: 'PENDING',
+    index: true,
+  },
+  statusReason: String,
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  approvedAt: Date,
+  suspendedAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Indexes
+merchantSchema.index({ status: 1, createdAt: -1 });
+
+// Pre-validate middleware
+merchantSchema.pre('validate', function(next) {
+  // Generate slug if not provided
+  if (!this.slug && this.name) {
+    this.slug = this.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/(^-|-$)/g, '');
+  }
+  next();
+});
+
+// Instance methods
+merchantSchema.methods.approve = function(reviewedBy) {
+  this.status = 'APPROVED';
+  this.statusReason = undefined;
+  this.reviewedBy = reviewedBy;
+  this.approvedAt = this.approvedAt || new Date();
+  this.suspendedAt = undefined;
+  return this.save();
+};
+
+merchantSchema.methods.suspend = function(reason, reviewedBy) {
+  this.status = 'SUSPENDED';
+  this.statusReason = reason;
+  this.reviewedBy = reviewedBy;
+  this.suspendedAt = new Date();
+  return this.save();
+};
+
+merchantSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    slug: this.slug,
+    description: this.description,
+    logo: this.logo,
+    website: this.contact?.website,
+  };
+};
+
+// Static methods
+merchantSchema.statics.findBySlug = function(slug) {
+  return this.findOne({ slug: slug.toLowerCase() });
+};
+
+merchantSchema.statics.findSuspendedIds = function() {
+  return this.distinct('_id', { status: 'SUSPENDED' });
+};
+
+merchantSchema.statics.isSuspended = async function(merchantId) {
+  return !!(await this.exists({ _id: merchantId, status: 'SUSPENDED' }));
+};
+
+const Merchant = mongoose.model('Merchant', merchantSchema);
+
+export default Merchant;
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const MEMBER_ROLES = ['OWNER', 'MANAGER', 'FULFILLMENT', 'ANALYST'];
+
+// Which member roles may use each merchant area
+export const MEMBER_ROLE_ACCESS = {
+  products: ['OWNER', 'MANAGER'],
+  orders: ['OWNER', 'MANAGER', 'FULFILLMENT'],
+  analytics: ['OWNER', 'MANAGER', 'ANALYST'],
+  team: ['OWNER', 'MANAGER'],
+  store: ['OWNER', 'MANAGER'],
+  audit: ['OWNER', 'MANAGER'],
+  apiKeys: ['OWNER', 'MANAGER'],
+};
+
+const merchantMemberSchema = new mongoose.Schema({
+  merchantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Set once the invitation is accepted
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['INVITED', 'ACTIVE', 'REMOVED'],
+    default: 'INVITED',
+    index: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  inviteTokenHash: String,
+  inviteExpiresAt: Date,
+  acceptedAt: Date,
+  removedAt: Date,
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+merchantMemberSchema.index({ merchantId: 1, userId: 1, status: 1 });
+merchantMemberSchema.index({ merchantId: 1, email: 1, status: 1 });
+merchantMemberSchema.index({ userId: 1, status: 1 });
+merchantMemberSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+
+// Virtual for invitation usability
+merchantMemberSchema.virtual('isInvitePending').get(function() {
+  return this.status === 'INVITED' && this.inviteExpiresAt > Date.now();
+});
+
+// Instance methods
+merchantMemberSchema.methods.canAccess = function(area) {
+  return this.status === 'ACTIVE' && (MEMBER_ROLE_ACCESS[area] || []).includes(this.role);
+};
+
+merchantMemberSchema.methods.accept = function(userId) {
+  this.userId = userId;
+  this.status = 'ACTIVE';
+  this.acceptedAt = new Date();
+  this.inviteTokenHash = undefined;
+  this.inviteExpiresAt = undefined;
+  return this.save();
+};
+
+merchantMemberSchema.methods.markRemoved = function(removedBy) {
+  this.status = 'REMOVED';
+  this.removedAt = new Date();
+  this.removedBy = removedBy;
+  this.inviteTokenHash = undefined;
+  return this.save();
+};
+
+merchantMemberSchema.methods.toJSON = function() {
+  const memberObject = this.toObject();
+
+  // Never expose the invitation token hash
+  delete memberObject.inviteTokenHash;
+
+  return memberObject;
+};
+
+// Static methods
+merchantMemberSchema.statics.hashToken = function(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+};
+
+merchantMemberSchema.statics.generateInviteToken = function() {
+  const rawToken = crypto.randomBytes(32).toString('base64url');
+  return { rawToken, tokenHash: this.hashToken(rawToken) };
+};
+
+merchantMemberSchema.statics.findByInviteToken = function(rawToken) {
+  return this.findOne({ inviteTokenHash: this.hashToken(rawToken), status: 'INVITED' });
+};
+
+merchantMemberSchema.statics.findMembership = function(merchantId, userId) {
+  return this.findOne({ merchantId, userId, status: 'ACTIVE' });
+};
+
+merchantMemberSchema.statics.findByMerchant = function(merchantId) {
+  return this.find({ merchantId, status: { $ne: 'REMOVED' } })
+    .populate('userId', 'email profile.name')
+    .sort({ createdAt: 1 });
+};
+
+merchantMemberSchema.statics.countOwners = function(merchantId) {
+  return this.countDocuments({ merchantId, role: 'OWNER', status: 'ACTIVE' });
+};
+
+/**
+ * Resolve a user's member role for a merchant. Sellers whose User.merchantId
+ * predates teams become the owner of that merchant on first use.
+ */
+merchantMemberSchema.statics.resolveRole = async function(merchantId, user) {
+  const membership = await this.findMembership(merchantId, user._id);
+  if (membership) {
+    return membership.role;
+  }
+  if (!user.merchantId || user.merchantId !== merchantId) {
+    return null;
+  }
+
+  await this.updateOne(
+    { merchantId, userId: user._id, status: 'ACTIVE' },
+    { $setOnInsert: { email: user.email, role: 'OWNER', acceptedAt: new Date() } },
+    { upsert: true },
+  );
+  return 'OWNER';
+};
+
+const MerchantMember = mongoose.model('MerchantMember', merchantMemberSchema);
+
+export default MerchantMember;
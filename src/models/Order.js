@@ -34,6 +34,12 @@ const orderItemSchema = new mongoose.Schema({
     type: Map,
     of: String,
   },
+  // Bundle contents at checkout, per bundle; stock is held per component
+  components: [{
+    _id: false,
+    sku: String,
+    quantity: Number,
+  }],
   refunded: {
     quantity: { type: Number, default: 0 },
     amount: { type: Number, default: 0 },
@@ -77,6 +83,7 @@ const orderSchema = new mongoose.Schema({
   },
   merchantId: {
     type: String,
+    ref: 'Merchant',
     required: true,
     index: true,
   },
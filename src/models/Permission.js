@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const permissionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z_]+:[a-z_]+$/, // action:resource
+  },
+  description: {
+    type: String,
+    maxLength: 500,
+  },
+}, {
+  timestamps: true,
+});
+
+// Virtuals for the two halves of the key
+permissionSchema.virtual('action').get(function() {
+  return this.key.split(':')[0];
+});
+
+permissionSchema.virtual('resource').get(function() {
+  return this.key.split(':')[1];
+});
+
+const Permission = mongoose.model('Permission', permissionSchema);
+
+export default Permission;
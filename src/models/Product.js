@@ -1,5 +1,33 @@
 import mongoose from 'mongoose';
 
+// A SKU that goes into a bundle, and how many of it per bundle
+const componentSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1,
+  },
+}, { _id: false });
+
+// An option axis such as size or color; variants carry one value of each
+// axis in their attributes
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  values: [{
+    type: String,
+    trim: true,
+  }],
+}, { _id: false });
+
 const variantSchema = new mongoose.Schema({
   sku: {
     type: String,
@@ -38,6 +66,8 @@ const variantSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Bundle variants only; their stock is computed from the components
+  components: [componentSchema],
 }, { _id: true });
 
 const imageSchema = new mongoose.Schema({
@@ -62,6 +92,7 @@ const imageSchema = new mongoose.Schema({
 const productSchema = new mongoose.Schema({
   merchantId: {
     type: String,
+    ref: 'Merchant',
     required: true,
     index: true,
   },
@@ -86,7 +117,13 @@ const productSchema = new mongoose.Schema({
     type: String,
     maxLength: 500,
   },
-  categories: [{
+  type: {
+    type: String,
+    enum: ['STANDARD', 'BUNDLE'],
+    default: 'STANDARD',
+    index: true,
+  },
+  categories: [{ // Category slugs
     type: String,
     required: true,
     index: true,
@@ -95,6 +132,7 @@ const productSchema = new mongoose.Schema({
     type: String,
     lowercase: true,
   }],
+  options: [optionSchema],
   variants: [variantSchema],
   images: [imageSchema],
   specifications: {
@@ -134,10 +172,30 @@ const productSchema = new mongoose.Schema({
     rating: {
       average: { type: Number, default: 0, min: 0, max: 5 },
       count: { type: Number, default: 0 },
+      // Published reviews per star; recalculated by the review worker
+      histogram: {
+        1: { type: Number, default: 0 },
+        2: { type: Number, default: 0 },
+        3: { type: Number, default: 0 },
+        4: { type: Number, default: 0 },
+        5: { type: Number, default: 0 },
+      },
     },
   },
   publishedAt: Date,
   archivedAt: Date,
+  // Scheduled status changes, applied by the product worker and then cleared
+  publishAt: Date, // DRAFT -> ACTIVE
+  unpublishAt: Date, // ACTIVE -> ARCHIVED
+  // Trash: set when the product is deleted, cleared when it is restored
+  deletedAt: {
+    type: Date,
+    index: true,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
 }, {
   timestamps: true,
 });
@@ -150,6 +208,8 @@ productSchema.index({ featured: 1, status: 1 });
 productSchema.index({ status: 1, createdAt: -1 });
 productSchema.index({ 'analytics.sales': -1 });
 productSchema.index({ 'analytics.rating.average': -1 });
+productSchema.index({ status: 1, publishAt: 1 }, { partialFilterExpression: { publishAt: { $exists: true } } });
+productSchema.index({ status: 1, unpublishAt: 1 }, { partialFilterExpression: { unpublishAt: { $exists: true } } });
 
 // Text index for search
 productSchema.index(
@@ -236,6 +296,31 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Trashed products are left out of every query that doesn't ask for them,
+// either by filtering on deletedAt or with setOptions({ withDeleted: true })
+const TRASH_FILTERED_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+productSchema.pre(TRASH_FILTERED_QUERIES, function(next) {
+  if (!this.getOptions().withDeleted && !('deletedAt' in this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+// Merged into a leading $match, since a $text stage has to come first
+productSchema.pre('aggregate', function(next) {
+  if (this.options.withDeleted) {
+    return next();
+  }
+  const [first] = this.pipeline();
+  if (!first?.$match) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  } else if (!('deletedAt' in first.$match)) {
+    this.pipeline()[0] = { ...first, $match: { ...first.$match, deletedAt: null } };
+  }
+  next();
+});
+
 // Instance methods
 productSchema.methods.incrementViews = function() {
   return this.updateOne({ $inc: { 'analytics.views': 1 } });
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const productRevisionSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  merchantId: {
+    type: String,
+    ref: 'Merchant',
+    required: true,
+    index: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // BASELINE is the state of a product that predates revision history
+  action: {
+    type: String,
+    enum: ['BASELINE', 'CREATE', 'UPDATE', 'VARIANT', 'IMAGES', 'STATUS', 'IMPORT', 'RESTORE'],
+    required: true,
+  },
+  // Catalogue content of the product after the change
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  changedFields: [String],
+  author: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    email: String,
+  },
+  restoredFrom: Number, // Version a RESTORE revision copied
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+});
+
+// Versions are numbered per product; concurrent writers retry on a duplicate
+productRevisionSchema.index({ productId: 1, version: -1 }, { unique: true });
+
+// Static methods
+productRevisionSchema.statics.findLatest = function(productId) {
+  return this.findOne({ productId }).sort({ version: -1 });
+};
+
+productRevisionSchema.statics.findVersion = function(productId, version) {
+  return this.findOne({ productId, version });
+};
+
+const ProductRevision = mongoose.model('ProductRevision', productRevisionSchema);
+
+export default ProductRevision;
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+const photoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  alt: String,
+}, { _id: true });
+
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true,
+  },
+  merchantId: {
+    type: String,
+    ref: 'Merchant',
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  sku: String,
+  // Display name at the time of writing, so listings don't need the user
+  author: {
+    name: String,
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxLength: 150,
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxLength: 5000,
+  },
+  photos: [photoSchema],
+  verifiedPurchase: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'PUBLISHED', 'REJECTED'],
+    default: 'PUBLISHED',
+    index: true,
+  },
+  moderation: {
+    reason: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: Date,
+  },
+  reply: {
+    body: String,
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    repliedAt: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// One review per product per customer; editing replaces it
+reviewSchema.index({ userId: 1, productId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ productId: 1, status: 1, rating: -1 });
+
+// Instance methods
+reviewSchema.methods.isAuthor = function(userId) {
+  return this.userId.equals(userId);
+};
+
+// Hide moderation notes from the public
+reviewSchema.methods.toPublicJSON = function() {
+  const review = this.toJSON();
+  delete review.moderation;
+  delete review.userId;
+  delete review.orderId;
+  return review;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z][A-Z0-9_]*$/,
+  },
+  description: {
+    type: String,
+    maxLength: 500,
+  },
+  permissions: [{
+    type: String, // "action:resource", "action:*" or "*"
+    trim: true,
+  }],
+  isSystem: {
+    type: Boolean,
+    default: false, // System roles mirror User.role values and cannot be deleted
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Static methods
+roleSchema.statics.findByName = function(name) {
+  return this.findOne({ name: name.toUpperCase() });
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
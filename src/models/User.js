@@ -1,6 +1,24 @@
 import mongoose from 'mongoose';
 import argon2 from 'argon2';
 
+// Address book entry; orders and carts copy the fields rather than referencing them
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true, // e.g. "Home", "Office"
+  },
+  name: { type: String, required: true, trim: true },
+  phone: { type: String, required: true },
+  email: { type: String, lowercase: true, trim: true }, // Billing contact; defaults to the account email
+  street: { type: String, required: true },
+  city: { type: String, required: true },
+  state: String,
+  zipCode: String,
+  country: { type: String, default: 'Rwanda' },
+  isDefaultShipping: { type: Boolean, default: false },
+  isDefaultBilling: { type: Boolean, default: false },
+}, { _id: true, timestamps: true });
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -42,11 +60,22 @@ const userSchema = new mongoose.Schema({
       country: { type: String, default: 'Rwanda' },
     },
   },
+  addresses: [addressSchema],
   merchantId: {
     type: String,
+    ref: 'Merchant',
     index: true,
     sparse: true, // Only sellers have merchantId
   },
+  // Access granted on top of the base role (e.g. support staff)
+  roles: [{
+    type: String,
+    uppercase: true,
+  }],
+  permissions: [{
+    type: String,
+    trim: true,
+  }],
   preferences: {
     currency: { type: String, default: 'RWF' },
     language: { type: String, default: 'en' },
@@ -64,8 +93,12 @@ const userSchema = new mongoose.Schema({
     },
     phone: {
       verified: { type: Boolean, default: false },
-      token: String,
+      number: String, // Number the code was sent to
+      token: String, // HMAC of the one-time code
       expiresAt: Date,
+      attempts: { type: Number, default: 0 },
+      sentAt: Date,
+      verifiedAt: Date,
     },
   },
   security: {
@@ -73,14 +106,30 @@ const userSchema = new mongoose.Schema({
     lockUntil: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
+    passwordResetRequired: { type: Boolean, default: false }, // Set by an admin; blocks sign-in until reset
     twoFactorEnabled: { type: Boolean, default: false },
     twoFactorSecret: String,
+    twoFactorRecoveryCodes: [String], // sha256 hashes, removed once used
+    twoFactorEnabledAt: Date,
   },
   status: {
     type: String,
     enum: ['ACTIVE', 'SUSPENDED', 'DELETED'],
     default: 'ACTIVE',
   },
+  statusReason: String,
+  statusChangedAt: Date,
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Self-service account deletion; PII is anonymized once scheduledFor passes
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    cancelledAt: Date,
+    completedAt: Date,
+  },
   lastLoginAt: Date,
   lastLoginIP: String,
   lastLoginAgent : String
@@ -93,6 +142,7 @@ userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ role: 1 });
 userSchema.index({ merchantId: 1 }, { sparse: true });
 userSchema.index({ status: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 userSchema.index({ createdAt: -1 });
 
 // Virtual for account lock status
@@ -162,9 +212,46 @@ userSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+userSchema.methods.getAddress = function(addressId) {
+  return this.addresses.id(addressId);
+};
+
+// type is 'shipping' or 'billing'
+userSchema.methods.getDefaultAddress = function(type) {
+  const flag = type === 'billing' ? 'isDefaultBilling' : 'isDefaultShipping';
+  return this.addresses.find(address => address[flag]);
+};
+
+// Make `address` the only default of the given type
+userSchema.methods.setDefaultAddress = function(address, type) {
+  const flag = type === 'billing' ? 'isDefaultBilling' : 'isDefaultShipping';
+  this.addresses.forEach((entry) => {
+    entry[flag] = entry._id.equals(address._id);
+  });
+};
+
+// Plain copy of a saved address (or address id) in the shape orders and carts store
+userSchema.methods.addressSnapshot = function(addressOrId, type) {
+  const address = typeof addressOrId === 'string' ? this.getAddress(addressOrId) : addressOrId;
+  if (!address) {
+    return null;
+  }
+
+  const { name, phone, street, city, state, zipCode, country } = address;
+  const snapshot = { name, phone, street, city, state, zipCode, country };
+  if (type === 'billing') {
+    snapshot.email = address.email || this.email;
+  }
+  return snapshot;
+};
+
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   
+  // Expose verification state without the tokens
+  userObject.emailVerified = !!this.verification?.email?.verified;
+  userObject.phoneVerified = !!this.verification?.phone?.verified;
+
   // Remove sensitive fields
   delete userObject.passwordHash;
   delete userObject.security;
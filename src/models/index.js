@@ -4,4 +4,14 @@ export { default as Product } from './Product.js';
 export { default as Cart } from './Cart.js';
 export { default as Order } from './Order.js';
 export { default as Idempotency } from './Idempotency.js';
-export { default as DailySales } from './DailySales.js';
\ No newline at end of file
+export { default as DailySales } from './DailySales.js';
+export { default as ApiKey } from './ApiKey.js';
+export { default as Role } from './Role.js';
+export { default as Permission } from './Permission.js';
+export { default as MerchantMember } from './MerchantMember.js';
+export { default as Merchant } from './Merchant.js';
+export { default as AuditEvent } from './AuditEvent.js';
+export { default as Counter } from './Counter.js';
+export { default as Category } from './Category.js';
+export { default as Review } from './Review.js';
+export { default as ProductRevision } from './ProductRevision.js';
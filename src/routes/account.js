@@ -0,0 +1,84 @@
+import express from 'express';
+import Joi from 'joi';
+import { authenticate, rejectApiKey, blockImpersonation } from '../middleware/auth.js';
+import { validate, validateParams, schemas } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/error.js';
+import { activityLogger } from '../middleware/logging.js';
+import AccountController from '../controllers/AccountController.js';
+import AddressController from '../controllers/AddressController.js';
+
+const router = express.Router();
+
+router.use(rejectApiKey, authenticate);
+
+// Address book
+router.get('/addresses',
+  asyncHandler(AddressController.listAddresses),
+);
+
+router.post('/addresses',
+  validate(schemas.address.create),
+  activityLogger('address_create'),
+  asyncHandler(AddressController.createAddress),
+);
+
+router.get('/addresses/:addressId',
+  validateParams(schemas.address.params),
+  asyncHandler(AddressController.getAddress),
+);
+
+router.patch('/addresses/:addressId',
+  validateParams(schemas.address.params),
+  validate(schemas.address.update),
+  activityLogger('address_update'),
+  asyncHandler(AddressController.updateAddress),
+);
+
+router.delete('/addresses/:addressId',
+  validateParams(schemas.address.params),
+  activityLogger('address_delete'),
+  asyncHandler(AddressController.deleteAddress),
+);
+
+// Only the account holder themselves can export or delete their data
+router.use(['/export', '/deletion'], blockImpersonation);
+
+const exportParams = Joi.object({
+  exportId: Joi.string().uuid().required(),
+});
+
+// Personal data export
+router.post('/export',
+  validate(schemas.account.exportRequest),
+  activityLogger('data_export_request'),
+  asyncHandler(AccountController.requestExport),
+);
+
+router.get('/export/:exportId',
+  validateParams(exportParams),
+  asyncHandler(AccountController.getExport),
+);
+
+router.get('/export/:exportId/download',
+  validateParams(exportParams),
+  activityLogger('data_export_download'),
+  asyncHandler(AccountController.downloadExport),
+);
+
+// Account deletion
+router.get('/deletion',
+  asyncHandler(AccountController.getDeletion),
+);
+
+router.post('/deletion',
+  validate(schemas.account.deletionRequest),
+  activityLogger('account_deletion_request'),
+  asyncHandler(AccountController.requestDeletion),
+);
+
+router.delete('/deletion',
+  activityLogger('account_deletion_cancel'),
+  asyncHandler(AccountController.cancelDeletion),
+);
+
+export default router;
@@ -1,34 +1,107 @@
 import express from 'express';
 import Joi from 'joi';
-import { authenticate, authorize } from '../middleware/auth.js';
-import { validate, validateQuery, schemas } from '../middleware/validation.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, validateQuery, validateParams, schemas } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/error.js';
+import { activityLogger } from '../middleware/logging.js';
 import AdminController from '../controllers/AdminController.js';
+import RoleController from '../controllers/RoleController.js';
+import AuditController from '../controllers/AuditController.js';
+import CategoryController from '../controllers/CategoryController.js';
+import ReviewController from '../controllers/ReviewController.js';
 
 const router = express.Router();
 
+// User management
 router.get('/users',
   authenticate,
-  authorize('admin', 'superadmin'),
+  requirePermission('read:users'),
+  validateQuery(schemas.admin.userQuery),
   asyncHandler(AdminController.listUsers)
 );
 
+router.get('/users/:id',
+  authenticate,
+  requirePermission('read:users'),
+  asyncHandler(AdminController.getUser),
+);
+
 router.put('/users/:id',
   authenticate,
-  authorize('admin', 'superadmin'),
+  requirePermission('update:users'),
   validate(schemas.admin.userUpdate),
+  activityLogger('admin_user_update'),
   asyncHandler(AdminController.updateUser)
 );
 
+router.post('/users/:id/suspend',
+  authenticate,
+  requirePermission('update:users'),
+  validate(schemas.admin.userSuspend),
+  activityLogger('admin_user_suspend'),
+  asyncHandler(AdminController.suspendUser),
+);
+
+router.post('/users/:id/reactivate',
+  authenticate,
+  requirePermission('update:users'),
+  activityLogger('admin_user_reactivate'),
+  asyncHandler(AdminController.reactivateUser),
+);
+
+router.put('/users/:id/role',
+  authenticate,
+  requirePermission('update:roles'),
+  validate(schemas.admin.userRole),
+  activityLogger('admin_user_role_change'),
+  asyncHandler(AdminController.changeUserRole),
+);
+
+router.post('/users/:id/force-password-reset',
+  authenticate,
+  requirePermission('update:users'),
+  activityLogger('admin_user_force_password_reset'),
+  asyncHandler(AdminController.forcePasswordReset),
+);
+
+router.post('/users/:id/unlock',
+  authenticate,
+  requirePermission('update:users'),
+  activityLogger('admin_user_unlock'),
+  asyncHandler(AdminController.unlockUser),
+);
+
+// Impersonation
+router.post('/users/:id/impersonate',
+  authenticate,
+  requirePermission('impersonate:users'),
+  validate(schemas.admin.impersonate),
+  activityLogger('admin_impersonation_start'),
+  asyncHandler(AdminController.impersonateUser),
+);
+
+router.get('/impersonations',
+  authenticate,
+  requirePermission('impersonate:users'),
+  asyncHandler(AdminController.listImpersonations),
+);
+
+router.delete('/impersonations/:impersonationId',
+  authenticate,
+  requirePermission('impersonate:users'),
+  activityLogger('admin_impersonation_end'),
+  asyncHandler(AdminController.endImpersonation),
+);
+
 router.get('/orders',
   authenticate,
-  authorize('admin', 'superadmin'),
+  requirePermission('read:orders'),
   asyncHandler(AdminController.listAllOrders)
 );
 
 router.get('/analytics',
   authenticate,
-  authorize('admin', 'superadmin'),
+  requirePermission('read:analytics'),
   validateQuery(Joi.object({
     merchantId: Joi.string().required(),
     startDate: Joi.date().iso(),
@@ -39,11 +112,196 @@ router.get('/analytics',
 
 router.get('/sales',
   authenticate,
-  authorize('admin', 'superadmin'),
+  requirePermission('read:sales'),
   validateQuery(schemas.admin.salesQuery.keys({ merchantId: Joi.string().required() })),
   asyncHandler(AdminController.sales)
 );
 
-export default router;
+// Merchant onboarding review
+router.get('/merchants',
+  authenticate,
+  requirePermission('read:merchants'),
+  validateQuery(schemas.admin.merchantQuery),
+  asyncHandler(AdminController.listMerchants),
+);
+
+router.post('/merchants/:merchantId/approve',
+  authenticate,
+  requirePermission('update:merchants'),
+  activityLogger('merchant_approve'),
+  asyncHandler(AdminController.approveMerchant),
+);
+
+router.post('/merchants/:merchantId/suspend',
+  authenticate,
+  requirePermission('update:merchants'),
+  validate(schemas.admin.merchantSuspend),
+  activityLogger('merchant_suspend'),
+  asyncHandler(AdminController.suspendMerchant),
+);
+
+// Category tree
+router.get('/categories',
+  authenticate,
+  requirePermission('read:categories'),
+  asyncHandler(CategoryController.listCategories),
+);
+
+router.post('/categories',
+  authenticate,
+  requirePermission('create:categories'),
+  validate(schemas.category.create),
+  activityLogger('category_create'),
+  asyncHandler(CategoryController.createCategory),
+);
+
+router.get('/categories/:categoryId',
+  authenticate,
+  requirePermission('read:categories'),
+  validateParams(schemas.category.params),
+  asyncHandler(CategoryController.getCategory),
+);
+
+router.patch('/categories/:categoryId',
+  authenticate,
+  requirePermission('update:categories'),
+  validateParams(schemas.category.params),
+  validate(schemas.category.update),
+  activityLogger('category_update'),
+  asyncHandler(CategoryController.updateCategory),
+);
+
+router.delete('/categories/:categoryId',
+  authenticate,
+  requirePermission('delete:categories'),
+  validateParams(schemas.category.params),
+  activityLogger('category_delete'),
+  asyncHandler(CategoryController.deleteCategory),
+);
 
+// Review moderation
+router.get('/reviews',
+  authenticate,
+  requirePermission('read:reviews'),
+  validateQuery(schemas.review.adminQuery),
+  asyncHandler(ReviewController.listReviews),
+);
+
+router.patch('/reviews/:reviewId/moderation',
+  authenticate,
+  requirePermission('update:reviews'),
+  validateParams(schemas.review.params),
+  validate(schemas.review.moderation),
+  activityLogger('review_moderate'),
+  asyncHandler(ReviewController.moderateReview),
+);
+
+// Brute-force protection blocks (subnet values contain a slash, so URL-encode them)
+router.get('/security/blocks',
+  authenticate,
+  requirePermission('read:security_blocks'),
+  asyncHandler(AdminController.listBlocks),
+);
+
+router.delete('/security/blocks',
+  authenticate,
+  requirePermission('delete:security_blocks'),
+  activityLogger('security_blocks_clear'),
+  asyncHandler(AdminController.clearAllBlocks),
+);
+
+router.delete('/security/blocks/:type/:value',
+  authenticate,
+  requirePermission('delete:security_blocks'),
+  validateParams(schemas.admin.blockParams),
+  activityLogger('security_block_clear'),
+  asyncHandler(AdminController.clearBlock),
+);
+
+// Audit log
+router.get('/audit-events',
+  authenticate,
+  requirePermission('read:audit_events'),
+  validateQuery(schemas.audit.adminQuery),
+  asyncHandler(AuditController.listEvents),
+);
+
+router.get('/audit-events/export',
+  authenticate,
+  requirePermission('read:audit_events'),
+  validateQuery(schemas.audit.adminQuery),
+  asyncHandler(AuditController.exportEvents),
+);
+
+router.get('/audit-events/verify',
+  authenticate,
+  requirePermission('read:audit_events'),
+  validateQuery(schemas.audit.verifyQuery),
+  asyncHandler(AuditController.verifyChain),
+);
+
+// Roles and permissions
+router.get('/roles',
+  authenticate,
+  requirePermission('read:roles'),
+  asyncHandler(RoleController.listRoles),
+);
 
+router.get('/roles/:name',
+  authenticate,
+  requirePermission('read:roles'),
+  asyncHandler(RoleController.getRole),
+);
+
+router.post('/roles',
+  authenticate,
+  requirePermission('create:roles'),
+  validate(schemas.role.create),
+  activityLogger('role_create'),
+  asyncHandler(RoleController.createRole),
+);
+
+router.put('/roles/:name',
+  authenticate,
+  requirePermission('update:roles'),
+  validate(schemas.role.update),
+  activityLogger('role_update'),
+  asyncHandler(RoleController.updateRole),
+);
+
+router.delete('/roles/:name',
+  authenticate,
+  requirePermission('delete:roles'),
+  activityLogger('role_delete'),
+  asyncHandler(RoleController.deleteRole),
+);
+
+router.get('/permissions',
+  authenticate,
+  requirePermission('read:roles'),
+  asyncHandler(RoleController.listPermissions),
+);
+
+router.post('/permissions',
+  authenticate,
+  requirePermission('create:roles'),
+  validate(schemas.role.permissionCreate),
+  activityLogger('permission_create'),
+  asyncHandler(RoleController.createPermission),
+);
+
+router.get('/users/:id/access',
+  authenticate,
+  requirePermission('read:roles'),
+  asyncHandler(RoleController.getUserAccess),
+);
+
+router.put('/users/:id/access',
+  authenticate,
+  requirePermission('update:roles'),
+  validate(schemas.role.userAccess),
+  activityLogger('user_access_update'),
+  asyncHandler(RoleController.updateUserAccess),
+);
+
+export default router;
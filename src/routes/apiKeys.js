@@ -0,0 +1,41 @@
+import express from 'express';
+import Joi from 'joi';
+import { authenticate, authorize, authorizeMerchant, rejectApiKey, blockImpersonation } from '../middleware/auth.js';
+import { validate, validateQuery, schemas } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/error.js';
+import { activityLogger } from '../middleware/logging.js';
+import ApiKeyController from '../controllers/ApiKeyController.js';
+
+const router = express.Router();
+
+// Keys can only be managed from an interactive session, by the merchant's
+// owners and managers (merchantId in the body or query, defaulting to the seller's own)
+router.use(rejectApiKey, authenticate, authorize('seller', 'admin', 'superadmin'), authorizeMerchant('apiKeys'));
+
+router.get('/',
+  validateQuery(Joi.object({ merchantId: Joi.string() })),
+  asyncHandler(ApiKeyController.listKeys),
+);
+
+// A key outlives an impersonation, so impersonators can't mint one
+router.post('/',
+  blockImpersonation,
+  validate(schemas.apiKey.create),
+  activityLogger('api_key_create'),
+  asyncHandler(ApiKeyController.createKey),
+);
+
+router.post('/:keyId/rotate',
+  blockImpersonation,
+  validate(schemas.apiKey.rotate),
+  activityLogger('api_key_rotate'),
+  asyncHandler(ApiKeyController.rotateKey),
+);
+
+router.delete('/:keyId',
+  validateQuery(Joi.object({ merchantId: Joi.string() })),
+  activityLogger('api_key_revoke'),
+  asyncHandler(ApiKeyController.revokeKey),
+);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import Joi from 'joi';
-import { authenticate, optionalAuth, attachSession } from '../middleware/auth.js';
+import { authenticate, authenticateTwoFactorSetup, optionalAuth, attachSession, rejectApiKey, bruteForceGuard, blockImpersonation } from '../middleware/auth.js';
 import { validate, schemas } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/error.js';
 import { activityLogger } from '../middleware/logging.js';
@@ -8,24 +8,47 @@ import AuthController from '../controllers/AuthController.js';
 
 const router = express.Router();
 
+// Account management always requires an interactive session
+router.use(rejectApiKey);
+
 // Public routes
 router.post('/register',
+  bruteForceGuard('register'),
   validate(schemas.user.register),
   activityLogger('user_register'),
   asyncHandler(AuthController.register)
 );
 
 router.post('/login',
+  bruteForceGuard('login', { failuresOnly: true }),
   validate(schemas.user.login),
   activityLogger('user_login'),
   asyncHandler(AuthController.login)
 );
 
+router.post('/magic-link',
+  validate(schemas.user.magicLinkRequest),
+  activityLogger('magic_link_request'),
+  asyncHandler(AuthController.requestMagicLink),
+);
+
+router.post('/magic-link/consume',
+  validate(Joi.object({ token: Joi.string().required() })),
+  activityLogger('magic_link_login'),
+  asyncHandler(AuthController.consumeMagicLink),
+);
+
+router.post('/2fa/login',
+  validate(schemas.twoFactor.login),
+  asyncHandler(AuthController.verifyTwoFactorLogin),
+);
+
 router.post('/refresh',
   asyncHandler(AuthController.refreshToken)
 );
 
 router.post('/forgot-password',
+  bruteForceGuard('forgot-password'),
   validate(Joi.object({ email: schemas.email.required() })),
   asyncHandler(AuthController.forgotPassword)
 );
@@ -54,6 +77,7 @@ router.post('/logout',
 
 router.post('/logout-all',
   authenticate,
+  blockImpersonation,
   activityLogger('user_logout_all'),
   asyncHandler(AuthController.logoutAll)
 );
@@ -72,6 +96,7 @@ router.put('/me',
 
 router.put('/change-password',
   authenticate,
+  blockImpersonation,
   validate(schemas.user.changePassword),
   activityLogger('password_change'),
   asyncHandler(AuthController.changePassword)
@@ -82,6 +107,54 @@ router.post('/resend-verification',
   asyncHandler(AuthController.resendVerification)
 );
 
+// Phone verification
+router.post('/phone/send-code',
+  authenticate,
+  validate(schemas.user.phoneSendCode),
+  activityLogger('phone_code_send'),
+  asyncHandler(AuthController.sendPhoneCode),
+);
+
+router.post('/phone/verify',
+  authenticate,
+  validate(schemas.user.phoneVerify),
+  activityLogger('phone_verify'),
+  asyncHandler(AuthController.verifyPhoneCode),
+);
+
+// Two-factor authentication (credential changes are never allowed while impersonating)
+// Also accept the setup token issued to roles that must enroll before signing in
+router.post('/2fa/enroll',
+  authenticateTwoFactorSetup,
+  blockImpersonation,
+  activityLogger('two_factor_enroll'),
+  asyncHandler(AuthController.enrollTwoFactor),
+);
+
+router.post('/2fa/verify',
+  authenticateTwoFactorSetup,
+  blockImpersonation,
+  validate(schemas.twoFactor.verify),
+  activityLogger('two_factor_verify'),
+  asyncHandler(AuthController.verifyTwoFactorEnrollment),
+);
+
+router.post('/2fa/disable',
+  authenticate,
+  blockImpersonation,
+  validate(schemas.twoFactor.disable),
+  activityLogger('two_factor_disable'),
+  asyncHandler(AuthController.disableTwoFactor),
+);
+
+router.post('/2fa/recovery-codes',
+  authenticate,
+  blockImpersonation,
+  validate(schemas.twoFactor.verify),
+  activityLogger('two_factor_recovery_codes'),
+  asyncHandler(AuthController.regenerateRecoveryCodes),
+);
+
 // Session management
 router.get('/sessions',
   authenticate,
@@ -90,6 +163,7 @@ router.get('/sessions',
 
 router.delete('/sessions/:sessionId',
   authenticate,
+  blockImpersonation,
   asyncHandler(AuthController.revokeSession)
 );
 
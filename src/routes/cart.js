@@ -37,6 +37,11 @@ router.delete('/items/:sku',
   asyncHandler(CartController.removeItem)
 );
 
+router.put('/shipping-address',
+  validate(schemas.cart.updateShipping.keys({ merchantId: Joi.string().required() })),
+  asyncHandler(CartController.updateShippingAddress),
+);
+
 export default router;
 
 
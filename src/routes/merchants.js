@@ -0,0 +1,167 @@
+import express from 'express';
+import { authenticate, authorize, authorizeMerchant, requireScope, rejectApiKey, blockImpersonation } from '../middleware/auth.js';
+import { validate, validateQuery, schemas } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/error.js';
+import { activityLogger } from '../middleware/logging.js';
+import MerchantController from '../controllers/MerchantController.js';
+import MerchantTeamController from '../controllers/MerchantTeamController.js';
+import AuditController from '../controllers/AuditController.js';
+
+const router = express.Router();
+
+// Onboarding
+router.post('/apply',
+  rejectApiKey,
+  authenticate,
+  authorize('buyer', 'seller'),
+  validate(schemas.merchant.apply),
+  activityLogger('merchant_apply'),
+  asyncHandler(MerchantController.apply),
+);
+
+router.get('/mine',
+  rejectApiKey,
+  authenticate,
+  asyncHandler(MerchantController.listMyMerchants),
+);
+
+router.get('/store/:slug',
+  asyncHandler(MerchantController.getStorefront),
+);
+
+// Invitations can be accepted by any signed-in user the email was sent to
+router.post('/invitations/accept',
+  rejectApiKey,
+  authenticate,
+  validate(schemas.merchantTeam.accept),
+  activityLogger('merchant_invitation_accept'),
+  asyncHandler(MerchantTeamController.acceptInvitation),
+);
+
+// Store profile
+router.get('/:merchantId',
+  rejectApiKey,
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  authorizeMerchant('store'),
+  asyncHandler(MerchantController.getMerchant),
+);
+
+router.put('/:merchantId',
+  rejectApiKey,
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  authorizeMerchant('store'),
+  validate(schemas.merchant.update),
+  activityLogger('merchant_update'),
+  asyncHandler(MerchantController.updateMerchant),
+);
+
+// Team management
+router.get('/:merchantId/members',
+  rejectApiKey,
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  authorizeMerchant('team'),
+  asyncHandler(MerchantTeamController.listMembers),
+);
+
+// Membership is lasting access to the store, so it can't be granted while impersonating
+router.post('/:merchantId/members',
+  rejectApiKey,
+  authenticate,
+  blockImpersonation,
+  authorize('seller', 'admin', 'superadmin'),
+  authorizeMerchant('team'),
+  validate(schemas.merchantTeam.invite),
+  activityLogger('merchant_member_invite'),
+  asyncHandler(MerchantTeamController.inviteMember),
+);
+
+router.patch('/:merchantId/members/:memberId',
+  rejectApiKey,
+  authenticate,
+  blockImpersonation,
+  authorize('seller', 'admin', 'superadmin'),
+  authorizeMerchant('team'),
+  validate(schemas.merchantTeam.update),
+  activityLogger('merchant_member_update'),
+  asyncHandler(MerchantTeamController.updateMember),
+);
+
+router.delete('/:merchantId/members/:memberId',
+  rejectApiKey,
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  authorizeMerchant('team'),
+  activityLogger('merchant_member_remove'),
+  asyncHandler(MerchantTeamController.removeMember),
+);
+
+// Orders
+router.get('/:merchantId/orders',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('read:own_orders'),
+  authorizeMerchant('orders'),
+  validateQuery(schemas.merchant.orderQuery),
+  asyncHandler(MerchantController.listOrders),
+);
+
+router.get('/:merchantId/orders/:orderId',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('read:own_orders'),
+  authorizeMerchant('orders'),
+  asyncHandler(MerchantController.getOrder),
+);
+
+router.patch('/:merchantId/orders/:orderId/fulfillment',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('update:own_orders'),
+  authorizeMerchant('orders'),
+  validate(schemas.merchant.fulfillment),
+  activityLogger('merchant_order_fulfillment'),
+  asyncHandler(MerchantController.updateFulfillment),
+);
+
+// Analytics
+router.get('/:merchantId/analytics',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('read:own_sales'),
+  authorizeMerchant('analytics'),
+  validateQuery(schemas.merchant.analyticsQuery),
+  asyncHandler(MerchantController.analytics),
+);
+
+router.get('/:merchantId/sales',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('read:own_sales'),
+  authorizeMerchant('analytics'),
+  validateQuery(schemas.dateRange),
+  asyncHandler(MerchantController.sales),
+);
+
+// Audit log
+router.get('/:merchantId/audit-events',
+  rejectApiKey,
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  authorizeMerchant('audit'),
+  validateQuery(schemas.audit.query),
+  asyncHandler(AuditController.listMerchantEvents),
+);
+
+router.get('/:merchantId/audit-events/export',
+  rejectApiKey,
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  authorizeMerchant('audit'),
+  validateQuery(schemas.audit.query),
+  asyncHandler(AuditController.exportMerchantEvents),
+);
+
+export default router;
@@ -1,12 +1,15 @@
 import express from 'express';
 import Joi from 'joi';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, rejectApiKey } from '../middleware/auth.js';
 import { validate, schemas } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/error.js';
 import OrderController from '../controllers/OrderController.js';
 
 const router = express.Router();
 
+// Buyer checkout flows are not available to merchant API keys
+router.use(rejectApiKey);
+
 router.post('/',
   authenticate,
   validate(schemas.order.create.keys({ merchantId: Joi.string().required() })),
@@ -1,14 +1,17 @@
 import express from 'express';
 import Joi from 'joi';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, rejectApiKey, blockImpersonation } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/error.js';
 import PaymentController from '../controllers/PaymentController.js';
 
 const router = express.Router();
 
+router.use(rejectApiKey);
+
 router.post('/intent',
   authenticate,
+  blockImpersonation,
   validate(Joi.object({
     orderId: Joi.string().required(),
     paymentMethodId: Joi.string(),
@@ -18,6 +21,7 @@ router.post('/intent',
 
 router.post('/confirm',
   authenticate,
+  blockImpersonation,
   validate(Joi.object({ paymentIntentId: Joi.string().required() })),
   asyncHandler(PaymentController.confirmPayment)
 );
@@ -1,11 +1,13 @@
 import express from 'express';
 import multer from 'multer';
 import Joi from 'joi';
-import { authenticate, authorize, authorizeMerchant, requirePermission } from '../middleware/auth.js';
-import { validate, validateQuery, schemas } from '../middleware/validation.js';
-import { asyncHandler } from '../middleware/error.js';
+import { authenticate, authorize, authorizeMerchant, requirePermission, requireScope } from '../middleware/auth.js';
+import { validate, validateQuery, validateParams, schemas } from '../middleware/validation.js';
+import { asyncHandler, ValidationError } from '../middleware/error.js';
 import { activityLogger } from '../middleware/logging.js';
+import { config } from '../config/index.js';
 import ProductController from '../controllers/ProductController.js';
+import ReviewController from '../controllers/ReviewController.js';
 
 const router = express.Router();
 
@@ -26,6 +28,22 @@ const upload = multer({
   },
 });
 
+// Product import files (CSV or JSON)
+const importUpload = multer({
+  dest: config.productImport.destination,
+  limits: {
+    fileSize: config.productImport.maxFileSize,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Invalid file type. Only CSV and JSON files can be imported.'));
+    }
+  },
+});
+
 // Public routes
 router.get('/',
   validateQuery(schemas.product.search.concat(schemas.pagination)),
@@ -41,11 +59,61 @@ router.get('/categories',
   asyncHandler(ProductController.getCategories)
 );
 
+router.get('/categories/:slug',
+  validateParams(schemas.category.slugParams),
+  validateQuery(schemas.product.search.concat(schemas.pagination)),
+  asyncHandler(ProductController.getProductsByCategory),
+);
+
 router.get('/search',
   validateQuery(schemas.product.search.concat(schemas.pagination)),
   asyncHandler(ProductController.searchProducts)
 );
 
+// Export routes come before /:productId so "export" isn't read as an id
+router.get('/export',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('read:products'),
+  authorizeMerchant('products'),
+  validateQuery(schemas.product.search.keys({
+    status: Joi.string().valid('DRAFT', 'ACTIVE', 'INACTIVE', 'ARCHIVED'),
+    format: Joi.string().valid('csv', 'jsonl', 'xlsx').default('csv'),
+    background: Joi.boolean().default(false),
+  })),
+  activityLogger('product_export'),
+  asyncHandler(ProductController.exportProducts),
+);
+
+router.get('/export/:exportId',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('read:products'),
+  authorizeMerchant('products'),
+  validateParams(schemas.product.exportParams),
+  asyncHandler(ProductController.getExport),
+);
+
+router.get('/export/:exportId/download',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('read:products'),
+  authorizeMerchant('products'),
+  validateParams(schemas.product.exportParams),
+  activityLogger('product_export_download'),
+  asyncHandler(ProductController.downloadExport),
+);
+
+// Trash listing, also before /:productId
+router.get('/trash',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
+  validateQuery(schemas.pagination.keys({ merchantId: Joi.string() })),
+  asyncHandler(ProductController.listTrash),
+);
+
 router.get('/:productId',
   asyncHandler(ProductController.getProduct)
 );
@@ -59,10 +127,17 @@ router.get('/:productId/related',
   asyncHandler(ProductController.getRelatedProducts)
 );
 
+router.get('/:productId/reviews',
+  validateQuery(schemas.review.query),
+  asyncHandler(ReviewController.listProductReviews),
+);
+
 // Merchant/Admin routes
 router.post('/',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
+  requireScope('create:products'),
+  authorizeMerchant('products'),
   validate(schemas.product.create),
   activityLogger('product_create'),
   asyncHandler(ProductController.createProduct)
@@ -71,7 +146,8 @@ router.post('/',
 router.put('/:productId',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  authorizeMerchant,
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
   validate(schemas.product.update),
   activityLogger('product_update'),
   asyncHandler(ProductController.updateProduct)
@@ -80,15 +156,26 @@ router.put('/:productId',
 router.delete('/:productId',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  authorizeMerchant,
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
   activityLogger('product_delete'),
   asyncHandler(ProductController.deleteProduct)
 );
 
+router.post('/:productId/restore',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
+  activityLogger('product_restore'),
+  asyncHandler(ProductController.restoreProduct),
+);
+
 router.post('/:productId/images',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  authorizeMerchant,
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
   upload.array('images', 10),
   activityLogger('product_images_upload'),
   asyncHandler(ProductController.uploadImages)
@@ -97,7 +184,8 @@ router.post('/:productId/images',
 router.delete('/:productId/images/:imageId',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  authorizeMerchant,
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
   activityLogger('product_image_delete'),
   asyncHandler(ProductController.deleteImage)
 );
@@ -105,12 +193,23 @@ router.delete('/:productId/images/:imageId',
 router.patch('/:productId/status',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  authorizeMerchant,
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
   validate(Joi.object({ status: Joi.string().valid('draft', 'active', 'inactive', 'archived').required() })),
   activityLogger('product_status_change'),
   asyncHandler(ProductController.updateStatus)
 );
 
+router.put('/:productId/schedule',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
+  validate(schemas.product.schedule),
+  activityLogger('product_schedule_update'),
+  asyncHandler(ProductController.updateSchedule),
+);
+
 router.patch('/:productId/featured',
   authenticate,
   authorize('admin', 'superadmin'),
@@ -122,25 +221,39 @@ router.patch('/:productId/featured',
 router.post('/:productId/variants',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  authorizeMerchant,
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
   validate(Joi.object({
     sku: Joi.string().required(),
     price: Joi.number().positive().required(),
     currency: Joi.string().valid('RWF', 'USD', 'EUR').default('RWF'),
-    stock: Joi.number().integer().min(0).required(),
+    stock: schemas.product.variantStock,
+    components: schemas.product.components,
     attributes: Joi.object().pattern(Joi.string(), Joi.string()),
   })),
   activityLogger('product_variant_create'),
   asyncHandler(ProductController.addVariant)
 );
 
+router.post('/:productId/variants/generate',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
+  validate(schemas.product.generateVariants),
+  activityLogger('product_variant_generate'),
+  asyncHandler(ProductController.generateVariants),
+);
+
 router.put('/:productId/variants/:sku',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  authorizeMerchant,
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
   validate(Joi.object({
     price: Joi.number().positive(),
     stock: Joi.number().integer().min(0),
+    components: schemas.product.components,
     attributes: Joi.object().pattern(Joi.string(), Joi.string()),
     isActive: Joi.boolean(),
   })),
@@ -151,7 +264,8 @@ router.put('/:productId/variants/:sku',
 router.delete('/:productId/variants/:sku',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  authorizeMerchant,
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
   activityLogger('product_variant_delete'),
   asyncHandler(ProductController.deleteVariant)
 );
@@ -159,7 +273,8 @@ router.delete('/:productId/variants/:sku',
 router.patch('/:productId/variants/:sku/stock',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  authorizeMerchant,
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
   validate(Joi.object({
     stock: Joi.number().integer().min(0).required(),
     operation: Joi.string().valid('set', 'increment', 'decrement').default('set'),
@@ -168,11 +283,51 @@ router.patch('/:productId/variants/:sku/stock',
   asyncHandler(ProductController.updateStock)
 );
 
+// Revision history
+router.get('/:productId/revisions',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('read:products'),
+  authorizeMerchant('products'),
+  validateQuery(schemas.pagination),
+  asyncHandler(ProductController.listRevisions),
+);
+
+// Before /:version so "compare" isn't read as a version
+router.get('/:productId/revisions/compare',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('read:products'),
+  authorizeMerchant('products'),
+  validateQuery(schemas.product.revisionCompare),
+  asyncHandler(ProductController.compareRevisions),
+);
+
+router.get('/:productId/revisions/:version',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('read:products'),
+  authorizeMerchant('products'),
+  validateParams(schemas.product.revisionParams),
+  asyncHandler(ProductController.getRevision),
+);
+
+router.post('/:productId/revisions/:version/restore',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
+  validateParams(schemas.product.revisionParams),
+  activityLogger('product_revision_restore'),
+  asyncHandler(ProductController.restoreRevision),
+);
+
 // Analytics routes
 router.get('/:productId/analytics',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  authorizeMerchant,
+  requireScope('read:own_sales'),
+  authorizeMerchant('analytics'),
   validateQuery(schemas.dateRange),
   asyncHandler(ProductController.getProductAnalytics)
 );
@@ -185,6 +340,8 @@ router.post('/:productId/view',
 router.post('/bulk/status',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
   validate(Joi.object({
     productIds: Joi.array().items(schemas.objectId).min(1).required(),
     status: Joi.string().valid('draft', 'active', 'inactive', 'archived').required(),
@@ -196,6 +353,8 @@ router.post('/bulk/status',
 router.post('/bulk/delete',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
+  requireScope('update:own_products'),
+  authorizeMerchant('products'),
   validate(Joi.object({
     productIds: Joi.array().items(schemas.objectId).min(1).required(),
   })),
@@ -207,18 +366,28 @@ router.post('/bulk/delete',
 router.post('/import',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  upload.single('file'),
+  requireScope('create:products'),
+  authorizeMerchant('products'),
+  importUpload.single('file'),
+  validate(schemas.product.importOptions),
   activityLogger('product_import'),
   asyncHandler(ProductController.importProducts)
 );
 
-router.get('/export',
+router.get('/import/:importId',
   authenticate,
   authorize('seller', 'admin', 'superadmin'),
-  authorizeMerchant,
-  validateQuery(schemas.product.search),
-  activityLogger('product_export'),
-  asyncHandler(ProductController.exportProducts)
+  requireScope('create:products'),
+  authorizeMerchant('products'),
+  asyncHandler(ProductController.getImport),
+);
+
+router.get('/import/:importId/errors',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  requireScope('create:products'),
+  authorizeMerchant('products'),
+  asyncHandler(ProductController.downloadImportErrors),
 );
 
 export default router;
\ No newline at end of file
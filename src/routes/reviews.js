@@ -0,0 +1,83 @@
+import express from 'express';
+import multer from 'multer';
+import { authenticate, authorize, authorizeMerchant, rejectApiKey } from '../middleware/auth.js';
+import { validate, validateParams, schemas } from '../middleware/validation.js';
+import { asyncHandler, ValidationError } from '../middleware/error.js';
+import { activityLogger } from '../middleware/logging.js';
+import { config } from '../config/index.js';
+import ReviewController from '../controllers/ReviewController.js';
+
+const router = express.Router();
+
+// Review photos
+const photoUpload = multer({
+  dest: config.reviews.photoDestination,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: config.reviews.maxPhotos,
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Invalid file type. Only JPEG, PNG, and WebP are allowed.'));
+    }
+  },
+});
+
+// Customer reviews
+router.get('/mine',
+  rejectApiKey,
+  authenticate,
+  asyncHandler(ReviewController.listMyReviews),
+);
+
+router.post('/',
+  rejectApiKey,
+  authenticate,
+  photoUpload.array('photos', config.reviews.maxPhotos),
+  validate(schemas.review.create),
+  activityLogger('review_create'),
+  asyncHandler(ReviewController.createReview),
+);
+
+router.patch('/:reviewId',
+  rejectApiKey,
+  authenticate,
+  validateParams(schemas.review.params),
+  photoUpload.array('photos', config.reviews.maxPhotos),
+  validate(schemas.review.update),
+  activityLogger('review_update'),
+  asyncHandler(ReviewController.updateReview),
+);
+
+router.delete('/:reviewId',
+  rejectApiKey,
+  authenticate,
+  validateParams(schemas.review.params),
+  activityLogger('review_delete'),
+  asyncHandler(ReviewController.deleteReview),
+);
+
+// Merchant replies
+router.put('/:reviewId/reply',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  validateParams(schemas.review.params),
+  authorizeMerchant('products'),
+  validate(schemas.review.reply),
+  activityLogger('review_reply'),
+  asyncHandler(ReviewController.replyToReview),
+);
+
+router.delete('/:reviewId/reply',
+  authenticate,
+  authorize('seller', 'admin', 'superadmin'),
+  validateParams(schemas.review.params),
+  authorizeMerchant('products'),
+  activityLogger('review_reply_delete'),
+  asyncHandler(ReviewController.deleteReply),
+);
+
+export default router;
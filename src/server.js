@@ -14,6 +14,9 @@ import { setupLogging } from './config/logging.js';
 import { setupTracing } from './config/tracing.js';
 import { errorHandler, notFoundHandler } from './middleware/error.js';
 import { requestLogger } from './middleware/logging.js';
+import PermissionService from './services/PermissionService.js';
+import CategoryService from './services/CategoryService.js';
+import ProductRevisionService from './services/ProductRevisionService.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -23,6 +26,10 @@ import orderRoutes from './routes/orders.js';
 import paymentRoutes from './routes/payments.js';
 import adminRoutes from './routes/admin.js';
 import webhookRoutes from './routes/webhooks.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import merchantRoutes from './routes/merchants.js';
+import accountRoutes from './routes/account.js';
+import reviewRoutes from './routes/reviews.js';
 
 // Initialize tracing first
 setupTracing();
@@ -55,7 +62,7 @@ app.use(cors({
   origin: "http://localhost:3000",
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Api-Key'],
 }));
 
 // Compression
@@ -122,6 +129,10 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/webhooks', webhookRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/merchants', merchantRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Error handling
 app.use(notFoundHandler);
@@ -176,6 +187,7 @@ const server = app.listen(config.port, async () => {
   try {
     await connectMongoDB();
     logger.info('MongoDB connected successfully');
+    await PermissionService.ensureDefaults();
   } catch (error) {
     logger.error('Failed to connect to MongoDB:', error);
     if (config.env === 'production') {
@@ -196,6 +208,16 @@ const server = app.listen(config.port, async () => {
       logger.warn('Continuing without Redis in development mode');
     }
   }
+
+  // Data migrations need both stores (category changes clear cached categories).
+  // Both skip work already done, so a failed run is retried on the next start
+  // and doesn't take the server down.
+  try {
+    await CategoryService.migrateProductCategories();
+    await ProductRevisionService.backfillRevisions();
+  } catch (error) {
+    logger.error('Startup data migration failed, will retry on next start:', error);
+  }
 });
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,345 @@
+import { AuditEvent, Counter } from '../models/index.js';
+import { GENESIS_HASH } from '../models/AuditEvent.js';
+import { setupLogging } from '../config/logging.js';
+
+const logger = setupLogging();
+
+const SEQUENCE_COUNTER = 'auditEvents';
+
+// How long an append waits for the event before it to be stored
+const PREVIOUS_EVENT_ATTEMPTS = 20;
+const PREVIOUS_EVENT_DELAY_MS = 50;
+
+// Never copied into a diff
+const REDACTED_FIELDS = ['passwordHash', 'password', 'token', 'secret', 'keyHash', 'recoveryCodes', 'twoFactorSecret'];
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+// Route params that identify the target, most specific first
+const TARGET_PARAMS = ['imageId', 'variantId', 'memberId', 'addressId', 'orderId', 'productId', 'keyId', 'sessionId', 'merchantId', 'id', 'name'];
+
+export const CSV_COLUMNS = [
+  'sequence', 'occurredAt', 'action', 'actorId', 'actorEmail', 'actorRole', 'merchantId',
+  'targetType', 'targetId', 'before', 'after', 'ip', 'requestId', 'statusCode', 'hash',
+];
+
+// Wait for a full response to drain; fail instead of hanging if the client goes away
+const drained = (res) => new Promise((resolve, reject) => {
+  const onDrain = () => {
+    res.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    res.off('drain', onDrain);
+    reject(new Error('Response closed before the export finished'));
+  };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const toPlain = (value) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  const object = typeof value.toObject === 'function' ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(object));
+};
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditService {
+  /**
+   * Attach the state before and after a change so activityLogger can store
+   * a diff with the event. Controllers call this after a successful write.
+   */
+  captureChange(req, { type, id, before, after, merchantId }) {
+    req.audit = {
+      target: type ? { type, id: id?.toString() } : undefined,
+      before: toPlain(before),
+      after: toPlain(after),
+      merchantId: merchantId?.toString(),
+    };
+  }
+
+  /**
+   * Fields that differ between two objects, keeping the nested structure
+   */
+  diff(before, after) {
+    const changes = { before: {}, after: {} };
+
+    const walk = (left, right, beforeOut, afterOut) => {
+      const keys = new Set([...Object.keys(left || {}), ...Object.keys(right || {})]);
+      keys.forEach((key) => {
+        if (IGNORED_FIELDS.includes(key)) {
+          return;
+        }
+        const oldValue = left?.[key];
+        const newValue = right?.[key];
+
+        if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+          beforeOut[key] = {};
+          afterOut[key] = {};
+          walk(oldValue, newValue, beforeOut[key], afterOut[key]);
+          if (Object.keys(beforeOut[key]).length === 0 && Object.keys(afterOut[key]).length === 0) {
+            delete beforeOut[key];
+            delete afterOut[key];
+          }
+          return;
+        }
+
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+          const redacted = REDACTED_FIELDS.includes(key);
+          if (oldValue !== undefined) {
+            beforeOut[key] = redacted ? '[REDACTED]' : oldValue;
+          }
+          if (newValue !== undefined) {
+            afterOut[key] = redacted ? '[REDACTED]' : newValue;
+          }
+        }
+      });
+    };
+
+    walk(before, after, changes.before, changes.after);
+    return changes;
+  }
+
+  /**
+   * Target of a request, from captured change data or the route params
+   */
+  resolveTarget(req) {
+    if (req.audit?.target) {
+      return req.audit.target;
+    }
+
+    const param = TARGET_PARAMS.find(name => req.params?.[name]);
+    if (!param) {
+      return undefined;
+    }
+
+    let type = param.replace(/Id$/, '');
+    if (['id', 'name'].includes(param)) {
+      // e.g. /users/:id -> user, /roles/:name -> role
+      const segments = req.route?.path?.split('/').filter(Boolean) || [];
+      const index = segments.indexOf(`:${param}`);
+      type = (segments[index - 1] || 'resource').replace(/s$/, '');
+    }
+
+    return { type, id: req.params[param] };
+  }
+
+  /**
+   * Build and append an event for a completed request
+   */
+  record(req, res, action) {
+    const captured = req.audit || {};
+    const changes = captured.before || captured.after
+      ? this.diff(captured.before, captured.after)
+      : undefined;
+
+    return this.append({
+      action,
+      actor: {
+        userId: req.user?._id,
+        email: req.user?.email,
+        role: req.user?.role,
+        apiKeyId: req.apiKey?._id,
+        impersonatedBy: req.impersonatedBy?.userId,
+      },
+      merchantId: captured.merchantId || req.merchantId || captured.after?.merchantId || captured.before?.merchantId,
+      target: this.resolveTarget(req),
+      changes,
+      request: {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        requestId: req.requestId,
+      },
+    });
+  }
+
+  /**
+   * Append an event to the hash chain. Sequence numbers come from an
+   * atomic counter, so concurrent appends never compete for the same one.
+   */
+  async append(data) {
+    const sequence = await this.nextSequence();
+    const event = {
+      ...data,
+      sequence,
+      occurredAt: new Date(),
+      previousHash: await this.previousHash(sequence),
+    };
+    event.hash = AuditEvent.computeHash(event);
+
+    return AuditEvent.create(event);
+  }
+
+  async nextSequence() {
+    let counter = await Counter.increment(SEQUENCE_COUNTER);
+    if (!counter) {
+      // First append since the counter was added: carry on from the existing chain
+      const latest = await AuditEvent.findLatest();
+      await Counter.start(SEQUENCE_COUNTER, latest?.sequence || 0);
+      counter = await Counter.increment(SEQUENCE_COUNTER);
+    }
+    return counter.sequence;
+  }
+
+  /**
+   * Hash of the event before this sequence number. A concurrent append may
+   * still be storing it, so wait briefly; if it never arrives its writer
+   * failed, and we link to the latest stored event, leaving a gap that
+   * verifyChain reports.
+   */
+  async previousHash(sequence) {
+    if (sequence === 1) {
+      return GENESIS_HASH;
+    }
+
+    for (let attempt = 1; attempt <= PREVIOUS_EVENT_ATTEMPTS; attempt++) {
+      const previous = await AuditEvent.findOne({ sequence: sequence - 1 }).select('hash').lean();
+      if (previous) {
+        return previous.hash;
+      }
+      await new Promise(resolve => setTimeout(resolve, PREVIOUS_EVENT_DELAY_MS));
+    }
+
+    const latest = await AuditEvent.findOne({ sequence: { $lt: sequence } }).sort({ sequence: -1 }).select('hash').lean();
+    logger.warn('Audit event missing from the chain', { sequence: sequence - 1 });
+    return latest?.hash || GENESIS_HASH;
+  }
+
+  /**
+   * Translate query parameters into a MongoDB filter
+   */
+  buildFilter({ actorId, merchantId, action, targetType, targetId, requestId, startDate, endDate }) {
+    const filter = {};
+    if (actorId) {
+      filter['actor.userId'] = actorId;
+    }
+    if (merchantId) {
+      filter.merchantId = merchantId;
+    }
+    if (action) {
+      filter.action = action;
+    }
+    if (targetType) {
+      filter['target.type'] = targetType;
+    }
+    if (targetId) {
+      filter['target.id'] = targetId;
+    }
+    if (requestId) {
+      filter['request.requestId'] = requestId;
+    }
+    if (startDate || endDate) {
+      filter.occurredAt = {};
+      if (startDate) {
+        filter.occurredAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        filter.occurredAt.$lte = new Date(endDate);
+      }
+    }
+    return filter;
+  }
+
+  async query(filter, { page = 1, limit = 50 } = {}) {
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(filter),
+    ]);
+    return { events, total };
+  }
+
+  /**
+   * Stream matching events as CSV without loading them all into memory.
+   * The caller ends the response.
+   */
+  async streamCsv(filter, res) {
+    res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+    const cursor = AuditEvent.find(filter).sort({ sequence: 1 }).lean().cursor();
+    for await (const event of cursor) {
+      const row = [
+        event.sequence,
+        event.occurredAt?.toISOString(),
+        event.action,
+        event.actor?.userId?.toString(),
+        event.actor?.email,
+        event.actor?.role,
+        event.merchantId,
+        event.target?.type,
+        event.target?.id,
+        event.changes?.before,
+        event.changes?.after,
+        event.request?.ip,
+        event.request?.requestId,
+        event.request?.statusCode,
+        event.hash,
+      ];
+      if (!res.write(`${row.map(csvValue).join(',')}\n`)) {
+        await drained(res);
+      }
+    }
+  }
+
+  /**
+   * Walk the chain in order, recomputing each hash and checking the link
+   * to the previous event. Stops at the first broken event.
+   */
+  async verifyChain({ fromSequence = 1, toSequence } = {}) {
+    const range = { $gte: fromSequence };
+    if (toSequence) {
+      range.$lte = toSequence;
+    }
+
+    let previous = null;
+    if (fromSequence > 1) {
+      previous = await AuditEvent.findOne({ sequence: fromSequence - 1 }).select('sequence hash').lean();
+    }
+
+    let checked = 0;
+    const cursor = AuditEvent.find({ sequence: range }).sort({ sequence: 1 }).lean().cursor();
+    for await (const event of cursor) {
+      const expectedSequence = previous ? previous.sequence + 1 : fromSequence;
+      const expectedPrevious = previous?.hash || (event.sequence === 1 ? GENESIS_HASH : undefined);
+
+      let reason = null;
+      if (event.sequence !== expectedSequence) {
+        reason = `Missing events before sequence ${event.sequence}`;
+      } else if (expectedPrevious && event.previousHash !== expectedPrevious) {
+        reason = 'previousHash does not match the preceding event';
+      } else if (AuditEvent.computeHash(event) !== event.hash) {
+        reason = 'Stored hash does not match the event contents';
+      }
+
+      if (reason) {
+        await cursor.close();
+        logger.warn('Audit chain verification failed', { sequence: event.sequence, reason });
+        return { valid: false, checked, brokenAt: { sequence: event.sequence, eventId: event._id, reason } };
+      }
+
+      previous = event;
+      checked++;
+    }
+
+    return { valid: true, checked, lastSequence: previous?.sequence ?? null, lastHash: previous?.hash ?? null };
+  }
+}
+
+// Export singleton instance
+export default new AuditService();
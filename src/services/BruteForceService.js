@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import { redis } from '../config/redis.js';
+import { config } from '../config/index.js';
+import { setupLogging } from '../config/logging.js';
+
+const logger = setupLogging();
+
+// Endpoints guarded by the sliding-window counters
+export const GUARDED_ACTIONS = ['login', 'forgot-password', 'register'];
+
+const BLOCK_INDEX_KEY = 'bruteforce:blocks';
+
+/**
+ * Network an address belongs to: /24 for IPv4, /64 for IPv6
+ */
+export function subnetOf(ip = '') {
+  const ipv4 = ip.replace(/^::ffff:/, '');
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ipv4)) {
+    return `${ipv4.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  // Expand a compressed IPv6 address before taking the first four groups
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const padding = Array(Math.max(0, 8 - headGroups.length - tailGroups.length)).fill('0');
+  const groups = [...headGroups, ...padding, ...tailGroups];
+
+  return `${groups.slice(0, 4).join(':')}::/64`;
+}
+
+/**
+ * Counts attempts per IP, subnet and email in Redis sorted sets (one member
+ * per attempt, scored by time) so the window slides instead of resetting.
+ * The counts drive progressive delays and temporary IP/subnet blocks.
+ */
+class BruteForceService {
+  get settings() {
+    return config.security.bruteForce;
+  }
+
+  /**
+   * Active block for the address or its subnet, if any
+   */
+  async getBlock(ip) {
+    for (const [type, value] of [['ip', ip], ['subnet', subnetOf(ip)]]) {
+      const key = this.blockKey(type, value);
+      const block = await redis.getJson(key);
+      if (block) {
+        return { ...block, retryAfter: Math.max(1, await redis.ttl(key)) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Milliseconds to hold a request back, doubling for every recent
+   * attempt past the free allowance from this IP or against this email
+   */
+  async getDelay(action, ip, email) {
+    const { delayAfter, delayStepMs, maxDelayMs } = this.settings;
+
+    const counts = await Promise.all([
+      this.count(this.counterKey(action, 'ip', ip)),
+      email ? this.count(this.counterKey(action, 'email', this.normalizeEmail(email))) : 0,
+    ]);
+    const excess = Math.max(...counts) - delayAfter;
+    if (excess <= 0) {
+      return 0;
+    }
+
+    return Math.min(maxDelayMs, delayStepMs * 2 ** (excess - 1));
+  }
+
+  /**
+   * Record a failed (or, for unauthenticated endpoints, any) attempt and
+   * block the IP or subnet once it crosses its threshold
+   */
+  async recordAttempt(action, ip, email) {
+    const { ipBlockThreshold, subnetBlockThreshold } = this.settings;
+    const subnet = subnetOf(ip);
+
+    const [ipCount, subnetCount] = await Promise.all([
+      this.hit(this.counterKey(action, 'ip', ip)),
+      this.hit(this.counterKey(action, 'subnet', subnet)),
+      email ? this.hit(this.counterKey(action, 'email', this.normalizeEmail(email))) : 0,
+    ]);
+
+    if (subnetCount >= subnetBlockThreshold) {
+      return this.block('subnet', subnet, { action, attempts: subnetCount });
+    }
+    if (ipCount >= ipBlockThreshold) {
+      return this.block('ip', ip, { action, attempts: ipCount });
+    }
+    return null;
+  }
+
+  /**
+   * Forget the per-email failures after a successful sign-in
+   */
+  async clearEmail(action, email) {
+    await redis.del(this.counterKey(action, 'email', this.normalizeEmail(email)));
+  }
+
+  async block(type, value, { action, attempts }) {
+    const { blockSeconds } = this.settings;
+    const now = Date.now();
+    const record = {
+      type,
+      value,
+      action,
+      attempts,
+      blockedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + blockSeconds * 1000).toISOString(),
+    };
+
+    await redis.setJson(this.blockKey(type, value), record, blockSeconds);
+    await redis.getClient().zadd(BLOCK_INDEX_KEY, now + blockSeconds * 1000, `${type}:${value}`);
+
+    logger.warn('Temporary block applied', record);
+    return record;
+  }
+
+  /**
+   * Blocks that haven't expired yet, newest first
+   */
+  async listBlocks() {
+    const client = redis.getClient();
+    await client.zremrangebyscore(BLOCK_INDEX_KEY, '-inf', Date.now());
+
+    const members = await client.zrevrange(BLOCK_INDEX_KEY, 0, -1);
+    if (members.length === 0) {
+      return [];
+    }
+
+    const records = await client.mget(...members.map(member => `bruteforce:block:${member}`));
+    return records.filter(Boolean).map(raw => JSON.parse(raw));
+  }
+
+  /**
+   * Lift a block and reset the counters that led to it
+   */
+  async clearBlock(type, value) {
+    const counterKeys = GUARDED_ACTIONS.map(action => this.counterKey(action, type, value));
+    const [deleted] = await Promise.all([
+      redis.del(this.blockKey(type, value)),
+      redis.getClient().zrem(BLOCK_INDEX_KEY, `${type}:${value}`),
+      redis.getClient().del(...counterKeys),
+    ]);
+    return deleted > 0;
+  }
+
+  async clearAllBlocks() {
+    const blocks = await this.listBlocks();
+    await Promise.all(blocks.map(block => this.clearBlock(block.type, block.value)));
+    await redis.del(BLOCK_INDEX_KEY);
+    return blocks.length;
+  }
+
+  async hit(key) {
+    const now = Date.now();
+    const { windowSeconds } = this.settings;
+    const member = `${now}:${crypto.randomBytes(4).toString('hex')}`;
+
+    const results = await redis.getClient()
+      .multi()
+      .zremrangebyscore(key, '-inf', now - windowSeconds * 1000)
+      .zadd(key, now, member)
+      .zcard(key)
+      .expire(key, windowSeconds)
+      .exec();
+
+    return results[2][1];
+  }
+
+  async count(key) {
+    const client = redis.getClient();
+    await client.zremrangebyscore(key, '-inf', Date.now() - this.settings.windowSeconds * 1000);
+    return client.zcard(key);
+  }
+
+  normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+  }
+
+  // Key helpers
+  counterKey(action, dimension, value) {
+    return `bruteforce:${action}:${dimension}:${value}`;
+  }
+
+  blockKey(type, value) {
+    return `bruteforce:block:${type}:${value}`;
+  }
+}
+
+// Export singleton instance
+export default new BruteForceService();
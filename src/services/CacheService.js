@@ -82,12 +82,13 @@ class CacheService {
    */
   async delPattern(pattern) {
     try {
-      const keys = await redis.getClient().keys(pattern);
+      // The client's keyPrefix isn't applied to KEYS patterns, but is applied to DEL
+      const keys = await redis.getClient().keys(`${this.keyPrefix}${pattern}`);
       if (keys.length === 0) {
         return 0;
       }
 
-      const result = await redis.getClient().del(...keys);
+      const result = await redis.getClient().del(...keys.map(key => key.slice(this.keyPrefix.length)));
       logger.debug(`Cache pattern delete: ${pattern} (deleted: ${result} keys)`);
       return result;
     } catch (error) {
@@ -308,6 +309,19 @@ class CacheService {
     return this.del(key);
   }
 
+  /**
+   * Suspended merchant caching
+   */
+  getSuspendedMerchants(fallbackFn, ttl = 300) { // 5 minutes default
+    const key = this.generateKey('merchants', 'suspended');
+    return this.getOrSet(key, fallbackFn, ttl, 'merchant');
+  }
+
+  invalidateSuspendedMerchants() {
+    const key = this.generateKey('merchants', 'suspended');
+    return this.del(key);
+  }
+
   /**
    * Sales statistics caching
    */
@@ -354,6 +368,29 @@ class CacheService {
     }
   }
 
+  /**
+   * Role permission caching
+   */
+  getRolePermissions(roleName) {
+    const key = this.generateKey('role', roleName, 'permissions');
+    return this.get(key, 'role');
+  }
+
+  setRolePermissions(roleName, permissions, ttl = 600) { // 10 minutes default
+    const key = this.generateKey('role', roleName, 'permissions');
+    return this.set(key, permissions, ttl, 'role');
+  }
+
+  invalidateRolePermissions(roleName = null) {
+    if (roleName) {
+      const key = this.generateKey('role', roleName, 'permissions');
+      return this.del(key);
+    } else {
+      const pattern = this.generateKey('role', '*');
+      return this.delPattern(pattern);
+    }
+  }
+
   /**
    * Session caching (handled by redis service, but included for completeness)
    */
@@ -0,0 +1,284 @@
+import { Category, Product } from '../models/index.js';
+import { ValidationError, ConflictError, NotFoundError } from '../middleware/error.js';
+import CacheService from './CacheService.js';
+import { setupLogging } from '../config/logging.js';
+
+const logger = setupLogging();
+
+export const slugify = (value) => String(value)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+const ancestorEntry = ({ _id, name, slug }) => ({ _id, name, slug });
+
+class CategoryService {
+  // Tree
+
+  /**
+   * Categories nested under `children`, ordered by `order` then name.
+   * Children of an inactive category are hidden with it.
+   */
+  buildTree(categories) {
+    const nodes = new Map(categories.map(category => [
+      category._id.toString(),
+      { ...category, children: [] },
+    ]));
+
+    const roots = [];
+    nodes.forEach((node) => {
+      if (!node.parent) {
+        roots.push(node);
+      } else {
+        nodes.get(node.parent.toString())?.children.push(node);
+      }
+    });
+    return roots;
+  }
+
+  async getTree({ includeInactive = false } = {}) {
+    const loadTree = async () => {
+      const categories = await Category.find(includeInactive ? {} : { isActive: true })
+        .select('-ancestors')
+        .sort({ order: 1, name: 1 })
+        .lean();
+      return this.buildTree(categories);
+    };
+
+    if (includeInactive) {
+      return loadTree();
+    }
+
+    const cached = await CacheService.getCategories();
+    if (cached) {
+      return cached;
+    }
+    const tree = await loadTree();
+    await CacheService.setCategories(tree);
+    return tree;
+  }
+
+  /**
+   * Slugs a category page lists products for: the category itself and
+   * every active category below it.
+   */
+  async getDescendantSlugs(category) {
+    const descendants = await Category.findDescendants(category._id, { isActive: true }).select('slug').lean();
+    return [category.slug, ...descendants.map(descendant => descendant.slug)];
+  }
+
+  // Products
+
+  /**
+   * Map category names or slugs sent with a product to slugs. Unknown
+   * values are rejected, so products only use categories in the tree.
+   */
+  async resolveSlugs(values = []) {
+    const candidates = values.map(value => [value.toLowerCase().trim(), slugify(value)]);
+    const found = new Set(await Category.find({ slug: { $in: candidates.flat() } }).distinct('slug'));
+
+    const slugs = [];
+    const unknown = [];
+    candidates.forEach(([lowercase, slug], index) => {
+      const match = [lowercase, slug].find(candidate => found.has(candidate));
+      if (match) {
+        slugs.push(match);
+      } else {
+        unknown.push(values[index]);
+      }
+    });
+
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown categories: ${unknown.join(', ')}`, unknown.map(value => ({
+        field: 'categories',
+        message: 'category does not exist',
+        value,
+      })));
+    }
+    return [...new Set(slugs)];
+  }
+
+  // Trashed products count too, so a restored product never points at a deleted category
+  countProducts(category) {
+    return Product.countDocuments({ categories: category.slug }).setOptions({ withDeleted: true });
+  }
+
+  /**
+   * Replace one category slug with another on every product that has it.
+   * Runs as a pipeline update so a product already in `to` isn't left
+   * with it twice.
+   */
+  replaceProductCategory(from, to) {
+    return Product.updateMany({ categories: from }, [{
+      $set: {
+        categories: {
+          $setUnion: [{
+            $map: {
+              input: '$categories',
+              as: 'category',
+              in: { $cond: [{ $eq: ['$$category', from] }, to, '$$category'] },
+            },
+          }],
+        },
+      },
+    }]).setOptions({ withDeleted: true });
+  }
+
+  // Admin
+
+  async findParent(parentId) {
+    if (!parentId) {
+      return null;
+    }
+    const parent = await Category.findById(parentId);
+    if (!parent) {
+      throw new ValidationError('Parent category not found', [{ field: 'parentId', message: 'category does not exist', value: parentId }]);
+    }
+    return parent;
+  }
+
+  async assertSlugAvailable(slug, exceptId = null) {
+    const existing = await Category.exists({ slug, ...(exceptId ? { _id: { $ne: exceptId } } : {}) });
+    if (existing) {
+      throw new ConflictError(`Category slug "${slug}" is already in use`);
+    }
+  }
+
+  async createCategory({ parentId, ...data }) {
+    const slug = data.slug || slugify(data.name);
+    await this.assertSlugAvailable(slug);
+    const parent = await this.findParent(parentId);
+
+    const category = await Category.create({
+      ...data,
+      slug,
+      parent: parent?._id || null,
+      ancestors: parent ? [...parent.ancestors.map(ancestorEntry), ancestorEntry(parent)] : [],
+    });
+
+    await this.invalidate();
+    return category;
+  }
+
+  /**
+   * Update a category. Renames are copied into the breadcrumbs of its
+   * descendants and slug changes onto its products; moving it rebuilds
+   * the ancestor list of its whole subtree.
+   */
+  async updateCategory(categoryId, { parentId, ...updates }) {
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      throw new NotFoundError('Category');
+    }
+    const before = category.toObject();
+
+    if (updates.slug && updates.slug !== category.slug) {
+      await this.assertSlugAvailable(updates.slug, category._id);
+    }
+
+    const moving = parentId !== undefined && String(parentId || '') !== String(category.parent || '');
+    if (moving) {
+      const parent = await this.findParent(parentId);
+      if (parent && (parent._id.equals(category._id) || parent.isDescendantOf(category._id))) {
+        throw new ValidationError('A category cannot be moved under itself or one of its descendants');
+      }
+      category.parent = parent?._id || null;
+      category.ancestors = parent ? [...parent.ancestors.map(ancestorEntry), ancestorEntry(parent)] : [];
+    }
+
+    category.set(updates);
+    await category.save();
+
+    if (category.slug !== before.slug) {
+      const { modifiedCount } = await this.replaceProductCategory(before.slug, category.slug);
+      logger.info('Category slug changed on products', { categoryId, from: before.slug, to: category.slug, products: modifiedCount });
+    }
+    if (moving || category.name !== before.name || category.slug !== before.slug) {
+      await this.rebuildDescendantAncestors(category);
+    }
+
+    await this.invalidate();
+    return { category, before };
+  }
+
+  // Each descendant keeps the part of its path below `category`
+  async rebuildDescendantAncestors(category) {
+    const descendants = await Category.findDescendants(category._id).select('ancestors').lean();
+    if (descendants.length === 0) {
+      return;
+    }
+
+    const prefix = [...category.ancestors.map(ancestorEntry), ancestorEntry(category)];
+    await Category.bulkWrite(descendants.map((descendant) => {
+      const index = descendant.ancestors.findIndex(ancestor => ancestor._id.equals(category._id));
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: { $set: { ancestors: [...prefix, ...descendant.ancestors.slice(index + 1)] } },
+        },
+      };
+    }));
+  }
+
+  // Only empty leaf categories can be deleted
+  async deleteCategory(categoryId) {
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      throw new NotFoundError('Category');
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      throw new ConflictError('Move or delete the subcategories first');
+    }
+    const products = await this.countProducts(category);
+    if (products > 0) {
+      throw new ConflictError(`Category is used by ${products} products`);
+    }
+
+    await category.deleteOne();
+    await this.invalidate();
+    return category;
+  }
+
+  async invalidate() {
+    await Promise.all([
+      CacheService.invalidateCategories(),
+      CacheService.invalidateSearchCache(),
+    ]);
+  }
+
+  // Migration
+
+  /**
+   * Turn free-text product categories into root categories and point the
+   * products at their slugs. Values that are already category slugs are
+   * left alone, so this is cheap to run on every start.
+   */
+  async migrateProductCategories() {
+    const [values, known] = await Promise.all([
+      Product.distinct('categories').setOptions({ withDeleted: true }),
+      Category.distinct('slug'),
+    ]);
+    const legacy = values.filter(value => typeof value === 'string' && !known.includes(value));
+    if (legacy.length === 0) {
+      return 0;
+    }
+
+    for (const value of legacy) {
+      const slug = slugify(value) || 'uncategorized';
+      await Category.updateOne(
+        { slug },
+        { $setOnInsert: { name: value.trim(), slug, parent: null, ancestors: [] } },
+        { upsert: true },
+      );
+      await this.replaceProductCategory(value, slug);
+    }
+
+    await this.invalidate();
+    logger.info('Product categories migrated', { categories: legacy.length });
+    return legacy.length;
+  }
+}
+
+// Export singleton instance
+export default new CategoryService();
@@ -0,0 +1,94 @@
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { redis } from '../config/redis.js';
+import { config } from '../config/index.js';
+
+const ACTIVE_INDEX_KEY = 'impersonation:active';
+
+/**
+ * Impersonation tokens are regular access tokens for the target user with an
+ * `impersonatedBy` claim. Each one is also recorded in Redis so it can be
+ * listed and ended before it expires; authenticate rejects unknown ones.
+ */
+class ImpersonationService {
+  /**
+   * Mint a token that lets `admin` act as `user` for a limited time
+   */
+  async start(user, admin, { reason, durationMinutes }) {
+    const { expiryMinutes, maxExpiryMinutes } = config.security.impersonation;
+    const minutes = Math.min(durationMinutes || expiryMinutes, maxExpiryMinutes);
+    const jti = uuidv4();
+    const now = Date.now();
+    const impersonatedBy = {
+      userId: admin._id.toString(),
+      email: admin.email,
+    };
+
+    // No sessionId: impersonation never creates a session or refresh token
+    const token = jwt.sign(
+      {
+        userId: user._id.toString(),
+        email: user.email,
+        role: user.role,
+        jti,
+        impersonatedBy,
+      },
+      config.jwt.accessTokenSecret,
+      {
+        expiresIn: `${minutes}m`,
+        issuer: 'aether-backend',
+        audience: 'aether-frontend',
+      },
+    );
+
+    const record = {
+      id: jti,
+      userId: user._id.toString(),
+      userEmail: user.email,
+      impersonatedBy,
+      reason,
+      startedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + minutes * 60 * 1000).toISOString(),
+    };
+
+    await redis.setJson(this.recordKey(jti), record, minutes * 60);
+    await redis.getClient().zadd(ACTIVE_INDEX_KEY, now + minutes * 60 * 1000, jti);
+
+    return { token, record };
+  }
+
+  async isActive(jti) {
+    return (await redis.exists(this.recordKey(jti))) === 1;
+  }
+
+  /**
+   * Impersonations that haven't expired or been ended, newest first
+   */
+  async list() {
+    const client = redis.getClient();
+    await client.zremrangebyscore(ACTIVE_INDEX_KEY, '-inf', Date.now());
+
+    const ids = await client.zrevrange(ACTIVE_INDEX_KEY, 0, -1);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const records = await client.mget(...ids.map(id => this.recordKey(id)));
+    return records.filter(Boolean).map(raw => JSON.parse(raw));
+  }
+
+  async end(jti) {
+    const [deleted] = await Promise.all([
+      redis.del(this.recordKey(jti)),
+      redis.getClient().zrem(ACTIVE_INDEX_KEY, jti),
+    ]);
+    return deleted > 0;
+  }
+
+  recordKey(jti) {
+    return `impersonation:${jti}`;
+  }
+}
+
+// Export singleton instance
+export default new ImpersonationService();
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { redis } from '../config/redis.js';
+import { Product } from '../models/index.js';
 import { config } from '../config/index.js';
 import { recordInventoryMetric } from '../config/metrics.js';
 import { setupLogging } from '../config/logging.js';
@@ -10,7 +11,6 @@ const logger = setupLogging();
 class InventoryService {
   constructor() {
     this.scripts = {};
-    this.loadLuaScripts();
   }
 
   async loadLuaScripts() {
@@ -40,6 +40,14 @@ class InventoryService {
     }
   }
 
+  // Loads the scripts on first use: the service is imported before Redis connects
+  async getScript(name) {
+    if (!this.scripts[name]) {
+      await this.loadLuaScripts();
+    }
+    return this.scripts[name];
+  }
+
   /**
    * Initialize stock level for a SKU
    */
@@ -104,7 +112,7 @@ class InventoryService {
 
     try {
       const result = await redis.getClient().evalsha(
-        this.scripts.reserve,
+        await this.getScript('reserve'),
         2,
         stockKey,
         reservationKey,
@@ -151,7 +159,7 @@ class InventoryService {
 
     try {
       const result = await redis.getClient().evalsha(
-        this.scripts.release,
+        await this.getScript('release'),
         2,
         stockKey,
         reservationKey
@@ -195,7 +203,7 @@ class InventoryService {
 
     try {
       const result = await redis.getClient().evalsha(
-        this.scripts.commit,
+        await this.getScript('commit'),
         2,
         stockKey,
         reservationKey
@@ -247,7 +255,7 @@ class InventoryService {
 
     try {
       const result = await redis.getClient().evalsha(
-        this.scripts.batchReserve,
+        await this.getScript('batchReserve'),
         keys.length,
         ...keys,
         ...args
@@ -290,6 +298,83 @@ class InventoryService {
     }
   }
 
+  /**
+   * Stock is held per SKU, so bundle items are replaced by their components
+   * and quantities of the same SKU are added up
+   */
+  expandBundleItems(items) {
+    const quantities = new Map();
+    const add = (sku, quantity) => quantities.set(sku, (quantities.get(sku) || 0) + quantity);
+
+    for (const item of items) {
+      if (item.components?.length) {
+        item.components.forEach(component => add(component.sku, component.quantity * item.quantity));
+      } else {
+        add(item.sku, item.quantity);
+      }
+    }
+
+    return [...quantities].map(([sku, quantity]) => ({ sku, quantity }));
+  }
+
+  /**
+   * SKUs an order's reservations are held under
+   */
+  reservationSkus(items) {
+    return this.expandBundleItems(items).map(item => item.sku);
+  }
+
+  /**
+   * Bundles have no stock of their own: as many can be sold as the scarcest
+   * component allows
+   */
+  async getBundleStock(components) {
+    const skus = components.map(component => component.sku);
+    await this.seedMissingStock(skus);
+    const stocks = await Promise.all(skus.map(sku => this.getStock(sku)));
+    return Math.min(...components.map((component, index) => Math.floor(stocks[index] / component.quantity)));
+  }
+
+  /**
+   * Copy stock from the catalogue for SKUs Redis doesn't hold yet. NX keeps
+   * a concurrent reservation's decrement from being overwritten.
+   */
+  async seedMissingStock(skus) {
+    if (skus.length === 0) {
+      return 0;
+    }
+
+    const stocks = await redis.getClient().mget(skus.map(sku => this.getStockKey(sku)));
+    const missing = skus.filter((sku, index) => stocks[index] === null);
+    if (missing.length === 0) {
+      return 0;
+    }
+
+    const products = await Product.find({ 'variants.sku': { $in: missing } }).select('variants.sku variants.stock').lean();
+    const variants = products.flatMap(product => product.variants).filter(variant => missing.includes(variant.sku));
+    await Promise.all(variants.map(variant => redis.getClient().set(this.getStockKey(variant.sku), variant.stock.toString(), 'NX')));
+
+    return variants.length;
+  }
+
+  /**
+   * How long checkout holds last: an hour past the payment window, so the
+   * expiry sweep returns the stock before Redis drops the reservation keys
+   */
+  get orderHoldSeconds() {
+    return (config.orders.paymentWindowMinutes + 60) * 60;
+  }
+
+  /**
+   * Reserve everything an order needs, bundle components included, with one
+   * batch-reserve script call, so either every SKU is reserved or none is
+   */
+  async reserveOrderItems(orderId, items, ttlSeconds = this.orderHoldSeconds) {
+    const expanded = this.expandBundleItems(items);
+    await this.seedMissingStock(expanded.map(item => item.sku));
+    return this.batchReserveStock(orderId, expanded, ttlSeconds);
+  }
+
   /**
    * Release all reservations for an order
    */
@@ -414,7 +499,8 @@ class InventoryService {
   }
 
   extractSkuFromStockKey(stockKey) {
-    return stockKey.replace('stock:sku:', '');
+    // Keys come back from Lua with the client's key prefix
+    return stockKey.slice(stockKey.indexOf('stock:sku:') + 'stock:sku:'.length);
   }
 
   extractSkuFromReservationKey(reservationKey) {
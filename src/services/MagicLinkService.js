@@ -0,0 +1,60 @@
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { redis } from '../config/redis.js';
+import { config } from '../config/index.js';
+
+const MAGIC_LINK_AUDIENCE = 'aether-magic-link';
+const HOUR_SECONDS = 60 * 60;
+
+class MagicLinkService {
+  /**
+   * Issue a signed, short-lived login token for the emailed link
+   */
+  createToken(user, rememberMe = false) {
+    return jwt.sign(
+      {
+        userId: user._id.toString(),
+        rememberMe,
+        jti: uuidv4(),
+      },
+      config.jwt.accessTokenSecret,
+      {
+        expiresIn: `${config.security.magicLink.expiryMinutes}m`,
+        issuer: 'aether-backend',
+        audience: MAGIC_LINK_AUDIENCE,
+      },
+    );
+  }
+
+  verifyToken(token) {
+    return jwt.verify(token, config.jwt.accessTokenSecret, {
+      issuer: 'aether-backend',
+      audience: MAGIC_LINK_AUDIENCE,
+    });
+  }
+
+  /**
+   * Mark a link as used. Returns false if it was already redeemed.
+   */
+  async consume(payload) {
+    const ttl = Math.max(1, payload.exp - Math.floor(Date.now() / 1000));
+    const firstUse = await redis.getClient().set(`magic_link:used:${payload.jti}`, '1', 'EX', ttl, 'NX');
+    return firstUse === 'OK';
+  }
+
+  /**
+   * Count link requests per email address; returns false once over the hourly limit
+   */
+  async allowRequest(email) {
+    const key = `magic_link:requests:${email.toLowerCase()}`;
+    const requests = await redis.incr(key);
+    if (requests === 1) {
+      await redis.expire(key, HOUR_SECONDS);
+    }
+
+    return requests <= config.security.magicLink.maxRequestsPerHour;
+  }
+}
+
+// Export singleton instance
+export default new MagicLinkService();
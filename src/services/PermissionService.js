@@ -0,0 +1,233 @@
+import { Role, Permission } from '../models/index.js';
+import { AuthorizationError, ValidationError } from '../middleware/error.js';
+import CacheService from './CacheService.js';
+import { setupLogging } from '../config/logging.js';
+
+const logger = setupLogging();
+
+/**
+ * Permissions seeded for the built-in roles (keys match User.role values).
+ * Once seeded, the Role collection is the source of truth.
+ */
+export const DEFAULT_ROLE_PERMISSIONS = {
+  VISITOR: ['read:products', 'create:cart'],
+  BUYER: ['read:products', 'create:cart', 'create:orders', 'read:own_orders'],
+  SELLER: [
+    'read:products',
+    'create:products',
+    'update:own_products',
+    'read:own_orders',
+    'update:own_orders',
+    'read:own_sales',
+  ],
+  ADMIN: [
+    'read:*',
+    'create:*',
+    'update:*',
+    'delete:*',
+  ],
+  SUPER_ADMIN: ['*'],
+};
+
+// Roles only super admins may grant, edit or act on
+export const PRIVILEGED_ROLES = ['ADMIN', 'SUPER_ADMIN'];
+
+const DEFAULT_PERMISSION_DESCRIPTIONS = {
+  'read:roles': 'View roles and permissions',
+  'create:roles': 'Create roles and permissions',
+  'update:roles': 'Edit roles and grant permissions to users',
+  'delete:roles': 'Delete custom roles',
+  'read:users': 'Search and view user accounts',
+  'update:users': 'Edit, suspend, reactivate, unlock and force password resets for users',
+  'impersonate:users': 'Act as another user for support',
+  'read:orders': 'View all orders',
+  'read:analytics': 'View merchant analytics',
+  'read:sales': 'View merchant sales reports',
+  'read:merchants': 'View merchant applications',
+  'update:merchants': 'Approve and suspend merchants',
+  'read:categories': 'View the category tree',
+  'create:categories': 'Create categories',
+  'update:categories': 'Edit and move categories',
+  'delete:categories': 'Delete categories',
+  'read:reviews': 'View the review moderation queue',
+  'update:reviews': 'Publish and reject reviews',
+  'read:security_blocks': 'View brute-force blocks',
+  'delete:security_blocks': 'Clear brute-force blocks',
+  'read:audit_events': 'Query, export and verify the audit log',
+};
+
+class PermissionService {
+  /**
+   * Compare role names regardless of case or separators
+   * ("superadmin" and "SUPER_ADMIN" are the same role)
+   */
+  normalizeRole(role) {
+    return String(role || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  roleMatches(role, allowedRoles) {
+    const normalized = this.normalizeRole(role);
+    return allowedRoles.some(allowed => this.normalizeRole(allowed) === normalized);
+  }
+
+  isSuperAdmin(user) {
+    return this.roleMatches(user.role, ['SUPER_ADMIN']);
+  }
+
+  isPrivilegedRole(role) {
+    return this.roleMatches(role, PRIVILEGED_ROLES);
+  }
+
+  /**
+   * Admins can't act on their own account, and only super admins can act
+   * on admin accounts
+   */
+  assertCanManageUser(actor, user) {
+    if (user._id.equals(actor._id)) {
+      throw new ValidationError('You cannot perform this action on your own account');
+    }
+    if (this.isPrivilegedRole(user.role) && !this.isSuperAdmin(actor)) {
+      throw new AuthorizationError('Only super admins can manage admin accounts');
+    }
+  }
+
+  /**
+   * Only super admins can hand out wildcard permissions, the admin roles, or
+   * a custom role that carries a wildcard. Everyone else can only pass on
+   * permissions they hold themselves.
+   */
+  async assertCanGrant(actor, { roles = [], permissions = [] }) {
+    if (this.isSuperAdmin(actor)) {
+      return;
+    }
+    const wildcards = permissions.filter(p => this.isWildcard(p));
+    if (wildcards.length > 0) {
+      throw new AuthorizationError(`Only super admins can grant the ${wildcards.join(', ')} permission(s)`);
+    }
+
+    const rolePermissions = await Promise.all(roles.map(name => this.getRolePermissions(name)));
+    const privileged = roles.filter((name, index) => (
+      this.isPrivilegedRole(name) || rolePermissions[index].some(p => this.isWildcard(p))
+    ));
+    if (privileged.length > 0) {
+      throw new AuthorizationError(`Only super admins can grant the ${privileged.join(', ')} role(s)`);
+    }
+
+    const held = await this.getEffectivePermissions(actor);
+    const missing = [...new Set([...permissions, ...rolePermissions.flat()])].filter(p => !this.matches(held, p));
+    if (missing.length > 0) {
+      throw new AuthorizationError(`You cannot grant permissions you do not hold: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Admin roles, and roles the editor holds themselves, can only be
+   * changed by super admins
+   */
+  assertCanEditRole(actor, roleName) {
+    if (this.isSuperAdmin(actor)) {
+      return;
+    }
+    if (this.isPrivilegedRole(roleName)) {
+      throw new AuthorizationError('Only super admins can change admin roles');
+    }
+    if ((actor.roles || []).some(name => this.roleMatches(name, [roleName]))) {
+      throw new AuthorizationError('You cannot change a role you hold');
+    }
+  }
+
+  isWildcard(permission) {
+    return permission === '*' || permission.endsWith(':*');
+  }
+
+  /**
+   * Check a permission against a list that may contain wildcards
+   */
+  matches(permissions, permission) {
+    return permissions.includes('*') ||
+      permissions.includes(permission) ||
+      permissions.some(p => p.endsWith(':*') && permission.startsWith(p.replace(':*', ':')));
+  }
+
+  /**
+   * Permissions for a single role, cached through CacheService
+   */
+  async getRolePermissions(roleName) {
+    const name = String(roleName || '').toUpperCase();
+    if (!name) {
+      return [];
+    }
+
+    const cached = await CacheService.getRolePermissions(name);
+    if (cached) {
+      return cached;
+    }
+
+    let permissions;
+    try {
+      const role = await Role.findByName(name);
+      permissions = role ? role.permissions : (DEFAULT_ROLE_PERMISSIONS[name] || []);
+    } catch (error) {
+      logger.error(`Error loading permissions for role ${name}:`, error);
+      return DEFAULT_ROLE_PERMISSIONS[name] || [];
+    }
+
+    await CacheService.setRolePermissions(name, permissions);
+    return permissions;
+  }
+
+  /**
+   * Union of the base role, any additional roles and direct user grants
+   */
+  async getEffectivePermissions(user) {
+    const roleNames = [user.role, ...(user.roles || [])];
+    const rolePermissions = await Promise.all(roleNames.map(name => this.getRolePermissions(name)));
+
+    return [...new Set([...rolePermissions.flat(), ...(user.permissions || [])])];
+  }
+
+  async hasPermission(user, permission) {
+    const permissions = await this.getEffectivePermissions(user);
+    return this.matches(permissions, permission);
+  }
+
+  /**
+   * Return the concrete (non-wildcard) keys that are not registered permissions
+   */
+  async findUnknownPermissions(permissions) {
+    const concrete = permissions.filter(p => !this.isWildcard(p));
+    if (concrete.length === 0) {
+      return [];
+    }
+
+    const known = await Permission.find({ key: { $in: concrete } }).distinct('key');
+    return concrete.filter(p => !known.includes(p));
+  }
+
+  /**
+   * Seed built-in roles and permissions without overwriting admin edits
+   */
+  async ensureDefaults() {
+    const keys = new Set(Object.keys(DEFAULT_PERMISSION_DESCRIPTIONS));
+    Object.values(DEFAULT_ROLE_PERMISSIONS).flat()
+      .filter(p => !this.isWildcard(p))
+      .forEach(p => keys.add(p));
+
+    await Promise.all([...keys].map(key => Permission.updateOne(
+      { key },
+      { $setOnInsert: { key, description: DEFAULT_PERMISSION_DESCRIPTIONS[key] } },
+      { upsert: true },
+    )));
+
+    await Promise.all(Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) => Role.updateOne(
+      { name },
+      { $setOnInsert: { name, permissions, isSystem: true } },
+      { upsert: true },
+    )));
+
+    logger.info('Default roles and permissions ensured');
+  }
+}
+
+// Export singleton instance
+export default new PermissionService();
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import { redis } from '../config/redis.js';
+import { config } from '../config/index.js';
+
+const HOUR_SECONDS = 60 * 60;
+
+class PhoneVerificationService {
+  get settings() {
+    return config.security.phoneVerification;
+  }
+
+  /**
+   * Generate a numeric one-time code
+   */
+  generateCode() {
+    const { codeLength } = this.settings;
+    return crypto.randomInt(0, 10 ** codeLength).toString().padStart(codeLength, '0');
+  }
+
+  /**
+   * Codes are stored as an HMAC bound to the user and number
+   */
+  hashCode(userId, phone, code) {
+    return crypto
+      .createHmac('sha256', config.jwt.accessTokenSecret)
+      .update(`${userId}:${phone}:${code}`)
+      .digest('hex');
+  }
+
+  /**
+   * Enforce the resend cooldown and hourly limits per user and per number.
+   * Returns the seconds to wait when a send is not allowed.
+   */
+  async checkSendAllowed(userId, phone) {
+    const { resendCooldownSeconds, maxSendsPerHour } = this.settings;
+
+    const cooldownKey = `phone_verify:cooldown:${userId}`;
+    const started = await redis.getClient().set(cooldownKey, '1', 'EX', resendCooldownSeconds, 'NX');
+    if (!started) {
+      return { allowed: false, retryAfter: Math.max(1, await redis.ttl(cooldownKey)) };
+    }
+
+    for (const key of [`phone_verify:sends:user:${userId}`, `phone_verify:sends:phone:${phone}`]) {
+      const sends = await redis.incr(key);
+      if (sends === 1) {
+        await redis.expire(key, HOUR_SECONDS);
+      }
+      if (sends > maxSendsPerHour) {
+        return { allowed: false, retryAfter: Math.max(1, await redis.ttl(key)) };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Start verification of a number; the caller saves the user and sends the code
+   */
+  issueCode(user, phone) {
+    const code = this.generateCode();
+    const state = user.verification.phone;
+
+    if (state.number !== phone) {
+      state.verified = false;
+      state.verifiedAt = undefined;
+    }
+    state.number = phone;
+    state.token = this.hashCode(user._id.toString(), phone, code);
+    state.expiresAt = new Date(Date.now() + this.settings.codeExpiryMinutes * 60 * 1000);
+    state.attempts = 0;
+    state.sentAt = new Date();
+
+    return code;
+  }
+
+  /**
+   * Check a submitted code, updating the attempt counter on the user.
+   * Returns { valid } or { valid: false, reason, remainingAttempts }.
+   */
+  verifyCode(user, code) {
+    const state = user.verification.phone;
+    const { maxAttempts } = this.settings;
+
+    if (!state.token || !state.expiresAt || state.expiresAt < Date.now()) {
+      this.clearCode(state);
+      return { valid: false, reason: 'EXPIRED' };
+    }
+
+    const expected = Buffer.from(state.token, 'hex');
+    const actual = Buffer.from(this.hashCode(user._id.toString(), state.number, code), 'hex');
+    if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+      state.verified = true;
+      state.verifiedAt = new Date();
+      this.clearCode(state);
+      return { valid: true, phone: state.number };
+    }
+
+    state.attempts = (state.attempts || 0) + 1;
+    const remainingAttempts = Math.max(0, maxAttempts - state.attempts);
+    if (remainingAttempts === 0) {
+      this.clearCode(state);
+      return { valid: false, reason: 'LOCKED', remainingAttempts };
+    }
+
+    return { valid: false, reason: 'INVALID', remainingAttempts };
+  }
+
+  clearCode(state) {
+    state.token = undefined;
+    state.expiresAt = undefined;
+    state.attempts = 0;
+  }
+}
+
+// Export singleton instance
+export default new PhoneVerificationService();
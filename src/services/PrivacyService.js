@@ -0,0 +1,326 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { v4 as uuidv4 } from 'uuid';
+import { User, Order, Cart, ApiKey, Review } from '../models/index.js';
+import { redis } from '../config/redis.js';
+import { config } from '../config/index.js';
+import { setupLogging } from '../config/logging.js';
+import RefreshTokenService from './RefreshTokenService.js';
+import SessionService from './SessionService.js';
+import CacheService from './CacheService.js';
+import ReviewService from './ReviewService.js';
+
+const logger = setupLogging();
+
+const REDACTED = 'REDACTED';
+const DELETED_NAME = 'Deleted User';
+
+/**
+ * Build a ZIP archive (deflate) from { name: Buffer|string } entries
+ */
+function buildZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(entries)) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // local file header signature
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // central directory signature
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, compressed);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+  end.writeUInt16LE(centralParts.length / 2, 8);
+  end.writeUInt16LE(centralParts.length / 2, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+class PrivacyService {
+  get settings() {
+    return config.privacy;
+  }
+
+  // Data export
+
+  /**
+   * Record an export request; the archive is built by the privacy worker
+   */
+  async createExportRequest(userId, format) {
+    const exportRecord = {
+      id: uuidv4(),
+      userId: userId.toString(),
+      format,
+      status: 'PENDING',
+      requestedAt: new Date().toISOString(),
+    };
+    await this.saveExport(exportRecord);
+    await redis.set(this.userExportKey(userId), exportRecord.id, this.exportTTL());
+    return exportRecord;
+  }
+
+  getExport(exportId) {
+    return redis.getJson(this.exportKey(exportId));
+  }
+
+  async getLatestExport(userId) {
+    const exportId = await redis.get(this.userExportKey(userId));
+    return exportId ? this.getExport(exportId) : null;
+  }
+
+  async saveExport(exportRecord) {
+    await redis.setJson(this.exportKey(exportRecord.id), exportRecord, this.exportTTL());
+  }
+
+  /**
+   * Everything we hold about a user, grouped by section
+   */
+  async collectUserData(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error(`User ${userId} not found`);
+    }
+
+    const [orders, carts, sessions, reviews] = await Promise.all([
+      Order.find({ userId }).sort({ createdAt: -1 }).lean(),
+      Cart.find({ userId }).lean(),
+      SessionService.list(userId.toString()),
+      Review.find({ userId }).sort({ createdAt: -1 }).lean(),
+    ]);
+
+    return {
+      profile: {
+        ...user.toJSON(),
+        twoFactorEnabled: user.security.twoFactorEnabled,
+      },
+      orders,
+      carts,
+      sessions,
+      reviews,
+    };
+  }
+
+  /**
+   * Build the archive for an export request and write it to the export directory
+   */
+  async buildExport(exportId) {
+    const exportRecord = await this.getExport(exportId);
+    if (!exportRecord) {
+      throw new Error(`Export ${exportId} not found or expired`);
+    }
+
+    await this.saveExport({ ...exportRecord, status: 'PROCESSING' });
+
+    try {
+      const data = await this.collectUserData(exportRecord.userId);
+      const exportedAt = new Date().toISOString();
+
+      let content;
+      if (exportRecord.format === 'zip') {
+        const files = { 'export.json': JSON.stringify({ exportedAt, userId: exportRecord.userId }, null, 2) };
+        Object.entries(data).forEach(([section, value]) => {
+          files[`${section}.json`] = JSON.stringify(value, null, 2);
+        });
+        content = buildZip(files);
+      } else {
+        content = JSON.stringify({ exportedAt, ...data }, null, 2);
+      }
+
+      await fs.mkdir(this.settings.exportDir, { recursive: true });
+      const fileName = `${exportRecord.id}.${exportRecord.format}`;
+      await fs.writeFile(path.join(this.settings.exportDir, fileName), content);
+
+      const completed = {
+        ...exportRecord,
+        status: 'READY',
+        fileName,
+        size: Buffer.byteLength(content),
+        completedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + this.exportTTL() * 1000).toISOString(),
+      };
+      await this.saveExport(completed);
+      return completed;
+    } catch (error) {
+      await this.saveExport({ ...exportRecord, status: 'FAILED', error: error.message });
+      throw error;
+    }
+  }
+
+  exportFilePath(exportRecord) {
+    return path.resolve(this.settings.exportDir, exportRecord.fileName);
+  }
+
+  /**
+   * Remove archives older than the export retention period
+   */
+  async cleanupExports() {
+    const maxAgeMs = this.exportTTL() * 1000;
+    let removed = 0;
+
+    const files = await fs.readdir(this.settings.exportDir).catch(() => []);
+    for (const file of files) {
+      const filePath = path.join(this.settings.exportDir, file);
+      const stats = await fs.stat(filePath);
+      if (stats.isFile() && Date.now() - stats.mtimeMs > maxAgeMs) {
+        await fs.unlink(filePath);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Account deletion
+
+  requestDeletion(user) {
+    const now = new Date();
+    user.deletion = {
+      requestedAt: now,
+      scheduledFor: new Date(now.getTime() + this.settings.deletionGraceDays * 24 * 60 * 60 * 1000),
+    };
+    return user.save();
+  }
+
+  cancelDeletion(user) {
+    user.deletion = { cancelledAt: new Date() };
+    return user.save();
+  }
+
+  /**
+   * Anonymize every account whose grace period has passed
+   */
+  async processDueDeletions() {
+    const users = await User.find({
+      status: { $ne: 'DELETED' },
+      'deletion.scheduledFor': { $lte: new Date() },
+    }).select('_id');
+
+    let anonymized = 0;
+    for (const { _id } of users) {
+      try {
+        await this.anonymizeUser(_id);
+        anonymized++;
+      } catch (error) {
+        logger.error('Failed to anonymize user', { userId: _id, error: error.message });
+      }
+    }
+    return { due: users.length, anonymized };
+  }
+
+  /**
+   * Strip personal data from the user and their orders. Order amounts, items
+   * and payment records are kept for accounting.
+   */
+  async anonymizeUser(userId) {
+    const user = await User.findById(userId);
+    if (!user || user.status === 'DELETED') {
+      return false;
+    }
+
+    const id = user._id.toString();
+
+    // Only touch addresses that exist, so the update doesn't create partial ones
+    await Promise.all([
+      Order.updateMany({ userId: user._id, 'shipping.address': { $exists: true } }, {
+        $set: {
+          'shipping.address.name': DELETED_NAME,
+          'shipping.address.phone': REDACTED,
+          'shipping.address.street': REDACTED,
+          'shipping.address.zipCode': REDACTED,
+        },
+      }),
+      Order.updateMany({ userId: user._id, 'billing.address': { $exists: true } }, {
+        $set: {
+          'billing.address.name': DELETED_NAME,
+          'billing.address.email': `deleted-${id}@deleted.invalid`,
+          'billing.address.phone': REDACTED,
+          'billing.address.street': REDACTED,
+          'billing.address.zipCode': REDACTED,
+        },
+      }),
+      Order.updateMany({ userId: user._id }, {
+        $unset: {
+          customer: 1,
+          'notes.customer': 1,
+        },
+      }),
+    ]);
+
+    await Promise.all([
+      ReviewService.anonymizeAuthor(user._id, DELETED_NAME),
+      Cart.deleteMany({ userId: user._id }),
+      ApiKey.updateMany({ userId: user._id, status: 'ACTIVE' }, { $set: { status: 'REVOKED', revokedAt: new Date() } }),
+      RefreshTokenService.revokeAllForUser(id, 'account_deleted'),
+      redis.del(SessionService.devicesKey(id)),
+    ]);
+
+    user.email = `deleted-${id}@deleted.invalid`;
+    user.passwordHash = crypto.randomBytes(32).toString('hex'); // Hashed on save; nobody knows it
+    user.profile = { name: DELETED_NAME };
+    user.addresses = [];
+    user.merchantId = undefined;
+    user.roles = [];
+    user.permissions = [];
+    user.verification = {};
+    user.security = {};
+    user.lastLoginIP = undefined;
+    user.lastLoginAgent = undefined;
+    user.status = 'DELETED';
+    user.statusChangedAt = new Date();
+    user.deletion.completedAt = new Date();
+    await user.save();
+
+    await CacheService.delUser(id);
+
+    logger.info('User data anonymized', { userId: id });
+    return true;
+  }
+
+  exportTTL() {
+    return this.settings.exportRetentionHours * 60 * 60;
+  }
+
+  // Key helpers
+  exportKey(exportId) {
+    return `privacy:export:${exportId}`;
+  }
+
+  userExportKey(userId) {
+    return `privacy:export:user:${userId}`;
+  }
+}
+
+// Export singleton instance
+export default new PrivacyService();
@@ -0,0 +1,91 @@
+import { Product } from '../models/index.js';
+import { ValidationError } from '../middleware/error.js';
+import InventoryService from './InventoryService.js';
+
+class ProductBundleService {
+  isBundle(product) {
+    return product.type === 'BUNDLE';
+  }
+
+  /**
+   * Every variant of a bundle lists its components, each SKU once, and
+   * only bundles have components. Components must be active variants of
+   * the merchant's standard products, so bundles can't nest.
+   */
+  async validateComponents({ merchantId, type, variants = [] }) {
+    const errors = [];
+    const componentSkus = new Set();
+
+    variants.forEach((variant, index) => {
+      const field = `variants[${index}].components`;
+      const components = variant.components || [];
+
+      if (type === 'BUNDLE' && components.length === 0) {
+        errors.push({ field, message: 'a bundle variant needs at least one component', value: variant.sku });
+      }
+      if (type !== 'BUNDLE' && components.length > 0) {
+        errors.push({ field, message: 'only bundle products have components', value: variant.sku });
+      }
+
+      const seen = new Set();
+      components.forEach(({ sku }) => {
+        if (seen.has(sku)) {
+          errors.push({ field, message: 'component listed more than once', value: sku });
+        }
+        seen.add(sku);
+        componentSkus.add(sku);
+      });
+    });
+
+    if (componentSkus.size > 0) {
+      const products = await Product.find({
+        merchantId,
+        type: { $ne: 'BUNDLE' },
+        'variants.sku': { $in: [...componentSkus] },
+      }).select('variants.sku variants.isActive').lean();
+
+      const available = new Set(products.flatMap(product => product.variants
+        .filter(variant => variant.isActive !== false)
+        .map(variant => variant.sku)));
+      [...componentSkus].filter(sku => !available.has(sku)).forEach((sku) => {
+        errors.push({ field: 'components', message: 'not an active variant of one of your standard products', value: sku });
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid bundle components', errors);
+    }
+  }
+
+  /**
+   * Components of the bundle SKUs among the given SKUs
+   */
+  async componentsBySku(skus) {
+    const bundles = await Product.find({ type: 'BUNDLE', 'variants.sku': { $in: skus } })
+      .select('variants.sku variants.components')
+      .lean();
+
+    const components = new Map();
+    bundles.forEach((bundle) => {
+      bundle.variants
+        .filter(variant => skus.includes(variant.sku))
+        .forEach(variant => components.set(variant.sku, variant.components));
+    });
+    return components;
+  }
+
+  /**
+   * A bundle as JSON with each variant's stock worked out from its components
+   */
+  async withStock(product) {
+    const json = product.toJSON();
+    json.variants = await Promise.all(json.variants.map(async variant => ({
+      ...variant,
+      stock: await InventoryService.getBundleStock(variant.components),
+    })));
+    return json;
+  }
+}
+
+// Export singleton instance
+export default new ProductBundleService();
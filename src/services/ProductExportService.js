@@ -0,0 +1,492 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { once } from 'events';
+import { Readable, pipeline } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import { Product } from '../models/index.js';
+import { redis } from '../config/redis.js';
+import { config } from '../config/index.js';
+import { csvValue } from './ProductImportService.js';
+import ProductSearchService from './ProductSearchService.js';
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+// Column names match the import format, so an export can be edited and re-imported
+const PRODUCT_COLUMNS = ['handle', 'title', 'description', 'shortDescription', 'categories', 'tags', 'status', 'featured'];
+const VARIANT_COLUMNS = ['sku', 'price', 'currency', 'stock', 'isActive'];
+const DIMENSION_COLUMNS = ['dimensions.weight', 'dimensions.length', 'dimensions.width', 'dimensions.height'];
+const META_COLUMNS = ['productId', 'createdAt', 'updatedAt'];
+
+const WRITE_CHUNK_SIZE = 64 * 1024;
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+// XML 1.0 allows no control characters other than tab, newline and carriage return
+const XML_CONTROL_CHARS_ALLOWED = new Set([0x09, 0x0A, 0x0D]);
+const isXmlChar = char => char.codePointAt(0) >= 0x20 || XML_CONTROL_CHARS_ALLOWED.has(char.codePointAt(0));
+
+const xmlEscape = (value) => [...String(value)]
+  .filter(isXmlChar)
+  .join('')
+  .replace(/[&<>"]/g, char => XML_ESCAPES[char]);
+
+const XLSX_PARTS = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets><sheet name="Products" sheetId="1" r:id="rId1"/></sheets>'
+    + '</workbook>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '</Relationships>',
+};
+
+// Wait for a full stream to drain; fail instead of hanging if the client goes away
+const drained = (output) => new Promise((resolve, reject) => {
+  const onDrain = () => {
+    output.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    output.off('drain', onDrain);
+    reject(new Error('Output closed before the export finished'));
+  };
+  output.once('drain', onDrain);
+  output.once('close', onClose);
+});
+
+/**
+ * Writes a ZIP archive to a stream entry by entry. Entries are deflated as
+ * they are produced and sizes go in a data descriptor after each one, so
+ * nothing is buffered beyond the current chunk.
+ */
+class ZipStream {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async write(buffer) {
+    this.offset += buffer.length;
+    if (!this.output.write(buffer)) {
+      await drained(this.output);
+    }
+  }
+
+  /**
+   * Add an entry from an async iterable of strings or buffers
+   */
+  async addEntry(name, source) {
+    const fileName = Buffer.from(name);
+    const entry = { fileName, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0); // local file header signature
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0808, 6); // data descriptor follows, UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(fileName.length, 26);
+    await this.write(Buffer.concat([header, fileName]));
+
+    async function* counted() {
+      for await (const chunk of source) {
+        const buffer = Buffer.from(chunk);
+        entry.crc = zlib.crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        yield buffer;
+      }
+    }
+
+    // pipeline destroys the deflate stream on a source error, which ends the loop
+    const compressed = pipeline(Readable.from(counted()), zlib.createDeflateRaw(), () => {});
+    for await (const chunk of compressed) {
+      entry.compressedSize += chunk.length;
+      await this.write(chunk);
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0); // data descriptor signature
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+
+    this.entries.push(entry);
+  }
+
+  async finish() {
+    const centralOffset = this.offset;
+
+    for (const entry of this.entries) {
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0); // central directory signature
+      central.writeUInt16LE(20, 4); // version made by
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(0x0808, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt32LE(entry.crc, 16);
+      central.writeUInt32LE(entry.compressedSize, 20);
+      central.writeUInt32LE(entry.size, 24);
+      central.writeUInt16LE(entry.fileName.length, 28);
+      central.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([central, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - centralOffset, 12);
+    end.writeUInt32LE(centralOffset, 16);
+    await this.write(end);
+  }
+}
+
+// Group small strings into larger chunks before they hit the stream
+async function* batched(lines) {
+  let buffer = '';
+  for await (const line of lines) {
+    buffer += line;
+    if (buffer.length >= WRITE_CHUNK_SIZE) {
+      yield buffer;
+      buffer = '';
+    }
+  }
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+const xlsxCell = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return '<c/>';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+};
+
+class ProductExportService {
+  get settings() {
+    return config.productExport;
+  }
+
+  // Filters
+
+  /**
+   * MongoDB filter for schemas.product.search parameters, built like the
+   * storefront search but for any status. Price, stock and attribute
+   * filters select products here and individual variants in variantMatches.
+   */
+  buildFilter({ status, ...query }, merchantId) {
+    const { status: _active, ...base } = ProductSearchService.baseFilter({ ...query, merchantId });
+    const filter = { ...base, ...ProductSearchService.facetFilter(query) };
+    if (status) {
+      filter.status = status;
+    }
+    return filter;
+  }
+
+  variantMatches(variant, { minPrice, maxPrice, inStock, attributes = {} }) {
+    if (minPrice !== undefined && variant.price < minPrice) {
+      return false;
+    }
+    if (maxPrice !== undefined && variant.price > maxPrice) {
+      return false;
+    }
+    if (inStock !== undefined && (variant.stock > 0) !== inStock) {
+      return false;
+    }
+    return Object.entries(attributes).every(([name, values]) => values.includes(variant.attributes?.[name]));
+  }
+
+  countProducts(filter) {
+    return Product.countDocuments(filter);
+  }
+
+  // Rows
+
+  /**
+   * Column list for a filter. Attribute and specification names vary by
+   * catalogue, so they are collected up front with an aggregation that only
+   * returns the distinct names.
+   */
+  async getColumns(filter) {
+    const [result] = await Product.aggregate([
+      { $match: filter },
+      {
+        $project: {
+          keys: {
+            $concatArrays: [
+              {
+                $map: {
+                  input: { $objectToArray: { $ifNull: ['$specifications', {}] } },
+                  in: { $concat: ['specifications.', '$$this.k'] },
+                },
+              },
+              {
+                $reduce: {
+                  input: '$variants',
+                  initialValue: [],
+                  in: {
+                    $concatArrays: ['$$value', {
+                      $map: {
+                        input: { $objectToArray: { $ifNull: ['$$this.attributes', {}] } },
+                        as: 'attribute',
+                        in: { $concat: ['attributes.', '$$attribute.k'] },
+                      },
+                    }],
+                  },
+                },
+              },
+            ],
+          },
+        },
+      },
+      { $unwind: '$keys' },
+      { $group: { _id: null, keys: { $addToSet: '$keys' } } },
+    ]);
+
+    const keys = (result?.keys || []).sort();
+    return [
+      ...PRODUCT_COLUMNS,
+      ...VARIANT_COLUMNS,
+      ...keys.filter(key => key.startsWith('attributes.')),
+      ...DIMENSION_COLUMNS,
+      ...keys.filter(key => key.startsWith('specifications.')),
+      ...META_COLUMNS,
+    ];
+  }
+
+  /**
+   * One flat row per variant, read through a cursor. Products without
+   * variants still get a row so they aren't silently dropped.
+   */
+  async* rows(filter, query = {}) {
+    const cursor = Product.find(filter).sort({ _id: 1 }).lean().cursor();
+
+    for await (const product of cursor) {
+      const base = {
+        handle: product.slug,
+        title: product.title,
+        description: product.description,
+        shortDescription: product.shortDescription,
+        categories: (product.categories || []).join('|'),
+        tags: (product.tags || []).join('|'),
+        status: product.status,
+        featured: product.featured,
+        productId: product._id.toString(),
+        createdAt: product.createdAt?.toISOString(),
+        updatedAt: product.updatedAt?.toISOString(),
+      };
+      Object.entries(product.specifications || {}).forEach(([key, value]) => {
+        base[`specifications.${key}`] = value;
+      });
+
+      const variants = (product.variants || []).filter(variant => this.variantMatches(variant, query));
+      if (!product.variants?.length) {
+        yield base;
+        continue;
+      }
+
+      for (const variant of variants) {
+        const row = {
+          ...base,
+          sku: variant.sku,
+          price: variant.price,
+          currency: variant.currency,
+          stock: variant.stock,
+          isActive: variant.isActive,
+        };
+        Object.entries(variant.attributes || {}).forEach(([key, value]) => {
+          row[`attributes.${key}`] = value;
+        });
+        Object.entries(variant.dimensions || {}).forEach(([key, value]) => {
+          row[`dimensions.${key}`] = value;
+        });
+        yield row;
+      }
+    }
+  }
+
+  // Writers
+
+  /**
+   * Stream the export to a writable (an HTTP response or a file).
+   * Resolves with the number of rows written.
+   */
+  async writeExport(output, { format, filter, query }) {
+    let rowCount = 0;
+    const columns = format === 'jsonl' ? null : await this.getColumns(filter);
+    const self = this;
+
+    async function* lines() {
+      if (format === 'csv') {
+        yield `${columns.join(',')}\n`;
+      }
+      if (format === 'xlsx') {
+        yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+          + `<row>${columns.map(xlsxCell).join('')}</row>`;
+      }
+
+      for await (const row of self.rows(filter, query)) {
+        rowCount++;
+        if (format === 'csv') {
+          yield `${columns.map(column => csvValue(row[column])).join(',')}\n`;
+        } else if (format === 'xlsx') {
+          yield `<row>${columns.map(column => xlsxCell(row[column])).join('')}</row>`;
+        } else {
+          yield `${JSON.stringify(row)}\n`;
+        }
+      }
+
+      if (format === 'xlsx') {
+        yield '</sheetData></worksheet>';
+      }
+    }
+
+    if (format === 'xlsx') {
+      const zip = new ZipStream(output);
+      for (const [name, content] of Object.entries(XLSX_PARTS)) {
+        await zip.addEntry(name, [content]);
+      }
+      await zip.addEntry('xl/worksheets/sheet1.xml', batched(lines()));
+      await zip.finish();
+    } else {
+      for await (const chunk of batched(lines())) {
+        if (!output.write(chunk)) {
+          await drained(output);
+        }
+      }
+    }
+
+    return rowCount;
+  }
+
+  // Background exports
+
+  async createExport({ merchantId, user, format, query }) {
+    const record = {
+      id: uuidv4(),
+      merchantId,
+      userId: user._id.toString(),
+      format,
+      query,
+      status: 'PENDING',
+      requestedAt: new Date().toISOString(),
+    };
+    await this.saveExport(record);
+    return record;
+  }
+
+  getExport(exportId) {
+    return redis.getJson(this.exportKey(exportId));
+  }
+
+  async saveExport(record) {
+    await redis.setJson(this.exportKey(record.id), record, this.retentionTTL());
+  }
+
+  exportFilePath(record) {
+    return path.resolve(this.settings.destination, record.fileName);
+  }
+
+  /**
+   * Write a background export to the export directory
+   */
+  async buildExport(exportId) {
+    const record = await this.getExport(exportId);
+    if (!record) {
+      throw new Error(`Export ${exportId} not found or expired`);
+    }
+
+    await this.saveExport({ ...record, status: 'PROCESSING' });
+
+    const fileName = `${record.id}.${EXPORT_FORMATS[record.format].extension}`;
+    const filePath = path.join(this.settings.destination, fileName);
+
+    try {
+      await fsp.mkdir(this.settings.destination, { recursive: true });
+
+      const file = fs.createWriteStream(filePath);
+      const rowCount = await this.writeExport(file, {
+        format: record.format,
+        filter: this.buildFilter(record.query, record.merchantId),
+        query: record.query,
+      });
+      file.end();
+      await once(file, 'finish');
+
+      const { size } = await fsp.stat(filePath);
+      const completed = {
+        ...record,
+        status: 'READY',
+        fileName,
+        rowCount,
+        size,
+        completedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + this.retentionTTL() * 1000).toISOString(),
+      };
+      await this.saveExport(completed);
+      return completed;
+    } catch (error) {
+      await fsp.unlink(filePath).catch(() => {});
+      await this.saveExport({ ...record, status: 'FAILED', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove files older than the retention period
+   */
+  async cleanupExports() {
+    const maxAgeMs = this.retentionTTL() * 1000;
+    let removed = 0;
+
+    const files = await fsp.readdir(this.settings.destination).catch(() => []);
+    for (const file of files) {
+      const filePath = path.join(this.settings.destination, file);
+      const stats = await fsp.stat(filePath);
+      if (stats.isFile() && Date.now() - stats.mtimeMs > maxAgeMs) {
+        await fsp.unlink(filePath);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  retentionTTL() {
+    return this.settings.retentionHours * 60 * 60;
+  }
+
+  // Key helpers
+  exportKey(exportId) {
+    return `product-export:${exportId}`;
+  }
+}
+
+// Export singleton instance
+export default new ProductExportService();
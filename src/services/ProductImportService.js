@@ -0,0 +1,436 @@
+import fs from 'fs/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { Product } from '../models/index.js';
+import { schemas } from '../middleware/validation.js';
+import { redis } from '../config/redis.js';
+import { config } from '../config/index.js';
+import { setupLogging } from '../config/logging.js';
+import CacheService from './CacheService.js';
+import CategoryService, { slugify } from './CategoryService.js';
+import ProductRevisionService from './ProductRevisionService.js';
+import ProductBundleService from './ProductBundleService.js';
+
+const logger = setupLogging();
+
+// Columns that belong to a variant; everything else describes the product
+const VARIANT_FIELDS = ['sku', 'price', 'currency', 'stock', 'attributes', 'dimensions'];
+const LIST_FIELDS = ['categories', 'tags'];
+const LIST_SEPARATOR = '|';
+
+export const ERROR_REPORT_COLUMNS = ['row', 'handle', 'sku', 'field', 'message'];
+
+const PROGRESS_EVERY = 25; // products between status updates
+
+/**
+ * Parse RFC 4180 CSV into an array of records (arrays of strings).
+ * Handles quoted fields, escaped quotes and newlines inside quotes.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+export const csvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Set a value on a nested object from a dotted column name
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach((key) => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+class ProductImportService {
+  get settings() {
+    return config.productImport;
+  }
+
+  // Import records
+
+  async createImport({ merchantId, userId, filePath, fileName, format, dryRun }) {
+    const record = {
+      id: uuidv4(),
+      merchantId,
+      userId: userId?.toString(),
+      fileName,
+      filePath,
+      format,
+      dryRun,
+      status: 'PENDING',
+      createdAt: new Date().toISOString(),
+    };
+    await this.saveImport(record);
+    return record;
+  }
+
+  getImport(importId) {
+    return redis.getJson(this.importKey(importId));
+  }
+
+  async saveImport(record) {
+    await redis.setJson(this.importKey(record.id), record, this.retentionTTL());
+  }
+
+  // Never expose where the upload lives on disk
+  toPublic(record) {
+    const { filePath: _filePath, ...rest } = record;
+    return rest;
+  }
+
+  async getErrors(importId) {
+    const entries = await redis.getClient().lrange(this.errorsKey(importId), 0, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  // Parsing
+
+  /**
+   * Rows as { row, values } where row is the number shown to the user:
+   * the spreadsheet line for CSV (header is line 1), the 1-based index for JSON
+   */
+  parseRows(content, format) {
+    if (format === 'json') {
+      const data = JSON.parse(content);
+      const items = Array.isArray(data) ? data : data?.rows;
+      if (!Array.isArray(items)) {
+        throw new Error('JSON imports must be an array of rows');
+      }
+      return items.map((values, index) => ({ row: index + 1, values: values || {} }));
+    }
+
+    const [header, ...records] = parseCsv(content.replace(/^\uFEFF/, ''));
+    if (!header) {
+      return [];
+    }
+    const columns = header.map(column => column.trim());
+
+    return records
+      .map((record, index) => ({ row: index + 2, record }))
+      .filter(({ record }) => record.some(value => value.trim() !== ''))
+      .map(({ row, record }) => {
+        const values = {};
+        columns.forEach((column, position) => {
+          values[column] = record[position];
+        });
+        return { row, values };
+      });
+  }
+
+  /**
+   * Group rows into products by `handle` (falling back to the title slug),
+   * keeping file order
+   */
+  groupRows(rows, reportError) {
+    const groups = new Map();
+
+    rows.forEach(({ row, values }) => {
+      const handle = slugify(values.handle || values.title || '');
+      if (!handle) {
+        reportError({ row, sku: values.sku, field: 'handle', message: 'handle or title is required' });
+        return;
+      }
+      if (!groups.has(handle)) {
+        groups.set(handle, { handle, rows: [] });
+      }
+      groups.get(handle).rows.push({ row, values });
+    });
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Product payload in the shape of schemas.product.create. Product fields
+   * come from the first row that sets them; each row is one variant.
+   */
+  buildPayload(group) {
+    const product = {};
+    const productColumns = new Set();
+    const variants = [];
+
+    group.rows.forEach(({ values }) => {
+      const variant = {};
+      Object.entries(values).forEach(([column, value]) => {
+        if (column === 'handle' || isBlank(value)) {
+          return;
+        }
+        const [root] = column.split('.');
+        if (VARIANT_FIELDS.includes(root)) {
+          setPath(variant, column, typeof value === 'string' ? value.trim() : value);
+        } else if (!productColumns.has(column)) {
+          productColumns.add(column);
+          let parsed = typeof value === 'string' ? value.trim() : value;
+          if (LIST_FIELDS.includes(column) && typeof parsed === 'string') {
+            parsed = parsed.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+          }
+          setPath(product, column, parsed);
+        }
+      });
+      variants.push(variant);
+    });
+
+    return { ...product, variants };
+  }
+
+  /**
+   * Validate a group against schemas.product.create. Errors are attributed
+   * to the row of the variant they belong to, or the group's first row.
+   */
+  validateGroup(group) {
+    const { error, value } = schemas.product.create.validate(this.buildPayload(group), {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    const errors = (error?.details || []).map((detail) => {
+      const [root, index, ...rest] = detail.path;
+      const isVariant = root === 'variants' && Number.isInteger(index);
+      const source = isVariant ? group.rows[index] : group.rows[0];
+      return {
+        row: source.row,
+        handle: group.handle,
+        sku: source.values.sku,
+        field: isVariant ? rest.join('.') : detail.path.join('.'),
+        message: detail.message.replace(/^".*?" /, ''),
+      };
+    });
+
+    return { errors, value };
+  }
+
+  // Processing
+
+  /**
+   * Parse, validate and upsert every product in an import. In dry-run mode
+   * nothing is written, but the result reports what would have changed.
+   */
+  async runImport(importId) {
+    const record = await this.getImport(importId);
+    if (!record) {
+      throw new Error(`Import ${importId} not found or expired`);
+    }
+
+    const summary = { rows: 0, products: 0, created: 0, updated: 0, rejectedRows: 0, rejectedProducts: 0 };
+    await this.saveImport({ ...record, status: 'PROCESSING', startedAt: new Date().toISOString(), summary });
+
+    const errorsKey = this.errorsKey(importId);
+    const rejectedRows = new Set();
+    const pendingErrors = [];
+    const reportError = (entry) => {
+      rejectedRows.add(entry.row);
+      pendingErrors.push(JSON.stringify(entry));
+    };
+    const flushErrors = async () => {
+      if (pendingErrors.length > 0) {
+        await redis.getClient().rpush(errorsKey, ...pendingErrors.splice(0));
+        await redis.expire(errorsKey, this.retentionTTL());
+      }
+    };
+
+    try {
+      await redis.del(errorsKey);
+
+      const content = await fs.readFile(record.filePath, 'utf8');
+      const rows = this.parseRows(content, record.format);
+      if (rows.length > this.settings.maxRows) {
+        throw new Error(`Import has ${rows.length} rows; the limit is ${this.settings.maxRows}`);
+      }
+      summary.rows = rows.length;
+
+      const groups = this.groupRows(rows, reportError);
+      summary.products = groups.length;
+
+      // A SKU may only appear once in the file
+      const skuRows = new Map();
+      const duplicateGroups = new Set();
+      groups.forEach((group) => {
+        group.rows.forEach(({ row, values }) => {
+          const sku = typeof values.sku === 'string' ? values.sku.trim() : values.sku;
+          if (isBlank(sku)) {
+            return;
+          }
+          if (skuRows.has(sku)) {
+            reportError({ row, handle: group.handle, sku, field: 'sku', message: `duplicate SKU, first used on row ${skuRows.get(sku)}` });
+            duplicateGroups.add(group);
+          } else {
+            skuRows.set(sku, row);
+          }
+        });
+      });
+
+      for (const [index, group] of groups.entries()) {
+        const { errors, value } = this.validateGroup(group);
+        errors.forEach(reportError);
+
+        if (errors.length > 0 || duplicateGroups.has(group)) {
+          this.rejectGroup(group, reportError, rejectedRows);
+          summary.rejectedProducts++;
+        } else {
+          try {
+            const result = await this.upsertProduct(record, group, value);
+            summary[result]++;
+          } catch (error) {
+            reportError({ row: group.rows[0].row, handle: group.handle, field: error.field || error.details?.[0]?.field || 'product', message: error.message });
+            this.rejectGroup(group, reportError, rejectedRows);
+            summary.rejectedProducts++;
+          }
+        }
+
+        if ((index + 1) % PROGRESS_EVERY === 0) {
+          await flushErrors();
+          summary.rejectedRows = rejectedRows.size;
+          await this.saveImport({ ...record, status: 'PROCESSING', summary, processedProducts: index + 1 });
+        }
+      }
+
+      await flushErrors();
+      summary.rejectedRows = rejectedRows.size;
+
+      const completed = {
+        ...record,
+        status: 'COMPLETED',
+        summary,
+        processedProducts: groups.length,
+        completedAt: new Date().toISOString(),
+      };
+      await this.saveImport(completed);
+      if (!record.dryRun) {
+        await CacheService.invalidateSearchCache();
+      }
+
+      logger.info('Product import finished', { importId, merchantId: record.merchantId, dryRun: record.dryRun, ...summary });
+      return completed;
+    } catch (error) {
+      await flushErrors();
+      await this.saveImport({ ...record, status: 'FAILED', summary, error: error.message, completedAt: new Date().toISOString() });
+      throw error;
+    } finally {
+      await fs.unlink(record.filePath).catch(() => {});
+    }
+  }
+
+  // Every row of a rejected product is reported, not only the ones with errors
+  rejectGroup(group, reportError, rejectedRows) {
+    const firstRow = group.rows[0].row;
+    group.rows.filter(({ row }) => !rejectedRows.has(row)).forEach(({ row, values }) => {
+      reportError({ row, handle: group.handle, sku: values.sku, field: 'handle', message: `product rejected (see errors for row ${firstRow} and its variants)` });
+    });
+  }
+
+  /**
+   * Match by slug, then by any of the SKUs, within the merchant. Existing
+   * variants are updated in place; new SKUs are added. Categories may be
+   * given by name or slug but must exist.
+   */
+  async upsertProduct(record, group, payload) {
+    const { merchantId, dryRun } = record;
+    const skus = payload.variants.map(variant => variant.sku);
+    payload.categories = await CategoryService.resolveSlugs(payload.categories);
+
+    let product = await Product.findOne({ merchantId, slug: group.handle })
+      || await Product.findOne({ merchantId, 'variants.sku': { $in: skus } });
+
+    // SKUs are unique across the catalogue, trash included
+    const conflict = await Product.findOne({
+      'variants.sku': { $in: skus },
+      ...(product ? { _id: { $ne: product._id } } : {}),
+    }).setOptions({ withDeleted: true }).select('variants.sku').lean();
+    if (conflict) {
+      const taken = conflict.variants.map(variant => variant.sku).filter(sku => skus.includes(sku));
+      const error = new Error(`SKU ${taken.join(', ')} already belongs to another product`);
+      error.field = 'sku';
+      throw error;
+    }
+
+    const { variants, ...fields } = payload;
+    const result = product ? 'updated' : 'created';
+
+    if (product) {
+      product.set(fields);
+      variants.forEach((variant) => {
+        const existing = product.getVariantBySku(variant.sku);
+        if (existing) {
+          existing.set(variant);
+        } else {
+          product.variants.push(variant);
+        }
+      });
+    } else {
+      product = new Product({ ...payload, merchantId, slug: group.handle });
+    }
+
+    await ProductBundleService.validateComponents(product);
+    if (dryRun) {
+      await product.validate();
+    } else {
+      await product.save();
+      await ProductRevisionService.record(product, { action: 'IMPORT', author: { _id: record.userId } });
+    }
+    return result;
+  }
+
+  retentionTTL() {
+    return this.settings.retentionHours * 60 * 60;
+  }
+
+  // Key helpers
+  importKey(importId) {
+    return `product-import:${importId}`;
+  }
+
+  errorsKey(importId) {
+    return `product-import:${importId}:errors`;
+  }
+}
+
+// Export singleton instance
+export default new ProductImportService();
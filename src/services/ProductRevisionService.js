@@ -0,0 +1,225 @@
+import { Product, ProductRevision } from '../models/index.js';
+import { NotFoundError } from '../middleware/error.js';
+import CategoryService from './CategoryService.js';
+import { config } from '../config/index.js';
+import { setupLogging } from '../config/logging.js';
+
+const logger = setupLogging();
+
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Not catalogue content: identity, ownership, counters, publication state, schedules
+// and system timestamps. Status and featured have their own routes and permissions,
+// so a restore must not change them.
+const SNAPSHOT_EXCLUDED = [
+  '_id', '__v', 'merchantId', 'analytics', 'status', 'featured',
+  'publishAt', 'unpublishAt', 'publishedAt', 'archivedAt', 'createdAt', 'updatedAt',
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+class ProductRevisionService {
+  get settings() {
+    return config.productRevisions;
+  }
+
+  // Snapshots
+
+  /**
+   * The editable content of a product. Variant stock is left out: it moves
+   * with every order, and a restore must not bring back old stock levels.
+   */
+  snapshot(product) {
+    const object = typeof product.toObject === 'function' ? product.toObject({ flattenMaps: true }) : product;
+    const { variants = [], ...fields } = JSON.parse(JSON.stringify(object));
+    SNAPSHOT_EXCLUDED.forEach((key) => {
+      delete fields[key];
+    });
+    return {
+      ...fields,
+      variants: variants.map(({ stock: _stock, ...variant }) => variant),
+    };
+  }
+
+  /**
+   * Dotted field paths of a snapshot. Variants are keyed by SKU, so
+   * reordering them is not a change; other arrays compare as a whole.
+   */
+  flatten(value, prefix = '', fields = {}) {
+    if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, child]) => {
+        this.flatten(child, prefix ? `${prefix}.${key}` : key, fields);
+      });
+    } else if (prefix === 'variants' && Array.isArray(value)) {
+      value.forEach(({ _id, sku, ...variant }) => this.flatten(variant, `variants[${sku}]`, fields));
+    } else {
+      fields[prefix] = value;
+    }
+    return fields;
+  }
+
+  /**
+   * Field-level changes between two snapshots
+   */
+  diff(from = {}, to = {}) {
+    const before = this.flatten(from);
+    const after = this.flatten(to);
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return [...fields]
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field, before: before[field], after: after[field] }));
+  }
+
+  // Writes
+
+  /**
+   * Store the product's current content as its next version. Writes that
+   * leave the content unchanged don't add a revision. The unique version
+   * index makes concurrent writers fail with a duplicate key, in which
+   * case we re-read the latest version and try again.
+   */
+  async record(product, { action, author, restoredFrom } = {}) {
+    const snapshot = this.snapshot(product);
+
+    for (let attempt = 1; attempt <= MAX_RECORD_ATTEMPTS; attempt++) {
+      const latest = await ProductRevision.findLatest(product._id);
+      const changedFields = this.diff(latest?.snapshot, snapshot).map(change => change.field);
+      if (latest && changedFields.length === 0) {
+        return latest;
+      }
+
+      try {
+        const revision = await ProductRevision.create({
+          productId: product._id,
+          merchantId: product.merchantId,
+          version: (latest?.version || 0) + 1,
+          action,
+          snapshot,
+          changedFields,
+          author: author ? { userId: author._id, email: author.email } : undefined,
+          restoredFrom,
+        });
+        await this.prune(product._id, revision.version);
+        return revision;
+      } catch (error) {
+        if (error.code !== 11000 || attempt === MAX_RECORD_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+
+  async recordMany(filter, options) {
+    const products = await Product.find(filter);
+    for (const product of products) {
+      await this.record(product, options);
+    }
+    return products.length;
+  }
+
+  // Only the most recent versions are kept
+  async prune(productId, version) {
+    const oldest = version - this.settings.maxPerProduct;
+    if (oldest > 0) {
+      await ProductRevision.deleteMany({ productId, version: { $lte: oldest } });
+    }
+  }
+
+  /**
+   * Put a product's content back to an earlier version and record that as
+   * a new revision. Current stock is kept for SKUs that still exist;
+   * variants that were removed since come back without stock. Revisions
+   * recorded before status and featured were excluded still carry them,
+   * so the snapshot is filtered again, and categories deleted since make
+   * the restore fail.
+   */
+  async restore(product, version, author) {
+    const revision = await this.getRevision(product._id, version);
+    const before = product.toObject();
+    const { variants = [], ...fields } = this.snapshot(revision.snapshot);
+    if (fields.categories) {
+      fields.categories = await CategoryService.resolveSlugs(fields.categories);
+    }
+    const stockBySku = new Map(product.variants.map(variant => [variant.sku, variant.stock]));
+
+    // Fields that were empty in the revision are cleared
+    Object.keys(this.snapshot(product))
+      .filter(key => !(key in revision.snapshot))
+      .forEach(key => product.set(key, undefined));
+
+    product.set({
+      ...fields,
+      variants: variants.map(variant => ({ ...variant, stock: stockBySku.get(variant.sku) ?? 0 })),
+    });
+    await product.save();
+
+    const restored = await this.record(product, { action: 'RESTORE', author, restoredFrom: revision.version });
+    return { product, before, revision: restored };
+  }
+
+  // Reads
+
+  async listRevisions(productId, { page, limit }) {
+    const filter = { productId };
+    const [revisions, total] = await Promise.all([
+      ProductRevision.find(filter)
+        .select('-snapshot')
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ProductRevision.countDocuments(filter),
+    ]);
+    return { revisions, total };
+  }
+
+  async getRevision(productId, version) {
+    const revision = await ProductRevision.findVersion(productId, version);
+    if (!revision) {
+      throw new NotFoundError('Revision');
+    }
+    return revision;
+  }
+
+  /**
+   * Changes from one version to another; `to` defaults to the latest
+   */
+  async compare(productId, from, to) {
+    const [older, newer] = await Promise.all([
+      this.getRevision(productId, from),
+      to ? this.getRevision(productId, to) : ProductRevision.findLatest(productId),
+    ]);
+
+    return {
+      from: older.version,
+      to: newer.version,
+      changes: this.diff(older.snapshot, newer.snapshot),
+    };
+  }
+
+  // Migration
+
+  /**
+   * Give products created before revision history a baseline version, so
+   * their first edit has something to diff against and restore to.
+   * Products that already have revisions are skipped.
+   */
+  async backfillRevisions() {
+    const tracked = await ProductRevision.distinct('productId');
+    let count = 0;
+
+    for await (const product of Product.find({ _id: { $nin: tracked } }).cursor()) {
+      await this.record(product, { action: 'BASELINE' });
+      count++;
+    }
+
+    if (count > 0) {
+      logger.info('Product revision baselines recorded', { products: count });
+    }
+    return count;
+  }
+}
+
+// Export singleton instance
+export default new ProductRevisionService();
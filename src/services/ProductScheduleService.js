@@ -0,0 +1,71 @@
+import { Product } from '../models/index.js';
+import { ValidationError } from '../middleware/error.js';
+import { setupLogging } from '../config/logging.js';
+import CacheService from './CacheService.js';
+import ProductRevisionService from './ProductRevisionService.js';
+
+const logger = setupLogging();
+
+// Scheduled transitions, applied in this order so a launch and takedown
+// that both fell due while the worker was down end with the takedown
+const TRANSITIONS = [
+  { field: 'publishAt', from: 'DRAFT', to: 'ACTIVE', event: 'published' },
+  { field: 'unpublishAt', from: 'ACTIVE', to: 'ARCHIVED', event: 'unpublished' },
+];
+
+class ProductScheduleService {
+  /**
+   * Set or clear (with null) a product's launch and takedown times. A
+   * field that isn't given keeps its current value.
+   */
+  async setSchedule(product, { publishAt, unpublishAt }) {
+    const before = { publishAt: product.publishAt, unpublishAt: product.unpublishAt };
+    if (publishAt !== undefined) {
+      product.publishAt = publishAt;
+    }
+    if (unpublishAt !== undefined) {
+      product.unpublishAt = unpublishAt;
+    }
+
+    if (product.publishAt && product.unpublishAt && product.unpublishAt <= product.publishAt) {
+      throw new ValidationError('unpublishAt must be after publishAt', [{
+        field: 'unpublishAt',
+        message: 'must be after publishAt',
+        value: product.unpublishAt,
+      }]);
+    }
+
+    await product.save();
+    return { product, before };
+  }
+
+  /**
+   * Move every product whose scheduled time has passed. The schedule field
+   * is cleared once applied, so each transition happens once.
+   */
+  async applySchedules(now = new Date()) {
+    const summary = {};
+
+    for (const { field, from, to, event } of TRANSITIONS) {
+      const products = await Product.find({ status: from, [field]: { $lte: now } });
+
+      for (const product of products) {
+        product.status = to;
+        product[field] = undefined;
+        await product.save();
+        await ProductRevisionService.record(product, { action: 'STATUS' });
+        await CacheService.invalidateProductCache(product._id, product.merchantId);
+      }
+
+      summary[event] = products.length;
+    }
+
+    if (summary.published > 0 || summary.unpublished > 0) {
+      logger.info('Scheduled product changes applied', summary);
+    }
+    return summary;
+  }
+}
+
+// Export singleton instance
+export default new ProductScheduleService();
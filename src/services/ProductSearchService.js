@@ -0,0 +1,279 @@
+import { Product } from '../models/index.js';
+import { config } from '../config/index.js';
+
+// Only the variants a shopper can buy are counted and matched
+const ACTIVE_VARIANT = { isActive: { $ne: false } };
+
+const valueCounts = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+
+class ProductSearchService {
+  get settings() {
+    return config.productSearch;
+  }
+
+  // Filters
+
+  /**
+   * Conditions on a single variant. Price, stock and attribute filters
+   * have to hold for the same variant, so a red L shirt in stock is not
+   * matched by a red S in stock and an out-of-stock red L.
+   * `except` leaves out one facet's own filter.
+   */
+  variantConditions({ minPrice, maxPrice, inStock, attributes = {} }, except) {
+    const conditions = {};
+    if (except !== 'price' && (minPrice !== undefined || maxPrice !== undefined)) {
+      conditions.price = {};
+      if (minPrice !== undefined) {
+        conditions.price.$gte = minPrice;
+      }
+      if (maxPrice !== undefined) {
+        conditions.price.$lte = maxPrice;
+      }
+    }
+    if (except !== 'inStock' && inStock !== undefined) {
+      conditions.stock = inStock ? { $gt: 0 } : { $lte: 0 };
+    }
+    for (const [name, values] of Object.entries(attributes)) {
+      if (except !== `attributes.${name}`) {
+        conditions[`attributes.${name}`] = { $in: values };
+      }
+    }
+    return conditions;
+  }
+
+  /**
+   * Filters a facet can be narrowed by. Each facet is counted with every
+   * filter but its own, so picking "red" still shows how many products
+   * come in blue.
+   */
+  facetFilter(query, except = null) {
+    const filter = {};
+    if (except !== 'categories' && query.categories?.length) {
+      filter.categories = { $in: query.categories };
+    }
+    if (except !== 'tags' && query.tags?.length) {
+      filter.tags = { $in: query.tags.map(tag => tag.toLowerCase()) };
+    }
+
+    const variant = this.variantConditions(query, except);
+    if (Object.keys(variant).length > 0) {
+      filter.variants = { $elemMatch: { ...ACTIVE_VARIANT, ...variant } };
+    }
+    return filter;
+  }
+
+  /**
+   * Filters that facets don't count: the text query, merchant, featured
+   * flag and the category page being browsed (`categoryScope`, a list of
+   * slugs). `$text` has to be in the first pipeline stage, so these
+   * always go in the leading $match.
+   */
+  baseFilter({ q, merchantId, featured, categoryScope }) {
+    const filter = { status: 'ACTIVE' };
+    if (q) {
+      filter.$text = { $search: q };
+    }
+    if (merchantId) {
+      filter.merchantId = merchantId;
+    }
+    if (featured !== undefined) {
+      filter.featured = featured;
+    }
+    if (categoryScope) {
+      // Under $and so a categories filter from the shopper can narrow it
+      filter.$and = [{ categories: { $in: categoryScope } }];
+    }
+    return filter;
+  }
+
+  // Facets
+
+  valueFacet(query, field) {
+    return [
+      { $match: this.facetFilter(query, field) },
+      { $unwind: `$${field}` },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: this.settings.facetLimit },
+    ];
+  }
+
+  // Products are counted once per value, however many variants share it
+  attributeFacet(query, name) {
+    const facet = `attributes.${name}`;
+    const variant = this.variantConditions(query, facet);
+
+    return [
+      { $match: this.facetFilter(query, facet) },
+      { $unwind: '$variants' },
+      {
+        $match: Object.fromEntries(
+          Object.entries({ ...ACTIVE_VARIANT, ...variant, [facet]: { $exists: true } })
+            .map(([key, condition]) => [`variants.${key}`, condition]),
+        ),
+      },
+      { $group: { _id: { product: '$_id', value: `$variants.${facet}` } } },
+      { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: this.settings.facetLimit },
+    ];
+  }
+
+  // Bucketed by the lowest active variant price
+  priceFacet(query) {
+    const bounds = this.settings.priceBuckets;
+
+    return [
+      { $match: this.facetFilter(query, 'price') },
+      {
+        $project: {
+          price: {
+            $min: {
+              $map: {
+                input: {
+                  $filter: {
+                    input: '$variants',
+                    as: 'variant',
+                    cond: { $ne: ['$$variant.isActive', false] },
+                  },
+                },
+                as: 'variant',
+                in: '$$variant.price',
+              },
+            },
+          },
+        },
+      },
+      { $match: { price: { $ne: null } } },
+      {
+        $bucket: {
+          groupBy: '$price',
+          boundaries: bounds,
+          default: bounds[bounds.length - 1],
+          output: { count: { $sum: 1 } },
+        },
+      },
+    ];
+  }
+
+  stockFacet(query) {
+    return [
+      { $match: this.facetFilter(query, 'inStock') },
+      {
+        $project: {
+          inStock: {
+            $anyElementTrue: [{
+              $map: {
+                input: '$variants',
+                as: 'variant',
+                in: {
+                  $and: [
+                    { $gt: ['$$variant.stock', 0] },
+                    { $ne: ['$$variant.isActive', false] },
+                  ],
+                },
+              },
+            }],
+          },
+        },
+      },
+      { $group: { _id: '$inStock', count: { $sum: 1 } } },
+    ];
+  }
+
+  formatPriceBuckets(buckets) {
+    const bounds = this.settings.priceBuckets;
+    return buckets.map(({ _id, count }) => {
+      const index = bounds.indexOf(_id);
+      return { min: _id, max: bounds[index + 1] ?? null, count };
+    });
+  }
+
+  /**
+   * Counts for a storefront filter sidebar, plus the total of products
+   * matching every filter, in a single aggregation.
+   */
+  async getFacets(query, base) {
+    const attributeNames = this.settings.facetAttributes;
+
+    const [result] = await Product.aggregate([
+      { $match: base },
+      {
+        $facet: {
+          total: [{ $match: this.facetFilter(query) }, { $count: 'count' }],
+          categories: this.valueFacet(query, 'categories'),
+          tags: this.valueFacet(query, 'tags'),
+          price: this.priceFacet(query),
+          inStock: this.stockFacet(query),
+          ...Object.fromEntries(
+            attributeNames.map(name => [`attribute_${name}`, this.attributeFacet(query, name)]),
+          ),
+        },
+      },
+    ]);
+
+    const stock = Object.fromEntries(result.inStock.map(({ _id, count }) => [_id, count]));
+
+    return {
+      total: result.total[0]?.count || 0,
+      facets: {
+        categories: valueCounts(result.categories),
+        tags: valueCounts(result.tags),
+        price: this.formatPriceBuckets(result.price),
+        attributes: Object.fromEntries(
+          attributeNames.map(name => [name, valueCounts(result[`attribute_${name}`])]),
+        ),
+        inStock: { inStock: stock.true || 0, outOfStock: stock.false || 0 },
+      },
+    };
+  }
+
+  // Search
+
+  /**
+   * One page of products with totals and facet counts. `base` is the
+   * output of baseFilter, after any visibility rules the caller applies.
+   */
+  async search(query, base) {
+    const { q, page, limit, sort } = query;
+    const filter = { ...base, ...this.facetFilter(query) };
+
+    const [products, { total, facets }] = await Promise.all([
+      Product.find(filter, q ? { score: { $meta: 'textScore' } } : {})
+        .sort(q ? { score: { $meta: 'textScore' }, ...this.parseSort(sort) } : sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      this.getFacets(query, base),
+    ]);
+
+    return { products, total, facets };
+  }
+
+  // Text matches rank by relevance first, then by the requested order
+  parseSort(sort) {
+    return Object.fromEntries(
+      sort.split(/[\s,]+/).filter(Boolean)
+        .map(field => (field.startsWith('-') ? [field.slice(1), -1] : [field, 1])),
+    );
+  }
+
+  /**
+   * Flat key for CacheService.setSearchResults, which expects scalar
+   * filter values.
+   */
+  cacheFilters({ q: _q, page: _page, attributes = {}, ...query }) {
+    const filters = {};
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined) {
+        filters[key] = Array.isArray(value) ? [...value].sort().join(',') : String(value);
+      }
+    }
+    for (const [name, values] of Object.entries(attributes)) {
+      filters[`attributes.${name}`] = [...values].sort().join(',');
+    }
+    return filters;
+  }
+}
+
+// Export singleton instance
+export default new ProductSearchService();
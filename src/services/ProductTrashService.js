@@ -0,0 +1,97 @@
+import { Product, ProductRevision, Order } from '../models/index.js';
+import { NotFoundError } from '../middleware/error.js';
+import { config } from '../config/index.js';
+import { setupLogging } from '../config/logging.js';
+import CacheService from './CacheService.js';
+
+const logger = setupLogging();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ProductTrashService {
+  get settings() {
+    return config.productTrash;
+  }
+
+  purgeDate(deletedAt) {
+    return new Date(deletedAt.getTime() + this.settings.retentionDays * DAY_MS);
+  }
+
+  // Trash and restore
+
+  /**
+   * Move the products matching a filter to the trash. They keep their
+   * status, slug and SKUs, so a restore puts them back as they were.
+   */
+  async trash(filter, userId) {
+    const deletedAt = new Date();
+    const result = await Product.updateMany(filter, { deletedAt, deletedBy: userId });
+    await CacheService.invalidateSearchCache();
+    return { deleted: result.modifiedCount, deletedAt };
+  }
+
+  async findTrashed(productId) {
+    const product = await Product.findOne({ _id: productId, deletedAt: { $ne: null } });
+    if (!product) {
+      throw new NotFoundError('Deleted product');
+    }
+    return product;
+  }
+
+  async restore(product) {
+    product.deletedAt = undefined;
+    product.deletedBy = undefined;
+    await product.save();
+    await CacheService.invalidateProductCache(product._id, product.merchantId);
+    return product;
+  }
+
+  async listTrash(merchantId, { page, limit }) {
+    const filter = { deletedAt: { $ne: null }, ...(merchantId ? { merchantId } : {}) };
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .select('title slug status images variants.sku merchantId deletedAt deletedBy')
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Product.countDocuments(filter),
+    ]);
+
+    const items = products.map(product => ({
+      ...product.toJSON(),
+      purgeAt: this.purgeDate(product.deletedAt),
+    }));
+    return { items, total };
+  }
+
+  // Purge
+
+  /**
+   * Permanently remove products that have been in the trash longer than
+   * the retention period. Products that orders point at are kept, so
+   * order history can still show what was bought.
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.settings.retentionDays * DAY_MS);
+    const expired = await Product.distinct('_id', { deletedAt: { $lte: cutoff } });
+    if (expired.length === 0) {
+      return { purged: 0, kept: 0 };
+    }
+
+    const ordered = await Order.distinct('items.productId', { 'items.productId': { $in: expired } });
+    const orderedIds = new Set(ordered.map(id => id.toString()));
+    const purgeable = expired.filter(id => !orderedIds.has(id.toString()));
+
+    if (purgeable.length > 0) {
+      await Product.deleteMany({ _id: { $in: purgeable }, deletedAt: { $lte: cutoff } });
+      await ProductRevision.deleteMany({ productId: { $in: purgeable } });
+    }
+
+    const summary = { purged: purgeable.length, kept: expired.length - purgeable.length };
+    logger.info('Product trash purged', summary);
+    return summary;
+  }
+}
+
+// Export singleton instance
+export default new ProductTrashService();
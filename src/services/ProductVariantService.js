@@ -0,0 +1,148 @@
+import { Product } from '../models/index.js';
+import { ValidationError } from '../middleware/error.js';
+import { config } from '../config/index.js';
+
+const PLACEHOLDER = /\{([A-Za-z0-9_-]+)\}/g;
+
+// Option values and slugs as SKU segments: "Navy blue" -> "NAVY-BLUE"
+export const skuPart = (value) => String(value)
+  .toUpperCase()
+  .replace(/[^A-Z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+class ProductVariantService {
+  get settings() {
+    return config.productVariants;
+  }
+
+  // Matrix
+
+  /**
+   * Every combination of the axis values, as attribute objects
+   */
+  combinations(options) {
+    return options.reduce(
+      (combinations, { name, values }) => combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value }))),
+      [{}],
+    );
+  }
+
+  matches(variant, combination) {
+    return Object.entries(combination).every(([name, value]) => variant.attributes?.get(name) === value);
+  }
+
+  // SKU templates
+
+  defaultTemplate(product, options) {
+    return [skuPart(product.slug), ...options.map(({ name }) => `{${name}}`)].join('-');
+  }
+
+  /**
+   * A template may use {slug} and must use every axis, or two
+   * combinations would share a SKU
+   */
+  assertTemplate(template, options) {
+    const names = options.map(({ name }) => name);
+    const used = [...template.matchAll(PLACEHOLDER)].map(([, name]) => name);
+
+    const unknown = used.filter(name => name !== 'slug' && !names.includes(name));
+    const missing = names.filter(name => !used.includes(name));
+    if (unknown.length > 0 || missing.length > 0) {
+      throw new ValidationError('Invalid SKU template', [
+        ...unknown.map(name => ({ field: 'skuTemplate', message: 'not an option axis', value: `{${name}}` })),
+        ...missing.map(name => ({ field: 'skuTemplate', message: 'every option axis must be in the template', value: `{${name}}` })),
+      ]);
+    }
+  }
+
+  renderSku(template, product, combination) {
+    return template.replace(PLACEHOLDER, (_match, name) => skuPart(name === 'slug' ? product.slug : combination[name]));
+  }
+
+  /**
+   * Generated SKUs must be distinct and unused anywhere in the catalogue,
+   * trash included
+   */
+  async assertSkusAvailable(skus) {
+    const duplicates = skus.filter((sku, index) => skus.indexOf(sku) !== index);
+    const taken = await Product.find({ 'variants.sku': { $in: skus } })
+      .setOptions({ withDeleted: true })
+      .select('variants.sku')
+      .lean();
+    const takenSkus = taken.flatMap(product => product.variants.map(variant => variant.sku)).filter(sku => skus.includes(sku));
+
+    if (duplicates.length > 0 || takenSkus.length > 0) {
+      throw new ValidationError('Generated SKUs are not unique', [
+        ...[...new Set(duplicates)].map(sku => ({ field: 'skuTemplate', message: 'generated for more than one combination', value: sku })),
+        ...takenSkus.map(sku => ({ field: 'skuTemplate', message: 'already in use', value: sku })),
+      ]);
+    }
+  }
+
+  /**
+   * Add a variant for every combination of the product's option axes that
+   * doesn't have one yet. Existing combinations are left alone, apart from
+   * being reactivated if a previous run turned them off; with
+   * deactivateMissing, variants outside the matrix are turned off.
+   */
+  async generateMatrix(product, { options, skuTemplate, price, currency, stock, deactivateMissing }) {
+    if (product.type === 'BUNDLE') {
+      throw new ValidationError('Bundle variants are made of components and cannot be generated');
+    }
+    if (options) {
+      product.options = options;
+    }
+
+    const axes = product.options.map(({ name, values }) => ({ name, values: [...values] }));
+    if (axes.length === 0) {
+      throw new ValidationError('Declare the product\'s option axes first', [{
+        field: 'options',
+        message: 'at least one option axis is required',
+      }]);
+    }
+
+    const combinations = this.combinations(axes);
+    if (combinations.length > this.settings.maxMatrixSize) {
+      throw new ValidationError(`The options make ${combinations.length} combinations; the limit is ${this.settings.maxMatrixSize}`);
+    }
+
+    const template = skuTemplate || this.defaultTemplate(product, axes);
+    this.assertTemplate(template, axes);
+
+    const summary = { created: [], skipped: [], reactivated: [], deactivated: [] };
+    const variants = [];
+
+    combinations.forEach((combination) => {
+      const existing = product.variants.find(variant => this.matches(variant, combination));
+      if (!existing) {
+        variants.push({ sku: this.renderSku(template, product, combination), price, currency, stock, attributes: combination });
+      } else if (existing.isActive === false) {
+        existing.isActive = true;
+        summary.reactivated.push(existing.sku);
+      } else {
+        summary.skipped.push(existing.sku);
+      }
+    });
+
+    await this.assertSkusAvailable(variants.map(variant => variant.sku));
+    variants.forEach((variant) => {
+      product.variants.push(variant);
+      summary.created.push(variant.sku);
+    });
+
+    if (deactivateMissing) {
+      product.variants
+        .filter(variant => variant.isActive && !combinations.some(combination => this.matches(variant, combination)))
+        .forEach((variant) => {
+          variant.isActive = false;
+          summary.deactivated.push(variant.sku);
+        });
+    }
+
+    await product.save();
+    return summary;
+  }
+}
+
+// Export singleton instance
+export default new ProductVariantService();
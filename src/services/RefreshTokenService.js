@@ -0,0 +1,174 @@
+import { v4 as uuidv4 } from 'uuid';
+import { redis } from '../config/redis.js';
+import SessionService from './SessionService.js';
+import { setupLogging } from '../config/logging.js';
+
+const logger = setupLogging();
+
+const DEFAULT_TTL = 7 * 24 * 60 * 60; // 7 days
+const REMEMBER_ME_TTL = 30 * 24 * 60 * 60; // 30 days
+
+/**
+ * Refresh tokens are grouped into families, one per login session.
+ * Every refresh rotates the token; presenting a token that was already
+ * rotated means it leaked, so the whole family is revoked.
+ */
+class RefreshTokenService {
+  getTTL(rememberMe = false) {
+    return rememberMe ? REMEMBER_ME_TTL : DEFAULT_TTL;
+  }
+
+  /**
+   * Issue a refresh token for a family (the family id is the session id)
+   */
+  async issue(userId, familyId, { rememberMe = false, userAgent, ip } = {}) {
+    const token = uuidv4();
+    const ttl = this.getTTL(rememberMe);
+    const now = new Date().toISOString();
+
+    const existing = await this.getFamily(userId, familyId);
+    const family = {
+      familyId,
+      userId,
+      currentToken: token,
+      rememberMe,
+      generation: existing ? existing.generation + 1 : 1,
+      createdAt: existing?.createdAt || now,
+      lastActivity: now,
+      expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+      userAgent: existing?.userAgent || userAgent,
+      ip: ip || existing?.ip,
+    };
+
+    await redis.setJson(this.tokenKey(token), {
+      userId,
+      familyId,
+      generation: family.generation,
+      rememberMe,
+      issuedAt: now,
+    }, ttl);
+
+    await redis.hset(this.familiesKey(userId), familyId, JSON.stringify(family));
+    await redis.expire(this.familiesKey(userId), REMEMBER_ME_TTL);
+
+    return token;
+  }
+
+  /**
+   * Mark a token as used. Returns { status, record } where status is
+   * 'valid', 'reused' or 'invalid'.
+   */
+  async consume(token) {
+    const record = await redis.getJson(this.tokenKey(token));
+    if (!record) {
+      return { status: 'invalid', record: null };
+    }
+
+    // SET NX makes concurrent presentations of the same token race safely
+    const ttl = Math.max(1, await redis.ttl(this.tokenKey(token)));
+    const firstUse = await redis.getClient().set(this.usedKey(token), new Date().toISOString(), 'EX', ttl, 'NX');
+    if (firstUse !== 'OK') {
+      return { status: 'reused', record };
+    }
+
+    const family = await this.getFamily(record.userId, record.familyId);
+    if (!family) {
+      // Family already revoked (logout or earlier reuse)
+      return { status: 'invalid', record };
+    }
+
+    if (family.currentToken !== token) {
+      return { status: 'reused', record };
+    }
+
+    return { status: 'valid', record, family };
+  }
+
+  /**
+   * Revoke a single family and the session bound to it
+   */
+  async revokeFamily(userId, familyId, reason = 'logout') {
+    const family = await this.getFamily(userId, familyId);
+
+    await Promise.all([
+      redis.getClient().hdel(this.familiesKey(userId), familyId),
+      family ? redis.del(this.tokenKey(family.currentToken)) : Promise.resolve(0),
+      SessionService.remove(userId, familyId),
+    ]);
+
+    logger.info('Refresh token family revoked', { userId, familyId, reason });
+    return !!family;
+  }
+
+  /**
+   * Revoke every family for a user (logout everywhere, password change)
+   */
+  async revokeAllForUser(userId, reason = 'logout_all') {
+    const families = await this.listFamilies(userId);
+
+    await Promise.all([
+      ...families.map(family => redis.del(this.tokenKey(family.currentToken))),
+      SessionService.removeAll(userId),
+    ]);
+    await redis.del(this.familiesKey(userId));
+
+    logger.info('All refresh token families revoked', { userId, count: families.length, reason });
+    return families.length;
+  }
+
+  async getFamily(userId, familyId) {
+    const raw = await redis.hget(this.familiesKey(userId), familyId);
+    if (!raw) {
+      return null;
+    }
+
+    const family = JSON.parse(raw);
+    if (new Date(family.expiresAt) <= new Date()) {
+      await redis.getClient().hdel(this.familiesKey(userId), familyId);
+      return null;
+    }
+
+    return family;
+  }
+
+  /**
+   * List active families for a user, pruning expired ones
+   */
+  async listFamilies(userId) {
+    const entries = await redis.hgetall(this.familiesKey(userId));
+    const now = new Date();
+    const active = [];
+    const expired = [];
+
+    for (const [familyId, raw] of Object.entries(entries || {})) {
+      const family = JSON.parse(raw);
+      if (new Date(family.expiresAt) <= now) {
+        expired.push(familyId);
+      } else {
+        active.push(family);
+      }
+    }
+
+    if (expired.length > 0) {
+      await redis.getClient().hdel(this.familiesKey(userId), ...expired);
+    }
+
+    return active;
+  }
+
+  // Key helpers
+  tokenKey(token) {
+    return `refresh:token:${token}`;
+  }
+
+  usedKey(token) {
+    return `refresh:used:${token}`;
+  }
+
+  familiesKey(userId) {
+    return `refresh:families:${userId}`;
+  }
+}
+
+// Export singleton instance
+export default new RefreshTokenService();
@@ -0,0 +1,254 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { Review, Product, Order } from '../models/index.js';
+import { ValidationError, ConflictError, NotFoundError } from '../middleware/error.js';
+import { config } from '../config/index.js';
+import { setupLogging } from '../config/logging.js';
+import CacheService from './CacheService.js';
+
+const logger = setupLogging();
+
+const STARS = [1, 2, 3, 4, 5];
+
+const REVIEW_SORTS = {
+  '-createdAt': { createdAt: -1 },
+  createdAt: { createdAt: 1 },
+  '-rating': { rating: -1, createdAt: -1 },
+  rating: { rating: 1, createdAt: -1 },
+};
+
+class ReviewService {
+  get settings() {
+    return config.reviews;
+  }
+
+  // Eligibility
+
+  /**
+   * The delivered order a review is based on. Only the customer who
+   * received the product can review it, which is what the verified
+   * purchase badge shows.
+   */
+  async findDeliveredOrder(userId, productId, orderId) {
+    const order = await Order.findOne({
+      _id: orderId,
+      userId,
+      status: 'DELIVERED',
+      'items.productId': productId,
+    }).select('items');
+
+    if (!order) {
+      throw new ValidationError('You can only review products from your delivered orders', [{
+        field: 'orderId',
+        message: 'no delivered order with this product',
+        value: orderId,
+      }]);
+    }
+    return order;
+  }
+
+  // Photos
+
+  photoUrl(file) {
+    return `/uploads/reviews/${file.filename}`;
+  }
+
+  toPhotos(files = [], alt) {
+    return files.map(file => ({ url: this.photoUrl(file), alt }));
+  }
+
+  async removePhotoFiles(photos) {
+    await Promise.all(photos.map(photo => fs.unlink(
+      path.join(this.settings.photoDestination, path.basename(photo.url)),
+    ).catch(() => {})));
+  }
+
+  // Writes
+
+  /**
+   * Post a review for a product from one of the customer's delivered
+   * orders. Uploaded photos are removed again if the review is refused.
+   */
+  async createReview(user, { productId, orderId, rating, title, body }, files = []) {
+    try {
+      const product = await Product.findById(productId).select('title merchantId status');
+      if (!product || product.status !== 'ACTIVE') {
+        throw new NotFoundError('Product');
+      }
+
+      if (await Review.exists({ userId: user._id, productId })) {
+        throw new ConflictError('You have already reviewed this product; edit your review instead');
+      }
+
+      const order = await this.findDeliveredOrder(user._id, productId, orderId);
+      const item = order.items.find(orderItem => orderItem.productId.equals(productId));
+
+      const review = await Review.create({
+        productId,
+        merchantId: product.merchantId,
+        userId: user._id,
+        orderId: order._id,
+        sku: item.sku,
+        author: { name: user.profile?.name },
+        rating,
+        title,
+        body,
+        photos: this.toPhotos(files, product.title),
+        verifiedPurchase: true,
+        status: this.settings.requireApproval ? 'PENDING' : 'PUBLISHED',
+      });
+
+      await this.scheduleRecalculation(review);
+      return review;
+    } catch (error) {
+      await this.removePhotoFiles(this.toPhotos(files));
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a review. Edits to a rejected review, or any edit while approval
+   * is required, go back to the moderation queue.
+   */
+  async updateReview(review, { removePhotos = [], ...updates }, files = []) {
+    const before = review.toObject();
+
+    const removed = review.photos.filter(photo => removePhotos.includes(photo._id.toString()));
+    const photos = [
+      ...review.photos.filter(photo => !removePhotos.includes(photo._id.toString())),
+      ...this.toPhotos(files, review.title),
+    ];
+    if (photos.length > this.settings.maxPhotos) {
+      await this.removePhotoFiles(this.toPhotos(files));
+      throw new ValidationError(`A review can have at most ${this.settings.maxPhotos} photos`);
+    }
+
+    review.set({ ...updates, photos });
+    if (this.settings.requireApproval || review.status === 'REJECTED') {
+      review.status = 'PENDING';
+    }
+    await review.save();
+    await this.removePhotoFiles(removed);
+
+    if (review.rating !== before.rating || review.status !== before.status) {
+      await this.scheduleRecalculation(review);
+    }
+    return { review, before };
+  }
+
+  async deleteReview(review) {
+    await review.deleteOne();
+    await this.removePhotoFiles(review.photos);
+    await this.scheduleRecalculation(review);
+    return review;
+  }
+
+  async reply(review, userId, body) {
+    review.reply = { body, authorId: userId, repliedAt: new Date() };
+    await review.save();
+    return review;
+  }
+
+  async removeReply(review) {
+    review.reply = undefined;
+    await review.save();
+    return review;
+  }
+
+  async moderate(review, userId, { status, reason }) {
+    const before = review.toObject();
+    review.status = status;
+    review.moderation = { reason, moderatedBy: userId, moderatedAt: new Date() };
+    await review.save();
+
+    if (review.status !== before.status) {
+      await this.scheduleRecalculation(review);
+    }
+    return { review, before };
+  }
+
+  // Reads
+
+  listFilter(productId, { rating, verified, withPhotos }) {
+    const filter = { productId, status: 'PUBLISHED' };
+    if (rating) {
+      filter.rating = rating;
+    }
+    if (verified !== undefined) {
+      filter.verifiedPurchase = verified;
+    }
+    if (withPhotos) {
+      filter['photos.0'] = { $exists: true };
+    }
+    return filter;
+  }
+
+  async listProductReviews(productId, { page, limit, sort, ...filters }) {
+    const filter = this.listFilter(productId, filters);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort(REVIEW_SORTS[sort] || REVIEW_SORTS['-createdAt'])
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(filter),
+    ]);
+
+    return { reviews: reviews.map(review => review.toPublicJSON()), total };
+  }
+
+  // Ratings
+
+  async scheduleRecalculation(review) {
+    const { ReviewJobService } = await import('../workers/processors/review.js');
+    await ReviewJobService.recalculateRating(review.productId.toString());
+  }
+
+  /**
+   * Rebuild a product's average, count and star histogram from its
+   * published reviews. Recounting, rather than adjusting the stored
+   * figures, keeps them right after edits, deletions and moderation.
+   */
+  async recalculateRating(productId) {
+    const buckets = await Review.aggregate([
+      { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'PUBLISHED' } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } },
+    ]);
+
+    const histogram = Object.fromEntries(STARS.map(star => [star, 0]));
+    buckets.forEach(({ _id, count }) => {
+      histogram[_id] = count;
+    });
+    const count = STARS.reduce((total, star) => total + histogram[star], 0);
+    const sum = STARS.reduce((total, star) => total + star * histogram[star], 0);
+    const average = count > 0 ? Math.round((sum / count) * 10) / 10 : 0;
+
+    const product = await Product.findByIdAndUpdate(productId, {
+      'analytics.rating': { average, count, histogram },
+    }, { new: true }).select('merchantId');
+
+    if (product) {
+      await CacheService.invalidateProductCache(product._id, product.merchantId);
+    }
+
+    logger.info('Product rating recalculated', { productId, average, count });
+    return { average, count, histogram };
+  }
+
+  // Privacy
+
+  /**
+   * Keep an erased customer's reviews, since they inform other shoppers,
+   * but drop their name and photos.
+   */
+  async anonymizeAuthor(userId, name) {
+    const reviews = await Review.find({ userId }).select('photos productId');
+    await this.removePhotoFiles(reviews.flatMap(review => review.photos));
+    await Review.updateMany({ userId }, { $set: { 'author.name': name, photos: [] } });
+    return reviews.length;
+  }
+}
+
+// Export singleton instance
+export default new ReviewService();
@@ -0,0 +1,229 @@
+import crypto from 'crypto';
+import { redis } from '../config/redis.js';
+import { setupLogging } from '../config/logging.js';
+
+const logger = setupLogging();
+
+const KNOWN_DEVICES_TTL = 180 * 24 * 60 * 60; // forget devices unused for 180 days
+
+// Ordered most specific first; the first match wins
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /(?:iPhone|iPad|iPod).*OS ([\d_]+)/],
+  ['Android', /Android ([\d.]+)/],
+  ['Windows', /Windows NT ([\d.]+)/],
+  ['macOS', /Mac OS X ([\d_.]+)/],
+  ['Chrome OS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Parse a User-Agent header into a readable device description
+ */
+export function parseDevice(userAgent = '') {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Unknown browser';
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Unknown OS';
+
+  let type = 'desktop';
+  if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    type = 'tablet';
+  } else if (/Mobi|iPhone|iPod/.test(userAgent)) {
+    type = 'mobile';
+  }
+
+  return { name: `${browser} on ${os}`, browser, os, type };
+}
+
+/**
+ * Approximate location from the geo headers set by the edge proxy/CDN,
+ * plus the IP truncated to its network so the full address isn't shown
+ */
+export function approximateLocation(req) {
+  const header = (name) => req.get(name) || undefined;
+  const country = header('CF-IPCountry') || header('X-Geo-Country');
+  const region = header('X-Geo-Region');
+  const city = header('X-Geo-City');
+
+  const ip = req.ip || '';
+  const network = ip.includes(':')
+    ? `${ip.split(':').slice(0, 3).join(':')}::/48`
+    : `${ip.split('.').slice(0, 3).join('.')}.0/24`;
+
+  return {
+    country,
+    region,
+    city,
+    network: ip ? network : undefined,
+    label: [city, region, country].filter(Boolean).join(', ') || 'Unknown location',
+  };
+}
+
+/**
+ * Sessions are stored as `session:<id>` records and indexed per user in a
+ * sorted set scored by expiry, so listing and revoking never scans the keyspace.
+ */
+class SessionService {
+  /**
+   * Record a new session; returns the session and whether the device is new
+   */
+  async create(userId, sessionId, req, ttl) {
+    const now = new Date();
+    const userAgent = req.get('User-Agent');
+    const device = parseDevice(userAgent);
+
+    const session = {
+      userId,
+      sessionId,
+      createdAt: now.toISOString(),
+      lastActivity: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttl * 1000).toISOString(),
+      userAgent,
+      ip: req.ip,
+      device,
+      location: approximateLocation(req),
+    };
+
+    await redis.setSession(sessionId, session, ttl);
+    await redis.getClient().zadd(this.indexKey(userId), now.getTime() + ttl * 1000, sessionId);
+    await this.extendIndex(userId, ttl);
+
+    const isNewDevice = await this.rememberDevice(userId, device);
+    return { session, isNewDevice };
+  }
+
+  /**
+   * Update last activity without shortening the session's lifetime
+   */
+  async touch(sessionId, updates = {}) {
+    const session = await redis.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const updated = { ...session, ...updates, lastActivity: new Date().toISOString() };
+    await redis.getClient().set(`session:${sessionId}`, JSON.stringify(updated), 'KEEPTTL');
+    return updated;
+  }
+
+  /**
+   * Move a session's expiry forward (e.g. after refresh-token rotation)
+   */
+  async extend(userId, sessionId, ttl) {
+    const expiresAt = Date.now() + ttl * 1000;
+    const session = await this.touch(sessionId, { expiresAt: new Date(expiresAt).toISOString() });
+    if (!session) {
+      return null;
+    }
+
+    await redis.expire(`session:${sessionId}`, ttl);
+    await redis.getClient().zadd(this.indexKey(userId), expiresAt, sessionId);
+    await this.extendIndex(userId, ttl);
+    return session;
+  }
+
+  get(sessionId) {
+    return redis.getSession(sessionId);
+  }
+
+  /**
+   * Active sessions for a user, dropping expired index entries
+   */
+  async list(userId) {
+    const client = redis.getClient();
+    const key = this.indexKey(userId);
+
+    await client.zremrangebyscore(key, '-inf', Date.now());
+    const sessionIds = await client.zrange(key, 0, -1);
+    if (sessionIds.length === 0) {
+      return [];
+    }
+
+    const records = await client.mget(...sessionIds.map(id => `session:${id}`));
+    const sessions = [];
+    const dangling = [];
+
+    records.forEach((raw, index) => {
+      if (raw) {
+        sessions.push(JSON.parse(raw));
+      } else {
+        dangling.push(sessionIds[index]);
+      }
+    });
+
+    if (dangling.length > 0) {
+      await client.zrem(key, ...dangling);
+    }
+
+    return sessions.sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+  }
+
+  async remove(userId, sessionId) {
+    // Session ids come from the client, so only delete records the user owns
+    const session = await redis.getSession(sessionId);
+    const [deleted] = await Promise.all([
+      session?.userId === userId ? redis.deleteSession(sessionId) : 0,
+      redis.getClient().zrem(this.indexKey(userId), sessionId),
+    ]);
+    return deleted > 0;
+  }
+
+  async removeAll(userId) {
+    const key = this.indexKey(userId);
+    const sessionIds = await redis.getClient().zrange(key, 0, -1);
+
+    if (sessionIds.length > 0) {
+      await redis.getClient().del(...sessionIds.map(id => `session:${id}`));
+    }
+    await redis.del(key);
+
+    logger.info('All sessions removed', { userId, count: sessionIds.length });
+    return sessionIds.length;
+  }
+
+  /**
+   * Remember the device; true when it was never seen before on an
+   * account that already had other devices (so sign-up doesn't alert)
+   */
+  async rememberDevice(userId, device) {
+    const key = this.devicesKey(userId);
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(`${device.browser}|${device.os}|${device.type}`)
+      .digest('hex')
+      .substring(0, 16);
+
+    const knownCount = await redis.getClient().scard(key);
+    const added = await redis.getClient().sadd(key, fingerprint);
+    await redis.expire(key, KNOWN_DEVICES_TTL);
+
+    return added === 1 && knownCount > 0;
+  }
+
+  async extendIndex(userId, ttl) {
+    const key = this.indexKey(userId);
+    const current = await redis.ttl(key);
+    if (current < ttl) {
+      await redis.expire(key, ttl);
+    }
+  }
+
+  // Key helpers
+  indexKey(userId) {
+    return `sessions:user:${userId}`;
+  }
+
+  devicesKey(userId) {
+    return `sessions:devices:${userId}`;
+  }
+}
+
+// Export singleton instance
+export default new SessionService();
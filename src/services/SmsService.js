@@ -0,0 +1,101 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/index.js';
+import { setupLogging } from '../config/logging.js';
+
+const logger = setupLogging();
+
+/**
+ * Built-in transports. A transport is an object with
+ * `async send({ to, from, message })` returning `{ messageId }`.
+ */
+const transportFactories = {
+  // Development: append messages to a log file instead of sending them
+  log: (smsConfig) => ({
+    async send({ to, from, message }) {
+      const messageId = `log-${Date.now()}`;
+      const line = `${new Date().toISOString()} [${messageId}] from=${from} to=${to} ${message}\n`;
+      await fs.mkdir(path.dirname(smsConfig.logFile), { recursive: true });
+      await fs.appendFile(smsConfig.logFile, line);
+      return { messageId };
+    },
+  }),
+
+  // Generic JSON-over-HTTP gateway
+  http: (smsConfig) => ({
+    async send({ to, from, message }) {
+      if (!smsConfig.http.url) {
+        throw new Error('SMS_HTTP_URL is not configured');
+      }
+
+      const response = await fetch(smsConfig.http.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${smsConfig.http.apiKey}`,
+        },
+        body: JSON.stringify({ to, from, message }),
+      });
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+
+      const body = await response.json().catch(() => ({}));
+      return { messageId: body.messageId || body.id };
+    },
+  }),
+};
+
+class SmsService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Register a custom transport factory, e.g. for a specific SMS provider
+   */
+  registerTransport(name, factory) {
+    transportFactories[name] = factory;
+    if (config.sms.transport === name) {
+      this.transport = null;
+    }
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      if (!config.sms.transport) {
+        throw new Error('SMS_TRANSPORT is not configured');
+      }
+      const factory = transportFactories[config.sms.transport];
+      if (!factory) {
+        throw new Error(`Unknown SMS transport: ${config.sms.transport}`);
+      }
+      this.transport = factory(config.sms);
+    }
+    return this.transport;
+  }
+
+  async send(to, message) {
+    const result = await this.getTransport().send({ to, from: config.sms.senderId, message });
+
+    logger.info('SMS sent', {
+      transport: config.sms.transport,
+      messageId: result?.messageId,
+      to: this.maskNumber(to),
+    });
+
+    return result;
+  }
+
+  sendVerificationCode(to, code, expiresInMinutes) {
+    return this.send(to, `Your Aether verification code is ${code}. It expires in ${expiresInMinutes} minutes.`);
+  }
+
+  // Keep full phone numbers out of the logs
+  maskNumber(phone) {
+    return phone ? `${phone.slice(0, 4)}****${phone.slice(-2)}` : phone;
+  }
+}
+
+// Export singleton instance
+export default new SmsService();
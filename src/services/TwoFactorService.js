@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { User } from '../models/index.js';
+import { redis } from '../config/redis.js';
+import { config } from '../config/index.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CHALLENGE_AUDIENCE = 'aether-2fa';
+const SETUP_AUDIENCE = 'aether-2fa-setup';
+
+class TwoFactorService {
+  constructor() {
+    this.digits = 6;
+    this.period = 30; // seconds
+    this.window = 1; // accept one step of clock drift either way
+  }
+
+  /**
+   * Generate a new base32 TOTP secret
+   */
+  generateSecret(size = 20) {
+    return this.base32Encode(crypto.randomBytes(size));
+  }
+
+  /**
+   * Build the otpauth:// URL consumed by authenticator apps
+   */
+  buildOtpAuthUrl(accountName, secret) {
+    const issuer = config.security.twoFactor.issuer;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate the TOTP code for a given time step (RFC 6238)
+   */
+  generateCode(secret, timeStep = this.currentTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(timeStep));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  /**
+   * Verify a TOTP code, rejecting codes that were already used for this user
+   */
+  async verifyCode(userId, secret, code) {
+    if (!secret || !/^\d{6}$/.test(code || '')) {
+      return false;
+    }
+
+    const currentStep = this.currentTimeStep();
+    for (let drift = -this.window; drift <= this.window; drift++) {
+      const candidate = this.generateCode(secret, currentStep + drift);
+      if (this.safeEqual(candidate, code)) {
+        // Prevent replay of the same code within its validity window
+        const replayKey = `2fa:used:${userId}:${currentStep + drift}`;
+        const firstUse = await redis.getClient().set(replayKey, '1', 'EX', this.period * (this.window * 2 + 1), 'NX');
+        return firstUse === 'OK';
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Generate plaintext recovery codes along with their hashes for storage
+   */
+  generateRecoveryCodes(count = config.security.twoFactor.recoveryCodeCount) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return {
+      codes,
+      hashes: codes.map(code => this.hashRecoveryCode(code)),
+    };
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = code.trim().toLowerCase().replace(/\s+/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Remove a matching recovery code from the user's stored hashes.
+   * Returns how many codes are left, or null when no code was consumed. The
+   * pull is conditional on the code still being stored, so concurrent logins
+   * can't both use it.
+   */
+  async consumeRecoveryCode(user, code) {
+    if (!code) {
+      return null;
+    }
+
+    const hash = this.hashRecoveryCode(code);
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'security.twoFactorRecoveryCodes': hash },
+      { $pull: { 'security.twoFactorRecoveryCodes': hash } },
+      { new: true, projection: { 'security.twoFactorRecoveryCodes': 1 }, lean: true },
+    );
+
+    return updated ? updated.security.twoFactorRecoveryCodes.length : null;
+  }
+
+  /**
+   * Issue a short-lived token that proves the password step succeeded
+   */
+  createChallengeToken(user, rememberMe = false) {
+    return jwt.sign(
+      {
+        userId: user._id.toString(),
+        rememberMe,
+        jti: uuidv4(),
+      },
+      config.jwt.accessTokenSecret,
+      {
+        expiresIn: config.security.twoFactor.challengeTokenExpiry,
+        issuer: 'aether-backend',
+        audience: CHALLENGE_AUDIENCE,
+      },
+    );
+  }
+
+  verifyChallengeToken(token) {
+    return jwt.verify(token, config.jwt.accessTokenSecret, {
+      issuer: 'aether-backend',
+      audience: CHALLENGE_AUDIENCE,
+    });
+  }
+
+  /**
+   * Issue a short-lived token that only allows enrolling in 2FA, for users
+   * whose role requires it and who haven't set it up yet
+   */
+  createSetupToken(user, rememberMe = false) {
+    return jwt.sign(
+      {
+        userId: user._id.toString(),
+        rememberMe,
+        jti: uuidv4(),
+      },
+      config.jwt.accessTokenSecret,
+      {
+        expiresIn: config.security.twoFactor.setupTokenExpiry,
+        issuer: 'aether-backend',
+        audience: SETUP_AUDIENCE,
+      },
+    );
+  }
+
+  verifySetupToken(token) {
+    return jwt.verify(token, config.jwt.accessTokenSecret, {
+      issuer: 'aether-backend',
+      audience: SETUP_AUDIENCE,
+    });
+  }
+
+  /**
+   * Count a failed second-factor attempt against a challenge.
+   * Returns true once the challenge has been exhausted.
+   */
+  async recordFailedChallenge(challenge) {
+    const key = `2fa:challenge:${challenge.jti}`;
+    const attempts = await redis.incr(key);
+    if (attempts === 1) {
+      await redis.expire(key, Math.max(1, challenge.exp - Math.floor(Date.now() / 1000)));
+    }
+
+    return attempts >= config.security.twoFactor.maxChallengeAttempts;
+  }
+
+  async isChallengeExhausted(challenge) {
+    const attempts = parseInt(await redis.get(`2fa:challenge:${challenge.jti}`) || '0', 10);
+    return attempts >= config.security.twoFactor.maxChallengeAttempts;
+  }
+
+  async completeChallenge(challenge) {
+    const ttl = Math.max(1, challenge.exp - Math.floor(Date.now() / 1000));
+    await redis.set(`2fa:challenge:${challenge.jti}`, String(config.security.twoFactor.maxChallengeAttempts), ttl);
+  }
+
+  isRequiredForRole(role) {
+    return config.security.twoFactor.requiredRoles.includes(role);
+  }
+
+  isSetupRequired(user) {
+    return !user.security.twoFactorEnabled && this.isRequiredForRole(user.role);
+  }
+
+  // Helper methods
+  currentTimeStep() {
+    return Math.floor(Date.now() / 1000 / this.period);
+  }
+
+  safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character in secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+}
+
+// Export singleton instance
+export default new TwoFactorService();
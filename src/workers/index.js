@@ -6,11 +6,16 @@ import { setupLogging } from '../config/logging.js';
 // Import job processors
 import { processEmailJob } from './processors/email.js';
 import { processImageJob } from './processors/image.js';
-import { processOrderJob } from './processors/order.js';
+import { processOrderJob, OrderService } from './processors/order.js';
 import { processAnalyticsJob } from './processors/analytics.js';
 import { processPaymentJob } from './processors/payment.js';
 import { processInventoryJob } from './processors/inventory.js';
 import { processNotificationJob } from './processors/notification.js';
+import { processPrivacyJob, PrivacyJobService } from './processors/privacy.js';
+import { processImportJob } from './processors/import.js';
+import { processExportJob, ExportJobService } from './processors/export.js';
+import { processReviewJob } from './processors/review.js';
+import { processProductJob, ProductJobService } from './processors/product.js';
 
 const logger = setupLogging();
 
@@ -22,7 +27,12 @@ export const QUEUES = {
   ANALYTICS: 'analytics',
   PAYMENT: 'payment',
   INVENTORY: 'inventory',
-  NOTIFICATION: 'notification'
+  NOTIFICATION: 'notification',
+  PRIVACY: 'privacy',
+  IMPORT: 'import',
+  EXPORT: 'export',
+  REVIEW: 'review',
+  PRODUCT: 'product',
 };
 
 // Job priorities
@@ -47,6 +57,9 @@ class WorkerManager {
       
       // Start workers
       await this.startWorkers();
+
+      // Schedule recurring jobs
+      await this.scheduleRecurringJobs();
       
       // Setup graceful shutdown
       this.setupGracefulShutdown();
@@ -129,6 +142,31 @@ class WorkerManager {
         processor: processNotificationJob,
         concurrency: 8,
       },
+      {
+        name: QUEUES.PRIVACY,
+        processor: processPrivacyJob,
+        concurrency: 1, // Exports and anonymization are heavy; run one at a time
+      },
+      {
+        name: QUEUES.IMPORT,
+        processor: processImportJob,
+        concurrency: 2,
+      },
+      {
+        name: QUEUES.EXPORT,
+        processor: processExportJob,
+        concurrency: 2,
+      },
+      {
+        name: QUEUES.REVIEW,
+        processor: processReviewJob,
+        concurrency: 3,
+      },
+      {
+        name: QUEUES.PRODUCT,
+        processor: processProductJob,
+        concurrency: 1, // One schedule run at a time
+      },
     ];
 
     for (const { name, processor, concurrency } of workerConfigs) {
@@ -172,6 +210,14 @@ class WorkerManager {
     }
   }
 
+  async scheduleRecurringJobs() {
+    // Repeatable jobs are keyed by name and cron, so re-adding on restart is a no-op
+    await PrivacyJobService.setupRecurringJobs();
+    await ExportJobService.setupRecurringJobs();
+    await ProductJobService.setupRecurringJobs();
+    await OrderService.setupRecurringJobs();
+  }
+
   setupGracefulShutdown() {
     const shutdown = async (signal) => {
       if (this.isShuttingDown) return;
@@ -329,6 +375,38 @@ export class JobScheduler {
     });
   }
 
+  static addPrivacyJob(type, data, options = {}) {
+    const queue = workerManager.getQueue(QUEUES.PRIVACY);
+    return queue.add(type, data, {
+      priority: options.priority || PRIORITY.LOW,
+      ...options,
+    });
+  }
+
+  static addImportJob(type, data, options = {}) {
+    const queue = workerManager.getQueue(QUEUES.IMPORT);
+    return queue.add(type, data, {
+      priority: options.priority || PRIORITY.NORMAL,
+      ...options,
+    });
+  }
+
+  static addExportJob(type, data, options = {}) {
+    const queue = workerManager.getQueue(QUEUES.EXPORT);
+    return queue.add(type, data, {
+      priority: options.priority || PRIORITY.LOW,
+      ...options,
+    });
+  }
+
+  static addReviewJob(type, data, options = {}) {
+    const queue = workerManager.getQueue(QUEUES.REVIEW);
+    return queue.add(type, data, {
+      priority: options.priority || PRIORITY.LOW,
+      ...options,
+    });
+  }
+
   // Recurring jobs
   static async addRecurringJob(queueName, jobName, data, cronExpression, options = {}) {
     const queue = workerManager.getQueue(queueName);
@@ -4,6 +4,11 @@ import { setupLogging } from '../../config/logging.js';
 
 const logger = setupLogging();
 
+const merchantStatusNotes = {
+  approved: 'Your products are visible to customers and you can start accepting orders.',
+  suspended: 'Your products are hidden and checkout is disabled until the suspension is lifted. Please contact support.',
+};
+
 // Email templates
 const templates = {
   welcome: {
@@ -50,6 +55,29 @@ const templates = {
     `,
   },
   
+  orderDelivered: {
+    subject: 'Your Order Has Been Delivered - #{orderNumber}',
+    html: (data) => `
+      <h1>Order Delivered</h1>
+      <p>Hi ${data.customerName},</p>
+      <p>Your order #${data.orderNumber} has been delivered. We hope you enjoy it!</p>
+    `,
+  },
+
+  reviewRequest: {
+    subject: 'How was your order #{orderNumber}?',
+    html: (data) => `
+      <h1>Tell Us What You Think</h1>
+      <p>Hi ${data.customerName},</p>
+      <p>Your order #${data.orderNumber} was delivered. A quick review helps other shoppers choose:</p>
+      <ul>
+        ${data.items.map(item => `
+          <li><a href="${data.reviewLink}?productId=${item.productId}">${item.title}</a></li>
+        `).join('')}
+      </ul>
+    `,
+  },
+
   passwordReset: {
     subject: 'Password Reset Request',
     html: (data) => `
@@ -62,6 +90,66 @@ const templates = {
     `,
   },
   
+  magicLink: {
+    subject: 'Your sign-in link',
+    html: (data) => `
+      <h1>Sign in to Aether</h1>
+      <p>Hi ${data.name},</p>
+      <p>Click the button below to sign in. No password needed.</p>
+      <a href="${data.loginLink}" style="background: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Sign In</a>
+      <p>This link can only be used once and will expire in ${data.expiresInMinutes} minutes.</p>
+      <p>If you didn't request this, please ignore this email.</p>
+    `,
+  },
+
+  newDeviceSignIn: {
+    subject: 'New sign-in to your Aether account',
+    html: (data) => `
+      <h1>New Device Sign-In</h1>
+      <p>Hi ${data.name},</p>
+      <p>Your account was just signed in to from a device we haven't seen before.</p>
+      <p><strong>Device:</strong> ${data.device}<br>
+      <strong>Location:</strong> ${data.location}<br>
+      <strong>Time:</strong> ${data.signedInAt}</p>
+      <p>If this was you, no action is needed. Otherwise, revoke the session and change your password.</p>
+      <a href="${data.securityLink}" style="background: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Review Sessions</a>
+    `,
+  },
+
+  dataExportReady: {
+    subject: 'Your Aether data export is ready',
+    html: (data) => `
+      <h1>Your Data Export Is Ready</h1>
+      <p>Hi ${data.name},</p>
+      <p>The copy of your personal data you requested is ready to download.</p>
+      <a href="${data.downloadLink}" style="background: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Download Export</a>
+      <p>The link is available until ${data.expiresAt}. You need to be signed in to download it.</p>
+    `,
+  },
+
+  productExportReady: {
+    subject: 'Your product export is ready',
+    html: (data) => `
+      <h1>Product Export Ready</h1>
+      <p>Hi ${data.name},</p>
+      <p>Your ${data.format.toUpperCase()} export of ${data.rowCount} variants is ready to download.</p>
+      <a href="${data.downloadLink}" style="background: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Download Export</a>
+      <p>The file is available until ${data.expiresAt}.</p>
+    `,
+  },
+
+  accountDeletionScheduled: {
+    subject: 'Your Aether account is scheduled for deletion',
+    html: (data) => `
+      <h1>Account Deletion Scheduled</h1>
+      <p>Hi ${data.name},</p>
+      <p>We received a request to delete your account. Your personal data will be permanently removed on <strong>${data.scheduledFor}</strong>.</p>
+      <p>Order and payment records are kept for accounting, without your name or contact details.</p>
+      <p>If you didn't ask for this, or changed your mind, sign in and cancel the request before that date.</p>
+      <a href="${data.cancelLink}" style="background: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Keep My Account</a>
+    `,
+  },
+
   paymentFailed: {
     subject: 'Payment Failed - Order #{orderNumber}',
     html: (data) => `
@@ -74,6 +162,27 @@ const templates = {
     `,
   },
   
+  merchantInvitation: {
+    subject: 'You have been invited to join {merchantName}',
+    html: (data) => `
+      <h1>Team Invitation</h1>
+      <p>${data.inviterName} has invited you to join <strong>${data.merchantName}</strong> as ${data.role}.</p>
+      <a href="${data.inviteLink}" style="background: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Accept Invitation</a>
+      <p>This invitation will expire in ${data.expiresInDays} days.</p>
+      <p>If you weren't expecting this, you can ignore this email.</p>
+    `,
+  },
+
+  merchantStatus: {
+    subject: 'Your store {merchantName} is now {statusLabel}',
+    html: (data) => `
+      <h1>Store ${data.statusLabel}</h1>
+      <p>Your store <strong>${data.merchantName}</strong> is now ${data.statusLabel}.</p>
+      ${data.reason ? `<p><strong>Reason:</strong> ${data.reason}</p>` : ''}
+      <p>${data.status === 'APPROVED' ? merchantStatusNotes.approved : merchantStatusNotes.suspended}</p>
+    `,
+  },
+
   lowStock: {
     subject: 'Low Stock Alert - {productTitle}',
     html: (data) => `
@@ -107,7 +216,9 @@ const createTransporter = () => {
 };
 
 export const processEmailJob = async (job) => {
-  const { type, data } = job.data;
+  // JobScheduler adds jobs as queue.add(type, data)
+  const type = job.name;
+  const data = job.data;
   
   try {
     logger.info(`Processing email job: ${type}`, { jobId: job.id });
@@ -199,6 +310,27 @@ export const EmailService = {
     });
   },
 
+  async sendOrderDelivered(order, customer) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addEmailJob('orderDelivered', {
+      email: customer.email,
+      customerName: customer.profile?.name || customer.name,
+      orderNumber: order.orderNumber,
+    });
+  },
+
+  // Only items the customer hasn't reviewed yet are listed
+  async sendReviewRequest(order, customer, items = order.items) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addEmailJob('reviewRequest', {
+      email: customer.email,
+      customerName: customer.profile?.name || customer.name,
+      orderNumber: order.orderNumber,
+      items: items.map(item => ({ productId: item.productId.toString(), title: item.title })),
+      reviewLink: `${process.env.FRONTEND_URL}/orders/${order._id}/review`,
+    });
+  },
+
   async sendPasswordReset(email, name, resetLink) {
     const { JobScheduler } = await import('../index.js');
     return JobScheduler.addEmailJob('passwordReset', {
@@ -208,6 +340,57 @@ export const EmailService = {
     }, { priority: 1 }); // High priority
   },
 
+  async sendMagicLink(email, name, loginLink, expiresInMinutes) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addEmailJob('magicLink', {
+      email,
+      name,
+      loginLink,
+      expiresInMinutes,
+    }, { priority: 1 }); // High priority
+  },
+
+  async sendNewDeviceSignIn(email, name, details) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addEmailJob('newDeviceSignIn', {
+      email,
+      name,
+      ...details,
+    }, { priority: 1 }); // High priority
+  },
+
+  async sendDataExportReady(email, name, { downloadLink, expiresAt }) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addEmailJob('dataExportReady', {
+      email,
+      name,
+      downloadLink,
+      expiresAt,
+    });
+  },
+
+  async sendProductExportReady(email, name, { format, rowCount, downloadLink, expiresAt }) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addEmailJob('productExportReady', {
+      email,
+      name,
+      format,
+      rowCount,
+      downloadLink,
+      expiresAt,
+    });
+  },
+
+  async sendAccountDeletionScheduled(email, name, { scheduledFor, cancelLink }) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addEmailJob('accountDeletionScheduled', {
+      email,
+      name,
+      scheduledFor,
+      cancelLink,
+    }, { priority: 1 }); // High priority
+  },
+
   async sendPaymentFailed(order, customer, failureReason, retryLink) {
     const { JobScheduler } = await import('../index.js');
     return JobScheduler.addEmailJob('paymentFailed', {
@@ -231,6 +414,29 @@ export const EmailService = {
     });
   },
 
+  async sendMerchantInvitation(email, { merchantName, inviterName, role, inviteLink, expiresInDays }) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addEmailJob('merchantInvitation', {
+      email,
+      merchantName,
+      inviterName,
+      role,
+      inviteLink,
+      expiresInDays,
+    });
+  },
+
+  async sendMerchantStatusUpdate(email, merchant) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addEmailJob('merchantStatus', {
+      email,
+      merchantName: merchant.name,
+      status: merchant.status,
+      statusLabel: merchant.status.toLowerCase(),
+      reason: merchant.statusReason,
+    });
+  },
+
   // Bulk email sending
   async sendBulkEmails(emailJobs) {
     const { JobScheduler } = await import('../index.js');
@@ -0,0 +1,90 @@
+import { setupLogging } from '../../config/logging.js';
+import { User } from '../../models/index.js';
+import ProductExportService from '../../services/ProductExportService.js';
+import { EmailService } from './email.js';
+
+const logger = setupLogging();
+
+export const processExportJob = async (job) => {
+  // JobScheduler adds jobs as queue.add(type, data)
+  const type = job.name;
+  const data = job.data;
+
+  try {
+    logger.info(`Processing export job: ${type}`, { jobId: job.id });
+
+    switch (type) {
+    case 'exportProducts':
+      return await exportProducts(data);
+    case 'cleanupExports':
+      return await cleanupExports();
+    default:
+      throw new Error(`Unknown export processing type: ${type}`);
+    }
+
+  } catch (error) {
+    logger.error(`Export job failed: ${type}`, {
+      jobId: job.id,
+      error: error.message,
+      data,
+    });
+
+    throw error;
+  }
+};
+
+async function exportProducts(data) {
+  const { exportId } = data;
+
+  const record = await ProductExportService.buildExport(exportId);
+
+  const user = await User.findById(record.userId);
+  if (user) {
+    await EmailService.sendProductExportReady(user.email, user.profile.name, {
+      format: record.format,
+      rowCount: record.rowCount,
+      downloadLink: `${process.env.FRONTEND_URL}/seller/products/exports/${exportId}`,
+      expiresAt: record.expiresAt,
+    });
+  }
+
+  logger.info('Product export built', {
+    exportId,
+    merchantId: record.merchantId,
+    format: record.format,
+    rowCount: record.rowCount,
+    size: record.size,
+  });
+
+  return { exportId, rowCount: record.rowCount, size: record.size };
+}
+
+async function cleanupExports() {
+  const removed = await ProductExportService.cleanupExports();
+
+  logger.info('Expired product exports removed', { removed });
+  return { removed };
+}
+
+// Export service utility functions
+export const ExportJobService = {
+  async exportProducts(exportId) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addExportJob('exportProducts', { exportId });
+  },
+
+  // Recurring jobs setup
+  async setupRecurringJobs() {
+    const { JobScheduler } = await import('../index.js');
+
+    // Remove expired export files daily at 3:30 AM
+    await JobScheduler.addRecurringJob(
+      'export',
+      'cleanupExports',
+      {},
+      '30 3 * * *', // Daily at 3:30 AM
+    );
+
+    logger.info('Export recurring jobs scheduled');
+  },
+};
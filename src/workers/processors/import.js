@@ -0,0 +1,46 @@
+import { setupLogging } from '../../config/logging.js';
+import ProductImportService from '../../services/ProductImportService.js';
+
+const logger = setupLogging();
+
+export const processImportJob = async (job) => {
+  // JobScheduler adds jobs as queue.add(type, data)
+  const type = job.name;
+  const data = job.data;
+
+  try {
+    logger.info(`Processing import job: ${type}`, { jobId: job.id });
+
+    switch (type) {
+    case 'importProducts':
+      return await importProducts(data);
+    default:
+      throw new Error(`Unknown import processing type: ${type}`);
+    }
+
+  } catch (error) {
+    logger.error(`Import job failed: ${type}`, {
+      jobId: job.id,
+      error: error.message,
+      data,
+    });
+
+    throw error;
+  }
+};
+
+async function importProducts(data) {
+  const { importId } = data;
+
+  const result = await ProductImportService.runImport(importId);
+  return { importId, status: result.status, summary: result.summary };
+}
+
+// Import service utility functions
+export const ImportJobService = {
+  async importProducts(importId) {
+    const { JobScheduler } = await import('../index.js');
+    // The upload is deleted after the first run, so retrying can't help
+    return JobScheduler.addImportJob('importProducts', { importId }, { attempts: 1 });
+  },
+};
@@ -49,7 +49,8 @@ async function syncInventory(data) {
     const results = [];
 
     for (const variant of product.variants) {
-      if (!variant.isActive) continue;
+      // Bundle variants have no stock of their own
+      if (!variant.isActive || variant.components?.length) continue;
 
       try {
         // Initialize stock in Redis if not exists
@@ -123,7 +124,7 @@ async function checkLowStock(data) {
 
     for (const product of products) {
       for (const variant of product.variants) {
-        if (!variant.isActive) continue;
+        if (!variant.isActive || variant.components?.length) continue;
 
         const currentStock = await InventoryService.getStock(variant.sku);
         
@@ -278,7 +279,7 @@ async function reconcileInventory(data) {
 
     for (const product of products) {
       for (const variant of product.variants) {
-        if (!variant.isActive) continue;
+        if (!variant.isActive || variant.components?.length) continue;
 
         const redisStock = await InventoryService.getStock(variant.sku);
         const mongoStock = variant.stock;
@@ -1,10 +1,12 @@
 import { setupLogging } from '../../config/logging.js';
-import { Order, User } from '../../models/index.js';
+import { Order, User, Review } from '../../models/index.js';
 
 const logger = setupLogging();
 
 export const processNotificationJob = async (job) => {
-  const { type, data } = job.data;
+  // JobScheduler adds jobs as queue.add(type, data)
+  const type = job.name;
+  const data = job.data;
   
   try {
     logger.info(`Processing notification job: ${type}`, { jobId: job.id });
@@ -103,9 +105,20 @@ async function sendReviewRequest(data) {
       throw new Error(`Order ${orderId} not found or has no user`);
     }
 
+    // Skip products the customer already reviewed, and the request if that's all of them
+    const reviewed = await Review.find({
+      userId: order.userId._id,
+      productId: { $in: order.items.map(item => item.productId) },
+    }).distinct('productId');
+    const pending = order.items.filter(item => !reviewed.some(productId => productId.equals(item.productId)));
+    if (pending.length === 0) {
+      logger.info('Review request skipped, order already reviewed', { orderId });
+      return { success: true, orderId, skipped: true };
+    }
+
     // Send email review request
     const { EmailService } = await import('./email.js');
-    await EmailService.sendReviewRequest(order, order.userId);
+    await EmailService.sendReviewRequest(order, order.userId, pending);
 
     // Send push notification
     const notification = {
@@ -1,4 +1,5 @@
 import { setupLogging } from '../../config/logging.js';
+import { config } from '../../config/index.js';
 import { Order, Product, User, DailySales } from '../../models/index.js';
 import InventoryService from '../../services/InventoryService.js';
 import CacheService from '../../services/CacheService.js';
@@ -6,7 +7,8 @@ import CacheService from '../../services/CacheService.js';
 const logger = setupLogging();
 
 export const processOrderJob = async (job) => {
-  const { type, data } = job.data;
+  const type = job.name;
+  const data = job.data;
   
   try {
     logger.info(`Processing order job: ${type}`, { jobId: job.id });
@@ -90,7 +92,7 @@ async function processOrderPaid(data) {
     }
 
     // Commit inventory reservations
-    const skus = order.items.map(item => item.sku);
+    const skus = InventoryService.reservationSkus(order.items);
     const commitResults = await InventoryService.commitOrderReservations(orderId, skus);
 
     // Update product sales analytics
@@ -145,7 +147,7 @@ async function processOrderCancelled(data) {
     }
 
     // Release inventory reservations
-    const skus = order.items.map(item => item.sku);
+    const skus = InventoryService.reservationSkus(order.items);
     const releaseResults = await InventoryService.releaseOrderReservations(orderId, skus);
 
     // Update daily sales analytics
@@ -237,15 +239,12 @@ async function processOrderDelivered(data) {
       throw new Error(`Order ${orderId} not found`);
     }
 
-    // Update order status
-    await order.addStatusUpdate('delivered', 'Order delivered successfully');
-
     // Send delivery confirmation
     const { EmailService } = await import('./email.js');
     await EmailService.sendOrderDelivered(order, order.userId);
 
     // Schedule review request (delayed)
-    await scheduleReviewRequest(orderId, 7 * 24 * 60 * 60 * 1000); // 7 days delay
+    await scheduleReviewRequest(orderId, config.reviews.requestDelayDays * 24 * 60 * 60 * 1000);
 
     // Update analytics
     await updateDailySales(order, 'delivered');
@@ -258,7 +257,7 @@ async function processOrderDelivered(data) {
     return {
       success: true,
       orderId,
-      actions: ['order_updated', 'email_sent', 'review_scheduled', 'analytics_updated', 'payout_calculated'],
+      actions: ['email_sent', 'review_scheduled', 'analytics_updated', 'payout_calculated'],
     };
 
   } catch (error) {
@@ -276,8 +275,8 @@ async function processOrderRefunded(data) {
       throw new Error(`Order ${orderId} not found`);
     }
 
-    // Update inventory (return stock)
-    for (const item of order.items) {
+    // Update inventory (return stock, per component for bundles)
+    for (const item of InventoryService.expandBundleItems(order.items)) {
       await InventoryService.updateStock(item.sku, item.quantity, 'increment');
     }
 
@@ -315,14 +314,14 @@ async function processOrderRefunded(data) {
 }
 
 async function cleanupExpiredOrders(data) {
-  const { olderThanHours = 24 } = data;
+  const { olderThanMinutes = config.orders.paymentWindowMinutes } = data;
   
   try {
-    const cutoffDate = new Date(Date.now() - olderThanHours * 60 * 60 * 1000);
+    const cutoffDate = new Date(Date.now() - olderThanMinutes * 60 * 1000);
     
     // Find expired orders that are still in created or payment_pending status
     const expiredOrders = await Order.find({
-      status: { $in: ['created', 'payment_pending'] },
+      status: { $in: ['CREATED', 'PAYMENT_PENDING'] },
       createdAt: { $lt: cutoffDate },
     });
 
@@ -330,13 +329,13 @@ async function cleanupExpiredOrders(data) {
     
     for (const order of expiredOrders) {
       try {
+        // Mark order as cancelled first, so a payment can't commit stock we hand back
+        await order.cancel('Order expired - automatic cleanup');
+
         // Release inventory reservations
-        const skus = order.items.map(item => item.sku);
+        const skus = InventoryService.reservationSkus(order.items);
         await InventoryService.releaseOrderReservations(order._id.toString(), skus);
         
-        // Mark order as cancelled
-        await order.cancel('Order expired - automatic cleanup');
-        
         cleanedCount++;
       } catch (error) {
         logger.error(`Error cleaning up expired order ${order._id}:`, error);
@@ -493,6 +492,20 @@ async function updateProductMetrics(order) {
 
 // Order service utility functions
 export const OrderService = {
+  async setupRecurringJobs() {
+    const { JobScheduler } = await import('../index.js');
+
+    // Cancel orders left unpaid past the payment window and return their stock
+    await JobScheduler.addRecurringJob(
+      'order',
+      'cleanupExpiredOrders',
+      {},
+      '*/5 * * * *', // Every 5 minutes
+    );
+
+    logger.info('Order recurring jobs scheduled');
+  },
+
   async processOrderCreated(orderId) {
     const { JobScheduler } = await import('../index.js');
     return JobScheduler.addOrderJob('processOrderCreated', { orderId });
@@ -503,6 +516,12 @@ export const OrderService = {
     return JobScheduler.addOrderJob('processOrderPaid', { orderId });
   },
 
+  // Marks the order paid and turns the stock held at checkout into a sale
+  async recordPayment(order, intent) {
+    await order.markAsPaid({ amount: intent.amount, currency: intent.currency });
+    return this.processOrderPaid(order._id.toString());
+  },
+
   async processOrderCancelled(orderId, reason) {
     const { JobScheduler } = await import('../index.js');
     return JobScheduler.addOrderJob('processOrderCancelled', { orderId, reason });
@@ -532,8 +551,8 @@ export const OrderService = {
     });
   },
 
-  async scheduleOrderCleanup(olderThanHours = 24) {
+  async scheduleOrderCleanup(olderThanMinutes = config.orders.paymentWindowMinutes) {
     const { JobScheduler } = await import('../index.js');
-    return JobScheduler.addOrderJob('cleanupExpiredOrders', { olderThanHours });
+    return JobScheduler.addOrderJob('cleanupExpiredOrders', { olderThanMinutes });
   },
 };
\ No newline at end of file
@@ -0,0 +1,103 @@
+import { setupLogging } from '../../config/logging.js';
+import { User } from '../../models/index.js';
+import PrivacyService from '../../services/PrivacyService.js';
+import { EmailService } from './email.js';
+
+const logger = setupLogging();
+
+export const processPrivacyJob = async (job) => {
+  // JobScheduler adds jobs as queue.add(type, data)
+  const type = job.name;
+  const data = job.data;
+
+  try {
+    logger.info(`Processing privacy job: ${type}`, { jobId: job.id });
+
+    switch (type) {
+    case 'buildDataExport':
+      return await buildDataExport(data);
+    case 'processScheduledDeletions':
+      return await processScheduledDeletions();
+    case 'cleanupExports':
+      return await cleanupExports();
+    default:
+      throw new Error(`Unknown privacy processing type: ${type}`);
+    }
+
+  } catch (error) {
+    logger.error(`Privacy job failed: ${type}`, {
+      jobId: job.id,
+      error: error.message,
+    });
+
+    throw error;
+  }
+};
+
+async function buildDataExport(data) {
+  const { exportId } = data;
+
+  const exportRecord = await PrivacyService.buildExport(exportId);
+
+  const user = await User.findById(exportRecord.userId);
+  if (user) {
+    await EmailService.sendDataExportReady(user.email, user.profile.name, {
+      downloadLink: `${process.env.FRONTEND_URL}/account/privacy/exports/${exportId}`,
+      expiresAt: exportRecord.expiresAt,
+    });
+  }
+
+  logger.info('Data export built', {
+    exportId,
+    userId: exportRecord.userId,
+    format: exportRecord.format,
+    size: exportRecord.size,
+  });
+
+  return { exportId, size: exportRecord.size };
+}
+
+async function processScheduledDeletions() {
+  const result = await PrivacyService.processDueDeletions();
+
+  logger.info('Scheduled account deletions processed', result);
+  return result;
+}
+
+async function cleanupExports() {
+  const removed = await PrivacyService.cleanupExports();
+
+  logger.info('Expired data exports removed', { removed });
+  return { removed };
+}
+
+// Privacy service utility functions
+export const PrivacyJobService = {
+  async buildDataExport(exportId) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addPrivacyJob('buildDataExport', { exportId });
+  },
+
+  // Recurring jobs setup
+  async setupRecurringJobs() {
+    const { JobScheduler } = await import('../index.js');
+
+    // Anonymize accounts whose grace period has ended, every hour
+    await JobScheduler.addRecurringJob(
+      'privacy',
+      'processScheduledDeletions',
+      {},
+      '0 * * * *', // Every hour
+    );
+
+    // Remove expired export archives daily at 3 AM
+    await JobScheduler.addRecurringJob(
+      'privacy',
+      'cleanupExports',
+      {},
+      '0 3 * * *', // Daily at 3 AM
+    );
+
+    logger.info('Privacy recurring jobs scheduled');
+  },
+};
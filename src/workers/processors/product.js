@@ -0,0 +1,58 @@
+import { setupLogging } from '../../config/logging.js';
+import ProductScheduleService from '../../services/ProductScheduleService.js';
+import ProductTrashService from '../../services/ProductTrashService.js';
+
+const logger = setupLogging();
+
+export const processProductJob = async (job) => {
+  // JobScheduler adds jobs as queue.add(type, data)
+  const type = job.name;
+  const data = job.data;
+
+  try {
+    logger.info(`Processing product job: ${type}`, { jobId: job.id });
+
+    switch (type) {
+    case 'applySchedules':
+      return await ProductScheduleService.applySchedules();
+    case 'purgeTrash':
+      return await ProductTrashService.purgeExpired();
+    default:
+      throw new Error(`Unknown product processing type: ${type}`);
+    }
+
+  } catch (error) {
+    logger.error(`Product job failed: ${type}`, {
+      jobId: job.id,
+      error: error.message,
+      data,
+    });
+
+    throw error;
+  }
+};
+
+// Product service utility functions
+export const ProductJobService = {
+  async setupRecurringJobs() {
+    const { JobScheduler } = await import('../index.js');
+
+    // Publish and unpublish scheduled products every minute
+    await JobScheduler.addRecurringJob(
+      'product',
+      'applySchedules',
+      {},
+      '* * * * *', // Every minute
+    );
+
+    // Purge products past the trash retention period daily at 4 AM
+    await JobScheduler.addRecurringJob(
+      'product',
+      'purgeTrash',
+      {},
+      '0 4 * * *', // Daily at 4 AM
+    );
+
+    logger.info('Product recurring jobs scheduled');
+  },
+};
@@ -0,0 +1,38 @@
+import { setupLogging } from '../../config/logging.js';
+import ReviewService from '../../services/ReviewService.js';
+
+const logger = setupLogging();
+
+export const processReviewJob = async (job) => {
+  // JobScheduler adds jobs as queue.add(type, data)
+  const type = job.name;
+  const data = job.data;
+
+  try {
+    logger.info(`Processing review job: ${type}`, { jobId: job.id });
+
+    switch (type) {
+    case 'recalculateRating':
+      return await ReviewService.recalculateRating(data.productId);
+    default:
+      throw new Error(`Unknown review processing type: ${type}`);
+    }
+
+  } catch (error) {
+    logger.error(`Review job failed: ${type}`, {
+      jobId: job.id,
+      error: error.message,
+      data,
+    });
+
+    throw error;
+  }
+};
+
+// Review service utility functions
+export const ReviewJobService = {
+  async recalculateRating(productId) {
+    const { JobScheduler } = await import('../index.js');
+    return JobScheduler.addReviewJob('recalculateRating', { productId });
+  },
+};
@@ -0,0 +1,22 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { config } from '../../src/config/index.js';
+import { errorHandler } from '../../src/middleware/error.js';
+
+/**
+ * An app with just the given router mounted, for driving routes with supertest
+ */
+export const buildApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+};
+
+// An access token shaped like the ones AuthController and ImpersonationService sign
+export const accessToken = (user, claims = {}) => jwt.sign(
+  { userId: user._id.toString(), email: user.email, role: user.role, jti: `jti-${user._id}`, ...claims },
+  config.jwt.accessTokenSecret,
+  { expiresIn: '5m', issuer: 'aether-backend', audience: 'aether-frontend' },
+);
@@ -0,0 +1,47 @@
+import { jest } from '@jest/globals';
+
+/**
+ * Minimal Express request/response doubles for calling controllers and
+ * middleware directly
+ */
+export const mockRequest = ({ headers = {}, ...overrides } = {}) => ({
+  body: {},
+  params: {},
+  query: {},
+  cookies: {},
+  ip: '127.0.0.1',
+  originalUrl: '/test',
+  method: 'POST',
+  headers,
+  get: name => headers[name.toLowerCase()],
+  ...overrides,
+});
+
+export const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.cookie = jest.fn(() => res);
+  res.clearCookie = jest.fn(() => res);
+  res.setHeader = jest.fn(() => res);
+  return res;
+};
+
+// Run a middleware and resolve once it either responds or calls next()
+export const runMiddleware = (middleware, req, res = mockResponse()) => new Promise((resolve, reject) => {
+  res.json.mockImplementation((body) => {
+    res.body = body;
+    resolve({ res, nextCalled: false });
+    return res;
+  });
+  Promise.resolve(middleware(req, res, (error) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve({ res, nextCalled: true });
+    }
+  })).catch(reject);
+});
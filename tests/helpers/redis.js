@@ -0,0 +1,133 @@
+import { jest } from '@jest/globals';
+import { redis } from '../../src/config/redis.js';
+
+/**
+ * An in-memory stand-in for the ioredis client, covering the commands the
+ * services use. Keys hold strings, hashes, sets or sorted sets; expiry is
+ * recorded for TTL but never enforced.
+ */
+export const createFakeClient = () => {
+  const store = new Map();
+  const expiries = new Map();
+
+  const read = (key, empty) => (store.has(key) ? store.get(key) : empty);
+  const zset = key => read(key, new Map());
+  const byScore = key => [...zset(key).entries()].sort((a, b) => a[1] - b[1]).map(([member]) => member);
+  const inRange = (score, min, max) => (min === '-inf' || score >= Number(min)) && (max === '+inf' || score <= Number(max));
+
+  const commands = {
+    get: key => read(key, null),
+    set: (key, value, ...options) => {
+      const upper = options.map(option => String(option).toUpperCase());
+      if (upper.includes('NX') && store.has(key)) {
+        return null;
+      }
+      store.set(key, String(value));
+      if (upper.includes('EX')) {
+        expiries.set(key, Number(options[upper.indexOf('EX') + 1]));
+      } else if (!upper.includes('KEEPTTL')) {
+        expiries.delete(key);
+      }
+      return 'OK';
+    },
+    mget: (...keys) => keys.map(key => read(key, null)),
+    del: (...keys) => keys.filter((key) => {
+      expiries.delete(key);
+      return store.delete(key);
+    }).length,
+    exists: key => (store.has(key) ? 1 : 0),
+    incr: (key) => {
+      const value = Number(read(key, 0)) + 1;
+      store.set(key, String(value));
+      return value;
+    },
+    expire: (key, seconds) => {
+      if (!store.has(key)) {
+        return 0;
+      }
+      expiries.set(key, seconds);
+      return 1;
+    },
+    ttl: (key) => {
+      if (!store.has(key)) {
+        return -2;
+      }
+      return expiries.has(key) ? expiries.get(key) : -1;
+    },
+    hget: (key, field) => read(key, {})[field] ?? null,
+    hset: (key, field, value) => {
+      store.set(key, { ...read(key, {}), [field]: String(value) });
+      return 1;
+    },
+    hgetall: key => ({ ...read(key, {}) }),
+    hdel: (key, ...fields) => {
+      const hash = { ...read(key, {}) };
+      const removed = fields.filter(field => field in hash && delete hash[field]).length;
+      store.set(key, hash);
+      return removed;
+    },
+    sadd: (key, ...members) => {
+      const set = new Set(read(key, []));
+      const added = members.filter(member => !set.has(member) && set.add(member)).length;
+      store.set(key, set);
+      return added;
+    },
+    scard: key => read(key, new Set()).size,
+    zadd: (key, score, member) => {
+      const sorted = new Map(zset(key));
+      const added = sorted.has(member) ? 0 : 1;
+      sorted.set(member, Number(score));
+      store.set(key, sorted);
+      return added;
+    },
+    zrem: (key, ...members) => {
+      const sorted = new Map(zset(key));
+      const removed = members.filter(member => sorted.delete(member)).length;
+      store.set(key, sorted);
+      return removed;
+    },
+    zcard: key => zset(key).size,
+    zrange: (key, start, stop) => byScore(key).slice(start, stop === -1 ? undefined : stop + 1),
+    zrevrange: (key, start, stop) => byScore(key).reverse().slice(start, stop === -1 ? undefined : stop + 1),
+    zrangebyscore: (key, min, max) => byScore(key).filter(member => inRange(zset(key).get(member), min, max)),
+    zremrangebyscore: (key, min, max) => {
+      const sorted = new Map(zset(key));
+      const removed = [...sorted.entries()].filter(([member, score]) => inRange(score, min, max) && sorted.delete(member)).length;
+      store.set(key, sorted);
+      return removed;
+    },
+  };
+
+  const client = { store };
+  Object.entries(commands).forEach(([name, command]) => {
+    client[name] = jest.fn((...args) => Promise.resolve(command(...args)));
+  });
+
+  // Queue commands and run them in order on exec(), like MULTI
+  client.multi = () => {
+    const queued = [];
+    const transaction = {
+      exec: () => Promise.resolve(queued.map(run => [null, run()])),
+    };
+    Object.entries(commands).forEach(([name, command]) => {
+      transaction[name] = (...args) => {
+        queued.push(() => command(...args));
+        return transaction;
+      };
+    });
+    return transaction;
+  };
+
+  return client;
+};
+
+/**
+ * Point the shared Redis connection at a fresh in-memory client for the
+ * current test. Restored by jest.restoreAllMocks() in tests/setup.js.
+ */
+export const useFakeRedis = () => {
+  const client = createFakeClient();
+  jest.replaceProperty(redis, 'client', client);
+  jest.spyOn(redis, 'getClient').mockReturnValue(client);
+  return client;
+};
@@ -0,0 +1,29 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+/**
+ * A user document double with the fields auth code reads
+ */
+export const fakeUser = ({ security = {}, ...overrides } = {}) => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'user@example.com',
+    role: 'BUYER',
+    roles: [],
+    permissions: [],
+    status: 'ACTIVE',
+    isLocked: false,
+    merchantId: undefined,
+    profile: { name: 'Test User' },
+    security: {
+      twoFactorEnabled: false,
+      twoFactorRecoveryCodes: [],
+      passwordResetRequired: false,
+      ...security,
+    },
+    save: jest.fn(() => Promise.resolve(user)),
+    ...overrides,
+  };
+  user.toJSON = () => ({ _id: user._id, email: user.email, role: user.role });
+  return user;
+};
@@ -0,0 +1,10 @@
+import { jest } from '@jest/globals';
+
+// Keep config and logging quiet and self-contained under test
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_dummy';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
@@ -0,0 +1,35 @@
+import { jest } from '@jest/globals';
+import { User } from '../../../src/models/index.js';
+import AddressController from '../../../src/controllers/AddressController.js';
+import { mockRequest, mockResponse } from '../../helpers/http.js';
+
+describe('AddressController', () => {
+  const address = { name: 'Ada Lovelace', phone: '+250788000001', street: '1 Analytical Way', city: 'Kigali', country: 'Rwanda' };
+  let user;
+  let theirs;
+
+  beforeEach(() => {
+    user = new User({ email: 'ada@example.com', passwordHash: 'hash', addresses: [{ label: 'Home', ...address }] });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    theirs = new User({ email: 'eve@example.com', passwordHash: 'hash', addresses: [{ label: 'Work', ...address }] })
+      .addresses[0]._id.toString();
+  });
+
+  // getAddress throws synchronously, the others reject
+  const call = (action, params, body = {}) => Promise.resolve()
+    .then(() => AddressController[action](mockRequest({ user, params, body }), mockResponse()));
+
+  it.each(['getAddress', 'updateAddress', 'deleteAddress'])('%s only reaches the user\'s own addresses', async (action) => {
+    await expect(call(action, { addressId: theirs }, { label: 'Mine now' })).rejects.toThrow('Address not found');
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('makes the first saved address the default for both types', async () => {
+    user.addresses = [];
+
+    await call('createAddress', {}, address);
+
+    expect(user.getDefaultAddress('shipping')).toBe(user.addresses[0]);
+    expect(user.getDefaultAddress('billing')).toBe(user.addresses[0]);
+  });
+});
@@ -0,0 +1,79 @@
+import { jest } from '@jest/globals';
+import { User } from '../../../src/models/index.js';
+import CacheService from '../../../src/services/CacheService.js';
+import AuditService from '../../../src/services/AuditService.js';
+import AdminController from '../../../src/controllers/AdminController.js';
+import { mockRequest, mockResponse } from '../../helpers/http.js';
+import { fakeUser } from '../../helpers/users.js';
+
+describe('AdminController account management', () => {
+  const admin = fakeUser({ role: 'ADMIN' });
+  const superAdmin = fakeUser({ role: 'SUPER_ADMIN' });
+  let findByIdAndUpdate;
+
+  beforeEach(() => {
+    findByIdAndUpdate = jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(id => Promise.resolve({ _id: id }));
+    jest.spyOn(CacheService, 'delUser').mockResolvedValue(true);
+    jest.spyOn(AuditService, 'captureChange').mockImplementation(() => {});
+  });
+
+  const act = (action, actor, target, body = {}) => {
+    jest.spyOn(User, 'findById').mockResolvedValue(target);
+    return AdminController[action](
+      mockRequest({ user: actor, params: { id: target._id.toString() }, body }),
+      mockResponse(),
+    );
+  };
+
+  describe('updateUser', () => {
+    const body = { profile: { name: 'Renamed' } };
+
+    it('stops admins from editing super admins or their own account', async () => {
+      await expect(act('updateUser', admin, fakeUser({ role: 'SUPER_ADMIN' }), body))
+        .rejects.toThrow('Only super admins can manage admin accounts');
+      await expect(act('updateUser', admin, admin, body))
+        .rejects.toThrow('You cannot perform this action on your own account');
+      expect(findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('merges allowed fields for users the actor may manage', async () => {
+      const target = fakeUser();
+      await act('updateUser', admin, target, { ...body, role: 'SUPER_ADMIN', merchantId: 'merchant_1' });
+      await act('updateUser', superAdmin, fakeUser({ role: 'ADMIN' }), body);
+
+      expect(findByIdAndUpdate).toHaveBeenCalledWith(
+        target._id.toString(),
+        { $set: { 'profile.name': 'Renamed' } },
+        expect.anything(),
+      );
+      expect(findByIdAndUpdate).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('unlockUser', () => {
+    const lockedUser = overrides => fakeUser({
+      isLocked: true,
+      security: { loginAttempts: 5 },
+      resetLoginAttempts: jest.fn().mockResolvedValue(),
+      ...overrides,
+    });
+
+    it('stops admins from unlocking other admins', async () => {
+      const target = lockedUser({ role: 'ADMIN' });
+
+      await expect(act('unlockUser', admin, target)).rejects.toThrow('Only super admins can manage admin accounts');
+      expect(target.resetLoginAttempts).not.toHaveBeenCalled();
+    });
+
+    it('lets admins unlock users and super admins unlock admins', async () => {
+      const user = lockedUser();
+      const otherAdmin = lockedUser({ role: 'ADMIN' });
+
+      await act('unlockUser', admin, user);
+      await act('unlockUser', superAdmin, otherAdmin);
+
+      expect(user.resetLoginAttempts).toHaveBeenCalled();
+      expect(otherAdmin.resetLoginAttempts).toHaveBeenCalled();
+    });
+  });
+});
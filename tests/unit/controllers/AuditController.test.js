@@ -0,0 +1,54 @@
+import { jest } from '@jest/globals';
+import AuditService from '../../../src/services/AuditService.js';
+import AuditController from '../../../src/controllers/AuditController.js';
+import { mockRequest, mockResponse } from '../../helpers/http.js';
+
+describe('AuditController CSV exports', () => {
+  const csvResponse = () => {
+    const res = mockResponse();
+    res.headersSent = false;
+    res.set = jest.fn(() => res);
+    res.write = jest.fn(() => {
+      res.headersSent = true;
+      return true;
+    });
+    res.end = jest.fn();
+    res.destroy = jest.fn();
+    return res;
+  };
+
+  it('ends the download once every event is written', async () => {
+    jest.spyOn(AuditService, 'streamCsv').mockImplementation((_filter, res) => {
+      res.write('sequence\n');
+      return Promise.resolve();
+    });
+    const res = csvResponse();
+
+    await AuditController.exportEvents(mockRequest({ query: {} }), res);
+
+    expect(res.end).toHaveBeenCalled();
+    expect(res.destroy).not.toHaveBeenCalled();
+  });
+
+  it.each(['exportEvents', 'exportMerchantEvents'])('%s cuts the connection when the stream fails midway', async (action) => {
+    const failure = new Error('cursor killed');
+    jest.spyOn(AuditService, 'streamCsv').mockImplementation((_filter, res) => {
+      res.write('sequence\n');
+      return Promise.reject(failure);
+    });
+    const res = csvResponse();
+
+    await AuditController[action](mockRequest({ query: {}, merchantId: 'merchant_1' }), res);
+
+    expect(res.destroy).toHaveBeenCalledWith(failure);
+    expect(res.end).not.toHaveBeenCalled();
+  });
+
+  it('reports failures before anything was sent as errors', async () => {
+    jest.spyOn(AuditService, 'streamCsv').mockRejectedValue(new Error('bad filter'));
+    const res = csvResponse();
+
+    await expect(AuditController.exportEvents(mockRequest({ query: {} }), res)).rejects.toThrow('bad filter');
+    expect(res.destroy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+import { User } from '../../../src/models/index.js';
+import CacheService from '../../../src/services/CacheService.js';
+import MagicLinkService from '../../../src/services/MagicLinkService.js';
+import TwoFactorService from '../../../src/services/TwoFactorService.js';
+import AuthController from '../../../src/controllers/AuthController.js';
+import { mockRequest, mockResponse } from '../../helpers/http.js';
+import { useFakeRedis } from '../../helpers/redis.js';
+import { fakeUser } from '../../helpers/users.js';
+
+describe('magic-link sign-in', () => {
+  let user;
+  let generateTokens;
+
+  beforeEach(() => {
+    useFakeRedis();
+    user = fakeUser({ verification: { email: { verified: false, token: 'verify-token' } } });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    generateTokens = jest.spyOn(AuthController, 'generateTokens')
+      .mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+    jest.spyOn(CacheService, 'setUser').mockResolvedValue(true);
+  });
+
+  const follow = (token) => {
+    const res = mockResponse();
+    return AuthController.consumeMagicLink(mockRequest({ body: { token } }), res).then(() => res);
+  };
+
+  it('signs in once and refuses the same link afterwards', async () => {
+    const token = MagicLinkService.createToken(user);
+
+    const res = await follow(token);
+    expect(res.body.data).toMatchObject({ accessToken: 'access' });
+
+    await expect(follow(token)).rejects.toThrow('This sign-in link has already been used');
+    expect(generateTokens).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets only one of two simultaneous clicks through', async () => {
+    const token = MagicLinkService.createToken(user);
+
+    const results = await Promise.allSettled([follow(token), follow(token)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(generateTokens).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks the email verified, since the link proves the mailbox', async () => {
+    await follow(MagicLinkService.createToken(user));
+
+    expect(user.verification.email.verified).toBe(true);
+    expect(user.verification.email.token).toBeUndefined();
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it('does not accept other signed tokens as links', async () => {
+    const challenge = TwoFactorService.createChallengeToken(user);
+
+    await expect(follow(challenge)).rejects.toThrow('Invalid or expired sign-in link');
+    expect(generateTokens).not.toHaveBeenCalled();
+  });
+
+  it('still asks for the second factor', async () => {
+    user.security.twoFactorEnabled = true;
+
+    const res = await follow(MagicLinkService.createToken(user));
+
+    expect(res.body.data).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+    expect(generateTokens).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+import { redis } from '../../../src/config/redis.js';
+import { User } from '../../../src/models/index.js';
+import CacheService from '../../../src/services/CacheService.js';
+import RefreshTokenService from '../../../src/services/RefreshTokenService.js';
+import TwoFactorService from '../../../src/services/TwoFactorService.js';
+import AuthController from '../../../src/controllers/AuthController.js';
+import { authenticate, authenticateTwoFactorSetup } from '../../../src/middleware/auth.js';
+import { mockRequest, mockResponse, runMiddleware } from '../../helpers/http.js';
+import { fakeUser } from '../../helpers/users.js';
+
+describe('two-factor enforcement for required roles', () => {
+  let generateTokens;
+
+  beforeEach(() => {
+    generateTokens = jest.spyOn(AuthController, 'generateTokens')
+      .mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+    jest.spyOn(CacheService, 'setUser').mockResolvedValue(true);
+    jest.spyOn(redis, 'getClient').mockReturnValue({ set: jest.fn().mockResolvedValue('OK') });
+  });
+
+  it('hands a seller without 2FA a setup token instead of a session', async () => {
+    const user = fakeUser({ role: 'SELLER' });
+    const res = mockResponse();
+
+    await AuthController.completeLogin(mockRequest(), res, user);
+
+    expect(generateTokens).not.toHaveBeenCalled();
+    expect(res.cookie).not.toHaveBeenCalled();
+    expect(res.body.data).toEqual({ twoFactorSetupRequired: true, setupToken: expect.any(String) });
+    expect(TwoFactorService.verifySetupToken(res.body.data.setupToken).userId).toBe(user._id.toString());
+  });
+
+  it('signs in buyers and enrolled sellers as before', async () => {
+    for (const user of [fakeUser(), fakeUser({ role: 'SELLER', security: { twoFactorEnabled: true } })]) {
+      const res = mockResponse();
+      await AuthController.completeLogin(mockRequest(), res, user);
+      expect(res.body.data).toMatchObject({ accessToken: 'access', refreshToken: 'refresh' });
+    }
+  });
+
+  it('finishes the sign-in when enrollment is verified with a setup token', async () => {
+    const secret = TwoFactorService.generateSecret();
+    const user = fakeUser({ role: 'ADMIN', security: { twoFactorSecret: secret } });
+    const res = mockResponse();
+    const req = mockRequest({
+      user,
+      twoFactorSetup: { rememberMe: true },
+      body: { code: TwoFactorService.generateCode(secret) },
+    });
+
+    await AuthController.verifyTwoFactorEnrollment(req, res);
+
+    expect(user.security.twoFactorEnabled).toBe(true);
+    expect(generateTokens).toHaveBeenCalledWith(user, req, true);
+    expect(res.body.data).toMatchObject({ accessToken: 'access', recoveryCodes: expect.any(Array) });
+    expect(res.body.data.recoveryCodes).toHaveLength(user.security.twoFactorRecoveryCodes.length);
+  });
+
+  it('refuses to refresh a session for an account that still has to enroll', async () => {
+    const user = fakeUser({ role: 'SELLER' });
+    jest.spyOn(RefreshTokenService, 'consume').mockResolvedValue({
+      status: 'valid',
+      record: { userId: user._id.toString(), familyId: 'family-1', rememberMe: false },
+    });
+    const revokeFamily = jest.spyOn(RefreshTokenService, 'revokeFamily').mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    await expect(AuthController.refreshToken(mockRequest({ cookies: { refreshToken: 'token' } }), mockResponse()))
+      .rejects.toThrow('Two-factor authentication must be set up before signing in');
+    expect(revokeFamily).toHaveBeenCalledWith(user._id.toString(), 'family-1', 'two_factor_setup_required');
+    expect(generateTokens).not.toHaveBeenCalled();
+  });
+
+  it('ends the session family when a locked account refreshes', async () => {
+    const user = fakeUser({ isLocked: true });
+    jest.spyOn(RefreshTokenService, 'consume').mockResolvedValue({
+      status: 'valid',
+      record: { userId: user._id.toString(), familyId: 'family-1', rememberMe: false },
+    });
+    const revokeFamily = jest.spyOn(RefreshTokenService, 'revokeFamily').mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const res = mockResponse();
+
+    await expect(AuthController.refreshToken(mockRequest({ cookies: { refreshToken: 'token' } }), res))
+      .rejects.toThrow('Account is temporarily locked');
+    expect(revokeFamily).toHaveBeenCalledWith(user._id.toString(), 'family-1', 'sign_in_blocked');
+    expect(res.clearCookie).toHaveBeenCalledWith('refreshToken', { path: '/api/auth' });
+    expect(generateTokens).not.toHaveBeenCalled();
+  });
+
+  it('signs in with the last recovery code', async () => {
+    const user = fakeUser({ security: { twoFactorEnabled: true, twoFactorRecoveryCodes: ['stale-hash'] } });
+    const challengeToken = TwoFactorService.createChallengeToken(user);
+    jest.spyOn(TwoFactorService, 'isChallengeExhausted').mockResolvedValue(false);
+    jest.spyOn(TwoFactorService, 'completeChallenge').mockResolvedValue();
+    jest.spyOn(TwoFactorService, 'consumeRecoveryCode').mockResolvedValue(0);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const res = mockResponse();
+
+    await AuthController.verifyTwoFactorLogin(mockRequest({ body: { challengeToken, recoveryCode: 'aaaaa-bbbbb' } }), res);
+
+    expect(res.body.data).toMatchObject({ accessToken: 'access' });
+  });
+
+  describe('setup token authentication', () => {
+    it('authenticates enrollment requests that carry a setup token', async () => {
+      const user = fakeUser({ role: 'SELLER' });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      const req = mockRequest({ body: { setupToken: TwoFactorService.createSetupToken(user) } });
+
+      const { nextCalled } = await runMiddleware(authenticateTwoFactorSetup, req);
+
+      expect(nextCalled).toBe(true);
+      expect(req.user).toBe(user);
+      expect(req.twoFactorSetup.userId).toBe(user._id.toString());
+    });
+
+    it('does not accept a setup token anywhere else', async () => {
+      const user = fakeUser({ role: 'SELLER' });
+      const setupToken = TwoFactorService.createSetupToken(user);
+      const req = mockRequest({ headers: { authorization: `Bearer ${setupToken}` } });
+
+      const { res, nextCalled } = await runMiddleware(authenticate, req);
+
+      expect(nextCalled).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.body.code).toBe('INVALID_TOKEN');
+    });
+
+    it('rejects challenge tokens passed as setup tokens', async () => {
+      const user = fakeUser({ role: 'SELLER' });
+      const req = mockRequest({ body: { setupToken: TwoFactorService.createChallengeToken(user) } });
+
+      const { res, nextCalled } = await runMiddleware(authenticateTwoFactorSetup, req);
+
+      expect(nextCalled).toBe(false);
+      expect(res.body.code).toBe('INVALID_TOKEN');
+    });
+  });
+});
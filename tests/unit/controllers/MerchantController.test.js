@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { Types } from 'mongoose';
+import { Merchant, Order } from '../../../src/models/index.js';
+import AuditService from '../../../src/services/AuditService.js';
+import { OrderService } from '../../../src/workers/processors/order.js';
+import MerchantController from '../../../src/controllers/MerchantController.js';
+import { mockRequest, mockResponse } from '../../helpers/http.js';
+import { fakeUser } from '../../helpers/users.js';
+
+describe('MerchantController', () => {
+  const owner = fakeUser();
+  const merchantId = new Types.ObjectId();
+
+  describe('updateMerchant', () => {
+    let merchant;
+
+    beforeEach(() => {
+      merchant = new Merchant({
+        _id: merchantId.toString(),
+        name: 'Kigali Crafts',
+        slug: 'kigali-crafts',
+        ownerId: owner._id,
+        status: 'APPROVED',
+        contact: {
+          email: 'shop@example.com',
+          phone: '+250788000001',
+          address: { street: '1 KN St', city: 'Kigali' },
+        },
+      });
+      jest.spyOn(Merchant, 'findById').mockResolvedValue(merchant);
+      jest.spyOn(Merchant.prototype, 'save').mockResolvedValue();
+      jest.spyOn(AuditService, 'captureChange').mockImplementation(() => {});
+    });
+
+    const update = body => MerchantController.updateMerchant(
+      mockRequest({ user: owner, merchantId: merchantId.toString(), body }),
+      mockResponse(),
+    );
+
+    it('merges a partial contact into the stored one', async () => {
+      await update({ contact: { phone: '+250788000002', address: { city: 'Huye' } } });
+
+      expect(merchant.contact.email).toBe('shop@example.com');
+      expect(merchant.contact.phone).toBe('+250788000002');
+      expect(merchant.contact.address.street).toBe('1 KN St');
+      expect(merchant.contact.address.city).toBe('Huye');
+      expect(merchant.status).toBe('APPROVED');
+    });
+
+    it('sends an approved store back to review when its registration changes', async () => {
+      await update({ businessRegistration: { legalName: 'Kigali Crafts Ltd', registrationNumber: 'RW-1' } });
+
+      expect(merchant.status).toBe('PENDING');
+      expect(merchant.businessRegistration.legalName).toBe('Kigali Crafts Ltd');
+    });
+  });
+
+  describe('updateFulfillment', () => {
+    let order;
+    let delivered;
+
+    beforeEach(() => {
+      order = {
+        _id: new Types.ObjectId(),
+        status: 'SHIPPED',
+        updateShipping: jest.fn().mockResolvedValue(),
+        addStatusUpdate: jest.fn(function(status) {
+          this.status = status;
+          return Promise.resolve(this);
+        }),
+      };
+      jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+      delivered = jest.spyOn(OrderService, 'processOrderDelivered').mockResolvedValue();
+    });
+
+    const fulfil = body => MerchantController.updateFulfillment(
+      mockRequest({ user: owner, merchantId, params: { orderId: order._id.toString() }, body }),
+      mockResponse(),
+    );
+
+    it('queues the delivery follow-up once an order is delivered', async () => {
+      await fulfil({ status: 'DELIVERED' });
+
+      expect(order.addStatusUpdate).toHaveBeenCalledWith('DELIVERED', undefined, owner._id);
+      expect(delivered).toHaveBeenCalledWith(order._id.toString());
+    });
+
+    it('does not queue it for other updates', async () => {
+      await fulfil({ trackingNumber: 'TRK-1' });
+      await fulfil({ status: 'SHIPPED' });
+
+      expect(order.updateShipping).toHaveBeenCalledWith({ trackingNumber: 'TRK-1' });
+      expect(delivered).not.toHaveBeenCalled();
+    });
+  });
+});
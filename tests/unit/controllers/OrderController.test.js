@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import { Types } from 'mongoose';
+import { Order, Cart, Merchant } from '../../../src/models/index.js';
+import InventoryService from '../../../src/services/InventoryService.js';
+import ProductBundleService from '../../../src/services/ProductBundleService.js';
+import { OrderService } from '../../../src/workers/processors/order.js';
+import OrderController from '../../../src/controllers/OrderController.js';
+import { mockRequest, mockResponse } from '../../helpers/http.js';
+import { fakeUser } from '../../helpers/users.js';
+
+describe('OrderController stock holds', () => {
+  const address = { street: '1 KN St', city: 'Kigali', country: 'RW' };
+  const buyer = fakeUser({
+    addressSnapshot: jest.fn(() => address),
+    getDefaultAddress: jest.fn(() => 'address_1'),
+  });
+  const merchantId = new Types.ObjectId().toString();
+
+  let cart;
+  let reserve;
+  let release;
+
+  beforeEach(() => {
+    cart = {
+      items: [{ sku: 'MUG-RED', productId: new Types.ObjectId(), title: 'Mug', quantity: 2, unitPrice: 5000, totalPrice: 10000 }],
+      totals: { subtotal: 10000, tax: 0, shipping: 0, discount: 0, total: 10000 },
+      currency: 'RWF',
+      toObject: () => ({}),
+      save: jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(Merchant, 'isSuspended').mockResolvedValue(false);
+    jest.spyOn(Cart, 'findByUser').mockResolvedValue(cart);
+    jest.spyOn(ProductBundleService, 'componentsBySku').mockResolvedValue(new Map());
+    reserve = jest.spyOn(InventoryService, 'reserveOrderItems');
+    release = jest.spyOn(InventoryService, 'releaseOrderReservations').mockResolvedValue([]);
+  });
+
+  const checkout = () => OrderController.createOrder(
+    mockRequest({ user: buyer, body: { merchantId, paymentMethod: 'STRIPE' } }),
+    mockResponse(),
+  );
+
+  it('holds stock for the order until the payment window runs out', async () => {
+    reserve.mockResolvedValue({ success: true, reservations: [] });
+    const save = jest.spyOn(Order.prototype, 'save').mockResolvedValue();
+
+    await checkout();
+
+    expect(reserve).toHaveBeenCalledWith(expect.any(String), expect.arrayContaining([
+      expect.objectContaining({ sku: 'MUG-RED', quantity: 2 }),
+    ]));
+    expect(InventoryService.orderHoldSeconds).toBeGreaterThan(30 * 60);
+    expect(save).toHaveBeenCalled();
+    expect(cart.status).toBe('CONVERTED');
+  });
+
+  it('rejects the order without saving it when stock is short', async () => {
+    reserve.mockResolvedValue({
+      success: false,
+      reservations: [{ sku: 'MUG-RED', success: false, requestedQuantity: 2, availableStock: 1 }],
+    });
+    const save = jest.spyOn(Order.prototype, 'save');
+
+    await expect(checkout()).rejects.toThrow('Some items are out of stock');
+    expect(save).not.toHaveBeenCalled();
+    expect(cart.save).not.toHaveBeenCalled();
+  });
+
+  it('returns the held stock when the order cannot be saved', async () => {
+    reserve.mockResolvedValue({ success: true, reservations: [] });
+    jest.spyOn(Order.prototype, 'save').mockRejectedValue(new Error('write conflict'));
+
+    await expect(checkout()).rejects.toThrow('write conflict');
+    expect(release).toHaveBeenCalledWith(expect.any(String), ['MUG-RED']);
+  });
+
+  it('queues the stock release when a buyer cancels', async () => {
+    const order = { _id: new Types.ObjectId(), cancel: jest.fn().mockResolvedValue() };
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    const cancelled = jest.spyOn(OrderService, 'processOrderCancelled').mockResolvedValue();
+
+    await OrderController.cancelOrder(mockRequest({ user: buyer, params: { id: order._id.toString() } }), mockResponse());
+
+    expect(order.cancel).toHaveBeenCalledWith('Cancelled by user', buyer._id);
+    expect(cancelled).toHaveBeenCalledWith(order._id.toString(), 'Cancelled by user');
+  });
+});
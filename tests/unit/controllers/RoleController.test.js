@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import { Role, User } from '../../../src/models/index.js';
+import CacheService from '../../../src/services/CacheService.js';
+import AuditService from '../../../src/services/AuditService.js';
+import PermissionService from '../../../src/services/PermissionService.js';
+import RoleController from '../../../src/controllers/RoleController.js';
+import { mockRequest, mockResponse } from '../../helpers/http.js';
+import { fakeUser } from '../../helpers/users.js';
+
+const ROLE_PERMISSIONS = {
+  ADMIN: ['read:*', 'create:*', 'update:*', 'delete:*'],
+  SUPER_ADMIN: ['*'],
+  SUPPORT: ['read:orders'],
+  ROOT_LIKE: ['*'],
+};
+
+const fakeRole = (name) => ({
+  name,
+  permissions: [...ROLE_PERMISSIONS[name]],
+  toObject() {
+    return { name: this.name, permissions: this.permissions };
+  },
+  save: jest.fn(() => Promise.resolve()),
+});
+
+describe('RoleController privilege checks', () => {
+  const admin = fakeUser({ role: 'ADMIN' });
+  const superAdmin = fakeUser({ role: 'SUPER_ADMIN' });
+
+  beforeEach(() => {
+    jest.spyOn(Role, 'findByName').mockImplementation(name => Promise.resolve(fakeRole(name.toUpperCase())));
+    jest.spyOn(Role, 'find').mockImplementation(({ name }) => ({ distinct: () => Promise.resolve(name.$in) }));
+    jest.spyOn(PermissionService, 'findUnknownPermissions').mockResolvedValue([]);
+    jest.spyOn(PermissionService, 'getRolePermissions').mockImplementation(name => Promise.resolve(ROLE_PERMISSIONS[name] || []));
+    jest.spyOn(CacheService, 'invalidateRolePermissions').mockResolvedValue(true);
+    jest.spyOn(AuditService, 'captureChange').mockImplementation(() => {});
+  });
+
+  const updateRole = (user, name, permissions) => RoleController.updateRole(
+    mockRequest({ user, params: { name }, body: { permissions } }),
+    mockResponse(),
+  );
+
+  const updateAccess = (user, target, body) => {
+    jest.spyOn(User, 'findById').mockResolvedValue(target);
+    return RoleController.updateUserAccess(mockRequest({ user, params: { id: target._id.toString() }, body }), mockResponse());
+  };
+
+  describe('editing roles', () => {
+    it('stops admins from editing the admin roles', async () => {
+      await expect(updateRole(admin, 'ADMIN', ['*'])).rejects.toThrow('Only super admins can change admin roles');
+      await expect(updateRole(admin, 'SUPER_ADMIN', ['*'])).rejects.toThrow('Only super admins can change admin roles');
+    });
+
+    it('stops admins from putting * on any role', async () => {
+      await expect(updateRole(admin, 'SUPPORT', ['*'])).rejects.toThrow('Only super admins can grant the * permission');
+    });
+
+    it('stops admins from editing a role they hold', async () => {
+      const holder = fakeUser({ role: 'ADMIN', roles: ['SUPPORT'] });
+      await expect(updateRole(holder, 'SUPPORT', ['read:orders', 'read:users'])).rejects.toThrow('You cannot change a role you hold');
+    });
+
+    it('lets admins edit other custom roles and super admins edit admin roles', async () => {
+      await expect(updateRole(admin, 'SUPPORT', ['read:orders', 'update:orders'])).resolves.toBeDefined();
+      await expect(updateRole(superAdmin, 'ADMIN', ['read:*', 'update:*'])).resolves.toBeDefined();
+    });
+
+    it('stops admins from creating a role with *', async () => {
+      jest.spyOn(Role, 'findByName').mockResolvedValue(null);
+      const create = jest.spyOn(Role, 'create').mockResolvedValue({ name: 'NEW' });
+
+      await expect(RoleController.createRole(
+        mockRequest({ user: admin, body: { name: 'new', permissions: ['*'] } }),
+        mockResponse(),
+      )).rejects.toThrow('Only super admins can grant the * permission');
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('granting access to users', () => {
+    it('stops admins from changing their own access', async () => {
+      await expect(updateAccess(admin, admin, { permissions: ['read:orders'] }))
+        .rejects.toThrow('You cannot perform this action on your own account');
+      await expect(updateAccess(superAdmin, superAdmin, { roles: ['SUPPORT'] }))
+        .rejects.toThrow('You cannot perform this action on your own account');
+    });
+
+    it('stops admins from changing another admin\'s access', async () => {
+      await expect(updateAccess(admin, fakeUser({ role: 'ADMIN' }), { permissions: [] }))
+        .rejects.toThrow('Only super admins can manage admin accounts');
+    });
+
+    it('stops admins from granting * or the admin roles', async () => {
+      const target = fakeUser();
+
+      await expect(updateAccess(admin, target, { permissions: ['*'] })).rejects.toThrow('* permission');
+      await expect(updateAccess(admin, target, { roles: ['super_admin'] })).rejects.toThrow('SUPER_ADMIN');
+      await expect(updateAccess(admin, target, { roles: ['ADMIN'] })).rejects.toThrow('ADMIN');
+      await expect(updateAccess(admin, target, { roles: ['ROOT_LIKE'] })).rejects.toThrow('ROOT_LIKE');
+      expect(target.save).not.toHaveBeenCalled();
+    });
+
+    it('lets admins grant ordinary roles and super admins grant anything', async () => {
+      const target = fakeUser();
+      await updateAccess(admin, target, { roles: ['SUPPORT'], permissions: ['read:orders'] });
+      expect(target.roles).toEqual(['SUPPORT']);
+
+      await updateAccess(superAdmin, target, { roles: ['SUPER_ADMIN'], permissions: ['*'] });
+      expect(target.roles).toEqual(['SUPER_ADMIN']);
+      expect(target.permissions).toEqual(['*']);
+    });
+
+    it('lets admins edit a user who already holds a grant they couldn\'t give', async () => {
+      const target = fakeUser({ roles: ['ROOT_LIKE'], permissions: ['*'] });
+
+      await updateAccess(admin, target, { roles: ['ROOT_LIKE', 'SUPPORT'], permissions: ['*'] });
+      expect(target.roles).toEqual(['ROOT_LIKE', 'SUPPORT']);
+    });
+  });
+});
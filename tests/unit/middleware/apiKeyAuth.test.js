@@ -0,0 +1,179 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { redis } from '../../../src/config/redis.js';
+import { ApiKey, MerchantMember, User } from '../../../src/models/index.js';
+import CacheService from '../../../src/services/CacheService.js';
+import { authenticate, authorizeMerchant, requireScope } from '../../../src/middleware/auth.js';
+import apiKeyRoutes from '../../../src/routes/apiKeys.js';
+import { buildApp, accessToken } from '../../helpers/app.js';
+import { mockRequest, runMiddleware } from '../../helpers/http.js';
+import { fakeUser } from '../../helpers/users.js';
+
+describe('API key authentication', () => {
+  let suspendedMerchants;
+  let memberRoles;
+
+  const issueKey = (owner, merchantId, scopes = ['read:products']) => {
+    const key = new ApiKey({ merchantId, userId: owner._id, name: 'integration', prefix: 'ak_test', keyHash: 'hash', scopes });
+    jest.spyOn(key, 'recordUsage').mockResolvedValue(key);
+    jest.spyOn(ApiKey, 'findByRawKey').mockResolvedValue(key);
+    jest.spyOn(User, 'findById').mockResolvedValue(owner);
+    return key;
+  };
+
+  const callWithKey = (middleware, overrides = {}) => runMiddleware(
+    middleware,
+    mockRequest({ headers: { 'x-api-key': 'ak_test_raw' }, ...overrides }),
+  );
+
+  beforeEach(() => {
+    suspendedMerchants = [];
+    memberRoles = {};
+    jest.spyOn(CacheService, 'getSuspendedMerchants').mockImplementation(() => Promise.resolve(suspendedMerchants));
+    jest.spyOn(MerchantMember, 'resolveRole')
+      .mockImplementation((merchantId, user) => Promise.resolve(memberRoles[`${merchantId}:${user._id}`] || null));
+  });
+
+  describe('key ownership', () => {
+    it('accepts a key made by a team manager whose own merchantId is another store', async () => {
+      const manager = fakeUser({ role: 'SELLER', merchantId: 'merchant_a' });
+      memberRoles[`merchant_b:${manager._id}`] = 'MANAGER';
+      const key = issueKey(manager, 'merchant_b');
+
+      const { nextCalled } = await callWithKey(authenticate);
+
+      expect(nextCalled).toBe(true);
+      expect(key.recordUsage).toHaveBeenCalled();
+    });
+
+    it('accepts a key made by an admin for a merchant', async () => {
+      issueKey(fakeUser({ role: 'ADMIN' }), 'merchant_b');
+
+      const { nextCalled } = await callWithKey(authenticate);
+
+      expect(nextCalled).toBe(true);
+    });
+
+    it('stops working once its creator leaves the team or is demoted', async () => {
+      const member = fakeUser({ role: 'SELLER' });
+      issueKey(member, 'merchant_b');
+
+      let { res } = await callWithKey(authenticate);
+      expect(res.status).toHaveBeenCalledWith(401);
+
+      memberRoles[`merchant_b:${member._id}`] = 'ANALYST';
+      ({ res } = await callWithKey(authenticate));
+      expect(res.body.code).toBe('INVALID_API_KEY');
+    });
+  });
+
+  describe('account and merchant state', () => {
+    const owner = overrides => fakeUser({ role: 'SELLER', merchantId: 'merchant_a', ...overrides });
+
+    beforeEach(() => {
+      jest.spyOn(MerchantMember, 'resolveRole').mockResolvedValue('OWNER');
+    });
+
+    it.each([
+      ['suspended', { status: 'SUSPENDED' }],
+      ['locked', { isLocked: true }],
+      ['due a password reset', { security: { passwordResetRequired: true } }],
+    ])('rejects keys whose owner is %s', async (_state, overrides) => {
+      issueKey(owner(overrides), 'merchant_a');
+
+      const { res, nextCalled } = await callWithKey(authenticate);
+
+      expect(nextCalled).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.body.code).toBe('INVALID_API_KEY');
+    });
+
+    it('rejects keys of a suspended merchant', async () => {
+      issueKey(owner(), 'merchant_a');
+      suspendedMerchants = ['merchant_a'];
+
+      const { res, nextCalled } = await callWithKey(authenticate);
+
+      expect(nextCalled).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.body.code).toBe('MERCHANT_SUSPENDED');
+    });
+
+    it('rejects revoked and expired keys', async () => {
+      const key = issueKey(owner(), 'merchant_a');
+      key.expiresAt = new Date(Date.now() - 1000);
+
+      const { res } = await callWithKey(authenticate);
+
+      expect(res.body.code).toBe('INVALID_API_KEY');
+    });
+  });
+
+  describe('scopes and merchant binding', () => {
+    it('only allows the scopes the key was issued with', async () => {
+      const key = issueKey(fakeUser({ role: 'SELLER', merchantId: 'merchant_a' }), 'merchant_a', ['read:products']);
+
+      expect((await runMiddleware(requireScope('read:products'), mockRequest({ apiKey: key }))).nextCalled).toBe(true);
+      const { res } = await runMiddleware(requireScope('read:products', 'update:own_products'), mockRequest({ apiKey: key }));
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.body.required).toEqual(['update:own_products']);
+    });
+
+    it('never reaches beyond the key\'s merchant', async () => {
+      const owner = fakeUser({ role: 'SELLER', merchantId: 'merchant_a' });
+      const key = issueKey(owner, 'merchant_a');
+      jest.spyOn(MerchantMember, 'resolveRole').mockResolvedValue('OWNER');
+
+      const other = await runMiddleware(authorizeMerchant('orders'), mockRequest({ user: owner, apiKey: key, params: { merchantId: 'merchant_b' } }));
+      expect(other.res.body.code).toBe('MERCHANT_ACCESS_DENIED');
+
+      const req = mockRequest({ user: owner, apiKey: key });
+      expect((await runMiddleware(authorizeMerchant('orders'), req)).nextCalled).toBe(true);
+      expect(req.merchantId).toBe('merchant_a');
+    });
+  });
+});
+
+describe('API key management', () => {
+  const app = buildApp('/api/keys', apiKeyRoutes);
+  let create;
+
+  beforeEach(() => {
+    jest.spyOn(redis, 'get').mockResolvedValue(null);
+    create = jest.spyOn(ApiKey, 'create').mockImplementation(data => Promise.resolve(new ApiKey(data)));
+  });
+
+  const createKey = (user, body) => {
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    return request(app).post('/api/keys')
+      .set('Authorization', `Bearer ${accessToken(user)}`)
+      .send({ name: 'integration', scopes: ['read:products'], ...body });
+  };
+
+  it('binds the key to the merchant the team member manages', async () => {
+    const manager = fakeUser({ role: 'SELLER', merchantId: 'merchant_a' });
+    jest.spyOn(MerchantMember, 'resolveRole').mockResolvedValue('MANAGER');
+
+    const response = await createKey(manager, { merchantId: 'merchant_b' });
+
+    expect(response.status).toBe(201);
+    expect(MerchantMember.resolveRole).toHaveBeenCalledWith('merchant_b', manager);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ merchantId: 'merchant_b', userId: manager._id }));
+  });
+
+  it('refuses team members who can\'t manage keys', async () => {
+    jest.spyOn(MerchantMember, 'resolveRole').mockResolvedValue('ANALYST');
+
+    const response = await createKey(fakeUser({ role: 'SELLER' }), { merchantId: 'merchant_b' });
+
+    expect(response.status).toBe(403);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('makes admins name the merchant', async () => {
+    const response = await createKey(fakeUser({ role: 'ADMIN' }), {});
+
+    expect(response.status).toBe(400);
+    expect(response.body.message || response.body.error).toMatch(/merchantId is required/);
+  });
+});
@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+import { MerchantMember } from '../../../src/models/index.js';
+import { authorizeMerchant } from '../../../src/middleware/auth.js';
+import { mockRequest, runMiddleware } from '../../helpers/http.js';
+import { fakeUser } from '../../helpers/users.js';
+
+// Which team roles get into which merchant area
+const ACCESS = {
+  products: ['OWNER', 'MANAGER'],
+  orders: ['OWNER', 'MANAGER', 'FULFILLMENT'],
+  analytics: ['OWNER', 'MANAGER', 'ANALYST'],
+  team: ['OWNER', 'MANAGER'],
+  store: ['OWNER', 'MANAGER'],
+  audit: ['OWNER', 'MANAGER'],
+  apiKeys: ['OWNER', 'MANAGER'],
+};
+const ROLES = ['OWNER', 'MANAGER', 'FULFILLMENT', 'ANALYST'];
+
+describe('authorizeMerchant', () => {
+  const member = fakeUser({ role: 'SELLER' });
+  const enter = (area, overrides = {}) => runMiddleware(
+    authorizeMerchant(area),
+    mockRequest({ user: member, params: { merchantId: 'merchant_1' }, ...overrides }),
+  );
+
+  const matrix = Object.entries(ACCESS).flatMap(([area, allowed]) => ROLES.map(role => [area, role, allowed.includes(role)]));
+
+  it.each(matrix)('%s area, %s member: allowed %s', async (area, role, allowed) => {
+    jest.spyOn(MerchantMember, 'findMembership').mockResolvedValue({ role });
+
+    const { res, nextCalled } = await enter(area);
+
+    expect(nextCalled).toBe(allowed);
+    if (!allowed) {
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.body.code).toBe('MERCHANT_ROLE_DENIED');
+    }
+  });
+
+  it('passes the merchant and team role on to the controller', async () => {
+    jest.spyOn(MerchantMember, 'findMembership').mockResolvedValue({ role: 'FULFILLMENT' });
+    const req = mockRequest({ user: member, params: { merchantId: 'merchant_1' } });
+
+    await runMiddleware(authorizeMerchant('orders'), req);
+
+    expect(req.merchantId).toBe('merchant_1');
+    expect(req.merchantRole).toBe('FULFILLMENT');
+  });
+
+  it('keeps out users who are not on the team', async () => {
+    jest.spyOn(MerchantMember, 'findMembership').mockResolvedValue(null);
+
+    const { res, nextCalled } = await enter('analytics');
+
+    expect(nextCalled).toBe(false);
+    expect(res.body.code).toBe('MERCHANT_ACCESS_DENIED');
+  });
+
+  it('makes a seller the owner of the merchant on their account the first time', async () => {
+    const seller = fakeUser({ role: 'SELLER', merchantId: 'merchant_1' });
+    jest.spyOn(MerchantMember, 'findMembership').mockResolvedValue(null);
+    const upsert = jest.spyOn(MerchantMember, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+
+    const { nextCalled } = await enter('team', { user: seller });
+
+    expect(nextCalled).toBe(true);
+    expect(upsert).toHaveBeenCalledWith(
+      { merchantId: 'merchant_1', userId: seller._id, status: 'ACTIVE' },
+      { $setOnInsert: expect.objectContaining({ role: 'OWNER' }) },
+      { upsert: true },
+    );
+  });
+
+  it('lets admins into every merchant without a membership', async () => {
+    const findMembership = jest.spyOn(MerchantMember, 'findMembership');
+
+    const { nextCalled } = await enter('team', { user: fakeUser({ role: 'ADMIN' }) });
+
+    expect(nextCalled).toBe(true);
+    expect(findMembership).not.toHaveBeenCalled();
+  });
+});
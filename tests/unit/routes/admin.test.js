@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { redis } from '../../../src/config/redis.js';
+import { User } from '../../../src/models/index.js';
+import PermissionService, { DEFAULT_ROLE_PERMISSIONS } from '../../../src/services/PermissionService.js';
+import adminRoutes from '../../../src/routes/admin.js';
+import { buildApp, accessToken } from '../../helpers/app.js';
+import { fakeUser } from '../../helpers/users.js';
+
+describe('admin routes', () => {
+  const app = buildApp('/api/admin', adminRoutes);
+  // A support agent: no admin role, just the one permission
+  const support = fakeUser({ role: 'BUYER', permissions: ['read:users'] });
+  const admin = fakeUser({ role: 'ADMIN' });
+
+  beforeEach(() => {
+    jest.spyOn(redis, 'get').mockResolvedValue(null);
+    jest.spyOn(PermissionService, 'getRolePermissions')
+      .mockImplementation(name => Promise.resolve(DEFAULT_ROLE_PERMISSIONS[name] || []));
+    const query = { sort: () => query, skip: () => query, limit: () => Promise.resolve([]) };
+    jest.spyOn(User, 'find').mockReturnValue(query);
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+  });
+
+  const as = (user) => {
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    return `Bearer ${accessToken(user)}`;
+  };
+
+  it('lets a user granted read:users search users', async () => {
+    const response = await request(app).get('/api/admin/users').set('Authorization', as(support));
+
+    expect(response.status).toBe(200);
+  });
+
+  it.each([
+    ['get', '/api/admin/orders', 'read:orders'],
+    ['put', '/api/admin/users/user-1', 'update:users'],
+    ['post', '/api/admin/users/user-1/suspend', 'update:users'],
+    ['post', '/api/admin/users/user-1/impersonate', 'impersonate:users'],
+    ['get', '/api/admin/merchants', 'read:merchants'],
+    ['delete', '/api/admin/categories/category-1', 'delete:categories'],
+    ['get', '/api/admin/reviews', 'read:reviews'],
+    ['get', '/api/admin/audit-events', 'read:audit_events'],
+  ])('keeps the same user out of %s %s', async (method, path, permission) => {
+    const response = await request(app)[method](path).set('Authorization', as(support)).send({});
+
+    expect(response.status).toBe(403);
+    expect(response.body.required).toBe(permission);
+  });
+
+  it('still lets admins in through their role', async () => {
+    const response = await request(app).get('/api/admin/users').set('Authorization', as(admin));
+
+    expect(response.status).toBe(200);
+  });
+
+  it('keeps impersonation to super admins', async () => {
+    const response = await request(app).get('/api/admin/impersonations').set('Authorization', as(admin));
+
+    expect(response.status).toBe(403);
+    expect(response.body.required).toBe('impersonate:users');
+  });
+});
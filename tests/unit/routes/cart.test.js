@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { Cart, User } from '../../../src/models/index.js';
+import cartRoutes from '../../../src/routes/cart.js';
+import { buildApp, accessToken } from '../../helpers/app.js';
+
+describe('PUT /api/cart/shipping-address', () => {
+  const app = buildApp('/api/cart', cartRoutes);
+  const home = { name: 'Ada Lovelace', phone: '+250788000001', street: '1 Analytical Way', city: 'Kigali', country: 'Rwanda' };
+  let cart;
+
+  const owner = () => new User({ email: 'ada@example.com', passwordHash: 'hash', addresses: [{ label: 'Home', ...home }] });
+
+  beforeEach(() => {
+    cart = new Cart({ sessionId: 'sess_1', merchantId: 'merchant_1', status: 'ACTIVE' });
+    jest.spyOn(cart, 'save').mockResolvedValue(cart);
+    jest.spyOn(Cart, 'findByUser').mockResolvedValue(cart);
+    jest.spyOn(Cart, 'findBySession').mockResolvedValue(cart);
+  });
+
+  const update = (body, user) => {
+    const call = request(app).put('/api/cart/shipping-address');
+    if (user) {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      call.set('Authorization', `Bearer ${accessToken(user)}`);
+    }
+    return call.send({ merchantId: 'merchant_1', ...body });
+  };
+
+  it('takes a full address', async () => {
+    const response = await update({ shippingAddress: home });
+
+    expect(response.status).toBe(200);
+    expect(cart.shippingAddress).toMatchObject(home);
+  });
+
+  it('still takes the address fields inline', async () => {
+    const response = await update(home);
+
+    expect(response.status).toBe(200);
+    expect(cart.shippingAddress).toMatchObject(home);
+  });
+
+  it('refuses an inline address missing fields, or mixed with shippingAddress', async () => {
+    expect((await update({ street: home.street })).status).toBe(400);
+    expect((await update({ shippingAddress: home, name: 'Someone Else' })).status).toBe(400);
+    expect((await update({})).status).toBe(400);
+  });
+
+  it('copies a saved address of the signed-in user', async () => {
+    const user = owner();
+
+    const response = await update({ shippingAddress: user.addresses[0]._id.toString() }, user);
+
+    expect(response.status).toBe(200);
+    expect(Cart.findByUser).toHaveBeenCalledWith(user._id, 'merchant_1');
+    expect(cart.shippingAddress).toMatchObject(home);
+  });
+
+  it('does not find another user\'s saved address', async () => {
+    const theirs = owner().addresses[0]._id.toString();
+    const other = new User({ email: 'eve@example.com', passwordHash: 'hash' });
+
+    const response = await update({ shippingAddress: theirs }, other);
+
+    expect(response.status).toBe(404);
+    expect(cart.save).not.toHaveBeenCalled();
+  });
+
+  it('asks guests to sign in before using a saved address', async () => {
+    const response = await update({ shippingAddress: owner().addresses[0]._id.toString() });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Sign in to use a saved address');
+  });
+});
@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { redis } from '../../../src/config/redis.js';
+import { MerchantMember, User } from '../../../src/models/index.js';
+import ImpersonationService from '../../../src/services/ImpersonationService.js';
+import apiKeyRoutes from '../../../src/routes/apiKeys.js';
+import merchantRoutes from '../../../src/routes/merchants.js';
+import { buildApp, accessToken } from '../../helpers/app.js';
+import { fakeUser } from '../../helpers/users.js';
+
+describe('routes that create lasting credentials', () => {
+  const seller = fakeUser({ role: 'SELLER', merchantId: 'merchant_1' });
+  const impersonationToken = accessToken(seller, {
+    impersonatedBy: { userId: 'admin-1', email: 'admin@example.com' },
+  });
+
+  beforeEach(() => {
+    jest.spyOn(redis, 'get').mockResolvedValue(null);
+    jest.spyOn(ImpersonationService, 'isActive').mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockResolvedValue(seller);
+    jest.spyOn(MerchantMember, 'resolveRole').mockResolvedValue('OWNER');
+  });
+
+  const expectBlocked = (response) => {
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('IMPERSONATION_NOT_ALLOWED');
+  };
+
+  describe('API keys', () => {
+    const app = buildApp('/api/keys', apiKeyRoutes);
+
+    it('cannot be created or rotated while impersonating', async () => {
+      expectBlocked(await request(app).post('/api/keys')
+        .set('Authorization', `Bearer ${impersonationToken}`)
+        .send({ name: 'integration', scopes: ['read:products'] }));
+      expectBlocked(await request(app).post('/api/keys/key-1/rotate')
+        .set('Authorization', `Bearer ${impersonationToken}`)
+        .send({}));
+    });
+
+    it('are still managed normally by the user themselves', async () => {
+      const response = await request(app).post('/api/keys')
+        .set('Authorization', `Bearer ${accessToken(seller)}`)
+        .send({});
+
+      // Past the impersonation block, on to body validation
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('merchant team', () => {
+    const app = buildApp('/api/merchants', merchantRoutes);
+
+    it('members cannot be invited or promoted while impersonating', async () => {
+      expectBlocked(await request(app).post('/api/merchants/merchant_1/members')
+        .set('Authorization', `Bearer ${impersonationToken}`)
+        .send({ email: 'outsider@example.com', role: 'OWNER' }));
+      expectBlocked(await request(app).patch('/api/merchants/merchant_1/members/member-1')
+        .set('Authorization', `Bearer ${impersonationToken}`)
+        .send({ role: 'OWNER' }));
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import fs from 'fs/promises';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { redis } from '../../../src/config/redis.js';
+import { MerchantMember, User } from '../../../src/models/index.js';
+import AuditService from '../../../src/services/AuditService.js';
+import ProductImportService from '../../../src/services/ProductImportService.js';
+import { ImportJobService } from '../../../src/workers/processors/import.js';
+import productRoutes from '../../../src/routes/products.js';
+import { buildApp, accessToken } from '../../helpers/app.js';
+import { fakeUser } from '../../helpers/users.js';
+
+describe('POST /api/products/import', () => {
+  const app = buildApp('/api/products', productRoutes);
+  const seller = fakeUser({ role: 'SELLER', merchantId: 'merchant_1' });
+  const csv = Buffer.from('handle,title,sku,price\nmug,Mug,MUG-RED,5000\n');
+  let resolveRole;
+  let createImport;
+  let record;
+
+  beforeEach(() => {
+    jest.spyOn(redis, 'get').mockResolvedValue(null);
+    // activityLogger would otherwise write a real audit event
+    record = jest.spyOn(AuditService, 'record').mockResolvedValue();
+    jest.spyOn(User, 'findById').mockResolvedValue(seller);
+    resolveRole = jest.spyOn(MerchantMember, 'resolveRole')
+      .mockImplementation(merchantId => Promise.resolve(merchantId === 'merchant_1' ? 'OWNER' : null));
+    createImport = jest.spyOn(ProductImportService, 'createImport')
+      .mockImplementation(data => Promise.resolve({ id: 'import_1', status: 'QUEUED', ...data }));
+    jest.spyOn(ImportJobService, 'importProducts').mockResolvedValue();
+  });
+
+  const upload = (url, fields = {}) => {
+    const req = request(app).post(url).set('Authorization', `Bearer ${accessToken(seller)}`);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('file', csv, 'products.csv');
+  };
+
+  it('checks team access against the merchantId in the query', async () => {
+    const response = await upload('/api/products/import?merchantId=merchant_2');
+
+    expect(response.status).toBe(403);
+    expect(resolveRole).toHaveBeenCalledWith('merchant_2', expect.anything());
+    expect(createImport).not.toHaveBeenCalled();
+  });
+
+  it('queues the import for the merchant that was checked', async () => {
+    const response = await upload('/api/products/import?merchantId=merchant_1');
+
+    expect(response.status).toBe(202);
+    expect(createImport).toHaveBeenCalledWith(expect.objectContaining({ merchantId: 'merchant_1' }));
+    expect(record).toHaveBeenCalledWith(expect.anything(), expect.anything(), 'product_import');
+    await fs.unlink(createImport.mock.calls[0][0].filePath);
+  });
+
+  it('rejects a merchantId in the form body, which the team check cannot see', async () => {
+    const response = await upload('/api/products/import', { merchantId: 'merchant_2' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Pass merchantId as a query parameter');
+    expect(createImport).not.toHaveBeenCalled();
+  });
+});
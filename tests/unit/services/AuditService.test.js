@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { AuditEvent, Counter } from '../../../src/models/index.js';
+import { GENESIS_HASH } from '../../../src/models/AuditEvent.js';
+import AuditService from '../../../src/services/AuditService.js';
+
+// Stored events and a query double for AuditEvent.findOne(...).sort().select().lean()
+const fakeChain = () => {
+  const events = [];
+  jest.spyOn(AuditEvent, 'create').mockImplementation((event) => {
+    events.push(event);
+    return Promise.resolve(event);
+  });
+  jest.spyOn(AuditEvent, 'findOne').mockImplementation(({ sequence }) => {
+    const match = typeof sequence === 'number'
+      ? events.find(event => event.sequence === sequence)
+      : events.filter(event => event.sequence < sequence.$lt).sort((a, b) => b.sequence - a.sequence)[0];
+    const query = {
+      sort: () => query,
+      select: () => query,
+      lean: () => Promise.resolve(match || null),
+    };
+    return query;
+  });
+  return events;
+};
+
+describe('AuditService.append', () => {
+  it('numbers concurrent appends from the counter and links each to the one before', async () => {
+    let sequence = 0;
+    jest.spyOn(Counter, 'increment').mockImplementation(() => Promise.resolve({ sequence: ++sequence }));
+    const events = fakeChain();
+
+    await Promise.all(['a', 'b', 'c'].map(action => AuditService.append({ action })));
+
+    const bySequence = [...events].sort((a, b) => a.sequence - b.sequence);
+    expect(bySequence.map(event => event.sequence)).toEqual([1, 2, 3]);
+    expect(bySequence[0].previousHash).toBe(GENESIS_HASH);
+    expect(bySequence[1].previousHash).toBe(bySequence[0].hash);
+    expect(bySequence[2].previousHash).toBe(bySequence[1].hash);
+  });
+
+  it('waits for an earlier append that is still being stored', async () => {
+    const sequences = [2, 1];
+    jest.spyOn(Counter, 'increment').mockImplementation(() => Promise.resolve({ sequence: sequences.shift() }));
+    const events = fakeChain();
+    let storeFirst;
+    AuditEvent.create.mockImplementationOnce(event => new Promise((resolve) => {
+      storeFirst = () => {
+        events.push(event);
+        resolve(event);
+      };
+    }));
+
+    // The second request got its number first, so it has to wait for event 1
+    const second = AuditService.append({ action: 'b' });
+    const first = AuditService.append({ action: 'a' });
+    await new Promise(resolve => setTimeout(resolve, 120));
+    storeFirst();
+    const [a, b] = await Promise.all([first, second]);
+
+    expect(b.sequence).toBe(2);
+    expect(b.previousHash).toBe(a.hash);
+  });
+
+  it('links past an event whose writer failed', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(Counter, 'increment').mockResolvedValue({ sequence: 5 });
+    const events = fakeChain();
+    events.push({ sequence: 3, hash: 'c'.repeat(64) });
+
+    const pending = AuditService.append({ action: 'product_update' });
+    await jest.advanceTimersByTimeAsync(2000);
+    const event = await pending;
+    jest.useRealTimers();
+
+    expect(event.sequence).toBe(5);
+    expect(event.previousHash).toBe('c'.repeat(64));
+  });
+
+  it('starts the counter after the existing chain', async () => {
+    const increment = jest.spyOn(Counter, 'increment')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ sequence: 43 });
+    const start = jest.spyOn(Counter, 'start').mockResolvedValue();
+    jest.spyOn(AuditEvent, 'findLatest').mockResolvedValue({ sequence: 42, hash: 'a'.repeat(64) });
+    const events = fakeChain();
+    events.push({ sequence: 42, hash: 'a'.repeat(64) });
+
+    const event = await AuditService.append({ action: 'product_update' });
+
+    expect(start).toHaveBeenCalledWith('auditEvents', 42);
+    expect(increment).toHaveBeenCalledTimes(2);
+    expect(event.sequence).toBe(43);
+    expect(event.previousHash).toBe('a'.repeat(64));
+  });
+});
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { config } from '../../../src/config/index.js';
+import BruteForceService, { subnetOf } from '../../../src/services/BruteForceService.js';
+import { bruteForceGuard } from '../../../src/middleware/auth.js';
+import { mockRequest, mockResponse, runMiddleware } from '../../helpers/http.js';
+import { useFakeRedis } from '../../helpers/redis.js';
+
+describe('BruteForceService', () => {
+  beforeEach(() => {
+    useFakeRedis();
+    jest.replaceProperty(config.security, 'bruteForce', {
+      windowSeconds: 900,
+      delayAfter: 2,
+      delayStepMs: 250,
+      maxDelayMs: 1000,
+      ipBlockThreshold: 5,
+      subnetBlockThreshold: 8,
+      blockSeconds: 3600,
+    });
+  });
+
+  const attempts = async (count, ip, email) => {
+    let block = null;
+    for (let i = 0; i < count; i++) {
+      block = await BruteForceService.recordAttempt('login', ip, email);
+    }
+    return block;
+  };
+
+  it('groups addresses into /24 and /64 networks', () => {
+    expect(subnetOf('203.0.113.77')).toBe('203.0.113.0/24');
+    expect(subnetOf('::ffff:203.0.113.77')).toBe('203.0.113.0/24');
+    expect(subnetOf('2001:db8::1')).toBe('2001:db8:0:0::/64');
+  });
+
+  it('delays progressively once an IP or email passes the free attempts', async () => {
+    await attempts(2, '203.0.113.1', 'victim@example.com');
+    expect(await BruteForceService.getDelay('login', '203.0.113.1', 'victim@example.com')).toBe(0);
+
+    await attempts(1, '203.0.113.1', 'victim@example.com');
+    expect(await BruteForceService.getDelay('login', '203.0.113.1')).toBe(250);
+
+    // Same email from a fresh address still counts, regardless of case
+    await attempts(1, '198.51.100.9', 'Victim@Example.com');
+    expect(await BruteForceService.getDelay('login', '192.0.2.1', 'victim@example.com')).toBe(500);
+
+    await attempts(5, '198.51.100.9', 'victim@example.com');
+    expect(await BruteForceService.getDelay('login', '192.0.2.1', 'victim@example.com')).toBe(1000);
+  });
+
+  it('blocks an IP at its threshold', async () => {
+    expect(await attempts(4, '203.0.113.1')).toBeNull();
+
+    const block = await attempts(1, '203.0.113.1');
+
+    expect(block).toMatchObject({ type: 'ip', value: '203.0.113.1', attempts: 5 });
+    expect(await BruteForceService.getBlock('203.0.113.1')).toMatchObject({ type: 'ip', retryAfter: 3600 });
+    expect(await BruteForceService.getBlock('203.0.113.2')).toBeNull();
+  });
+
+  it('blocks the subnet when attempts are spread across its addresses', async () => {
+    let block = null;
+    for (let host = 1; host <= 8; host++) {
+      block = await attempts(1, `203.0.113.${host}`);
+    }
+
+    expect(block).toMatchObject({ type: 'subnet', value: '203.0.113.0/24' });
+    expect(await BruteForceService.getBlock('203.0.113.200')).toMatchObject({ type: 'subnet' });
+  });
+
+  it('forgets the counters when an admin lifts a block', async () => {
+    await attempts(5, '203.0.113.1');
+
+    expect((await BruteForceService.listBlocks()).map(block => block.value)).toEqual(['203.0.113.1']);
+    expect(await BruteForceService.clearBlock('ip', '203.0.113.1')).toBe(true);
+
+    expect(await BruteForceService.getBlock('203.0.113.1')).toBeNull();
+    expect(await BruteForceService.getDelay('login', '203.0.113.1')).toBe(0);
+    expect(await BruteForceService.listBlocks()).toEqual([]);
+  });
+
+  describe('bruteForceGuard', () => {
+    it('turns blocked addresses away before the handler runs', async () => {
+      await attempts(5, '203.0.113.1');
+      const res = mockResponse();
+      res.set = jest.fn(() => res);
+
+      const { nextCalled } = await runMiddleware(bruteForceGuard('login'), mockRequest({ ip: '203.0.113.1' }), res);
+
+      expect(nextCalled).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '3600');
+      expect(res.body.code).toBe('TOO_MANY_ATTEMPTS');
+    });
+  });
+});
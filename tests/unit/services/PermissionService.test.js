@@ -0,0 +1,48 @@
+import { jest } from '@jest/globals';
+import PermissionService from '../../../src/services/PermissionService.js';
+import { fakeUser } from '../../helpers/users.js';
+
+const ROLE_PERMISSIONS = {
+  ADMIN: ['read:*', 'create:*', 'update:*', 'delete:*'],
+  SUPPORT: ['read:orders', 'read:users'],
+  REFUNDS: ['read:orders', 'refund:orders'],
+  ORDER_EDITOR: ['update:*'],
+};
+
+describe('PermissionService.assertCanGrant', () => {
+  const admin = fakeUser({ role: 'ADMIN' });
+  const support = fakeUser({ role: 'BUYER', roles: ['SUPPORT'] });
+
+  beforeEach(() => {
+    jest.spyOn(PermissionService, 'getRolePermissions').mockImplementation(name => Promise.resolve(ROLE_PERMISSIONS[name] || []));
+  });
+
+  it('stops anyone but super admins granting a wildcard', async () => {
+    await expect(PermissionService.assertCanGrant(admin, { permissions: ['update:*'] }))
+      .rejects.toThrow('Only super admins can grant the update:* permission(s)');
+    await expect(PermissionService.assertCanGrant(admin, { permissions: ['read:orders', 'delete:*'] }))
+      .rejects.toThrow('delete:*');
+    await expect(PermissionService.assertCanGrant(admin, { roles: ['ORDER_EDITOR'] }))
+      .rejects.toThrow('Only super admins can grant the ORDER_EDITOR role(s)');
+  });
+
+  it('only lets actors pass on permissions they hold', async () => {
+    await expect(PermissionService.assertCanGrant(support, { permissions: ['read:users'] })).resolves.toBeUndefined();
+    await expect(PermissionService.assertCanGrant(support, { permissions: ['read:users', 'update:users'] }))
+      .rejects.toThrow('You cannot grant permissions you do not hold: update:users');
+    await expect(PermissionService.assertCanGrant(admin, { roles: ['REFUNDS'] }))
+      .rejects.toThrow('You cannot grant permissions you do not hold: refund:orders');
+  });
+
+  it('counts permissions held through wildcards', async () => {
+    await expect(PermissionService.assertCanGrant(admin, { roles: ['SUPPORT'], permissions: ['update:orders'] }))
+      .resolves.toBeUndefined();
+  });
+
+  it('lets super admins grant anything', async () => {
+    await expect(PermissionService.assertCanGrant(fakeUser({ role: 'SUPER_ADMIN' }), {
+      roles: ['ADMIN', 'ORDER_EDITOR'],
+      permissions: ['*', 'refund:orders'],
+    })).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { config } from '../../../src/config/index.js';
+import { ApiKey, Cart, Order, Review, User } from '../../../src/models/index.js';
+import CacheService from '../../../src/services/CacheService.js';
+import PrivacyService from '../../../src/services/PrivacyService.js';
+import RefreshTokenService from '../../../src/services/RefreshTokenService.js';
+import ReviewService from '../../../src/services/ReviewService.js';
+import { useFakeRedis } from '../../helpers/redis.js';
+
+describe('PrivacyService', () => {
+  const person = () => new User({
+    email: 'ada@example.com',
+    passwordHash: 'stored-hash',
+    role: 'SELLER',
+    merchantId: 'merchant_1',
+    profile: { name: 'Ada Lovelace', phone: '+250788000001' },
+    addresses: [{ label: 'Home', name: 'Ada Lovelace', street: '1 Analytical Way', city: 'Kigali', country: 'RW', zipCode: '00000' }],
+    security: { twoFactorEnabled: true, twoFactorSecret: 'SECRET' },
+    deletion: { requestedAt: new Date(), scheduledFor: new Date() },
+  });
+
+  beforeEach(() => {
+    useFakeRedis();
+  });
+
+  describe('anonymizeUser', () => {
+    let user;
+    let orderUpdates;
+
+    beforeEach(() => {
+      user = person();
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(user, 'save').mockResolvedValue(user);
+      orderUpdates = jest.spyOn(Order, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Cart, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(ApiKey, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(ReviewService, 'anonymizeAuthor').mockResolvedValue();
+      jest.spyOn(RefreshTokenService, 'revokeAllForUser').mockResolvedValue(1);
+      jest.spyOn(CacheService, 'delUser').mockResolvedValue(true);
+    });
+
+    it('strips personal data and signs the account out everywhere', async () => {
+      const id = user._id.toString();
+
+      expect(await PrivacyService.anonymizeUser(user._id)).toBe(true);
+
+      expect(user.email).toBe(`deleted-${id}@deleted.invalid`);
+      expect(user.passwordHash).not.toBe('stored-hash');
+      expect(user.profile.toObject()).toEqual({ name: 'Deleted User' });
+      expect(user.addresses).toHaveLength(0);
+      expect(user.merchantId).toBeUndefined();
+      expect(user.security.twoFactorSecret).toBeUndefined();
+      expect(user.status).toBe('DELETED');
+      expect(user.deletion.completedAt).toBeInstanceOf(Date);
+      expect(RefreshTokenService.revokeAllForUser).toHaveBeenCalledWith(id, 'account_deleted');
+      expect(ApiKey.updateMany).toHaveBeenCalledWith(
+        { userId: user._id, status: 'ACTIVE' },
+        { $set: { status: 'REVOKED', revokedAt: expect.any(Date) } },
+      );
+      expect(ReviewService.anonymizeAuthor).toHaveBeenCalledWith(user._id, 'Deleted User');
+    });
+
+    it('redacts only the order addresses that exist, and customer notes', async () => {
+      await PrivacyService.anonymizeUser(user._id);
+
+      const [shipping, billing, notes] = orderUpdates.mock.calls;
+      expect(shipping[0]).toEqual({ userId: user._id, 'shipping.address': { $exists: true } });
+      expect(shipping[1].$set).toMatchObject({ 'shipping.address.name': 'Deleted User', 'shipping.address.street': 'REDACTED' });
+      expect(billing[0]).toEqual({ userId: user._id, 'billing.address': { $exists: true } });
+      expect(notes[1]).toEqual({ $unset: { customer: 1, 'notes.customer': 1 } });
+    });
+
+    it('leaves accounts that are already deleted alone', async () => {
+      user.status = 'DELETED';
+
+      expect(await PrivacyService.anonymizeUser(user._id)).toBe(false);
+      expect(orderUpdates).not.toHaveBeenCalled();
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('keeps going when one due account fails', async () => {
+      const ids = [user._id, person()._id];
+      jest.spyOn(User, 'find').mockReturnValue({ select: () => Promise.resolve(ids.map(_id => ({ _id }))) });
+      jest.spyOn(PrivacyService, 'anonymizeUser')
+        .mockRejectedValueOnce(new Error('write conflict'))
+        .mockResolvedValueOnce(true);
+
+      expect(await PrivacyService.processDueDeletions()).toEqual({ due: 2, anonymized: 1 });
+    });
+  });
+
+  describe('data export', () => {
+    let exportDir;
+
+    const query = result => ({ sort: () => query(result), lean: () => Promise.resolve(result) });
+
+    beforeEach(async () => {
+      exportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'privacy-export-'));
+      jest.replaceProperty(config, 'privacy', { ...config.privacy, exportDir });
+      jest.spyOn(User, 'findById').mockResolvedValue(person());
+      jest.spyOn(Order, 'find').mockReturnValue(query([{ orderNumber: 'ORD-1', total: 5000 }]));
+      jest.spyOn(Cart, 'find').mockReturnValue(query([]));
+      jest.spyOn(Review, 'find').mockReturnValue(query([{ rating: 5, title: 'Great' }]));
+    });
+
+    afterEach(() => fs.rm(exportDir, { recursive: true, force: true }));
+
+    it('writes everything held about the user, without secrets', async () => {
+      const request = await PrivacyService.createExportRequest('user-1', 'json');
+
+      const built = await PrivacyService.buildExport(request.id);
+
+      expect(built).toMatchObject({ status: 'READY', fileName: `${request.id}.json` });
+      expect(await PrivacyService.getLatestExport('user-1')).toMatchObject({ id: request.id, status: 'READY' });
+
+      const data = JSON.parse(await fs.readFile(PrivacyService.exportFilePath(built), 'utf8'));
+      expect(data.profile).toMatchObject({ email: 'ada@example.com', twoFactorEnabled: true });
+      expect(data.profile).not.toHaveProperty('passwordHash');
+      expect(data.profile).not.toHaveProperty('security');
+      expect(data.orders).toEqual([{ orderNumber: 'ORD-1', total: 5000 }]);
+      expect(data.reviews).toHaveLength(1);
+      expect(data.sessions).toEqual([]);
+    });
+
+    it('packs one file per section into a zip archive', async () => {
+      const request = await PrivacyService.createExportRequest('user-1', 'zip');
+
+      const built = await PrivacyService.buildExport(request.id);
+      const archive = await fs.readFile(PrivacyService.exportFilePath(built));
+
+      expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+      ['export.json', 'profile.json', 'orders.json', 'carts.json', 'sessions.json', 'reviews.json']
+        .forEach(name => expect(archive.includes(Buffer.from(name))).toBe(true));
+    });
+
+    it('marks the request failed when the data cannot be collected', async () => {
+      User.findById.mockResolvedValue(null);
+      const request = await PrivacyService.createExportRequest('user-1', 'json');
+
+      await expect(PrivacyService.buildExport(request.id)).rejects.toThrow('User user-1 not found');
+      expect(await PrivacyService.getExport(request.id)).toMatchObject({ status: 'FAILED' });
+    });
+  });
+});
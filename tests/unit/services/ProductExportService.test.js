@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { PassThrough } from 'stream';
+import zlib from 'zlib';
+import { Product } from '../../../src/models/index.js';
+import ProductExportService from '../../../src/services/ProductExportService.js';
+
+// Entries of a zip archive by name, read through its central directory
+const unzip = (archive) => {
+  const entries = {};
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let position = archive.readUInt32LE(end + 16);
+
+  for (let i = 0; i < archive.readUInt16LE(end + 10); i++) {
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const offset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26);
+    const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+    entries[name] = { data, crc: archive.readUInt32LE(position + 16) };
+    position += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('ProductExportService', () => {
+  const product = {
+    _id: { toString: () => 'product-1' },
+    slug: 'linen-shirt',
+    title: 'Linen <Shirt> & "Co"',
+    description: 'Line one\nline two\u0007\u001F',
+    status: 'ACTIVE',
+    featured: true,
+    specifications: { fabric: 'Linen' },
+    variants: [
+      { sku: 'SHIRT-S', price: 12000, currency: 'RWF', stock: 4, isActive: true, attributes: { size: 'S' } },
+      { sku: 'SHIRT-M', price: 12000, currency: 'RWF', stock: 0, isActive: true, attributes: { size: 'M' } },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'aggregate').mockResolvedValue([{ keys: ['attributes.size', 'specifications.fabric'] }]);
+    const query = { sort: () => query, lean: () => query, cursor: () => [product] };
+    jest.spyOn(Product, 'find').mockReturnValue(query);
+  });
+
+  const exportXlsx = async (query = {}) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    const rowCount = await ProductExportService.writeExport(output, { format: 'xlsx', filter: {}, query });
+    return { rowCount, entries: unzip(Buffer.concat(chunks)) };
+  };
+
+  it('writes a workbook with a header row and one row per variant', async () => {
+    const { rowCount, entries } = await exportXlsx();
+
+    expect(Object.keys(entries)).toEqual([
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml',
+    ]);
+    expect(rowCount).toBe(2);
+
+    const sheet = entries['xl/worksheets/sheet1.xml'].data;
+    expect(sheet.match(/<row>/g)).toHaveLength(3);
+    expect(sheet).toContain('<t xml:space="preserve">attributes.size</t>');
+    expect(sheet).toContain('<t xml:space="preserve">SHIRT-M</t></is></c><c><v>12000</v></c>');
+    expect(sheet).toContain('<c t="b"><v>1</v></c>');
+  });
+
+  it('stores the checksum of each entry', async () => {
+    const { entries } = await exportXlsx();
+
+    Object.values(entries).forEach(({ data, crc }) => expect(crc).toBe(zlib.crc32(data)));
+  });
+
+  it('escapes markup and drops control characters XML cannot hold', async () => {
+    const sheet = (await exportXlsx()).entries['xl/worksheets/sheet1.xml'].data;
+
+    expect(sheet).toContain('Linen &lt;Shirt&gt; &amp; &quot;Co&quot;');
+    expect(sheet).toContain('<t xml:space="preserve">Line one\nline two</t>');
+  });
+
+  it('leaves out variants the filters exclude', async () => {
+    const { rowCount, entries } = await exportXlsx({ inStock: true });
+
+    expect(rowCount).toBe(1);
+    expect(entries['xl/worksheets/sheet1.xml'].data).not.toContain('SHIRT-M');
+  });
+});
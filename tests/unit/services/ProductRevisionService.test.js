@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+import { Types } from 'mongoose';
+import { Product } from '../../../src/models/index.js';
+import { ValidationError } from '../../../src/middleware/error.js';
+import CategoryService from '../../../src/services/CategoryService.js';
+import ProductRevisionService from '../../../src/services/ProductRevisionService.js';
+
+describe('ProductRevisionService', () => {
+  const product = () => new Product({
+    merchantId: new Types.ObjectId(),
+    title: 'Mug',
+    slug: 'mug',
+    categories: ['kitchen'],
+    status: 'ACTIVE',
+    featured: false,
+    variants: [{ sku: 'MUG-RED', price: 5000, stock: 12 }],
+  });
+
+  it('leaves status and featured out of snapshots', () => {
+    const snapshot = ProductRevisionService.snapshot(product());
+
+    expect(snapshot).not.toHaveProperty('status');
+    expect(snapshot).not.toHaveProperty('featured');
+    expect(snapshot.variants[0]).not.toHaveProperty('stock');
+  });
+
+  describe('restore', () => {
+    // Recorded before status and featured were excluded
+    const legacySnapshot = {
+      title: 'Mug (old)',
+      slug: 'mug',
+      categories: ['Kitchen', 'Gifts'],
+      status: 'DRAFT',
+      featured: true,
+      variants: [{ sku: 'MUG-RED', price: 4500 }],
+    };
+    let resolveSlugs;
+    let save;
+
+    beforeEach(() => {
+      jest.spyOn(ProductRevisionService, 'getRevision').mockResolvedValue({ version: 3, snapshot: legacySnapshot });
+      jest.spyOn(ProductRevisionService, 'record').mockResolvedValue({ version: 5 });
+      resolveSlugs = jest.spyOn(CategoryService, 'resolveSlugs');
+      save = jest.spyOn(Product.prototype, 'save').mockResolvedValue();
+    });
+
+    it('restores content but keeps the current status, featured flag and stock', async () => {
+      resolveSlugs.mockResolvedValue(['kitchen', 'gifts']);
+      const current = product();
+
+      await ProductRevisionService.restore(current, 3, { _id: new Types.ObjectId() });
+
+      expect(resolveSlugs).toHaveBeenCalledWith(['Kitchen', 'Gifts']);
+      expect(current.title).toBe('Mug (old)');
+      expect([...current.categories]).toEqual(['kitchen', 'gifts']);
+      expect(current.status).toBe('ACTIVE');
+      expect(current.featured).toBe(false);
+      expect(current.variants[0].price).toBe(4500);
+      expect(current.variants[0].stock).toBe(12);
+      expect(save).toHaveBeenCalled();
+    });
+
+    it('refuses a revision whose categories have been deleted since', async () => {
+      resolveSlugs.mockRejectedValue(new ValidationError('Unknown categories: Gifts'));
+      const current = product();
+
+      await expect(ProductRevisionService.restore(current, 3)).rejects.toThrow('Unknown categories: Gifts');
+      expect(current.title).toBe('Mug');
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+});
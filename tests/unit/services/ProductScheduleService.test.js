@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import { Types } from 'mongoose';
+import { Product } from '../../../src/models/index.js';
+import { schemas } from '../../../src/middleware/validation.js';
+import CacheService from '../../../src/services/CacheService.js';
+import ProductRevisionService from '../../../src/services/ProductRevisionService.js';
+import ProductScheduleService from '../../../src/services/ProductScheduleService.js';
+import { processProductJob } from '../../../src/workers/processors/product.js';
+
+describe('ProductScheduleService', () => {
+  const hour = 60 * 60 * 1000;
+  const now = new Date('2026-10-18T12:00:00Z');
+  const at = offset => new Date(now.getTime() + offset);
+
+  const product = (fields = {}) => {
+    const doc = new Product({
+      merchantId: new Types.ObjectId(),
+      title: 'Mug',
+      slug: 'mug',
+      status: 'DRAFT',
+      variants: [{ sku: 'MUG-RED', price: 5000, stock: 12 }],
+      ...fields,
+    });
+    jest.spyOn(doc, 'save').mockResolvedValue(doc);
+    return doc;
+  };
+
+  describe('setSchedule', () => {
+    it('sets, keeps and clears each time independently', async () => {
+      const mug = product({ publishAt: at(hour), unpublishAt: at(3 * hour) });
+
+      const { before } = await ProductScheduleService.setSchedule(mug, { unpublishAt: null });
+
+      expect(before).toEqual({ publishAt: at(hour), unpublishAt: at(3 * hour) });
+      expect(mug.publishAt).toEqual(at(hour));
+      expect(mug.unpublishAt).toBeNull();
+      expect(mug.save).toHaveBeenCalled();
+    });
+
+    it('refuses a takedown before the launch, counting the stored launch', async () => {
+      const mug = product({ publishAt: at(2 * hour) });
+
+      await expect(ProductScheduleService.setSchedule(mug, { unpublishAt: at(hour) }))
+        .rejects.toThrow('unpublishAt must be after publishAt');
+      expect(mug.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applySchedules', () => {
+    let due;
+
+    beforeEach(() => {
+      due = { publishAt: [], unpublishAt: [] };
+      jest.spyOn(Product, 'find').mockImplementation(filter => Promise.resolve(
+        filter.publishAt ? due.publishAt : due.unpublishAt,
+      ));
+      jest.spyOn(ProductRevisionService, 'record').mockResolvedValue(null);
+      jest.spyOn(CacheService, 'invalidateProductCache').mockResolvedValue(true);
+    });
+
+    it('launches due drafts and takes down due products, once each', async () => {
+      const launch = product({ publishAt: at(-hour) });
+      const takedown = product({ status: 'ACTIVE', unpublishAt: at(-hour) });
+      due = { publishAt: [launch], unpublishAt: [takedown] };
+
+      expect(await ProductScheduleService.applySchedules(now)).toEqual({ published: 1, unpublished: 1 });
+
+      expect(Product.find).toHaveBeenCalledWith({ status: 'DRAFT', publishAt: { $lte: now } });
+      expect(Product.find).toHaveBeenCalledWith({ status: 'ACTIVE', unpublishAt: { $lte: now } });
+      expect(launch.status).toBe('ACTIVE');
+      expect(launch.publishAt).toBeUndefined();
+      expect(takedown.status).toBe('ARCHIVED');
+      expect(takedown.unpublishAt).toBeUndefined();
+      expect(ProductRevisionService.record).toHaveBeenCalledWith(launch, { action: 'STATUS' });
+      expect(CacheService.invalidateProductCache).toHaveBeenCalledWith(takedown._id, takedown.merchantId);
+    });
+
+    it('ends with the takedown when both fell due while the worker was down', async () => {
+      const mug = product({ publishAt: at(-2 * hour), unpublishAt: at(-hour) });
+      Product.find.mockImplementation(filter => Promise.resolve(mug.status === filter.status ? [mug] : []));
+
+      await ProductScheduleService.applySchedules(now);
+
+      expect(mug.status).toBe('ARCHIVED');
+      expect(mug.save).toHaveBeenCalledTimes(2);
+    });
+
+    it('runs from the recurring product job', async () => {
+      expect(await processProductJob({ id: 'job-1', name: 'applySchedules', data: {} }))
+        .toEqual({ published: 0, unpublished: 0 });
+    });
+  });
+
+  describe('schedule validation', () => {
+    const validate = body => schemas.product.schedule.validate(body);
+
+    it('accepts future times in order, and null to clear', () => {
+      const future = Date.now() + hour;
+
+      expect(validate({ publishAt: new Date(future).toISOString(), unpublishAt: new Date(future + hour).toISOString() }).error)
+        .toBeUndefined();
+      expect(validate({ publishAt: null }).error).toBeUndefined();
+    });
+
+    it('rejects past times, a takedown before the launch and an empty body', () => {
+      const future = Date.now() + hour;
+
+      expect(validate({ publishAt: new Date(Date.now() - hour).toISOString() }).error).toBeDefined();
+      expect(validate({ publishAt: new Date(future + hour).toISOString(), unpublishAt: new Date(future).toISOString() }).error)
+        .toBeDefined();
+      expect(validate({}).error).toBeDefined();
+    });
+  });
+});
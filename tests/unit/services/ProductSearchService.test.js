@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import { config } from '../../../src/config/index.js';
+import { Product } from '../../../src/models/index.js';
+import ProductSearchService from '../../../src/services/ProductSearchService.js';
+
+describe('ProductSearchService', () => {
+  const query = {
+    categories: ['shirts'],
+    tags: ['Summer'],
+    minPrice: 5000,
+    maxPrice: 20000,
+    inStock: true,
+    attributes: { color: ['red', 'blue'], size: ['L'] },
+  };
+
+  beforeEach(() => {
+    jest.replaceProperty(config, 'productSearch', {
+      ...config.productSearch,
+      facetAttributes: ['color', 'size'],
+      priceBuckets: [0, 10000, 50000],
+    });
+  });
+
+  describe('facetFilter', () => {
+    it('matches price, stock and attributes on the same active variant', () => {
+      expect(ProductSearchService.facetFilter(query)).toEqual({
+        categories: { $in: ['shirts'] },
+        tags: { $in: ['summer'] },
+        variants: {
+          $elemMatch: {
+            isActive: { $ne: false },
+            price: { $gte: 5000, $lte: 20000 },
+            stock: { $gt: 0 },
+            'attributes.color': { $in: ['red', 'blue'] },
+            'attributes.size': { $in: ['L'] },
+          },
+        },
+      });
+    });
+
+    it.each([
+      ['categories', 'categories'],
+      ['tags', 'tags'],
+    ])('leaves out the %s filter when counting that facet', (facet, field) => {
+      const filter = ProductSearchService.facetFilter(query, facet);
+
+      expect(filter).not.toHaveProperty(field);
+      expect(filter.variants.$elemMatch).toHaveProperty('price');
+    });
+
+    it.each([
+      ['price', 'price'],
+      ['inStock', 'stock'],
+      ['attributes.color', 'attributes.color'],
+    ])('leaves out the %s condition when counting that facet', (facet, condition) => {
+      const { $elemMatch } = ProductSearchService.facetFilter(query, facet).variants;
+
+      expect($elemMatch).not.toHaveProperty([condition]);
+      expect($elemMatch).toHaveProperty(['attributes.size']);
+    });
+
+    it('adds no variant match without variant filters', () => {
+      expect(ProductSearchService.facetFilter({ categories: ['shirts'] })).toEqual({ categories: { $in: ['shirts'] } });
+    });
+  });
+
+  it('keeps the category page scope apart from the shopper\'s category filter', () => {
+    const base = ProductSearchService.baseFilter({ q: 'linen', merchantId: 'merchant_1', categoryScope: ['tops', 'shirts'] });
+
+    expect(base).toEqual({
+      status: 'ACTIVE',
+      $text: { $search: 'linen' },
+      merchantId: 'merchant_1',
+      $and: [{ categories: { $in: ['tops', 'shirts'] } }],
+    });
+  });
+
+  it('counts each product once per attribute value', () => {
+    const pipeline = ProductSearchService.attributeFacet(query, 'color');
+
+    expect(pipeline[2].$match).toEqual({
+      'variants.isActive': { $ne: false },
+      'variants.price': { $gte: 5000, $lte: 20000 },
+      'variants.stock': { $gt: 0 },
+      'variants.attributes.size': { $in: ['L'] },
+      'variants.attributes.color': { $exists: true },
+    });
+    expect(pipeline[3]).toEqual({ $group: { _id: { product: '$_id', value: '$variants.attributes.color' } } });
+  });
+
+  it('returns the total and every facet from one aggregation', async () => {
+    const aggregate = jest.spyOn(Product, 'aggregate').mockResolvedValue([{
+      total: [{ count: 7 }],
+      categories: [{ _id: 'shirts', count: 7 }, { _id: 'linen', count: 3 }],
+      tags: [],
+      price: [{ _id: 0, count: 2 }, { _id: 10000, count: 4 }, { _id: 50000, count: 1 }],
+      inStock: [{ _id: true, count: 6 }, { _id: false, count: 1 }],
+      attribute_color: [{ _id: 'red', count: 5 }],
+      attribute_size: [],
+    }]);
+    const base = { status: 'ACTIVE' };
+
+    const { total, facets } = await ProductSearchService.getFacets(query, base);
+
+    expect(aggregate).toHaveBeenCalledTimes(1);
+    expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: base });
+    expect(total).toBe(7);
+    expect(facets).toEqual({
+      categories: [{ value: 'shirts', count: 7 }, { value: 'linen', count: 3 }],
+      tags: [],
+      price: [
+        { min: 0, max: 10000, count: 2 },
+        { min: 10000, max: 50000, count: 4 },
+        { min: 50000, max: null, count: 1 },
+      ],
+      attributes: { color: [{ value: 'red', count: 5 }], size: [] },
+      inStock: { inStock: 6, outOfStock: 1 },
+    });
+  });
+
+  it('reports zero when nothing matches', async () => {
+    jest.spyOn(Product, 'aggregate').mockResolvedValue([{
+      total: [], categories: [], tags: [], price: [], inStock: [], attribute_color: [], attribute_size: [],
+    }]);
+
+    const { total, facets } = await ProductSearchService.getFacets({}, { status: 'ACTIVE' });
+
+    expect(total).toBe(0);
+    expect(facets.inStock).toEqual({ inStock: 0, outOfStock: 0 });
+  });
+
+  it('reads a sort string for text searches', () => {
+    expect(ProductSearchService.parseSort('-createdAt, title')).toEqual({ createdAt: -1, title: 1 });
+  });
+
+  it('builds the same cache key whatever order filter values come in', () => {
+    const key = ProductSearchService.cacheFilters({ ...query, q: 'linen', page: 2 });
+
+    expect(key).toEqual(ProductSearchService.cacheFilters({
+      ...query,
+      categories: ['shirts'],
+      attributes: { size: ['L'], color: ['blue', 'red'] },
+    }));
+    expect(key).toMatchObject({ 'attributes.color': 'blue,red', minPrice: '5000' });
+    expect(key).not.toHaveProperty('page');
+  });
+});
@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import { Types } from 'mongoose';
+import { config } from '../../../src/config/index.js';
+import { Order, Product, ProductRevision } from '../../../src/models/index.js';
+import CacheService from '../../../src/services/CacheService.js';
+import ProductTrashService from '../../../src/services/ProductTrashService.js';
+
+describe('ProductTrashService', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const cursor = () => ({ toArray: () => Promise.resolve([]) });
+
+  beforeEach(() => {
+    jest.replaceProperty(config, 'productTrash', { ...config.productTrash, retentionDays: 30 });
+  });
+
+  describe('query hooks', () => {
+    it.each([
+      ['find', () => Product.find({ status: 'ACTIVE' })],
+      ['findOne', () => Product.findOne({ slug: 'mug' })],
+      ['countDocuments', () => Product.countDocuments({ status: 'ACTIVE' })],
+      ['updateMany', () => Product.updateMany({ status: 'DRAFT' }, { featured: false })],
+    ])('leave trashed products out of %s', async (method, run) => {
+      const call = jest.spyOn(Product.collection, method).mockReturnValue(
+        method === 'find' ? cursor() : Promise.resolve(method === 'countDocuments' ? 0 : {}),
+      );
+
+      await run();
+
+      expect(call.mock.calls[0][0]).toMatchObject({ deletedAt: null });
+    });
+
+    it('leave the filter alone when it asks about deletedAt, or with withDeleted', async () => {
+      const find = jest.spyOn(Product.collection, 'find').mockReturnValue(cursor());
+
+      await Product.find({ deletedAt: { $ne: null } });
+      await Product.find({ slug: 'mug' }).setOptions({ withDeleted: true });
+
+      expect(find.mock.calls[0][0]).toEqual({ deletedAt: { $ne: null } });
+      expect(find.mock.calls[1][0]).toEqual({ slug: 'mug' });
+    });
+
+    it('merge into the leading $match of an aggregation, so $text stays first', async () => {
+      const aggregate = jest.spyOn(Product.collection, 'aggregate').mockReturnValue(cursor());
+
+      await Product.aggregate([{ $match: { $text: { $search: 'mug' } } }, { $limit: 5 }]);
+      await Product.aggregate([{ $group: { _id: '$merchantId' } }]);
+
+      expect(aggregate.mock.calls[0][0]).toEqual([
+        { $match: { $text: { $search: 'mug' }, deletedAt: null } },
+        { $limit: 5 },
+      ]);
+      expect(aggregate.mock.calls[1][0]).toEqual([{ $match: { deletedAt: null } }, { $group: { _id: '$merchantId' } }]);
+    });
+  });
+
+  it('restores a product as it was', async () => {
+    const product = new Product({
+      merchantId: new Types.ObjectId(),
+      title: 'Mug',
+      slug: 'mug',
+      status: 'ACTIVE',
+      deletedAt: new Date(),
+      deletedBy: new Types.ObjectId(),
+    });
+    jest.spyOn(product, 'save').mockResolvedValue(product);
+    jest.spyOn(CacheService, 'invalidateProductCache').mockResolvedValue(true);
+
+    await ProductTrashService.restore(product);
+
+    expect(product.deletedAt).toBeUndefined();
+    expect(product.deletedBy).toBeUndefined();
+    expect(product.status).toBe('ACTIVE');
+    expect(product.slug).toBe('mug');
+  });
+
+  describe('purgeExpired', () => {
+    const now = new Date('2026-10-18T00:00:00Z');
+    const cutoff = new Date(now.getTime() - 30 * DAY);
+    const [sold, unsold, alsoUnsold] = [new Types.ObjectId(), new Types.ObjectId(), new Types.ObjectId()];
+    let deleteProducts;
+    let deleteRevisions;
+
+    beforeEach(() => {
+      deleteProducts = jest.spyOn(Product, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+      deleteRevisions = jest.spyOn(ProductRevision, 'deleteMany').mockResolvedValue({ deletedCount: 4 });
+    });
+
+    it('deletes expired products that no order points at, with their revisions', async () => {
+      jest.spyOn(Product, 'distinct').mockResolvedValue([sold, unsold, alsoUnsold]);
+      jest.spyOn(Order, 'distinct').mockResolvedValue([new Types.ObjectId(sold.toString())]);
+
+      expect(await ProductTrashService.purgeExpired(now)).toEqual({ purged: 2, kept: 1 });
+
+      expect(Product.distinct).toHaveBeenCalledWith('_id', { deletedAt: { $lte: cutoff } });
+      expect(Order.distinct).toHaveBeenCalledWith('items.productId', { 'items.productId': { $in: [sold, unsold, alsoUnsold] } });
+      expect(deleteProducts).toHaveBeenCalledWith({ _id: { $in: [unsold, alsoUnsold] }, deletedAt: { $lte: cutoff } });
+      expect(deleteRevisions).toHaveBeenCalledWith({ productId: { $in: [unsold, alsoUnsold] } });
+    });
+
+    it('deletes nothing when every expired product was ordered', async () => {
+      jest.spyOn(Product, 'distinct').mockResolvedValue([sold]);
+      jest.spyOn(Order, 'distinct').mockResolvedValue([sold]);
+
+      expect(await ProductTrashService.purgeExpired(now)).toEqual({ purged: 0, kept: 1 });
+      expect(deleteProducts).not.toHaveBeenCalled();
+      expect(deleteRevisions).not.toHaveBeenCalled();
+    });
+
+    it('skips the order lookup when nothing has expired', async () => {
+      jest.spyOn(Product, 'distinct').mockResolvedValue([]);
+      const orders = jest.spyOn(Order, 'distinct');
+
+      expect(await ProductTrashService.purgeExpired(now)).toEqual({ purged: 0, kept: 0 });
+      expect(orders).not.toHaveBeenCalled();
+    });
+  });
+});
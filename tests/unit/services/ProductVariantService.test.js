@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import { Types } from 'mongoose';
+import { config } from '../../../src/config/index.js';
+import { Product } from '../../../src/models/index.js';
+import ProductVariantService, { skuPart } from '../../../src/services/ProductVariantService.js';
+
+describe('ProductVariantService', () => {
+  const options = [
+    { name: 'size', values: ['S', 'M'] },
+    { name: 'color', values: ['Navy blue', 'Red'] },
+  ];
+  let product;
+  let taken;
+
+  beforeEach(() => {
+    product = new Product({ merchantId: new Types.ObjectId(), title: 'Tee', slug: 'basic-tee', status: 'DRAFT' });
+    jest.spyOn(product, 'save').mockResolvedValue(product);
+
+    taken = [];
+    const query = { setOptions: () => query, select: () => query, lean: () => Promise.resolve(taken) };
+    jest.spyOn(Product, 'find').mockReturnValue(query);
+  });
+
+  const generate = (body = {}) => ProductVariantService.generateMatrix(product, { options, price: 8000, currency: 'RWF', stock: 5, ...body });
+  const skus = () => product.variants.map(variant => `${variant.sku}${variant.isActive ? '' : ' (off)'}`);
+
+  it('turns option values into SKU segments', () => {
+    expect(skuPart('Navy blue')).toBe('NAVY-BLUE');
+    expect(skuPart(' 10/12 yrs ')).toBe('10-12-YRS');
+  });
+
+  it('creates a variant for every combination', async () => {
+    const summary = await generate();
+
+    expect(summary.created).toEqual(['BASIC-TEE-S-NAVY-BLUE', 'BASIC-TEE-S-RED', 'BASIC-TEE-M-NAVY-BLUE', 'BASIC-TEE-M-RED']);
+    expect(product.options.map(option => option.name)).toEqual(['size', 'color']);
+    expect(Object.fromEntries(product.variants[1].attributes)).toEqual({ size: 'S', color: 'Red' });
+    expect(product.variants[1]).toMatchObject({ price: 8000, stock: 5 });
+    expect(product.save).toHaveBeenCalled();
+  });
+
+  it('follows a SKU template', async () => {
+    const summary = await generate({ skuTemplate: 'TEE-{color}-{size}' });
+
+    expect(summary.created[0]).toBe('TEE-NAVY-BLUE-S');
+  });
+
+  it('leaves existing combinations alone and reactivates ones turned off', async () => {
+    product.variants.push(
+      { sku: 'TEE-S-RED', price: 9000, attributes: { size: 'S', color: 'Red' } },
+      { sku: 'TEE-M-RED', price: 9000, isActive: false, attributes: { size: 'M', color: 'Red' } },
+    );
+
+    const summary = await generate();
+
+    expect(summary).toEqual({
+      created: ['BASIC-TEE-S-NAVY-BLUE', 'BASIC-TEE-M-NAVY-BLUE'],
+      skipped: ['TEE-S-RED'],
+      reactivated: ['TEE-M-RED'],
+      deactivated: [],
+    });
+    expect(product.variants[0].price).toBe(9000);
+  });
+
+  it('turns off variants outside the matrix only when asked', async () => {
+    product.variants.push({ sku: 'TEE-L-RED', price: 9000, attributes: { size: 'L', color: 'Red' } });
+
+    expect((await generate()).deactivated).toEqual([]);
+    expect((await generate({ deactivateMissing: true })).deactivated).toEqual(['TEE-L-RED']);
+    expect(skus()[0]).toBe('TEE-L-RED (off)');
+  });
+
+  it.each([
+    ['leaves out an axis', 'TEE-{size}', 'every option axis must be in the template'],
+    ['names an unknown axis', 'TEE-{size}-{color}-{fit}', 'not an option axis'],
+  ])('refuses a template that %s', async (_case, skuTemplate, message) => {
+    const error = await generate({ skuTemplate }).catch(caught => caught);
+
+    expect(error.message).toBe('Invalid SKU template');
+    expect(error.details.map(detail => detail.message)).toContain(message);
+    expect(product.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses SKUs that collide with each other or the catalogue, trash included', async () => {
+    taken = [{ variants: [{ sku: 'BASIC-TEE-S-RED' }, { sku: 'OTHER-1' }] }];
+
+    const error = await generate().catch(caught => caught);
+
+    expect(error.message).toBe('Generated SKUs are not unique');
+    expect(error.details).toEqual([{ field: 'skuTemplate', message: 'already in use', value: 'BASIC-TEE-S-RED' }]);
+    expect(product.variants).toHaveLength(0);
+
+    // Values that only differ in punctuation render to the same SKU
+    taken = [];
+    const clash = await generate({ options: [{ name: 'size', values: ['X L', 'X-L'] }] }).catch(caught => caught);
+    expect(clash.details).toEqual([{ field: 'skuTemplate', message: 'generated for more than one combination', value: 'BASIC-TEE-X-L' }]);
+  });
+
+  it('refuses matrices over the size limit, and bundles', async () => {
+    jest.replaceProperty(config, 'productVariants', { maxMatrixSize: 3 });
+
+    await expect(generate()).rejects.toThrow('The options make 4 combinations; the limit is 3');
+
+    product.type = 'BUNDLE';
+    await expect(generate()).rejects.toThrow('Bundle variants are made of components and cannot be generated');
+  });
+
+  it('asks for option axes when the product has none', async () => {
+    await expect(generate({ options: undefined })).rejects.toThrow('Declare the product\'s option axes first');
+  });
+});
@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+import { User } from '../../../src/models/index.js';
+import RefreshTokenService from '../../../src/services/RefreshTokenService.js';
+import SessionService from '../../../src/services/SessionService.js';
+import AuthController from '../../../src/controllers/AuthController.js';
+import { mockRequest, mockResponse } from '../../helpers/http.js';
+import { useFakeRedis } from '../../helpers/redis.js';
+import { fakeUser } from '../../helpers/users.js';
+
+describe('RefreshTokenService', () => {
+  const userId = 'user-1';
+
+  beforeEach(() => {
+    useFakeRedis();
+    jest.spyOn(SessionService, 'remove').mockResolvedValue();
+  });
+
+  // Present a token and issue its replacement, as a successful refresh does
+  const rotate = async (token) => {
+    const { status, record } = await RefreshTokenService.consume(token);
+    expect(status).toBe('valid');
+    return RefreshTokenService.issue(userId, record.familyId);
+  };
+
+  it('accepts each token once and rotates within the family', async () => {
+    const first = await RefreshTokenService.issue(userId, 'family-1');
+    const second = await rotate(first);
+
+    expect(second).not.toBe(first);
+    expect((await RefreshTokenService.getFamily(userId, 'family-1')).generation).toBe(2);
+    expect((await RefreshTokenService.consume(first)).status).toBe('reused');
+  });
+
+  it('lets only one of two concurrent presentations through', async () => {
+    const token = await RefreshTokenService.issue(userId, 'family-1');
+
+    const results = await Promise.all([RefreshTokenService.consume(token), RefreshTokenService.consume(token)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['reused', 'valid']);
+  });
+
+  it('treats a token that is no longer the family\'s current one as reused', async () => {
+    const stale = await RefreshTokenService.issue(userId, 'family-1');
+    await RefreshTokenService.issue(userId, 'family-1');
+
+    expect((await RefreshTokenService.consume(stale)).status).toBe('reused');
+  });
+
+  it('leaves other families alone when one is revoked', async () => {
+    const mine = await RefreshTokenService.issue(userId, 'family-1');
+    const other = await RefreshTokenService.issue(userId, 'family-2');
+
+    await RefreshTokenService.revokeFamily(userId, 'family-1', 'reuse_detected');
+
+    expect((await RefreshTokenService.consume(mine)).status).toBe('invalid');
+    expect((await RefreshTokenService.consume(other)).status).toBe('valid');
+  });
+
+  describe('refresh endpoint', () => {
+    const refresh = (token, res = mockResponse()) => AuthController.refreshToken(
+      mockRequest({ cookies: { refreshToken: token } }),
+      res,
+    );
+
+    it('revokes the whole family when a rotated token comes back', async () => {
+      const user = fakeUser({ _id: userId });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(AuthController, 'generateTokens').mockImplementation(async (_user, _req, rememberMe, familyId) => ({
+        accessToken: 'access',
+        refreshToken: await RefreshTokenService.issue(userId, familyId, { rememberMe }),
+      }));
+      const stolen = await RefreshTokenService.issue(userId, 'family-1');
+      const legitimate = mockResponse();
+      const attacker = mockResponse();
+
+      await refresh(stolen, legitimate);
+      const [, current] = legitimate.cookie.mock.calls[0];
+      await expect(refresh(stolen, attacker)).rejects.toThrow('Refresh token has been revoked');
+
+      expect(attacker.clearCookie).toHaveBeenCalledWith('refreshToken', { path: '/api/auth' });
+      expect(await RefreshTokenService.getFamily(userId, 'family-1')).toBeNull();
+      await expect(refresh(current)).rejects.toThrow('Invalid or expired refresh token');
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import SessionService from '../../../src/services/SessionService.js';
+import RefreshTokenService from '../../../src/services/RefreshTokenService.js';
+import AuthController from '../../../src/controllers/AuthController.js';
+import { validateSession } from '../../../src/middleware/auth.js';
+import { mockRequest, mockResponse, runMiddleware } from '../../helpers/http.js';
+import { useFakeRedis } from '../../helpers/redis.js';
+import { fakeUser } from '../../helpers/users.js';
+
+describe('SessionService', () => {
+  const user = fakeUser();
+  const userId = user._id.toString();
+  const browser = mockRequest({ headers: { 'user-agent': 'Mozilla/5.0 (Macintosh) Firefox/128.0' } });
+  const ttl = 60 * 60;
+  let client;
+
+  beforeEach(() => {
+    client = useFakeRedis();
+  });
+
+  // Sign in: a session plus the refresh token family bound to it
+  const signIn = async (sessionId) => {
+    await SessionService.create(userId, sessionId, browser, ttl);
+    return RefreshTokenService.issue(userId, sessionId);
+  };
+
+  it('lists a user\'s sessions from their index, without scanning keys', async () => {
+    await signIn('session-1');
+    await signIn('session-2');
+    await SessionService.create('someone-else', 'session-3', browser, ttl);
+
+    const sessions = await SessionService.list(userId);
+
+    expect(sessions.map(session => session.sessionId).sort()).toEqual(['session-1', 'session-2']);
+    expect(client.keys).toBeUndefined();
+  });
+
+  it('drops index entries whose session record is gone', async () => {
+    await signIn('session-1');
+    await signIn('session-2');
+    await client.del('session:session-2');
+
+    expect((await SessionService.list(userId)).map(session => session.sessionId)).toEqual(['session-1']);
+    expect(await client.zrange(SessionService.indexKey(userId), 0, -1)).toEqual(['session-1']);
+  });
+
+  describe('revoking a session', () => {
+    const revoke = sessionId => AuthController.revokeSession(mockRequest({ user, params: { sessionId } }), mockResponse());
+
+    it('signs out that session only', async () => {
+      const revokedToken = await signIn('session-1');
+      const keptToken = await signIn('session-2');
+
+      await revoke('session-1');
+
+      expect((await SessionService.list(userId)).map(session => session.sessionId)).toEqual(['session-2']);
+      expect((await RefreshTokenService.consume(revokedToken)).status).toBe('invalid');
+      expect((await RefreshTokenService.consume(keptToken)).status).toBe('valid');
+
+      const { res, nextCalled } = await runMiddleware(validateSession, mockRequest({
+        user,
+        tokenPayload: { sessionId: 'session-1' },
+      }));
+      expect(nextCalled).toBe(false);
+      expect(res.body.code).toBe('INVALID_SESSION');
+    });
+
+    it('cannot reach another user\'s session', async () => {
+      await SessionService.create('someone-else', 'session-3', browser, ttl);
+      await RefreshTokenService.issue('someone-else', 'session-3');
+
+      await expect(revoke('session-3')).rejects.toThrow('Session not found');
+      expect(await SessionService.get('session-3')).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import { execFileSync } from 'child_process';
+import { config } from '../../../src/config/index.js';
+import SmsService from '../../../src/services/SmsService.js';
+
+// Loads the config in a fresh process with the given environment
+const loadConfig = env => execFileSync(process.execPath, [
+  '--input-type=module',
+  '-e',
+  'const { config } = await import("./src/config/index.js"); console.log(config.sms.transport);',
+], { env: { PATH: process.env.PATH, ...env }, encoding: 'utf8', stdio: 'pipe' }).trim();
+
+describe('SmsService transport', () => {
+  const { transport } = config.sms;
+
+  afterEach(() => {
+    config.sms.transport = transport;
+    SmsService.transport = null;
+  });
+
+  it('logs messages by default only in development and test', () => {
+    expect(loadConfig({ NODE_ENV: 'development' })).toBe('log');
+    expect(loadConfig({ NODE_ENV: 'test' })).toBe('log');
+    expect(loadConfig({ NODE_ENV: 'staging' })).toBe('undefined');
+    expect(loadConfig({ NODE_ENV: 'production', SMS_TRANSPORT: 'http' })).toBe('http');
+  });
+
+  it('refuses to start in production without a transport', () => {
+    expect(() => loadConfig({ NODE_ENV: 'production' })).toThrow('SMS_TRANSPORT must be set in production');
+  });
+
+  it('does not send without a transport', async () => {
+    config.sms.transport = undefined;
+    await expect(SmsService.send('+250788000001', 'hello')).rejects.toThrow('SMS_TRANSPORT is not configured');
+  });
+});
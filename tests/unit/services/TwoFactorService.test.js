@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { User } from '../../../src/models/index.js';
+import { redis } from '../../../src/config/redis.js';
+import TwoFactorService from '../../../src/services/TwoFactorService.js';
+
+describe('TwoFactorService', () => {
+  describe('TOTP codes', () => {
+    // RFC 6238 appendix B, SHA-1, truncated to 6 digits
+    it('matches the RFC 6238 test vectors', () => {
+      const secret = TwoFactorService.base32Encode(Buffer.from('12345678901234567890'));
+
+      expect(TwoFactorService.generateCode(secret, Math.floor(59 / 30))).toBe('287082');
+      expect(TwoFactorService.generateCode(secret, Math.floor(1111111109 / 30))).toBe('081804');
+    });
+
+    it('accepts a current code once and rejects its replay', async () => {
+      const used = new Set();
+      jest.spyOn(redis, 'getClient').mockReturnValue({
+        set: (key) => {
+          const firstUse = !used.has(key);
+          used.add(key);
+          return Promise.resolve(firstUse ? 'OK' : null);
+        },
+      });
+      const secret = TwoFactorService.generateSecret();
+      const code = TwoFactorService.generateCode(secret);
+
+      expect(await TwoFactorService.verifyCode('user-1', secret, code)).toBe(true);
+      expect(await TwoFactorService.verifyCode('user-1', secret, code)).toBe(false);
+    });
+
+    it('rejects malformed and wrong codes without touching Redis', async () => {
+      const getClient = jest.spyOn(redis, 'getClient');
+      const secret = TwoFactorService.generateSecret();
+
+      expect(await TwoFactorService.verifyCode('user-1', secret, '12ab56')).toBe(false);
+      expect(await TwoFactorService.verifyCode('user-1', undefined, '123456')).toBe(false);
+      expect(getClient).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recovery codes', () => {
+    let stored;
+
+    // Apply the conditional $pull the way MongoDB does: atomically per document
+    beforeEach(() => {
+      stored = [];
+      jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, update) => {
+        const hash = filter['security.twoFactorRecoveryCodes'];
+        expect(update).toEqual({ $pull: { 'security.twoFactorRecoveryCodes': hash } });
+        if (!stored.includes(hash)) {
+          return Promise.resolve(null);
+        }
+        stored = stored.filter(existing => existing !== hash);
+        return Promise.resolve({ security: { twoFactorRecoveryCodes: [...stored] } });
+      });
+    });
+
+    it('consumes a code only once and reports how many are left', async () => {
+      const { codes, hashes } = TwoFactorService.generateRecoveryCodes(3);
+      stored = hashes;
+      // The in-memory copy is stale by the time the code is used
+      const user = { _id: new mongoose.Types.ObjectId(), security: { twoFactorRecoveryCodes: [] } };
+
+      expect(await TwoFactorService.consumeRecoveryCode(user, codes[1].toUpperCase())).toBe(2);
+      expect(await TwoFactorService.consumeRecoveryCode(user, codes[1])).toBeNull();
+      expect(stored).toEqual([hashes[0], hashes[2]]);
+    });
+
+    it('lets only one of two concurrent logins use the same code', async () => {
+      const { codes, hashes } = TwoFactorService.generateRecoveryCodes(2);
+      stored = hashes;
+      const user = { _id: new mongoose.Types.ObjectId() };
+
+      const results = await Promise.all([
+        TwoFactorService.consumeRecoveryCode(user, codes[0]),
+        TwoFactorService.consumeRecoveryCode(user, codes[0]),
+      ]);
+
+      expect(results.filter(remaining => remaining !== null)).toEqual([1]);
+      expect(stored).toEqual([hashes[1]]);
+    });
+
+    it('rejects unknown and empty codes', async () => {
+      stored = TwoFactorService.generateRecoveryCodes(1).hashes;
+      const user = { _id: new mongoose.Types.ObjectId() };
+
+      expect(await TwoFactorService.consumeRecoveryCode(user, 'aaaaa-bbbbb')).toBeNull();
+      expect(await TwoFactorService.consumeRecoveryCode(user, undefined)).toBeNull();
+      expect(stored).toHaveLength(1);
+    });
+  });
+
+  describe('setup tokens', () => {
+    it('round-trips and is not accepted as a login challenge', () => {
+      const user = { _id: new mongoose.Types.ObjectId() };
+      const token = TwoFactorService.createSetupToken(user, true);
+
+      expect(TwoFactorService.verifySetupToken(token)).toMatchObject({ userId: user._id.toString(), rememberMe: true });
+      expect(() => TwoFactorService.verifyChallengeToken(token)).toThrow('jwt audience invalid');
+    });
+
+    it('is required for enforced roles until 2FA is enabled', () => {
+      expect(TwoFactorService.isSetupRequired({ role: 'SELLER', security: { twoFactorEnabled: false } })).toBe(true);
+      expect(TwoFactorService.isSetupRequired({ role: 'SELLER', security: { twoFactorEnabled: true } })).toBe(false);
+      expect(TwoFactorService.isSetupRequired({ role: 'BUYER', security: { twoFactorEnabled: false } })).toBe(false);
+    });
+  });
+});
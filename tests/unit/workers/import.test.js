@@ -0,0 +1,13 @@
+import { jest } from '@jest/globals';
+import { JobScheduler } from '../../../src/workers/index.js';
+import { ImportJobService } from '../../../src/workers/processors/import.js';
+
+describe('ImportJobService', () => {
+  it('queues imports without retries, since the first run deletes the upload', async () => {
+    const addImportJob = jest.spyOn(JobScheduler, 'addImportJob').mockResolvedValue();
+
+    await ImportJobService.importProducts('import_1');
+
+    expect(addImportJob).toHaveBeenCalledWith('importProducts', { importId: 'import_1' }, { attempts: 1 });
+  });
+});
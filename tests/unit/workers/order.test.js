@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import { Types } from 'mongoose';
+import { Order, DailySales } from '../../../src/models/index.js';
+import { config } from '../../../src/config/index.js';
+import InventoryService from '../../../src/services/InventoryService.js';
+import { JobScheduler } from '../../../src/workers/index.js';
+import { processOrderJob } from '../../../src/workers/processors/order.js';
+
+describe('order worker', () => {
+  it('dispatches on the job name', async () => {
+    await expect(processOrderJob({ id: '1', name: 'unknownJob', data: {} }))
+      .rejects.toThrow('Unknown order processing type: unknownJob');
+  });
+
+  it('cancels orders left unpaid and returns their stock', async () => {
+    const steps = [];
+    const order = {
+      _id: new Types.ObjectId(),
+      items: [{ sku: 'GIFT-BOX', components: [{ sku: 'MUG-RED', quantity: 1 }] }],
+      cancel: jest.fn(() => {
+        steps.push('cancel');
+        return Promise.resolve();
+      }),
+    };
+    const find = jest.spyOn(Order, 'find').mockResolvedValue([order]);
+    const release = jest.spyOn(InventoryService, 'releaseOrderReservations').mockImplementation(() => {
+      steps.push('release');
+      return Promise.resolve([]);
+    });
+
+    const result = await processOrderJob({ id: '1', name: 'cleanupExpiredOrders', data: {} });
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      status: { $in: ['CREATED', 'PAYMENT_PENDING'] },
+    }));
+    expect(release).toHaveBeenCalledWith(order._id.toString(), InventoryService.reservationSkus(order.items));
+    expect(steps).toEqual(['cancel', 'release']);
+    expect(result.cleanedCount).toBe(1);
+  });
+
+  it('emails the buyer on delivery and schedules the review request', async () => {
+    const order = {
+      _id: new Types.ObjectId(),
+      orderNumber: 'AE-1001',
+      pricing: { total: 10000 },
+      userId: { email: 'buyer@example.com', profile: { name: 'Buyer' } },
+    };
+    jest.spyOn(Order, 'findById').mockReturnValue({ populate: () => Promise.resolve(order) });
+    jest.spyOn(DailySales, 'findOrCreate').mockResolvedValue({ save: () => Promise.resolve() });
+    const email = jest.spyOn(JobScheduler, 'addEmailJob').mockResolvedValue();
+    const notification = jest.spyOn(JobScheduler, 'addNotificationJob').mockResolvedValue();
+
+    await processOrderJob({ id: '1', name: 'processOrderDelivered', data: { orderId: order._id.toString() } });
+
+    expect(email).toHaveBeenCalledWith('orderDelivered', expect.objectContaining({
+      email: 'buyer@example.com',
+      orderNumber: 'AE-1001',
+    }));
+    expect(notification).toHaveBeenCalledWith('sendReviewRequest', { orderId: order._id.toString() }, {
+      delay: config.reviews.requestDelayDays * 24 * 60 * 60 * 1000,
+    });
+  });
+});